@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { MIN_PASSPHRASE_LENGTH } from '../../services/improved-crypto';
+
+/**
+ * プロファイル作成フォーム
+ * マスターキーを保護するパスフレーズを入力してから、プロファイルを作成する
+ * @param {Function} onCreate - パスフレーズを受け取ってプロファイルを作成する関数
+ * @param {boolean} creating - 作成中かどうか
+ */
+function ProfileSetupForm({ onCreate, creating }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`パスフレーズは${MIN_PASSPHRASE_LENGTH}文字以上にしてください`);
+      return;
+    }
+    if (passphrase !== confirmation) {
+      setError('パスフレーズが一致しません');
+      return;
+    }
+
+    await onCreate(passphrase);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 max-w-sm">
+      <p className="text-sm text-yellow-700 mb-3">
+        暗号化キーを保護するパスフレーズを設定してください。パスフレーズはどこにも送信されず、忘れた場合は復元できません。
+      </p>
+
+      {error && (
+        <p className="text-sm text-red-600 mb-2">{error}</p>
+      )}
+
+      <input
+        type="password"
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        placeholder={`パスフレーズ（${MIN_PASSPHRASE_LENGTH}文字以上）`}
+        className="shadow appearance-none border rounded w-full py-2 px-3 mb-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+        autoComplete="new-password"
+        required
+      />
+      <input
+        type="password"
+        value={confirmation}
+        onChange={(e) => setConfirmation(e.target.value)}
+        placeholder="パスフレーズ（確認）"
+        className="shadow appearance-none border rounded w-full py-2 px-3 mb-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+        autoComplete="new-password"
+        required
+      />
+
+      <button
+        type="submit"
+        disabled={creating || !passphrase}
+        className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:bg-primary-400 disabled:cursor-not-allowed"
+      >
+        {creating ? (
+          <span className="flex items-center">
+            <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            プロファイル作成中...
+          </span>
+        ) : (
+          'プロファイルを作成'
+        )}
+      </button>
+    </form>
+  );
+}
+
+export default ProfileSetupForm;
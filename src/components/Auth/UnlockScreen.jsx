@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { MIN_PASSPHRASE_LENGTH } from '../../services/improved-crypto';
+
+/**
+ * マスターキーのロック解除画面
+ * - locked: パスフレーズを入力してロックを解除
+ * - migration / setup: パスフレーズを設定してマスターキーを保護
+ */
+function UnlockScreen() {
+  const { keyStatus, unlock, setPassphrase, logout } = useAuth();
+  const [passphrase, setPassphraseInput] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isSetup = keyStatus !== 'locked';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (isSetup) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`パスフレーズは${MIN_PASSPHRASE_LENGTH}文字以上にしてください`);
+        return;
+      }
+      if (passphrase !== confirmation) {
+        setError('パスフレーズが一致しません');
+        return;
+      }
+    }
+
+    setSubmitting(true);
+    try {
+      if (isSetup) {
+        await setPassphrase(passphrase);
+      } else {
+        await unlock(passphrase);
+      }
+    } catch (err) {
+      console.error('マスターキーのロック解除エラー:', err);
+      setError(err.message || 'ロックを解除できませんでした');
+      setPassphraseInput('');
+      setConfirmation('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="container mx-auto p-4 max-w-md">
+      <div className="bg-white shadow-md rounded-lg p-6">
+        <div className="w-12 h-12 mx-auto bg-primary-100 rounded-full flex items-center justify-center mb-4">
+          <svg className="h-6 w-6 text-primary-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+          </svg>
+        </div>
+        <h2 className="text-xl font-bold text-center mb-2">
+          {isSetup ? 'パスフレーズの設定' : 'ロックを解除'}
+        </h2>
+        <p className="text-sm text-gray-600 text-center mb-6">
+          {keyStatus === 'migration'
+            ? 'このデバイスには以前のバージョンで保存された暗号化キーがあります。パスフレーズを設定すると、キーはパスフレーズで保護された形式に移行され、平文のキーは削除されます。'
+            : isSetup
+              ? '暗号化キーを保護するパスフレーズを設定してください。次回からはこのパスフレーズでロックを解除します。'
+              : 'ノートを表示するには、このデバイスで設定したパスフレーズを入力してください。'}
+        </p>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+            <span className="block sm:inline">{error}</span>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label htmlFor="passphrase" className="block text-gray-700 text-sm font-bold mb-2">
+              パスフレーズ
+            </label>
+            <input
+              type="password"
+              id="passphrase"
+              value={passphrase}
+              onChange={(e) => setPassphraseInput(e.target.value)}
+              className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+              autoComplete={isSetup ? 'new-password' : 'current-password'}
+              autoFocus
+              required
+            />
+          </div>
+
+          {isSetup && (
+            <div className="mb-4">
+              <label htmlFor="passphraseConfirmation" className="block text-gray-700 text-sm font-bold mb-2">
+                パスフレーズ（確認）
+              </label>
+              <input
+                type="password"
+                id="passphraseConfirmation"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                autoComplete="new-password"
+                required
+              />
+              <p className="text-xs text-gray-500 mt-2">
+                パスフレーズはどこにも送信されず、忘れた場合は復元できません。
+              </p>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={submitting || !passphrase}
+            className="w-full bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
+          >
+            {submitting ? '処理中...' : isSetup ? '設定して続ける' : 'ロックを解除'}
+          </button>
+        </form>
+
+        <div className="mt-6 text-center text-sm space-y-2">
+          {!isSetup && (
+            <p className="text-gray-600">
+              パスフレーズを忘れた場合は、
+              <Link to="/link-device" className="text-primary-600 hover:text-primary-800">
+                既存のデバイスから連携し直してください
+              </Link>
+            </p>
+          )}
+          <button
+            onClick={logout}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            ログアウト
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default UnlockScreen;
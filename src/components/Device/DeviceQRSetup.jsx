@@ -1,18 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { QRCodeSVG } from 'qrcode.react';
-import { addDevice } from '../../services/api';
-import { generateKeyPair } from '../../services/crypto';
-import { setupDeviceLink } from '../../services/api';
-import { getUserMasterKey } from '../../services/improved-crypto';
-import { getCurrentPrincipal } from '../../services/auth';
+import { parseDeviceLinkRequest, setupDeviceLink } from '../../services/api';
+import QRScanner from '../common/QRScanner';
 
+/**
+ * 既存デバイス側のデバイス連携
+ * 1. 新しいデバイスに表示された連携リクエスト（公開鍵）を読み取る
+ * 2. 両方のデバイスに表示された確認コードが一致することを確認する
+ * 3. マスターキーを新しいデバイスの公開鍵でラップした応答QRコードを表示する
+ */
 function DeviceQRSetup({ onClose, onComplete }) {
   const [deviceName, setDeviceName] = useState('');
+  const [requestToken, setRequestToken] = useState('');
+  const [linkRequest, setLinkRequest] = useState(null);
+  const [scanning, setScanning] = useState(false);
   const [setupToken, setSetupToken] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [step, setStep] = useState(1);
-  const [countdown, setCountdown] = useState(600); // 10分のカウントダウン
+  const [step, setStep] = useState(1); // 1: リクエスト読み取り, 2: 確認コード照合, 3: 応答表示
+  const [countdown, setCountdown] = useState(0);
 
   // カウントダウンタイマーの設定
   useEffect(() => {
@@ -23,73 +29,78 @@ function DeviceQRSetup({ onClose, onComplete }) {
       }, 1000);
     } else if (countdown === 0 && setupToken) {
       // タイムアウト時の処理
-      setError('セットアップトークンの有効期限が切れました。新しいトークンを生成してください。');
+      setError('連携コードの有効期限が切れました。新しいデバイスで最初からやり直してください。');
       setSetupToken(null);
     }
-    
+
     return () => {
       if (timer) clearInterval(timer);
     };
   }, [setupToken, countdown]);
 
-// QRコード生成部分の修正
-const handleGenerateQR = async (e) => {
-  e.preventDefault();
-  setLoading(true);
-  setError(null);
-  
-  try {
-    // ユーザーのプリンシパルを取得
-    const userPrincipal = await getCurrentPrincipal();
-    
-    // ユーザー固有のマスターキーを取得
-    const masterKey = getUserMasterKey(userPrincipal.toString());
-    if (!masterKey) {
-      throw new Error('マスターキーが見つかりません');
+  // 連携リクエストを検証して確認コードを表示
+  const handleReadRequest = async (token) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const request = await parseDeviceLinkRequest(token);
+      setRequestToken(token);
+      setLinkRequest(request);
+      setStep(2);
+    } catch (err) {
+      console.error('連携リクエスト読み取りエラー:', err);
+      setError(err.message || '連携リクエストの読み取りに失敗しました');
+    } finally {
+      setLoading(false);
     }
-    
-    // 新しいsetupDeviceLink関数を呼び出し - マスターキーを渡す
-    const result = await setupDeviceLink(masterKey);
-    
-    if (!result || !result.token) {
-      throw new Error('デバイスの追加に失敗しました');
+  };
+
+  const handleScan = (decodedText) => {
+    setScanning(false);
+    handleReadRequest(decodedText);
+  };
+
+  const handleSubmitRequest = (e) => {
+    e.preventDefault();
+    if (!requestToken.trim()) {
+      setError('連携コードを入力してください');
+      return;
     }
-    
-    // QRコード用のセットアップトークンを設定
-    setSetupToken(result.token);
-    setStep(2);
-    setCountdown(600); // タイマーをリセット
-  } catch (err) {
-    console.error('QRコード生成エラー:', err);
-    setError(err.message || 'デバイスのセットアップに失敗しました');
-  } finally {
-    setLoading(false);
-  }
-};
-
-  // 新しいQRコードを生成
-  const handleRegenerateQR = async () => {
+    handleReadRequest(requestToken.trim());
+  };
+
+  // 確認コードが一致した後にデバイスを登録
+  const handleConfirmCode = async () => {
     setLoading(true);
     setError(null);
-    
+
     try {
-      // 同じデバイス名で新しいセットアップを実行
-      const result = await addDevice(deviceName);
-      
-      if (!result || !result.setupToken) {
-        throw new Error('QRコードの再生成に失敗しました');
+      const result = await setupDeviceLink(requestToken, deviceName.trim() || undefined);
+
+      if (!result || !result.token) {
+        throw new Error('デバイスの追加に失敗しました');
       }
-      
-      setSetupToken(result.setupToken);
-      setCountdown(600); // タイマーをリセット
+
+      setSetupToken(result.token);
+      setCountdown(Math.max(0, Math.floor((result.expiresAt - Date.now()) / 1000)));
+      setStep(3);
     } catch (err) {
-      console.error('QRコード再生成エラー:', err);
-      setError(err.message || 'QRコードの再生成に失敗しました');
+      console.error('デバイス連携エラー:', err);
+      setError(err.message || 'デバイスのセットアップに失敗しました');
     } finally {
       setLoading(false);
     }
   };
 
+  // 確認コードが一致しない場合は中止
+  const handleRejectCode = () => {
+    setLinkRequest(null);
+    setRequestToken('');
+    setStep(1);
+    setError('確認コードが一致しないため連携を中止しました。第三者のリクエストである可能性があります。');
+  };
+
   // セットアップ完了
   const handleSetupComplete = () => {
     onComplete && onComplete();
@@ -107,7 +118,7 @@ const handleGenerateQR = async (e) => {
     <div className="bg-white rounded-lg shadow-lg p-6">
       <div className="flex justify-between items-center mb-4">
         <h2 className="text-xl font-bold">
-          {step === 1 ? '新規デバイスの追加' : 'デバイスをセットアップ'}
+          {step === 1 ? '新規デバイスの追加' : step === 2 ? '確認コードの照合' : 'デバイスをセットアップ'}
         </h2>
         <button
           onClick={onClose}
@@ -127,59 +138,111 @@ const handleGenerateQR = async (e) => {
       )}
 
       {step === 1 && (
-        <form onSubmit={handleGenerateQR}>
-          <div className="mb-4">
-            <label htmlFor="deviceName" className="block text-gray-700 text-sm font-bold mb-2">
-              デバイス名
-            </label>
-            <input
-              type="text"
-              id="deviceName"
-              value={deviceName}
-              onChange={(e) => setDeviceName(e.target.value)}
-              className="bg-gray-50 border border-gray-300 text-gray-900 shadow appearance-none rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
-              placeholder="例: マイノートPC、iPhone15"
-              required
-            />
-          </div>
+        scanning ? (
+          <QRScanner
+            elementId="device-link-request-reader"
+            message="新しいデバイスに表示されたQRコードをスキャンしてください"
+            onScan={handleScan}
+            onCancel={() => setScanning(false)}
+          />
+        ) : (
+          <form onSubmit={handleSubmitRequest}>
+            <div className="mb-4">
+              <label htmlFor="deviceName" className="block text-gray-700 text-sm font-bold mb-2">
+                デバイス名
+              </label>
+              <input
+                type="text"
+                id="deviceName"
+                value={deviceName}
+                onChange={(e) => setDeviceName(e.target.value)}
+                className="bg-gray-50 border border-gray-300 text-gray-900 shadow appearance-none rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                placeholder="例: マイノートPC、iPhone15"
+                required
+              />
+            </div>
 
-          <div className="mb-6">
-            <p className="text-sm text-gray-600">
-              新しいデバイスを追加すると、そのデバイスから暗号化されたノートにアクセスできるようになります。
-              QRコードを使って新しいデバイスに安全にアクセス権を付与します。
-            </p>
-          </div>
+            <div className="mb-4">
+              <p className="text-sm text-gray-600">
+                新しいデバイスでログインし「デバイスをセットアップ」画面を開くと、連携用のQRコードが表示されます。
+                そのQRコードをこのデバイスでスキャンしてください。マスターキーは新しいデバイスの公開鍵で暗号化されてから渡されます。
+              </p>
+            </div>
+
+            <div className="mb-4">
+              <button
+                type="button"
+                onClick={() => { setError(null); setScanning(true); }}
+                disabled={loading || !deviceName.trim()}
+                className="w-full bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
+              >
+                QRコードをスキャン
+              </button>
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor="requestToken" className="block text-gray-700 text-sm font-bold mb-2">
+                または、新しいデバイスに表示された連携コードを貼り付け
+              </label>
+              <textarea
+                id="requestToken"
+                value={requestToken}
+                onChange={(e) => setRequestToken(e.target.value)}
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                rows={3}
+              />
+            </div>
+
+            <div className="flex items-center justify-end">
+              <button
+                type="button"
+                onClick={onClose}
+                className="mr-2 bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+              >
+                キャンセル
+              </button>
+              <button
+                type="submit"
+                disabled={loading || !deviceName.trim() || !requestToken.trim()}
+                className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
+              >
+                {loading ? '確認中...' : '次へ'}
+              </button>
+            </div>
+          </form>
+        )
+      )}
 
-          <div className="flex items-center justify-end">
+      {step === 2 && linkRequest && (
+        <div className="text-center">
+          <p className="text-sm text-gray-600 mb-4">
+            新しいデバイスに表示されている確認コードが、以下のコードと一致することを確認してください。
+          </p>
+          <div className="bg-gray-100 rounded-lg py-4 mb-6">
+            <span className="text-3xl font-mono font-bold tracking-widest text-gray-900">
+              {linkRequest.verificationCode}
+            </span>
+          </div>
+          <div className="flex flex-col sm:flex-row items-center justify-center space-y-2 sm:space-y-0 sm:space-x-4">
             <button
-              type="button"
-              onClick={onClose}
-              className="mr-2 bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+              onClick={handleRejectCode}
+              disabled={loading}
+              className="w-full sm:w-auto bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
             >
-              キャンセル
+              一致しない
             </button>
             <button
-              type="submit"
-              disabled={loading || !deviceName.trim()}
-              className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
+              onClick={handleConfirmCode}
+              disabled={loading}
+              className="w-full sm:w-auto bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
             >
-              {loading ? (
-                <span className="flex items-center">
-                  <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  処理中...
-                </span>
-              ) : (
-                'QRコードを生成'
-              )}
+              {loading ? '処理中...' : '一致している'}
             </button>
           </div>
-        </form>
+        </div>
       )}
 
-      {step === 2 && setupToken && (
+      {step === 3 && setupToken && (
         <div className="text-center">
           <div className="mb-4">
             <p className="text-green-600 font-semibold mb-2">新しいデバイスのセットアップ</p>
@@ -192,8 +255,8 @@ const handleGenerateQR = async (e) => {
           <div className="bg-white p-4 inline-block rounded-lg shadow-md mb-6">
             <QRCodeSVG
               value={setupToken}
-              size={200}
-              level="H"
+              size={240}
+              level="M"
               includeMargin={true}
             />
           </div>
@@ -202,8 +265,8 @@ const handleGenerateQR = async (e) => {
             <p className="text-sm text-gray-600 mb-2">
               または、以下のセットアップコードを新しいデバイスで入力してください：
             </p>
-            <div className="bg-gray-100 p-2 rounded overflow-x-auto">
-              <pre className="text-sm break-all text-gray-800">
+            <div className="bg-gray-100 p-2 rounded overflow-x-auto max-h-32">
+              <pre className="text-sm break-all whitespace-pre-wrap text-gray-800">
                 {setupToken}
               </pre>
             </div>
@@ -221,14 +284,7 @@ const handleGenerateQR = async (e) => {
             </button>
           </div>
 
-          <div className="flex flex-col sm:flex-row items-center justify-center space-y-2 sm:space-y-0 sm:space-x-4">
-            <button
-              onClick={handleRegenerateQR}
-              disabled={loading}
-              className="w-full sm:w-auto bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-gray-400 disabled:cursor-not-allowed"
-            >
-              {loading ? '再生成中...' : 'QRコードを再生成'}
-            </button>
+          <div className="flex items-center justify-center">
             <button
               onClick={handleSetupComplete}
               className="w-full sm:w-auto bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
@@ -242,4 +298,4 @@ const handleGenerateQR = async (e) => {
   );
 }
 
-export default DeviceQRSetup;
\ No newline at end of file
+export default DeviceQRSetup;
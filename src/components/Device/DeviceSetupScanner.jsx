@@ -1,13 +1,19 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Html5QrcodeScanner } from 'html5-qrcode';
-import { setupNewDevice } from '../../services/api';
+import { QRCodeSVG } from 'qrcode.react';
 import { useAuth } from '../../context/AuthContext';
 import Loading from '../common/Loading';
-import { login } from '../../services/auth';
-import { processDeviceLinkResult } from '../../services/api';
-
-function DeviceSetupScanner() {
+import QRScanner from '../common/QRScanner';
+import { createDeviceLinkRequest, processDeviceLinkResult } from '../../services/api';
+
+/**
+ * 新しいデバイス側のデバイス連携
+ * 1. このデバイスの公開鍵を含む連携リクエストをQRコードで表示する
+ * 2. 既存デバイスと確認コードを照合する
+ * 3. 既存デバイスが表示した応答QRコード（ラップ済みマスターキー）を読み取る
+ */
+function DeviceSetupScanner({ onSetupComplete }) {
+  const [linkRequest, setLinkRequest] = useState(null);
   const [setupToken, setSetupToken] = useState('');
   const [scanning, setScanning] = useState(false);
   const [manualInput, setManualInput] = useState(false);
@@ -16,8 +22,6 @@ function DeviceSetupScanner() {
   const [success, setSuccess] = useState(false);
   const navigate = useNavigate();
   const { user } = useAuth();  // user情報を取得
-  const scannerRef = useRef(null);
-  const qrContainerRef = useRef(null);
 
   // ログイン状態のチェック
   useEffect(() => {
@@ -27,83 +31,49 @@ function DeviceSetupScanner() {
     }
   }, [user, navigate]);
 
+  // 連携リクエスト（このデバイスの公開鍵）を作成
+  const createRequest = useCallback(async () => {
+    setLoading(true);
+    setError(null);
 
-  useEffect(() => {
-    // コンポーネントのアンマウント時にスキャナーをクリーンアップ
-    return () => {
-      if (scannerRef.current) {
-        scannerRef.current.clear();
-      }
-    };
+    try {
+      const request = await createDeviceLinkRequest();
+      setLinkRequest(request);
+    } catch (err) {
+      console.error('連携リクエスト作成エラー:', err);
+      setError(err.message || '連携リクエストの作成に失敗しました');
+    } finally {
+      setLoading(false);
+    }
   }, []);
 
-  // QRスキャナーの初期化
   useEffect(() => {
-    if (scanning && qrContainerRef.current) {
-      // 既存のスキャナーがあればクリーンアップ
-      if (scannerRef.current) {
-        scannerRef.current.clear();
-      }
-
-      // 新しいスキャナーを作成
-      const scanner = new Html5QrcodeScanner(
-        'qr-reader',
-        { 
-          fps: 10, 
-          qrbox: { width: 250, height: 250 },
-          // カメラの選択肢を設定
-          videoConstraints: {
-            facingMode: { ideal: "environment" }
-          }
-        },
-        /* verbose= */ false
-      );
-
-      // スキャン成功ハンドラー
-      const onScanSuccess = (decodedText) => {
-        // スキャナーを停止
-        scanner.clear();
-        setScanning(false);
-        
-        // 結果を処理
-        setSetupToken(decodedText);
-        handleSetup(decodedText);
-      };
-
-      // スキャン失敗ハンドラー（エラーが多発するためコメントアウト）
-      const onScanFailure = (error) => {
-        // ここでは何もしない（エラーが頻繁にログに出力されるため）
-        // console.warn(`QR scan error: ${error}`);
-      };
-
-      // スキャナーを開始
-      scanner.render(onScanSuccess, onScanFailure);
-      
-      // 参照を保存
-      scannerRef.current = scanner;
+    if (user && !linkRequest) {
+      createRequest();
     }
-  }, [scanning]);
+  }, [user, linkRequest, createRequest]);
 
   // デバイスセットアップ処理
   const handleSetup = async (token) => {
     setLoading(true);
     setError(null);
-    
+
     try {
-      // Process the scanned QR code result
-      const result = await processDeviceLinkResult(token);
-      
+      // 既存デバイスの応答を処理
+      const result = await processDeviceLinkResult(token, linkRequest);
+
       if (!result) {
         throw new Error('デバイスのセットアップに失敗しました。もう一度試してください。');
       }
-      
+
       setSuccess(true);
-    
+      onSetupComplete && onSetupComplete();
+
       // 3秒後にリダイレクト
       setTimeout(() => {
         navigate('/notes');
       }, 3000);
-      
+
     } catch (err) {
       console.error('デバイスセットアップエラー:', err);
       setError(err.message || 'デバイスのセットアップに失敗しました');
@@ -112,30 +82,24 @@ function DeviceSetupScanner() {
     }
   };
 
+  // スキャン成功
+  const handleScan = (decodedText) => {
+    setScanning(false);
+    setSetupToken(decodedText);
+    handleSetup(decodedText);
+  };
 
   // 手動入力フォーム送信
   const handleSubmit = (e) => {
     e.preventDefault();
     if (setupToken) {
-      handleSetup(setupToken);
+      handleSetup(setupToken.trim());
     } else {
       setError('セットアップコードを入力してください');
     }
   };
 
-  // スキャン開始
-  const startScanning = () => {
-    setScanning(true);
-    setError(null);
-  };
-
-  // スキャン停止
-  const stopScanning = () => {
-    if (scannerRef.current) {
-      scannerRef.current.clear();
-    }
-    setScanning(false);
-  };
+  const isExpired = linkRequest && Date.now() > linkRequest.expiresAt;
 
   // 成功画面の表示
   if (success) {
@@ -164,111 +128,124 @@ function DeviceSetupScanner() {
     <div className="container mx-auto p-4 max-w-md">
       <div className="bg-white shadow-md rounded-lg p-6">
         <h2 className="text-xl font-bold text-center mb-6">デバイスをセットアップ</h2>
-        
+
         {error && (
           <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
             <span className="block sm:inline">{error}</span>
           </div>
         )}
-        
+
         {loading ? (
           <div className="text-center py-6">
             <Loading />
             <p className="mt-4 text-gray-600">デバイスをセットアップ中...</p>
           </div>
+        ) : scanning ? (
+          <QRScanner
+            message="既存のデバイスに表示された応答QRコードをスキャンしてください"
+            onScan={handleScan}
+            onCancel={() => setScanning(false)}
+          />
+        ) : manualInput ? (
+          <form onSubmit={handleSubmit} className="mb-6">
+            <div className="mb-4">
+              <label htmlFor="setupToken" className="block text-gray-700 text-sm font-bold mb-2">
+              QRコードが読み取れない場合は、既存のデバイスに表示されたセットアップコードを貼り付けてください。
+              </label>
+              <textarea
+                id="setupToken"
+                value={setupToken}
+                onChange={(e) => setSetupToken(e.target.value)}
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                placeholder="セットアップコードを貼り付けてください"
+                rows={4}
+                required
+              />
+            </div>
+            <div className="flex items-center justify-between">
+              <button
+                type="button"
+                onClick={() => {
+                  setManualInput(false);
+                  setSetupToken('');
+                }}
+                className="text-gray-600 hover:text-gray-800"
+              >
+                戻る
+              </button>
+              <button
+                type="submit"
+                disabled={!setupToken.trim()}
+                className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+              >
+                セットアップ
+              </button>
+            </div>
+          </form>
+        ) : linkRequest && !isExpired ? (
+          <div className="text-center">
+            <p className="text-sm text-gray-600 mb-4">
+              既存のデバイスで「デバイス」画面から新規デバイスの追加を開き、このQRコードをスキャンしてください。
+              QRコードにはこのデバイスの公開鍵のみが含まれます。
+            </p>
+
+            <div className="bg-white p-4 inline-block rounded-lg shadow-md mb-4">
+              <QRCodeSVG
+                value={linkRequest.requestToken}
+                size={220}
+                level="M"
+                includeMargin={true}
+              />
+            </div>
+
+            <div className="mb-4">
+              <p className="text-sm text-gray-600 mb-1">確認コード（既存のデバイスの表示と一致することを確認してください）</p>
+              <span className="text-3xl font-mono font-bold tracking-widest text-gray-900">
+                {linkRequest.verificationCode}
+              </span>
+            </div>
+
+            <button
+              onClick={() => {
+                navigator.clipboard.writeText(linkRequest.requestToken);
+                alert('連携コードをクリップボードにコピーしました');
+              }}
+              className="mb-6 text-primary-600 hover:text-primary-800 text-sm mx-auto"
+            >
+              連携コードをコピー
+            </button>
+
+            <div className="flex flex-col space-y-3">
+              <button
+                onClick={() => { setError(null); setScanning(true); }}
+                className="w-full bg-primary-600 hover:bg-primary-700 text-white font-bold py-3 px-4 rounded focus:outline-none focus:shadow-outline"
+              >
+                応答QRコードをスキャン
+              </button>
+              <button
+                onClick={() => setManualInput(true)}
+                className="w-full bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-medium py-3 px-4 rounded focus:outline-none focus:shadow-outline"
+              >
+                コードを手動入力
+              </button>
+            </div>
+          </div>
         ) : (
-          <>
-            {scanning ? (
-              <div className="mb-6">
-                <div className="mb-4">
-                  <p className="text-gray-600 text-center mb-2">QRコードを枠内に配置してスキャンしてください</p>
-                  <div className="relative rounded overflow-hidden">
-                    {/* QRスキャナーのコンテナ */}
-                    <div id="qr-reader" ref={qrContainerRef} style={{ width: '100%' }}></div>
-                  </div>
-                </div>
-                <div className="text-center mt-4">
-                  <button
-                    onClick={stopScanning}
-                    className="text-primary-600 hover:text-primary-800 font-medium"
-                  >
-                    スキャンをキャンセル
-                  </button>
-                </div>
-              </div>
-            ) : manualInput ? (
-              <form onSubmit={handleSubmit} className="mb-6">
-                <div className="mb-4">
-                  <label htmlFor="setupToken" className="block text-gray-700 text-sm font-bold mb-2">
-                  QRコードが読み取れない場合は、セットアップコードを貼り付けてください。
-                  </label>
-                  <textarea
-                    id="setupToken"
-                    value={setupToken}
-                    onChange={(e) => setSetupToken(e.target.value)}
-                    className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-                    placeholder="セットアップコードを貼り付けてください"
-                    rows={4}
-                    required
-                  />
-                </div>
-                <div className="flex items-center justify-between">
-                  <button
-                    type="button"
-                    onClick={() => {
-                      setManualInput(false);
-                      setSetupToken('');
-                    }}
-                    className="text-gray-600 hover:text-gray-800"
-                  >
-                    戻る
-                  </button>
-                  <button
-                    type="submit"
-                    disabled={!setupToken.trim()}
-                    className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
-                  >
-                    セットアップ
-                  </button>
-                </div>
-              </form>
-            ) : (
-              <div className="text-center py-6">
-                <div className="mb-6">
-                  <div className="w-24 h-24 mx-auto bg-gray-100 rounded-full flex items-center justify-center mb-4">
-                    <svg className="h-12 w-12 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 18h.01M8 21h8a2 2 0 002-2V5a2 2 0 00-2-2H8a2 2 0 00-2 2v14a2 2 0 002 2z" />
-                    </svg>
-                  </div>
-                  <p className="text-gray-600 mb-6">
-                    このデバイスをアカウントに接続するには、他のデバイスで生成したQRコードをスキャンするか、セットアップコードを入力してください。
-                  </p>
-                </div>
-                <div className="flex flex-col space-y-3">
-                  <button
-                    onClick={startScanning}
-                    className="w-full bg-primary-600 hover:bg-primary-700 text-white font-bold py-3 px-4 rounded focus:outline-none focus:shadow-outline"
-                  >
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 inline mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" />
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" />
-                    </svg>
-                    QRコードをスキャン
-                  </button>
-                  <button
-                    onClick={() => setManualInput(true)}
-                    className="w-full bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-medium py-3 px-4 rounded focus:outline-none focus:shadow-outline"
-                  >
-                    コードを手動入力
-                  </button>
-                </div>
-              </div>
-            )}
-          </>
+          <div className="text-center py-6">
+            <p className="text-gray-600 mb-6">
+              {isExpired ? '連携リクエストの有効期限が切れました。' : '連携リクエストを作成できませんでした。'}
+            </p>
+            <button
+              onClick={createRequest}
+              className="w-full bg-primary-600 hover:bg-primary-700 text-white font-bold py-3 px-4 rounded focus:outline-none focus:shadow-outline"
+            >
+              新しい連携リクエストを作成
+            </button>
+          </div>
         )}
       </div>
     </div>
   );
 }
 
-export default DeviceSetupScanner;
\ No newline at end of file
+export default DeviceSetupScanner;
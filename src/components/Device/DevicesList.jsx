@@ -1,41 +1,35 @@
 import React, { useState, useEffect } from 'react';
-import { getDevices, removeDevice } from '../../services/api';
-import { getActor } from '../../services/auth';
+import { getDevices, revokeDevice } from '../../services/api';
+import { createProfile } from '../../services/auth';
 import Loading from '../common/Loading';
-import AddDevice from './AddDevice';
 import DeviceQRSetup from './DeviceQRSetup.jsx';
+import ProfileSetupForm from '../Auth/ProfileSetupForm';
+import KeyRotation from './KeyRotation';
+import { getRotationJob, requestKeyRotation } from '../../services/keyRotation';
+import { useAuth } from '../../context/AuthContext';
 
 function DevicesList() {
   const [devices, setDevices] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [showAddDevice, setShowAddDevice] = useState(false);
   const [showQRSetup, setShowQRSetup] = useState(false);
   const [noProfile, setNoProfile] = useState(false);  // プロファイルが存在しないかどうか
+  const [showKeyRotation, setShowKeyRotation] = useState(false);
+  const [revokedDeviceId, setRevokedDeviceId] = useState(null);
+  const { user } = useAuth();
+  const rotationJob = getRotationJob(user?.principal);
+  const rotationPending = !!rotationJob && rotationJob.status !== 'completed';
 
   useEffect(() => {
     fetchDevices();
   }, []);
 
-  const checkAndCreateProfile = async () => {
+  const checkAndCreateProfile = async (passphrase) => {
     try {
       setLoading(true);
-      const actor = await getActor();
       
-      // プロファイルの作成を試みる（初期値はデフォルト）
-      const deviceName = 'Initial Device';
-      const publicKey = new Uint8Array([0, 0, 0, 0]); // ダミー値
-      
-      const result = await actor.createProfileWithDevice(
-        5, // totalGuardians
-        3, // requiredShares
-        deviceName,
-        publicKey
-      );
-      
-      if (result.err) {
-        throw new Error(result.err);
-      }
+      // ノート画面と同じ手順で、マスターキーを保護してからこのデバイスを登録する
+      await createProfile('Initial Device', passphrase);
       
       // プロファイル作成成功
       setNoProfile(false);
@@ -78,12 +72,18 @@ function DevicesList() {
       return;
     }
     
-    if (window.confirm('このデバイスを削除してもよろしいですか？この操作は元に戻せません。')) {
+    if (window.confirm('このデバイスを削除してもよろしいですか？削除したデバイスは次回接続時に鍵情報が消去され、続けてマスターキーを更新します。この操作は元に戻せません。')) {
       setLoading(true);
       try {
-        await removeDevice(deviceId);
+        await revokeDevice(deviceId);
         // ローカル状態を更新
         setDevices(devices.filter(d => d.id !== deviceId));
+        // 削除したデバイスが保持しているマスターキーを無効にするため、ローテーションを開始
+        // （残りのデバイスはロック解除時に新しいキーを受け取る。受け取れないデバイスがあれば開始前に確認する）
+        // 開始せずに閉じても再開を促せるよう、更新が必要なことを先に記録しておく
+        requestKeyRotation(user.principal, { reason: 'device-revoked', excludeDeviceIds: [deviceId] });
+        setRevokedDeviceId(deviceId);
+        setShowKeyRotation(true);
       } catch (err) {
         console.error('Failed to remove device:', err);
         setError('デバイスの削除に失敗しました。もう一度お試しください。');
@@ -93,19 +93,14 @@ function DevicesList() {
     }
   };
 
-  const handleAddDevice = () => {
-    setShowAddDevice(true);
-    setShowQRSetup(false);
-  };
-
   const handleShowQRSetup = () => {
     setShowQRSetup(true);
-    setShowAddDevice(false);
   };
 
-  const handleCloseAddDevice = () => {
-    setShowAddDevice(false);
-    // デバイス追加後にリストを更新
+  const handleCloseKeyRotation = () => {
+    setShowKeyRotation(false);
+    setRevokedDeviceId(null);
+    // 再ラップでデバイスIDが変わるためリストを更新
     fetchDevices();
   };
 
@@ -150,10 +145,31 @@ function DevicesList() {
                   </svg>
                   QRコードで追加
                 </button>
-                 
+                <button
+                  onClick={() => setShowKeyRotation(true)}
+                  className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+                >
+                  マスターキーを更新
+                </button>
         </div>
       </div>
 
+      {rotationPending && !showKeyRotation && (
+        <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-6 flex justify-between items-center">
+          <p className="text-sm text-yellow-700">
+            {rotationJob.status === 'requested'
+              ? '削除したデバイスが保持しているマスターキーはまだ有効です。マスターキーを更新してください。'
+              : 'マスターキーの更新が完了していません。中断した場所から再開してください。'}
+          </p>
+          <button
+            onClick={() => setShowKeyRotation(true)}
+            className="ml-4 text-sm font-medium text-yellow-800 hover:text-yellow-900 underline"
+          >
+            {rotationJob.status === 'requested' ? '更新を開始' : '再開'}
+          </button>
+        </div>
+      )}
+
       {/* プロファイルが存在しない場合の表示 */}
       {noProfile && (
         <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-6">
@@ -170,25 +186,7 @@ function DevicesList() {
                   アプリを使用するには、まずユーザープロファイルを作成する必要があります。
                 </p>
               </div>
-              <div className="mt-4">
-                <button
-                  onClick={checkAndCreateProfile}
-                  disabled={loading}
-                  className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-                >
-                  {loading ? (
-                    <span className="flex items-center">
-                      <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                      </svg>
-                      作成中...
-                    </span>
-                  ) : (
-                    'プロファイルを作成'
-                  )}
-                </button>
-              </div>
+              <ProfileSetupForm onCreate={checkAndCreateProfile} creating={loading} />
             </div>
           </div>
         </div>
@@ -229,15 +227,6 @@ function DevicesList() {
                   </svg>
                   QRコードで追加
                 </button>
-                <button
-                  onClick={handleAddDevice}
-                  className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-                >
-                  <svg className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-                  </svg>
-                  手動で追加
-                </button>
               </div>
             </div>
           ) : (
@@ -276,6 +265,11 @@ function DevicesList() {
                             <div className="text-xs text-gray-500">
                               ID: {device.id.substring(0, 8)}...
                             </div>
+                            {device.legacyKey && (
+                              <span className="inline-flex mt-1 px-2 text-xs leading-5 font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                                旧形式の鍵（要再登録）
+                              </span>
+                            )}
                           </div>
                         </div>
                       </td>
@@ -303,10 +297,15 @@ function DevicesList() {
         </>
       )}
 
-      {showAddDevice && (
+      {showKeyRotation && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="w-full max-w-md">
-            <AddDevice onClose={handleCloseAddDevice} />
+            <KeyRotation
+              onClose={handleCloseKeyRotation}
+              reason={revokedDeviceId ? 'device-revoked' : 'manual'}
+              excludeDeviceIds={revokedDeviceId ? [revokedDeviceId] : []}
+              remainingDevices={devices}
+            />
           </div>
         </div>
       )}
@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import { rotateMasterKey, abortKeyRotation, getRotationJob } from '../../services/keyRotation';
+import { useAuth } from '../../context/AuthContext';
+
+const PHASE_LABELS = {
+  stage: '新しいリカバリーシェアをガーディアンに預けています',
+  notes: 'ノートを新しいキーで再暗号化しています',
+  recovery: 'リカバリーシェアを再生成しています',
+  devices: 'デバイスに新しいキーを配布しています',
+  completed: '完了しました',
+  abort: 'ノートを元のキーに戻しています'
+};
+
+// リカバリーシェアを公開する前なら取り消せる
+const ABORTABLE_PHASES = ['stage', 'notes'];
+
+/**
+ * マスターキーのローテーション
+ * 中断されたジョブがある場合は続きから再開する
+ * 新しいキーを受け取れないデバイス（旧形式の鍵）が残っている場合は、確認してから開始する
+ */
+function KeyRotation({ onClose, onComplete, reason = 'manual', excludeDeviceIds = [], remainingDevices = [] }) {
+  const { user } = useAuth();
+  const [job, setJob] = useState(() => {
+    // 完了済みのジョブは表示せず、新しい更新を開始できるようにする
+    const pendingJob = getRotationJob(user?.principal);
+    return pendingJob && pendingJob.status !== 'completed' ? pendingJob : null;
+  });
+  const [progress, setProgress] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [unreachableConfirmed, setUnreachableConfirmed] = useState(false);
+
+  // デバイスの削除時に記録されただけで、まだ開始していない更新
+  const isRequested = !!job && job.status === 'requested';
+  const isResumable = job && !isRequested && job.status !== 'completed';
+  const isAbortable = isResumable && ABORTABLE_PHASES.includes(job.phase);
+  const excludedIds = isRequested ? [...excludeDeviceIds, ...job.excludeDeviceIds] : excludeDeviceIds;
+  const unreachableDevices = remainingDevices.filter(device =>
+    device.legacyKey && !excludedIds.includes(device.id)
+  );
+  const needsConfirmation = (!job || isRequested) && unreachableDevices.length > 0 && !unreachableConfirmed;
+
+  const handleRotate = async (acceptFailures = false) => {
+    setRunning(true);
+    setError(null);
+
+    try {
+      const result = await rotateMasterKey({
+        reason,
+        acceptFailures,
+        excludeDeviceIds,
+        onProgress: setProgress
+      });
+      setJob(result);
+
+      if (result.status === 'completed') {
+        onComplete && onComplete(result);
+      }
+    } catch (err) {
+      console.error('マスターキー更新エラー:', err);
+      setError(`${err.message || 'マスターキーの更新に失敗しました'}（もう一度実行すると続きから再開します）`);
+      setJob(getRotationJob(user?.principal));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleAbort = async () => {
+    if (!window.confirm('マスターキーの更新を取り消しますか？再暗号化したノートは元のキーに戻されます。')) {
+      return;
+    }
+
+    setRunning(true);
+    setError(null);
+
+    try {
+      await abortKeyRotation({ onProgress: setProgress });
+      setJob(null);
+      setProgress(null);
+    } catch (err) {
+      console.error('マスターキー更新の取り消しエラー:', err);
+      setError(`${err.message || 'マスターキーの更新を取り消せませんでした'}（もう一度取り消すと残りのノートを戻します）`);
+      setJob(getRotationJob(user?.principal));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const percent = progress && progress.total
+    ? Math.round((progress.done / progress.total) * 100)
+    : 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">マスターキーの更新</h2>
+        <button
+          onClick={onClose}
+          disabled={running}
+          className="text-gray-500 hover:text-gray-700"
+          aria-label="Close"
+        >
+          <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      {running && progress && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-700 mb-2">{PHASE_LABELS[progress.phase]}</p>
+          {progress.total > 0 && (
+            <>
+              <div className="w-full bg-gray-200 rounded-full h-2.5">
+                <div className="bg-primary-600 h-2.5 rounded-full" style={{ width: `${percent}%` }}></div>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">{progress.done} / {progress.total}</p>
+            </>
+          )}
+        </div>
+      )}
+
+      {!running && job && job.status === 'completed' && (
+        <div className="mb-4">
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+            マスターキーを更新しました（{job.rotatedNotes.length}件のノートを再暗号化）。
+          </div>
+          {job.recovery?.regenerated && (
+            <p className="text-sm text-yellow-700 mb-2">
+              {job.recovery.redistributed !== undefined
+                ? `リカバリーシェアを再生成し、${job.recovery.redistributed}人のガーディアンに新しいシェアを配布しました。古いシェアは使えなくなりました。`
+                : 'リカバリーシェアを再生成しました。古いシェアは使えなくなったため、緊急キットを印刷し直してください。'}
+            </p>
+          )}
+          {job.recovery?.failedGuardians?.length > 0 && (
+            <p className="text-sm text-red-700 mb-2">
+              {job.recovery.failedGuardians.length}人のガーディアンには新しいシェアを配布できませんでした。「ガーディアン」ページでシェアを割り当て直してください。
+            </p>
+          )}
+          <p className="text-sm text-gray-600 mb-2">
+            他のデバイスは、次にロックを解除したときに新しいキーを自動で受け取ります。
+          </p>
+          {job.failedNotes.length > 0 && (
+            <p className="text-sm text-red-700 mb-2">
+              {job.failedNotes.length}件のノートは再暗号化されず、新しいキーでは読めません。
+            </p>
+          )}
+          {job.failedDevices.length > 0 && (
+            <div className="text-sm text-red-700 mb-2">
+              次のデバイスには新しいキーを配布できませんでした。再登録してください：
+              <ul className="list-disc list-inside">
+                {job.failedDevices.map(device => (
+                  <li key={device.id}>{device.name}（{device.error}）</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {!running && job && job.status === 'needs-attention' && (
+        <div className="mb-4">
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-2">
+            次のノートを再暗号化できませんでした。新しいキーはまだ有効化されていません。
+          </div>
+          <ul className="text-sm text-gray-700 list-disc list-inside max-h-40 overflow-y-auto">
+            {job.failedNotes.map(note => (
+              <li key={note.id}>
+                <span className="font-mono">{note.id}</span>: {note.error}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!running && (!job || !['needs-attention', 'completed'].includes(job.status)) && (
+        <p className="text-sm text-gray-600 mb-6">
+          {isResumable
+            ? '前回のマスターキー更新が完了していません。続きから再開してください。'
+            : isRequested
+              ? '削除したデバイスが保持しているマスターキーはまだ有効です。更新を開始すると、削除したデバイスのキーではノートを読めなくなります。'
+              : 'デバイスの紛失やシェアの漏洩が疑われる場合は、マスターキーを更新してください。すべてのノートが新しいキーで再暗号化され、リカバリーシェアの再生成と、残りのデバイスへの新しいキーの配布が行われます。他のデバイスは次にロックを解除したときに新しいキーを受け取ります。'}
+        </p>
+      )}
+
+      {!running && (!job || isRequested) && unreachableDevices.length > 0 && (
+        <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4 text-sm">
+          <p className="mb-2">次のデバイスは旧形式の鍵のため、新しいキーを受け取れません。更新後はQRコードで連携し直す必要があります：</p>
+          <ul className="list-disc list-inside mb-2">
+            {unreachableDevices.map(device => (
+              <li key={device.id}>{device.name}</li>
+            ))}
+          </ul>
+          <label className="flex items-start">
+            <input
+              type="checkbox"
+              checked={unreachableConfirmed}
+              onChange={(e) => setUnreachableConfirmed(e.target.checked)}
+              className="mt-1 mr-2"
+            />
+            <span>これらのデバイスを連携し直すことを理解しました</span>
+          </label>
+        </div>
+      )}
+
+      <div className="flex items-center justify-end space-x-2">
+        {!running && isAbortable && (
+          <button
+            onClick={handleAbort}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+          >
+            更新を取り消す
+          </button>
+        )}
+        {!running && job && job.status === 'needs-attention' && (
+          <button
+            onClick={() => handleRotate(true)}
+            className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+          >
+            失敗したノートを残して完了
+          </button>
+        )}
+        {!running && (!job || job.status !== 'completed') && (
+          <button
+            onClick={() => handleRotate(false)}
+            disabled={needsConfirmation}
+            className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
+          >
+            {job && job.status === 'needs-attention' ? '再試行' : isResumable ? '再開' : '更新を開始'}
+          </button>
+        )}
+        {!running && job && job.status === 'completed' && (
+          <button
+            onClick={onClose}
+            className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+          >
+            閉じる
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default KeyRotation;
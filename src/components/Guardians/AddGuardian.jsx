@@ -1,35 +1,47 @@
 import React, { useState, useEffect } from 'react';
 import { Principal } from '@dfinity/principal';
-import { addGuardian } from '../../services/api';
+import {
+  addGuardian,
+  parseGuardianKeyCode,
+  checkGuardianPublicKey,
+  registerGuardianPublicKey,
+  consumeIssuedInvitation
+} from '../../services/api';
+import { findInvitesByShareId, findInviteByNonce, updateInviteStatus } from '../../services/inviteTracking';
+import { getAvailableShares, reserveShare, releaseShare, assignShare } from '../../services/shareInventory';
+import { useAuth } from '../../context/AuthContext';
 
 function AddGuardian({ onClose, availableShares }) {
+  const { user } = useAuth();
+  const userPrincipal = user?.principal;
   const [guardianId, setGuardianId] = useState('');
+  const [guardianKeyCode, setGuardianKeyCode] = useState('');
+  const [guardianKey, setGuardianKey] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [step, setStep] = useState(1);
   const [recoveryShares, setRecoveryShares] = useState([]);
   const [selectedShare, setSelectedShare] = useState(null);
+  const [keyChangeConfirmed, setKeyChangeConfirmed] = useState(false);
 
   useEffect(() => {
-    // 利用可能なシェアをpropsから取得、またはlocalStorageから取得
+    // 利用可能なシェアをpropsから取得、またはシェアの在庫から取得
     if (availableShares && availableShares.length > 0) {
       setRecoveryShares(availableShares);
     } else {
-      // localStorageからシェアを取得
-      const sharesJson = localStorage.getItem('recoveryShares');
-      if (sharesJson) {
-        try {
-          const shares = JSON.parse(sharesJson);
+      getAvailableShares(userPrincipal)
+        .then(shares => {
           setRecoveryShares(shares);
-        } catch (err) {
-          console.error('Failed to parse recovery shares:', err);
+          if (shares.length === 0) {
+            setError('No recovery shares available. Please set up recovery first.');
+          }
+        })
+        .catch(err => {
+          console.error('Failed to load recovery shares:', err);
           setError('Failed to load recovery shares. Please set up recovery first.');
-        }
-      } else {
-        setError('No recovery shares available. Please set up recovery first.');
-      }
+        });
     }
-  }, [availableShares]);
+  }, [availableShares, userPrincipal]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -39,15 +51,43 @@ function AddGuardian({ onClose, availableShares }) {
       // ガーディアンIDの検証
       try {
         Principal.fromText(guardianId);
+      } catch (err) {
+        setError('Invalid guardian ID. Please enter a valid Internet Identity principal.');
+        return;
+      }
+      
+      // 公開鍵コードの検証（シェアはこの公開鍵で暗号化される）
+      try {
+        const parsedKey = await parseGuardianKeyCode(guardianKeyCode, guardianId);
+        // 以前に登録された鍵と比べ、変わっていればシェアを暗号化する前に警告する
+        const keyCheck = await checkGuardianPublicKey(parsedKey.guardianPrincipal, parsedKey.publicKey);
+        setGuardianKey({ ...parsedKey, keyCheck });
+        setKeyChangeConfirmed(false);
+        
+        // 招待リンクで予約済みのシェアは招待の記録から取り出す
+        if (parsedKey.shareId) {
+          let reservedShare = recoveryShares.find(share => share.id === parsedKey.shareId);
+          if (!reservedShare) {
+            const invites = await findInvitesByShareId(parsedKey.shareId);
+            reservedShare = invites.map(invite => invite.shareData?.shareInfo).find(Boolean);
+            if (reservedShare) {
+              setRecoveryShares(prev => [reservedShare, ...prev]);
+            }
+          }
+          if (reservedShare) {
+            setSelectedShare(reservedShare);
+          }
+        }
         
         // ステップ2（シェア選択）へ進む
         setStep(2);
       } catch (err) {
-        setError('Invalid guardian ID. Please enter a valid Internet Identity principal.');
+        setError(err.message || '公開鍵コードを確認できませんでした');
       }
     } else {
       // シェア割り当てとガーディアン追加
       setLoading(true);
+      let reservedShare = null;
       try {
         if (!selectedShare) {
           throw new Error('このガーディアンに割り当てるシェアを選択してください');
@@ -61,6 +101,17 @@ function AddGuardian({ onClose, availableShares }) {
           throw new Error('選択されたシェアの形式が無効です');
         }
         
+        // 招待で予約済みのシェア以外は、他のタブや招待と重ならないよう先に予約する
+        const reservedByInvitation = !!guardianKey.shareId && guardianKey.shareId === selectedShare.id;
+        if (!reservedByInvitation) {
+          reservedShare = await reserveShare(userPrincipal, { shareId: selectedShare.id });
+        }
+        
+        // 確認コードを確かめた公開鍵をキャニスターに登録してから、その鍵宛てにシェアを暗号化
+        await registerGuardianPublicKey(guardianKey.guardianPrincipal, guardianKey.publicKey, {
+          acceptKeyChange: keyChangeConfirmed
+        });
+        
         // ガーディアン追加とシェア割り当て
         const result = await addGuardian(guardianId, selectedShare);
         
@@ -69,9 +120,17 @@ function AddGuardian({ onClose, availableShares }) {
           throw new Error(result.error || 'ガーディアンの追加に失敗しました');
         }
         
-        // 利用可能なシェアを更新（使用済みシェアを除外）
-        const updatedShares = recoveryShares.filter(share => share.id !== selectedShare.id);
-        localStorage.setItem('recoveryShares', JSON.stringify(updatedShares));
+        await assignShare(userPrincipal, selectedShare, guardianKey.guardianPrincipal);
+        reservedShare = null;
+        
+        // 招待から作られた公開鍵コードは使用済みにする
+        if (guardianKey.invitationNonce) {
+          await consumeIssuedInvitation(guardianKey.invitationNonce);
+          const invite = await findInviteByNonce(guardianKey.invitationNonce);
+          if (invite) {
+            await updateInviteStatus(invite.inviteId, 'accepted');
+          }
+        }
         
         // 成功メッセージの表示
         console.log('Guardian added successfully!');
@@ -80,6 +139,11 @@ function AddGuardian({ onClose, availableShares }) {
         onClose();
       } catch (err) {
         console.error('Error during guardian addition:', err);
+        // 追加できなかった場合は、ここで予約したシェアを利用可能に戻す
+        if (reservedShare) {
+          await releaseShare(userPrincipal, reservedShare)
+            .catch(releaseError => console.error('予約したシェアの解放に失敗:', releaseError));
+        }
         setError(err.message || 'ガーディアンの追加に失敗しました。もう一度お試しください。');
       } finally {
         setLoading(false);
@@ -131,6 +195,22 @@ function AddGuardian({ onClose, availableShares }) {
             />
           </div>
 
+          <div className="mb-4">
+            <label htmlFor="guardianKeyCode" className="block text-gray-700 text-sm font-bold mb-2">
+              ガーディアンの公開鍵コード
+            </label>
+            <textarea
+              id="guardianKeyCode"
+              value={guardianKeyCode}
+              onChange={(e) => setGuardianKeyCode(e.target.value)}
+              className="bg-gray-50 border border-gray-300 text-gray-900 shadow appearance-none rounded w-full h-20 py-2 px-3 text-xs font-mono leading-tight focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              required
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              ガーディアンの「保有シェア」画面に表示されるコードです。ガーディアンがあなた宛てにキャニスターに公開した鍵と一致する場合だけ、シェアはこの公開鍵で暗号化されて保存されます。
+            </p>
+          </div>
+
   <div className="flex items-center justify-end">
     <button
       type="button"
@@ -141,7 +221,7 @@ function AddGuardian({ onClose, availableShares }) {
     </button>
     <button
       type="submit"
-      disabled={!guardianId}
+      disabled={!guardianId || !guardianKeyCode}
       className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
     >
       Next
@@ -158,6 +238,40 @@ function AddGuardian({ onClose, availableShares }) {
             You'll need a certain number of shares to recover your account.
           </p>
           
+          {guardianKey && (
+            <div className="bg-gray-50 border border-gray-200 rounded p-3 mb-4">
+              <p className="text-xs text-gray-500">確認コード（ガーディアンの画面の表示と一致することを確認してください）</p>
+              <span className="text-xl font-mono font-bold tracking-widest text-gray-900">
+                {guardianKey.verificationCode}
+              </span>
+              <p className="text-xs text-gray-500 mt-1">
+                鍵の指紋: <span className="font-mono text-gray-900">{guardianKey.fingerprint}</span>
+              </p>
+            </div>
+          )}
+          
+          {guardianKey && guardianKey.keyCheck.status === 'changed' && (
+            <div className="bg-red-50 border-l-4 border-red-400 p-4 mb-4 text-sm text-red-700">
+              <p className="font-medium mb-1">このガーディアンの公開鍵が以前に登録された鍵から変わっています</p>
+              <p className="mb-1">
+                以前の指紋: <span className="font-mono">{guardianKey.keyCheck.previousFingerprint}</span>
+              </p>
+              <p className="mb-2">
+                ガーディアンが端末を変えた場合などに起こりますが、他人の鍵にすり替えられている可能性もあります。
+                電話や対面でガーディアンに新しい指紋を読み上げてもらい、一致する場合だけ続けてください。
+              </p>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={keyChangeConfirmed}
+                  onChange={(e) => setKeyChangeConfirmed(e.target.checked)}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500"
+                />
+                <span className="ml-2">ガーディアンに新しい指紋を確認しました</span>
+              </label>
+            </div>
+          )}
+          
           {recoveryShares.length === 0 ? (
             <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded relative mb-4">
               <span className="block sm:inline">
@@ -207,7 +321,7 @@ function AddGuardian({ onClose, availableShares }) {
                 </button>
                 <button
                   type="submit"
-                  disabled={loading || !selectedShare}
+                  disabled={loading || !selectedShare || (guardianKey?.keyCheck.status === 'changed' && !keyChangeConfirmed)}
                   className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
                 >
                   {loading ? (
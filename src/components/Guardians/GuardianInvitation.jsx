@@ -1,210 +1,112 @@
-import React, { useState, useEffect } from 'react';
-import { generateInvitationToken } from '../../services/api';
-import { trackInvite } from '../../services/inviteTracking';
+import React, { useState, useCallback } from 'react';
+import {
+  createGuardianInvitation,
+  getInvitationLifetimeHours,
+  setInvitationLifetimeHours,
+  INVITATION_LIFETIME_OPTIONS
+} from '../../services/api';
+import { trackInvite, updateInvite } from '../../services/inviteTracking';
+import {
+  reserveShare,
+  updateReservation,
+  releaseShare,
+  SHARE_UNAVAILABLE_ERROR
+} from '../../services/shareInventory';
+import InvitationDetails, { formatLifetime } from './InvitationDetails';
 
 function GuardianInvitation({ onClose, userPrincipal }) {
-  const [invitationToken, setInvitationToken] = useState(null);
+  const [invitation, setInvitation] = useState(null);
+  const [guardianPrincipal, setGuardianPrincipal] = useState('');
+  const [lifetimeHours, setLifetimeHours] = useState(() => getInvitationLifetimeHours(userPrincipal));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [countdown, setCountdown] = useState(0);
-  const [emailInvite, setEmailInvite] = useState('');
-  const [invitationLink, setInvitationLink] = useState(''); // 招待リンクを保存する状態を追加
 
-  // 初期化時に招待トークンを生成
-  useEffect(() => {
-    generateToken();
-  }, []);
-
-  // カウントダウンタイマーの設定
-  useEffect(() => {
-    let timer;
-    if (invitationToken && countdown > 0) {
-      timer = setInterval(() => {
-        setCountdown(prev => prev - 1);
-      }, 1000);
-    } else if (countdown === 0 && invitationToken) {
-      // タイムアウト時の処理
-      setInvitationToken(null);
-      setInvitationLink(''); // リンクもクリア
-    }
-    
-    return () => {
-      if (timer) clearInterval(timer);
-    };
-  }, [invitationToken, countdown]);
-
-  // トークンが更新されたらリンクも更新
-  useEffect(() => {
-    if (invitationToken) {
-      updateInvitationLink();
+  // 招待リンクに含めるシェアを在庫から予約（他のタブや手動追加と同じシェアを使わない）
+  const reserveInvitationShare = async () => {
+    try {
+      const share = await reserveShare(userPrincipal, {
+        reservedUntil: Date.now() + lifetimeHours * 60 * 60 * 1000
+      });
+      return {
+        shareInfo: share,
+        inviterPrincipal: userPrincipal
+      };
+    } catch (err) {
+      if (err.code === SHARE_UNAVAILABLE_ERROR) {
+        console.warn('招待に含める利用可能なシェアがありません');
+        return null;
+      }
+      throw err;
     }
-  }, [invitationToken, userPrincipal]);
+  };
 
-  // 招待トークンの生成
+  // 招待の生成（招待はガーディアンのプリンシパルID宛てに発行する）
   const generateToken = async () => {
     setLoading(true);
     setError(null);
     
+    let shareData = null;
     try {
-      const result = await generateInvitationToken(userPrincipal);
+      if (!guardianPrincipal.trim()) {
+        throw new Error('招待するガーディアンのプリンシパルIDを入力してください');
+      }
+      shareData = await reserveInvitationShare();
+      const result = await createGuardianInvitation(userPrincipal, guardianPrincipal.trim(), shareData, lifetimeHours);
       
       if (!result || !result.token) {
         throw new Error('招待トークンの生成に失敗しました');
       }
       
-      setInvitationToken(result.token);
-      setCountdown(result.expiresIn || 3600); // デフォルトで1時間
+      // 招待を記録し、予約したシェアをこの招待に結び付ける
+      await trackInvite({
+        inviteId: result.id,
+        token: result.token,
+        nonce: result.nonce,
+        invitationLink: result.invitationLink,
+        unlockCode: result.unlockCode,
+        verificationCode: result.verificationCode,
+        userPrincipal,
+        guardianPrincipal: result.guardianPrincipal,
+        shareId: shareData ? shareData.shareInfo.id : null,
+        expiresAt: result.expiresAt,
+        shareData
+      });
+      
+      if (shareData) {
+        await updateReservation(userPrincipal, shareData.shareInfo, {
+          inviteId: result.id,
+          reservedUntil: result.expiresAt
+        });
+      }
+      
+      setInvitation(result);
     } catch (err) {
       console.error('招待トークン生成エラー:', err);
+      if (shareData) {
+        await releaseShare(userPrincipal, shareData.shareInfo)
+          .catch(releaseError => console.error('予約したシェアの解放に失敗:', releaseError));
+      }
       setError(err.message || '招待トークンの生成に失敗しました');
     } finally {
       setLoading(false);
     }
   };
 
-  // カウントダウン表示用のフォーマット
-  const formatTime = (seconds) => {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
-    
-    if (hours > 0) {
-      return `${hours}時間${minutes}分${secs}秒`;
-    } else if (minutes > 0) {
-      return `${minutes}分${secs}秒`;
-    } else {
-      return `${secs}秒`;
-    }
+  // 有効期間の変更（次に生成する招待から適用）
+  const handleLifetimeChange = (e) => {
+    const hours = Number(e.target.value);
+    setLifetimeHours(hours);
+    setInvitationLifetimeHours(userPrincipal, hours);
   };
 
-  const getAvailableShare = async (userPrincipal) => {
-    try {
-      // Get available shares from localStorage
-      const sharesJson = localStorage.getItem('recoveryShares');
-      if (!sharesJson) {
-        console.error('No recovery shares available');
-        return null;
-      }
-      
-      const shares = JSON.parse(sharesJson);
-      if (!shares || shares.length === 0) {
-        console.error('Recovery shares is empty');
-        return null;
-      }
-      
-      // Choose the first available share
-      const shareToAssign = shares[0];
-      
-      // Create share data structure
-      return {
-        shareInfo: shareToAssign,
-        inviterPrincipal: userPrincipal
-      };
-    } catch (err) {
-      console.error('Failed to get available share:', err);
-      return null;
-    }
-  };
-  
-  // 招待リンク生成関数 - 状態を更新するように変更
-  const updateInvitationLink = async () => {
-    if (!invitationToken || !userPrincipal) return;
-    
-    const baseUrl = window.location.origin;
-    
-    try {
-      // Get share data to include in the URL
-      const shareData = await getAvailableShare(userPrincipal);
-      
-      let generatedLink;
-      if (!shareData) {
-        generatedLink = `${baseUrl}/guardian-invite?token=${invitationToken}&principal=${userPrincipal}`;
-      } else {
-        // Encode share data to include in URL
-        const encodedShareData = encodeURIComponent(btoa(JSON.stringify(shareData)));
-        
-        // Track which share is being used in this invitation
-        if (shareData.shareInfo && shareData.shareInfo.id) {
-          try {
-            await trackInvite({
-              token: invitationToken,
-              userPrincipal,
-              shareId: shareData.shareInfo.id,
-              expiresAt: Date.now() + (countdown * 1000),
-              shareData: shareData
-            });
-            
-            // シェアを予約したら localStorage からも削除
-            const sharesJson = localStorage.getItem('recoveryShares');
-            if (sharesJson) {
-              const shares = JSON.parse(sharesJson);
-              const updatedShares = shares.filter(share => share.id !== shareData.shareInfo.id);
-              console.log('招待用シェア予約:', {
-                元のシェア数: shares.length,
-                残りシェア数: updatedShares.length,
-                使用シェアID: shareData.shareInfo.id
-              });
-              localStorage.setItem('recoveryShares', JSON.stringify(updatedShares));
-            }
-          } catch (trackErr) {
-            console.error('Failed to track invitation share:', trackErr);
-          }
-        }
-        
-        generatedLink = `${baseUrl}/guardian-invite?token=${invitationToken}&principal=${userPrincipal}&shareData=${encodedShareData}`;
-      }
-      
-      // 状態を更新
-      setInvitationLink(generatedLink);
-    } catch (err) {
-      console.error('Error generating invitation link:', err);
-      // Fallback to link without share data
-      const fallbackLink = `${baseUrl}/guardian-invite?token=${invitationToken}&principal=${userPrincipal}`;
-      setInvitationLink(fallbackLink);
-    }
-  };
-
-  // Eメール招待の送信
-  const handleSendEmailInvite = (e) => {
-    e.preventDefault();
-    
-    if (!emailInvite || !emailInvite.includes('@')) {
-      setError('有効なメールアドレスを入力してください');
-      return;
-    }
-    
-    if (!invitationLink) {
-      setError('招待リンクがまだ生成されていません');
-      return;
-    }
-    
-    try {
-      // Open mail app with the already generated invitation link
-      const subject = encodeURIComponent('セキュアノートのガーディアン招待');
-      const body = encodeURIComponent(`
-あなたがセキュアノートアプリのガーディアンとして招待されました。
-以下の招待リンクをクリックして、アカウント回復のガーディアンになってください。
-
-招待リンク: ${invitationLink}
-
-または以下の招待コードを使用してください:
-招待コード: ${invitationToken}
-
-この招待は ${formatTime(countdown)} 後に無効になります。
-      `);
-      
-      window.open(`mailto:${emailInvite}?subject=${subject}&body=${body}`);
-    } catch (err) {
-      console.error('Failed to generate invitation email:', err);
-      setError('招待メールの生成に失敗しました');
-    }
-  };
+  // 有効期限が切れたら表示を消す（予約していたシェアは期限切れの処理で戻される）
+  const handleExpired = useCallback(() => {
+    setInvitation(null);
+  }, []);
 
-  // リンクをクリップボードにコピー
-  const copyInvitationLink = () => {
-    if (invitationLink) {
-      navigator.clipboard.writeText(invitationLink);
-      alert('招待リンクをクリップボードにコピーしました');
+  const handleEmailSent = (email) => {
+    if (invitation) {
+      updateInvite(invitation.id, { recipientEmail: email });
     }
   };
 
@@ -250,75 +152,26 @@ function GuardianInvitation({ onClose, userPrincipal }) {
         </div>
       </div>
 
-      {invitationToken ? (
+      {invitation ? (
         <div className="mb-6">
-          <div className="mb-4 text-center">
-            <h3 className="text-lg font-medium text-gray-900 mb-2">招待の詳細</h3>
-            <p className="text-sm text-gray-500 mb-1">
-              この招待は <span className="font-bold">{formatTime(countdown)}</span> 後に無効になります
-            </p>
-          </div>
-
-          <div className="mb-6">
-            <h4 className="text-md font-medium text-gray-800 mb-2">招待リンク</h4>
-            <div className="bg-gray-100 p-2 rounded overflow-x-auto mb-2">
-              <pre className="text-xs break-all">
-                {invitationLink || '招待リンクを生成中...'}
-              </pre>
-            </div>
-            <div className="flex justify-end">
-              <button
-                onClick={copyInvitationLink}
-                disabled={!invitationLink}
-                className="text-primary-600 hover:text-primary-800 text-sm disabled:text-gray-400"
-              >
-                コピー
-              </button>
-            </div>
-          </div>
-
-          <div className="mb-6">
-            <h4 className="text-md font-medium text-gray-800 mb-2">招待コード</h4>
-            <div className="bg-gray-100 p-2 rounded overflow-x-auto mb-2">
-              <pre className="text-xs break-all">
-                {invitationToken}
-              </pre>
-            </div>
-            <div className="flex justify-end">
-              <button
-                onClick={() => {
-                  navigator.clipboard.writeText(invitationToken);
-                  alert('招待コードをクリップボードにコピーしました');
-                }}
-                className="text-primary-600 hover:text-primary-800 text-sm"
-              >
-                コピー
-              </button>
-            </div>
-          </div>
-
-          <div className="mb-6">
-            <h4 className="text-md font-medium text-gray-800 mb-2">メールで招待</h4>
-            <form onSubmit={handleSendEmailInvite} className="flex items-center space-x-2">
-              <input
-                type="email"
-                value={emailInvite}
-                onChange={(e) => setEmailInvite(e.target.value)}
-                placeholder="ガーディアンのメールアドレス"
-                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-                required
-              />
-              <button
-                type="submit"
-                disabled={!invitationLink}
-                className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400"
-              >
-                送信
-              </button>
-            </form>
-          </div>
-
-          <div className="flex justify-center">
+          <InvitationDetails
+            key={invitation.id}
+            invitation={invitation}
+            onEmailSent={handleEmailSent}
+            onExpired={handleExpired}
+          />
+
+          <div className="flex items-center justify-center space-x-2">
+            <select
+              value={lifetimeHours}
+              onChange={handleLifetimeChange}
+              className="border rounded py-2 px-2 text-sm text-gray-700"
+              aria-label="招待の有効期間"
+            >
+              {INVITATION_LIFETIME_OPTIONS.map(hours => (
+                <option key={hours} value={hours}>有効期間 {formatLifetime(hours)}</option>
+              ))}
+            </select>
             <button
               onClick={generateToken}
               disabled={loading}
@@ -327,6 +180,9 @@ function GuardianInvitation({ onClose, userPrincipal }) {
               {loading ? '生成中...' : '新しい招待を生成'}
             </button>
           </div>
+          <p className="text-xs text-gray-500 text-center mt-2">
+            送信した招待は「招待中」タブで取り消し・再送・延長できます。
+          </p>
         </div>
       ) : (
         <div className="text-center py-6">
@@ -339,17 +195,37 @@ function GuardianInvitation({ onClose, userPrincipal }) {
               <p className="text-gray-600">招待トークンを生成しています...</p>
             </div>
           ) : (
-            <div>
-              <p className="text-gray-600 mb-4">
-                ガーディアンを招待するための招待トークンが必要です。
+            <form
+              className="text-left"
+              onSubmit={(e) => {
+                e.preventDefault();
+                generateToken();
+              }}
+            >
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="invite-guardian-principal">
+                招待するガーディアンのプリンシパルID
+              </label>
+              <input
+                id="invite-guardian-principal"
+                type="text"
+                value={guardianPrincipal}
+                onChange={(e) => setGuardianPrincipal(e.target.value)}
+                placeholder="xxxxx-xxxxx-xxxxx-xxxxx-xxx"
+                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 font-mono leading-tight focus:outline-none focus:shadow-outline mb-2"
+              />
+              <p className="text-xs text-gray-500 mb-4">
+                招待はこのプリンシパルID宛てに発行され、他のアカウントでは受け入れられません。ガーディアンにプリンシパルIDを教えてもらってください。
               </p>
-              <button
-                onClick={generateToken}
-                className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
-              >
-                招待トークンを生成
-              </button>
-            </div>
+              <div className="text-center">
+                <button
+                  type="submit"
+                  disabled={!guardianPrincipal.trim()}
+                  className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
+                >
+                  招待トークンを生成
+                </button>
+              </div>
+            </form>
           )}
         </div>
       )}
@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { acceptGuardianInvitation, verifyInvitationToken } from '../../services/api';
+import { acceptGuardianInvitation, verifyInvitationToken, openInvitationShare } from '../../services/api';
 import { storeShareInIndexedDB } from '../../services/guardianStorage';
 import Loading from '../common/Loading';
+import QRScanner from '../common/QRScanner';
+import GuardianKeyCode from './GuardianKeyCode';
 import { acceptInvitation } from '../../services/inviteTracking';
 
 
@@ -11,26 +13,34 @@ function GuardianInvitationAccept() {
   const [token, setToken] = useState('');
   const [principalId, setPrincipalId] = useState('');
   const [shareData, setShareData] = useState(null);
+  const [sealedShare, setSealedShare] = useState(null);
+  const [unlockCode, setUnlockCode] = useState('');
+  const [unlockError, setUnlockError] = useState(null);
+  const [unlocking, setUnlocking] = useState(false);
+  const [scanningUnlockCode, setScanningUnlockCode] = useState(false);
+  const [skipShare, setSkipShare] = useState(false);
   const [loading, setLoading] = useState(false);
   const [verifying, setVerifying] = useState(true);
   const [error, setError] = useState(null);
   const [tokenInfo, setTokenInfo] = useState(null);
   const [success, setSuccess] = useState(false);
+  const [codeConfirmed, setCodeConfirmed] = useState(false);
   const [debugInfo, setDebugInfo] = useState('初期状態');
   
   const navigate = useNavigate();
   const location = useLocation();
   const { user, login, loading: authLoading } = useAuth();
   const [shareStorageSuccess, setShareStorageSuccess] = useState(false);
+  const [keyCode, setKeyCode] = useState(null);
 
   // URLパラメータの取得とパース
   useEffect(() => {
     const searchParams = new URLSearchParams(location.search);
     const urlToken = searchParams.get('token');
     const urlPrincipal = searchParams.get('principal');
-    const urlShareData = searchParams.get('shareData');
+    const urlSealedShare = searchParams.get('sealedShare');
     
-    console.log('URL パラメータ:', { urlToken, urlPrincipal, shareDataExists: !!urlShareData });
+    console.log('URL パラメータ:', { urlToken, urlPrincipal, sealedShareExists: !!urlSealedShare });
     setDebugInfo(prev => prev + `\nURL解析: token=${!!urlToken}, principal=${!!urlPrincipal}`);
     
     if (urlToken) {
@@ -41,54 +51,32 @@ function GuardianInvitationAccept() {
       setPrincipalId(urlPrincipal);
     }
     
-    // シェアデータがURLに含まれている場合は解析
-    if (urlShareData) {
-      try {
-        const decodedData = atob(decodeURIComponent(urlShareData));
-        const parsedData = JSON.parse(decodedData);
-        console.log('URL から取得したシェアデータ:', parsedData);
-        setShareData(parsedData);
-        setDebugInfo(prev => prev + '\nシェアデータ解析成功');
-      } catch (err) {
-        console.error('シェアデータの解析に失敗:', err);
-        setDebugInfo(prev => prev + `\nシェアデータ解析失敗: ${err.message}`);
-      }
+    // URLのシェアは暗号化されており、所有者から別の経路で受け取る解除コードで復号する
+    if (urlSealedShare) {
+      setSealedShare(urlSealedShare);
+      setDebugInfo(prev => prev + '\n暗号化されたシェアを検出');
     }
     
-    // トークンとプリンシパルが揃っていれば自動検証開始
-    if (urlToken && urlPrincipal) {
-      console.log('トークン検証を開始します');
-      setDebugInfo(prev => prev + '\nトークン検証開始');
-      verifyToken(urlToken, urlPrincipal);
-    } else {
+    if (!urlToken || !urlPrincipal) {
       setVerifying(false);
       setDebugInfo(prev => prev + '\n検証スキップ: パラメータ不足');
     }
   }, [location.search]);
 
-  // ユーザーがログイン済みで、トークンが検証済みなら自動的に承認処理
+  // 招待は自分宛てであることと、招待者がキャニスターに残した記録で検証するため、ログイン後に検証する
+  // 受け入れは自動では行わず、確認コードを確かめてからボタンで行う
   useEffect(() => {
-    // すでに処理中または成功した場合は何もしない
-    if (loading || success) return;
-    
-    console.log('認証状態変更: ', { 
-      authLoading, 
-      userExists: !!user, 
-      tokenInfoExists: !!tokenInfo
-    });
+    if (authLoading || !token || !principalId) return;
     
-    // ユーザーとトークン情報があり、認証読み込み中でない場合のみ処理
-    if (!authLoading && user && tokenInfo) {
-      console.log('ユーザーログイン済み、自動承認を開始します');
-      setDebugInfo(prev => prev + '\n自動承認プロセス開始');
-      // 現在のフラグを保存してから処理を開始
-      setLoading(true);
-      handleAcceptInvitation().catch(err => {
-        console.error('自動承認中にエラーが発生:', err);
-        setLoading(false);
-      });
+    if (!user) {
+      setVerifying(false);
+      return;
     }
-  }, [user, tokenInfo, authLoading, success, loading]);
+    
+    console.log('トークン検証を開始します');
+    setDebugInfo(prev => prev + '\nトークン検証開始');
+    verifyToken(token, principalId);
+  }, [user, authLoading, token, principalId]);
 
   const isValidPrincipalFormat = (principalStr) => {
     // Basic validation - this is a simple check and can be improved
@@ -130,6 +118,27 @@ function GuardianInvitationAccept() {
     }
   };
 
+  // 解除コードでシェアを復号
+  const handleUnlockShare = async (code = unlockCode) => {
+    setUnlocking(true);
+    setUnlockError(null);
+
+    try {
+      const opened = await openInvitationShare(sealedShare, code, tokenInfo.nonce);
+      if (!opened || !opened.shareInfo || opened.inviterPrincipal !== tokenInfo.inviterPrincipal) {
+        throw new Error('この招待のシェアではありません');
+      }
+      setShareData(opened);
+      setUnlockCode('');
+      setDebugInfo(prev => prev + '\nシェアの解除に成功');
+    } catch (err) {
+      console.error('シェアの解除に失敗:', err);
+      setUnlockError(err.message || '解除コードが正しくありません');
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
   // ログイン処理
   const handleLogin = async () => {
     try {
@@ -145,11 +154,12 @@ function GuardianInvitationAccept() {
       }
       
       setDebugInfo(prev => prev + '\nログイン成功');
-      // ログイン成功後は自動的に承認処理が行われる（useEffectによる）
+      // ログイン後に招待が検証される（useEffectによる）
     } catch (err) {
       console.error('ログインエラー:', err);
       setError(err.message || 'ログインに失敗しました');
       setDebugInfo(prev => prev + `\nログインエラー: ${err.message}`);
+    } finally {
       setLoading(false);
     }
   };
@@ -170,6 +180,10 @@ function GuardianInvitationAccept() {
         tokenInfo: tokenInfo ? 'exists' : 'missing'
       });
       
+      if (!codeConfirmed) {
+        throw new Error('確認コードが招待者の画面の表示と一致することを確認してください');
+      }
+      
       // Validate principal format before proceeding
       if (!principalId || !isValidPrincipalFormat(principalId)) {
         throw new Error(`無効なプリンシパルID形式です: ${principalId}`);
@@ -179,7 +193,8 @@ function GuardianInvitationAccept() {
       console.log('acceptGuardianInvitation API呼び出し');
       setDebugInfo(prev => prev + '\nacceptGuardianInvitation API呼び出し');
       
-      const result = await acceptGuardianInvitation(token, principalId);
+      const shareInfo = shareData?.shareInfo || null;
+      const result = await acceptGuardianInvitation(token, principalId, shareInfo?.id || null);
       console.log('承認API結果:', result);
       setDebugInfo(prev => prev + `\n承認結果: success=${result?.success}`);
       
@@ -187,8 +202,32 @@ function GuardianInvitationAccept() {
         throw new Error((result && result.error) || 'ガーディアンの招待受け入れに失敗しました');
       }
       
-      // Rest of the function remains the same
-      // ...
+      // 2. 招待リンクで受け取ったシェアをこのデバイスに保存
+      if (shareInfo) {
+        try {
+          // 世代とポリシー（k / n）も残し、「守っている人」画面で確認できるようにする
+          await storeShareInIndexedDB(
+            {
+              ...shareInfo,
+              metadata: {
+                epoch: shareInfo.epoch || null,
+                threshold: shareInfo.threshold || null,
+                totalShares: shareInfo.totalShares || null
+              }
+            },
+            principalId,
+            tokenInfo?.inviterName || ''
+          );
+          setShareStorageSuccess(true);
+        } catch (storeErr) {
+          console.error('シェアの保存に失敗:', storeErr);
+          setDebugInfo(prev => prev + `\nシェア保存エラー: ${storeErr.message}`);
+        }
+      }
+      
+      // 3. 所有者に渡す公開鍵コードを表示
+      setKeyCode(result.keyCode);
+      setSuccess(true);
       
     } catch (err) {
       console.error('招待受け入れエラー:', err);
@@ -230,12 +269,14 @@ function GuardianInvitationAccept() {
             </div>
           )}
           
-          <div className="flex justify-center">
-            <div className="bg-gray-100 text-gray-700 px-4 py-2 rounded">
-              <Loading />
-              <p className="mt-2">リダイレクト中...</p>
-            </div>
-          </div>
+          <GuardianKeyCode keyCode={keyCode} shareId={shareData?.shareInfo?.id || null} />
+          
+          <button
+            onClick={() => navigate('/guardians')}
+            className="w-full bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+          >
+            保有シェアを確認する
+          </button>
         </div>
       </div>
     );
@@ -263,6 +304,19 @@ function GuardianInvitationAccept() {
             <Loading />
             <p className="mt-4 text-gray-600">認証状態を確認中...</p>
           </div>
+        ) : !user && token && principalId ? (
+          <div className="text-center py-6">
+            <p className="text-gray-600 mb-4">
+              招待を確認するには、招待されたアカウントでログインしてください。
+            </p>
+            <button
+              onClick={handleLogin}
+              disabled={loading}
+              className="w-full bg-primary-600 hover:bg-primary-700 text-white font-bold py-3 px-4 rounded focus:outline-none focus:shadow-outline"
+            >
+              {loading ? 'ログイン中...' : 'Internet Identityでログイン'}
+            </button>
+          </div>
         ) : tokenInfo ? (
           <div className="mb-6">
             <div className="bg-green-50 border-l-4 border-green-400 p-4 mb-6">
@@ -296,18 +350,92 @@ function GuardianInvitationAccept() {
                     <dt className="text-sm font-medium text-gray-500">有効期限</dt>
                     <dd className="text-sm text-gray-900 col-span-2">{new Date(tokenInfo.expiresAt).toLocaleString()}</dd>
                   </div>
-                  {shareData && (
+                  <div className="grid grid-cols-3 gap-4">
+                    <dt className="text-sm font-medium text-gray-500">確認コード</dt>
+                    <dd className="text-sm text-gray-900 col-span-2 font-mono font-bold tracking-widest">{tokenInfo.verificationCode}</dd>
+                  </div>
+                  {sealedShare && (
                     <div className="grid grid-cols-3 gap-4">
                       <dt className="text-sm font-medium text-gray-500">回復シェア</dt>
                       <dd className="text-sm text-gray-900 col-span-2">
-                        検出済み {shareData.shareInfo ? '✓' : '✗'}
+                        {shareData ? '解除済み ✓' : skipShare ? '受け取らない' : '暗号化済み（解除コードが必要）'}
                       </dd>
                     </div>
                   )}
                 </dl>
+                <p className="text-xs text-gray-500 mt-3">
+                  招待は招待者がキャニスターに登録した署名鍵で署名されています。確認コードが招待者の画面の表示と一致することを、電話や対面で確認してから受け入れてください。
+                </p>
               </div>
             </div>
             
+            {sealedShare && !shareData && !skipShare && (
+              <div className="mb-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-2">シェアの解除コード</h3>
+                <p className="text-sm text-gray-600 mb-3">
+                  招待リンクの回復シェアは暗号化されています。招待者から電話や対面など別の方法で伝えられた20文字の解除コードを入力するか、招待者の画面のQRコードをスキャンしてください。
+                </p>
+                {scanningUnlockCode ? (
+                  <QRScanner
+                    elementId="unlock-code-reader"
+                    message="招待者の画面に表示された解除コードのQRコードをスキャンしてください"
+                    onScan={(code) => {
+                      setScanningUnlockCode(false);
+                      setUnlockCode(code);
+                      handleUnlockShare(code);
+                    }}
+                    onCancel={() => setScanningUnlockCode(false)}
+                  />
+                ) : (
+                  <form
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      handleUnlockShare();
+                    }}
+                  >
+                    <input
+                      type="text"
+                      value={unlockCode}
+                      onChange={(e) => setUnlockCode(e.target.value)}
+                      placeholder="XXXX-XXXX-XXXX-XXXX-XXXX"
+                      autoCapitalize="characters"
+                      autoCorrect="off"
+                      spellCheck={false}
+                      className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 font-mono leading-tight focus:outline-none focus:shadow-outline mb-2"
+                    />
+                    {unlockError && (
+                      <p className="text-sm text-red-700 mb-2">{unlockError}</p>
+                    )}
+                    <div className="flex items-center justify-between">
+                      <div className="space-x-3">
+                        <button
+                          type="button"
+                          onClick={() => setScanningUnlockCode(true)}
+                          className="text-primary-600 hover:text-primary-800 text-sm"
+                        >
+                          QRコードをスキャン
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setSkipShare(true)}
+                          className="text-gray-500 hover:text-gray-700 text-sm"
+                        >
+                          シェアを受け取らずに続ける
+                        </button>
+                      </div>
+                      <button
+                        type="submit"
+                        disabled={unlocking || !unlockCode.trim()}
+                        className="bg-primary-600 hover:bg-primary-700 text-white text-sm font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
+                      >
+                        {unlocking ? '解除中...' : '解除'}
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            )}
+            
             <div className="mb-6">
               <h3 className="text-lg font-medium text-gray-900 mb-2">ガーディアンとは？</h3>
               <p className="text-gray-600 mb-4">
@@ -329,46 +457,34 @@ function GuardianInvitationAccept() {
               </div>
             </div>
             
+            <label className="flex items-start mb-4 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={codeConfirmed}
+                onChange={(e) => setCodeConfirmed(e.target.checked)}
+                className="mt-1 mr-2"
+              />
+              <span>確認コード <span className="font-mono font-bold">{tokenInfo.verificationCode}</span> が招待者の画面の表示と一致することを確認しました</span>
+            </label>
+            
             <div className="flex justify-center">
-              {user ? (
-                // ログイン済みの場合は承認ボタンを表示
-                <button
-                  onClick={handleAcceptInvitation}
-                  disabled={loading}
-                  className="w-full bg-primary-600 hover:bg-primary-700 text-white font-bold py-3 px-4 rounded focus:outline-none focus:shadow-outline"
-                >
-                  {loading ? (
-                    <span className="flex items-center justify-center">
-                      <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                      </svg>
-                      処理中...
-                    </span>
-                  ) : (
-                    'ガーディアンになる'
-                  )}
-                </button>
-              ) : (
-                // 未ログインの場合はログインボタンを表示
-                <button
-                  onClick={handleLogin}
-                  disabled={loading}
-                  className="w-full bg-primary-600 hover:bg-primary-700 text-white font-bold py-3 px-4 rounded focus:outline-none focus:shadow-outline"
-                >
-                  {loading ? (
-                    <span className="flex items-center justify-center">
-                      <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                      </svg>
-                      ログイン中...
-                    </span>
-                  ) : (
-                    'Internet Identityでログイン'
-                  )}
-                </button>
-              )}
+              <button
+                onClick={handleAcceptInvitation}
+                disabled={loading || !codeConfirmed || (sealedShare && !shareData && !skipShare)}
+                className="w-full bg-primary-600 hover:bg-primary-700 text-white font-bold py-3 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <span className="flex items-center justify-center">
+                    <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                    処理中...
+                  </span>
+                ) : (
+                  'ガーディアンになる'
+                )}
+              </button>
             </div>
           </div>
         ) : (
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { createGuardianKeyCode, publishGuardianPublicKey } from '../../services/api';
+
+/**
+ * ガーディアンの公開鍵コード
+ * シェアの所有者は、このコードの鍵がキャニスターに公開された鍵と一致することを確かめてから、
+ * その公開鍵でシェアを暗号化してキャニスターに保存する
+ */
+function GuardianKeyCode({ shareId = null, keyCode: initialKeyCode = null }) {
+  const [keyCode, setKeyCode] = useState(initialKeyCode);
+  const [error, setError] = useState(null);
+  const [ownerPrincipal, setOwnerPrincipal] = useState('');
+  const [publishing, setPublishing] = useState(false);
+  const [publishError, setPublishError] = useState(null);
+  const [publishedTo, setPublishedTo] = useState(null);
+
+  useEffect(() => {
+    if (initialKeyCode) return;
+
+    createGuardianKeyCode(shareId)
+      .then(setKeyCode)
+      .catch(err => {
+        console.error('公開鍵コードの作成に失敗:', err);
+        setError('公開鍵コードを作成できませんでした');
+      });
+  }, [shareId, initialKeyCode]);
+
+  if (error) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+        <span className="block sm:inline">{error}</span>
+      </div>
+    );
+  }
+
+  // 招待を使わずに追加してもらう場合は、所有者宛てに公開鍵を公開しておく
+  const handlePublish = async (e) => {
+    e.preventDefault();
+    setPublishing(true);
+    setPublishError(null);
+    try {
+      await publishGuardianPublicKey(ownerPrincipal);
+      setPublishedTo(ownerPrincipal.trim());
+      setOwnerPrincipal('');
+    } catch (err) {
+      console.error('公開鍵の公開に失敗:', err);
+      setPublishError(err.message || '公開鍵を公開できませんでした');
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  if (!keyCode) return null;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6 text-left">
+      <h3 className="text-lg font-medium text-gray-900 mb-2">あなたの公開鍵コード</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        このコードをシェアの所有者に送ってください。シェアはあなたの公開鍵で暗号化されて保存され、このデバイスでのみ復号できます。
+      </p>
+      <textarea
+        readOnly
+        value={keyCode.code}
+        className="w-full h-20 p-2 text-xs font-mono border border-gray-300 rounded bg-gray-50 mb-2"
+      />
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-xs text-gray-500">確認コード（所有者の画面の表示と一致することを確認してください）</p>
+          <span className="text-xl font-mono font-bold tracking-widest text-gray-900">
+            {keyCode.verificationCode}
+          </span>
+          {keyCode.fingerprint && (
+            <p className="text-xs text-gray-500 mt-1">
+              鍵の指紋: <span className="font-mono text-gray-900">{keyCode.fingerprint}</span>
+            </p>
+          )}
+        </div>
+        <button
+          onClick={() => {
+            navigator.clipboard.writeText(keyCode.code);
+            alert('公開鍵コードをクリップボードにコピーしました');
+          }}
+          className="text-primary-600 hover:text-primary-800 text-sm"
+        >
+          コードをコピー
+        </button>
+      </div>
+
+      {!initialKeyCode && (
+        <form onSubmit={handlePublish} className="mt-4 border-t border-gray-200 pt-3">
+          <label htmlFor="keyOwnerPrincipal" className="block text-sm text-gray-700 mb-1">
+            公開鍵を公開する相手（シェアの所有者のプリンシパルID）
+          </label>
+          <p className="text-xs text-gray-500 mb-2">
+            所有者はコードの鍵があなたがキャニスターに公開した鍵と一致するときだけ、あなたを追加できます。
+          </p>
+          <div className="flex">
+            <input
+              id="keyOwnerPrincipal"
+              type="text"
+              value={ownerPrincipal}
+              onChange={(e) => setOwnerPrincipal(e.target.value)}
+              className="flex-1 border border-gray-300 rounded py-1 px-2 text-xs font-mono"
+              placeholder="e.g., w3gef-eqllq-zz..."
+            />
+            <button
+              type="submit"
+              disabled={publishing || !ownerPrincipal.trim()}
+              className="ml-2 bg-primary-600 hover:bg-primary-700 text-white text-sm py-1 px-3 rounded disabled:bg-primary-400"
+            >
+              {publishing ? '公開中...' : '公開する'}
+            </button>
+          </div>
+          {publishError && <p className="text-xs text-red-600 mt-1">{publishError}</p>}
+          {publishedTo && (
+            <p className="text-xs text-green-700 mt-1">
+              <span className="font-mono">{publishedTo}</span> 宛てに公開鍵を公開しました。
+            </p>
+          )}
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default GuardianKeyCode;
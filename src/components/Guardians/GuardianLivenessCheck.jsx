@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { createLivenessChallenge, verifyLivenessResponse } from '../../services/guardianLiveness';
+
+const RESULT_MESSAGES = {
+  ok: 'ガーディアンが正しいシェアを保持していることを確認しました。',
+  missing: 'ガーディアンの端末にシェアが見つかりませんでした。シェアを更新するか、ガーディアンを追加し直してください。',
+  mismatch: 'ガーディアンの応答がシェアと一致しませんでした。古いシェアのままになっている可能性があります。シェアの更新を検討してください。'
+};
+
+/**
+ * ガーディアンのシェア保持確認（所有者側）
+ * チャレンジコードをガーディアンに送り、返ってきた応答コードを検証する
+ */
+function GuardianLivenessCheck({ guardianPrincipal, onClose, onVerified }) {
+  const [challenge, setChallenge] = useState(null);
+  const [responseCode, setResponseCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    createLivenessChallenge(guardianPrincipal)
+      .then(setChallenge)
+      .catch(err => {
+        console.error('チャレンジコードの発行に失敗:', err);
+        setError(err.message || 'チャレンジコードを発行できませんでした');
+      });
+  }, [guardianPrincipal]);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setVerifying(true);
+    try {
+      const verification = await verifyLivenessResponse(responseCode);
+      if (verification.guardianPrincipal !== guardianPrincipal) {
+        throw new Error('別のガーディアンの応答コードです');
+      }
+      setResult(verification.result);
+      if (onVerified) {
+        onVerified(verification);
+      }
+    } catch (err) {
+      console.error('応答コードの検証に失敗:', err);
+      setError(err.message || '応答コードを検証できませんでした');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 max-h-full overflow-y-auto">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">シェア保持の確認</h2>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+          aria-label="Close"
+        >
+          <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      {result ? (
+        <div className={`border px-4 py-3 rounded mb-4 ${result === 'ok' ? 'bg-green-100 border-green-400 text-green-700' : 'bg-yellow-100 border-yellow-400 text-yellow-800'}`}>
+          {RESULT_MESSAGES[result]}
+        </div>
+      ) : challenge && (
+        <>
+          <p className="text-sm text-gray-600 mb-3">
+            このチャレンジコードをガーディアンに送り、「保有シェア」画面の「シェア保持の確認に応答」に貼り付けてもらってください。
+            ガーディアンはシェアそのものではなく、シェアから計算した応答コードだけを返します。
+          </p>
+          <div className="flex items-start mb-2">
+            <div className="flex-shrink-0 mr-4 bg-white p-1 rounded border border-gray-200">
+              <QRCodeSVG value={challenge.code} size={128} level="M" />
+            </div>
+            <textarea
+              readOnly
+              value={challenge.code}
+              className="w-full h-32 p-2 text-xs font-mono border border-gray-300 rounded bg-gray-50"
+            />
+          </div>
+          <div className="flex items-center justify-between mb-6">
+            <span className="text-xs text-gray-500">
+              有効期限: {new Date(challenge.expiresAt).toLocaleString()}
+            </span>
+            <button
+              onClick={() => {
+                navigator.clipboard.writeText(challenge.code);
+                alert('チャレンジコードをクリップボードにコピーしました');
+              }}
+              className="text-primary-600 hover:text-primary-800 text-sm"
+            >
+              コピー
+            </button>
+          </div>
+
+          <form onSubmit={handleVerify}>
+            <label htmlFor="livenessResponse" className="block text-gray-700 text-sm font-bold mb-2">
+              ガーディアンの応答コード
+            </label>
+            <textarea
+              id="livenessResponse"
+              value={responseCode}
+              onChange={(e) => setResponseCode(e.target.value)}
+              className="w-full h-20 p-2 text-xs font-mono border border-gray-300 rounded mb-4"
+              required
+            />
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={verifying || !responseCode}
+                className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400"
+              >
+                {verifying ? '確認中...' : '応答を確認'}
+              </button>
+            </div>
+          </form>
+        </>
+      )}
+
+      {result && (
+        <div className="flex justify-end">
+          <button
+            onClick={onClose}
+            className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+          >
+            閉じる
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GuardianLivenessCheck;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { respondToLivenessChallenge } from '../../services/guardianLiveness';
+
+/**
+ * シェア保持の確認への応答（ガーディアン側）
+ * 所有者のチャレンジコードから、預かっているシェアを明かさずに応答コードを作る
+ */
+function GuardianLivenessResponse() {
+  const [challengeCode, setChallengeCode] = useState('');
+  const [response, setResponse] = useState(null);
+  const [responding, setResponding] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleRespond = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setResponse(null);
+    setResponding(true);
+    try {
+      setResponse(await respondToLivenessChallenge(challengeCode));
+    } catch (err) {
+      console.error('シェア保持の確認への応答に失敗:', err);
+      setError(err.message || '応答コードを作成できませんでした');
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6 text-left">
+      <h3 className="text-lg font-medium text-gray-900 mb-2">シェア保持の確認に応答</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        所有者から届いたチャレンジコードを貼り付けてください。シェアの内容は送られず、シェアを持っていることだけが所有者に伝わります。
+      </p>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      <form onSubmit={handleRespond} className="mb-2">
+        <textarea
+          value={challengeCode}
+          onChange={(e) => setChallengeCode(e.target.value)}
+          placeholder="チャレンジコード"
+          className="w-full h-20 p-2 text-xs font-mono border border-gray-300 rounded mb-2"
+          required
+        />
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={responding || !challengeCode}
+            className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400"
+          >
+            {responding ? '作成中...' : '応答コードを作成'}
+          </button>
+        </div>
+      </form>
+
+      {response && (
+        <div className="mt-4">
+          {!response.hasShare && (
+            <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-3 text-sm">
+              このデバイスには要求されたシェアがありません。応答コードを送ると、所有者にシェアがないことが伝わります。
+            </div>
+          )}
+          <p className="text-sm text-gray-600 mb-2">この応答コードを所有者に送り返してください。</p>
+          <div className="flex items-start mb-2">
+            <div className="flex-shrink-0 mr-4 bg-white p-1 rounded border border-gray-200">
+              <QRCodeSVG value={response.code} size={128} level="M" />
+            </div>
+            <textarea
+              readOnly
+              value={response.code}
+              className="w-full h-32 p-2 text-xs font-mono border border-gray-300 rounded bg-gray-50"
+            />
+          </div>
+          <div className="flex justify-end">
+            <button
+              onClick={() => {
+                navigator.clipboard.writeText(response.code);
+                alert('応答コードをクリップボードにコピーしました');
+              }}
+              className="text-primary-600 hover:text-primary-800 text-sm"
+            >
+              コピー
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GuardianLivenessResponse;
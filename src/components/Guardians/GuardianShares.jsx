@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { getAllShares, deleteShare, searchShares,updateShareUserName } from '../../services/guardianStorage';
 import Loading from '../common/Loading';
+import GuardianKeyCode from './GuardianKeyCode';
+import GuardianLivenessResponse from './GuardianLivenessResponse';
+import GuardianVaultBackup from './GuardianVaultBackup';
+import ShareMnemonicWords from './ShareMnemonicWords';
+import PaperBackupKit from '../Recovery/PaperBackupKit';
 
 function GuardianShares() {
   const [shares, setShares] = useState([]);
@@ -9,6 +14,8 @@ function GuardianShares() {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedShare, setSelectedShare] = useState(null);
   const [showShareDetails, setShowShareDetails] = useState(false);
+  const [showMnemonic, setShowMnemonic] = useState(false);
+  const [printingShare, setPrintingShare] = useState(null);
   const [editingShareId, setEditingShareId] = useState(null);
   const [editingName, setEditingName] = useState('');
 
@@ -64,6 +71,7 @@ function GuardianShares() {
   const handleCloseShareDetails = () => {
     setShowShareDetails(false);
     setSelectedShare(null);
+    setShowMnemonic(false);
   };
 
   // 編集モードを開始
@@ -132,6 +140,15 @@ function GuardianShares() {
         </div>
       )}
       
+      {/* 所有者がシェアを暗号化するための公開鍵 */}
+      <GuardianKeyCode />
+      
+      {/* 所有者からのシェア保持の確認 */}
+      {shares.length > 0 && <GuardianLivenessResponse />}
+      
+      {/* 預かっているシェアの暗号化バックアップ */}
+      <GuardianVaultBackup onImported={fetchShares} />
+      
       {/* 検索フォーム */}
       <div className="mb-6">
         <form onSubmit={handleSearch} className="flex">
@@ -308,12 +325,29 @@ function GuardianShares() {
               <p className="text-sm mb-1">
                 <span className="font-medium">保存日時:</span> {new Date(selectedShare.storedAt).toLocaleString()}
               </p>
-              <p className="text-sm">
-                <span className="font-medium">シェア値:</span>
-              </p>
-              <div className="bg-gray-100 p-2 rounded mt-1 overflow-x-auto">
-                <code className="text-xs break-all">{selectedShare.value}</code>
+              <div className="flex items-center justify-between">
+                <p className="text-sm">
+                  <span className="font-medium">{showMnemonic ? 'シェアの単語:' : 'シェア値:'}</span>
+                </p>
+                <button
+                  onClick={() => setShowMnemonic(!showMnemonic)}
+                  className="text-primary-600 hover:text-primary-800 text-sm"
+                >
+                  {showMnemonic ? '16進数で表示' : '単語で表示'}
+                </button>
               </div>
+              {showMnemonic ? (
+                <div className="mt-1">
+                  <ShareMnemonicWords share={selectedShare} />
+                  <p className="text-xs text-gray-500 mt-2">
+                    紙に書き写して保管できます。所有者がリカバリーするときは、この単語を伝えて入力してもらいます。
+                  </p>
+                </div>
+              ) : (
+                <div className="bg-gray-100 p-2 rounded mt-1 overflow-x-auto">
+                  <code className="text-xs break-all">{selectedShare.value}</code>
+                </div>
+              )}
             </div>
             
             <div className="flex justify-end">
@@ -323,6 +357,15 @@ function GuardianShares() {
               >
                 閉じる
               </button>
+              <button
+                onClick={() => {
+                  setPrintingShare(selectedShare);
+                  handleCloseShareDetails();
+                }}
+                className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded mr-2"
+              >
+                紙に印刷
+              </button>
               <button
                 onClick={() => {
                   handleDeleteShare(selectedShare.id);
@@ -336,6 +379,16 @@ function GuardianShares() {
           </div>
         </div>
       )}
+      
+      {/* 紙のバックアップ */}
+      {printingShare && (
+        <PaperBackupKit
+          shares={[printingShare]}
+          userPrincipal={printingShare.userPrincipal}
+          variant="guardian"
+          onClose={() => setPrintingShare(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import {
+  exportGuardianVault,
+  importGuardianVault,
+  MIN_VAULT_PASSPHRASE_LENGTH
+} from '../../services/guardianVault';
+
+/**
+ * 預かっているシェアのバックアップ（ガーディアン側）
+ * すべてのシェアをパスフレーズで暗号化したファイルに書き出し、別のブラウザで読み込む
+ */
+function GuardianVaultBackup({ onImported }) {
+  const [mode, setMode] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [file, setFile] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const resetForm = (nextMode) => {
+    setMode(nextMode);
+    setPassphrase('');
+    setConfirmPassphrase('');
+    setFile(null);
+    setError(null);
+  };
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+
+    if (passphrase !== confirmPassphrase) {
+      setError('パスフレーズが一致しません');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const vault = await exportGuardianVault(passphrase);
+
+      // ブラウザ内で作ったファイルをそのままダウンロードさせる（どこにも送信しない）
+      const url = URL.createObjectURL(new Blob([vault.content], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = vault.fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      setMessage(`${vault.shareCount}件のシェアをバックアップしました。ファイルとパスフレーズは別々に保管してください。`);
+      resetForm(null);
+    } catch (err) {
+      console.error('シェアのバックアップに失敗:', err);
+      setError(err.message || 'バックアップを作成できませんでした');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    setBusy(true);
+    try {
+      const content = await file.text();
+      const result = await importGuardianVault(content, passphrase);
+      setMessage(`バックアップを読み込みました（追加 ${result.added}件、更新 ${result.updated}件）`);
+      resetForm(null);
+      if (onImported) {
+        onImported(result);
+      }
+    } catch (err) {
+      console.error('シェアのバックアップの読み込みに失敗:', err);
+      setError(err.message || 'バックアップを読み込めませんでした');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6 text-left">
+      <h3 className="text-lg font-medium text-gray-900 mb-2">シェアのバックアップ</h3>
+      <p className="text-sm text-gray-600 mb-3">
+        サイトのデータを消去すると、預かっているシェアはすべて失われます。パスフレーズで暗号化したファイルに書き出しておくと、別のブラウザで読み込んで元に戻せます。
+      </p>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative mb-4">
+          <span className="block sm:inline">{message}</span>
+        </div>
+      )}
+
+      {mode === null && (
+        <div className="flex space-x-4">
+          <button
+            onClick={() => resetForm('export')}
+            className="text-primary-600 hover:text-primary-800 text-sm"
+          >
+            バックアップを作成
+          </button>
+          <button
+            onClick={() => resetForm('import')}
+            className="text-primary-600 hover:text-primary-800 text-sm"
+          >
+            バックアップを読み込む
+          </button>
+        </div>
+      )}
+
+      {mode === 'export' && (
+        <form onSubmit={handleExport}>
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder={`パスフレーズ（${MIN_VAULT_PASSPHRASE_LENGTH}文字以上）`}
+            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline mb-2"
+            autoComplete="new-password"
+            required
+          />
+          <input
+            type="password"
+            value={confirmPassphrase}
+            onChange={(e) => setConfirmPassphrase(e.target.value)}
+            placeholder="パスフレーズ（確認）"
+            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline mb-4"
+            autoComplete="new-password"
+            required
+          />
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => resetForm(null)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+            >
+              キャンセル
+            </button>
+            <button
+              type="submit"
+              disabled={busy || !passphrase || !confirmPassphrase}
+              className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400"
+            >
+              {busy ? '暗号化中...' : 'すべてのシェアを書き出す'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'import' && (
+        <form onSubmit={handleImport}>
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="block w-full text-sm text-gray-700 mb-2"
+            required
+          />
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="バックアップのパスフレーズ"
+            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline mb-4"
+            autoComplete="current-password"
+            required
+          />
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => resetForm(null)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+            >
+              キャンセル
+            </button>
+            <button
+              type="submit"
+              disabled={busy || !file || !passphrase}
+              className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400"
+            >
+              {busy ? '読み込み中...' : '読み込む'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default GuardianVaultBackup;
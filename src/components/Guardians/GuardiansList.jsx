@@ -1,14 +1,38 @@
-import React, { useState, useEffect } from 'react';
-import { getGuardians, removeGuardian } from '../../services/api';
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getGuardians,
+  removeGuardian,
+  refreshRecoveryShares,
+  syncGuardianKeyRegistry,
+  markGuardianKeyVerified,
+  acceptRegisteredGuardianKey
+} from '../../services/api';
 import Loading from '../common/Loading';
 import AddGuardian from './AddGuardian';
 import RecoverySetup from '../Recovery/RecoverySetup';
+import RecoveryPolicyEditor from '../Recovery/RecoveryPolicyEditor';
+import PaperBackupKit from '../Recovery/PaperBackupKit';
+import RecoveryDelaySetting from '../Recovery/RecoveryDelaySetting';
+import { hasPendingPolicyChange } from '../../services/recoveryPolicy';
+import {
+  getAvailableShares,
+  reconcileShareInventory,
+  subscribeShareInventory
+} from '../../services/shareInventory';
 import GuardianInvitation from './GuardianInvitation.jsx';
 import { useAuth } from '../../context/AuthContext';
 import GuardianContactEditor from './GuardianContactEditor';
+import GuardianLivenessCheck from './GuardianLivenessCheck';
+import { getGuardianLivenessStatuses, LIVENESS_STALE_AFTER_DAYS } from '../../services/guardianLiveness';
 import {selectedGuardian, showEditor,handleSaveGuardian} from './GuardianContactEditor';
 
 
+const LIVENESS_LABELS = {
+  healthy: { label: '保持を確認済み', className: 'bg-green-100 text-green-800' },
+  stale: { label: '要確認', className: 'bg-yellow-100 text-yellow-800' },
+  missing: { label: 'シェアなし', className: 'bg-red-100 text-red-800' }
+};
+
 function GuardiansList() {
   const [guardians, setGuardians] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -21,30 +45,50 @@ function GuardiansList() {
   const { user } = useAuth();
   const [selectedGuardian, setSelectedGuardian] = useState(null);
   const [showEditor, setShowEditor] = useState(false);
-
-  useEffect(() => {
-    fetchGuardians();
-    checkRecoveryStatus();
-  }, []);
-
-  
+  const [refreshing, setRefreshing] = useState(false);
+  const [refreshResult, setRefreshResult] = useState(null);
+  const [showPolicyEditor, setShowPolicyEditor] = useState(false);
+  const [showBackupKit, setShowBackupKit] = useState(false);
+  const [guardianKeys, setGuardianKeys] = useState({});
+  const [livenessGuardian, setLivenessGuardian] = useState(null);
 
   // リカバリー状態の確認
-  const checkRecoveryStatus = () => {
-    // シェア情報の取得
-    const sharesJson = localStorage.getItem('recoveryShares');
-    if (sharesJson) {
-      try {
-        const shares = JSON.parse(sharesJson);
-        setRecoveryShares(shares);
-        
-        // リカバリーが有効かどうかを確認（シェアが存在するかどうか）
-        setRecoveryEnabled(shares.length > 0);
-      } catch (err) {
-        console.error('Failed to parse recovery shares:', err);
+  const checkRecoveryStatus = useCallback(async () => {
+    try {
+      // 未割り当てのシェアを在庫から取得
+      const shares = await getAvailableShares(user?.principal);
+      setRecoveryShares(shares);
+      
+      // リカバリーが有効かどうかを確認（シェアが存在するかどうか）
+      if (shares.length > 0) {
+        setRecoveryEnabled(true);
       }
+    } catch (err) {
+      console.error('Failed to load recovery shares:', err);
     }
-  };
+  }, [user?.principal]);
+
+  // キャニスターに登録されたガーディアンの公開鍵を読み込む
+  const loadGuardianKeys = useCallback(async () => {
+    try {
+      setGuardianKeys(await syncGuardianKeyRegistry());
+    } catch (err) {
+      console.error('Failed to load guardian keys:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchGuardians();
+    loadGuardianKeys();
+    
+    // シェアの在庫をキャニスター上のガーディアンと突き合わせてから読み込む
+    reconcileShareInventory(user?.principal)
+      .catch(err => console.error('Failed to reconcile share inventory:', err))
+      .finally(checkRecoveryStatus);
+    
+    // 他のタブや招待の期限切れ処理による在庫の変更を反映
+    return subscribeShareInventory(user?.principal, checkRecoveryStatus);
+  }, [user?.principal, checkRecoveryStatus, loadGuardianKeys]);
 
   const handleEditGuardian = (guardian) => {
     setSelectedGuardian(guardian);
@@ -79,6 +123,37 @@ function GuardiansList() {
     }
   };
 
+  // ガーディアンと指紋を読み合わせて確認済みにする
+  const handleVerifyGuardianKey = async (principal) => {
+    const entry = guardianKeys[principal];
+    if (!window.confirm(`ガーディアンの「保有シェア」画面に表示される鍵の指紋が次と一致しますか？\n\n${entry.fingerprint}\n\n電話や対面など、このアプリ以外の方法で読み合わせてください。`)) {
+      return;
+    }
+    try {
+      await markGuardianKeyVerified(principal);
+      await loadGuardianKeys();
+    } catch (err) {
+      console.error('Failed to verify guardian key:', err);
+      setError(err.message || '指紋の確認を記録できませんでした');
+    }
+  };
+
+  // 別のデバイスで登録された新しい鍵をこのデバイスでも使う
+  const handleAcceptGuardianKey = async (principal) => {
+    const entry = guardianKeys[principal];
+    if (!window.confirm(`このガーディアンの公開鍵は別のデバイスで変更されました。新しい鍵の指紋は次のとおりです。\n\n${entry.fingerprint}\n\nガーディアンの画面の指紋と一致する場合だけ承認してください。`)) {
+      return;
+    }
+    try {
+      await acceptRegisteredGuardianKey(principal);
+      await markGuardianKeyVerified(principal);
+      await loadGuardianKeys();
+    } catch (err) {
+      console.error('Failed to accept guardian key:', err);
+      setError(err.message || '新しい鍵を承認できませんでした');
+    }
+  };
+
   const handleRemoveGuardian = async (principal) => {
     if (window.confirm('このガーディアンを削除してもよろしいですか？この操作は元に戻せません。')) {
       setLoading(true);
@@ -95,6 +170,27 @@ function GuardiansList() {
     }
   };
 
+  // マスターキーを変えずにシェアを作り直してガーディアンに配り直す
+  const handleRefreshShares = async () => {
+    if (!window.confirm('リカバリーシェアを更新しますか？ガーディアンには新しいシェアが配布され、古いシェアは使えなくなります。')) {
+      return;
+    }
+    
+    setRefreshing(true);
+    setError(null);
+    setRefreshResult(null);
+    try {
+      const result = await refreshRecoveryShares();
+      setRefreshResult(result);
+      checkRecoveryStatus();
+    } catch (err) {
+      console.error('Failed to refresh recovery shares:', err);
+      setError(err.message || 'シェアの更新に失敗しました。');
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
   const handleAddGuardian = () => {
     // リカバリーがセットアップされていなければ、まずセットアップを行う
     if (!recoveryEnabled) {
@@ -128,7 +224,15 @@ function GuardiansList() {
 
   const handleCloseAddGuardian = () => {
     setShowAddGuardian(false);
-    // ガーディアン追加後にリストを更新
+    // ガーディアン追加後にリストと公開鍵を更新
+    fetchGuardians();
+    loadGuardianKeys();
+    checkRecoveryStatus();
+  };
+
+  const handleClosePolicyEditor = () => {
+    setShowPolicyEditor(false);
+    // ポリシーの変更で外れたガーディアンを反映
     fetchGuardians();
     checkRecoveryStatus();
   };
@@ -150,6 +254,10 @@ function GuardiansList() {
     return `${principal.substring(0, 5)}...${principal.substring(principal.length - 5)}`;
   };
 
+  // ガーディアンごとのシェア保持の確認状態
+  const livenessStatuses = getGuardianLivenessStatuses(user?.principal, guardians.map(g => g.principal));
+  const uncheckedGuardianCount = Object.values(livenessStatuses).filter(status => status.state !== 'healthy').length;
+
   return (
     <div className="container mx-auto p-4">
       {error && (
@@ -201,11 +309,80 @@ function GuardiansList() {
         </ul>
         
         {recoveryEnabled && (
-          <div className="bg-green-50 border border-green-200 rounded p-3 mt-4">
+          <div className="bg-green-50 border border-green-200 rounded p-3 mt-4 flex items-center justify-between">
             <p className="text-sm text-green-800">
               <span className="font-medium">リカバリーステータス:</span> 有効
               {recoveryShares.length > 0 && ` (未使用シェア ${recoveryShares.length}個 利用可能)`}
+              {recoveryShares.length > 0 && (
+                <button
+                  onClick={() => setShowBackupKit(true)}
+                  className="ml-2 text-primary-600 hover:text-primary-800"
+                >
+                  緊急キットを印刷
+                </button>
+              )}
             </p>
+            {guardians.length > 0 && (
+              <div className="flex items-center space-x-4">
+                <button
+                  onClick={() => setShowPolicyEditor(true)}
+                  className="text-sm text-primary-600 hover:text-primary-800"
+                >
+                  ポリシーを編集
+                </button>
+                <button
+                  onClick={handleRefreshShares}
+                  disabled={refreshing}
+                  className="text-sm text-primary-600 hover:text-primary-800 disabled:text-gray-400"
+                >
+                  {refreshing ? 'シェアを更新中...' : 'シェアを更新'}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+        
+        {recoveryEnabled && guardians.length > 0 && <RecoveryDelaySetting />}
+        
+        {hasPendingPolicyChange(user?.principal) && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded p-3 mt-4 text-sm text-yellow-800">
+            リカバリーポリシーの変更が完了していません。
+            <button
+              onClick={() => setShowPolicyEditor(true)}
+              className="ml-2 text-primary-600 hover:text-primary-800"
+            >
+              続きを確認
+            </button>
+          </div>
+        )}
+        
+        {uncheckedGuardianCount > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded p-3 mt-4 text-sm text-yellow-800">
+            {uncheckedGuardianCount}人のガーディアンについて、{LIVENESS_STALE_AFTER_DAYS}日以内にシェアを保持していることを確認できていません。
+            一覧の「保持を確認」からガーディアンに確認を依頼してください。
+          </div>
+        )}
+        
+        {refreshResult && (
+          <div className="bg-blue-50 border border-blue-200 rounded p-3 mt-4 text-sm text-blue-800">
+            <p>
+              シェアを更新しました（世代 {refreshResult.epoch}）。{refreshResult.redistributed.length}人のガーディアンに新しいシェアを配布しました。
+              ガーディアンの端末のシェアは次回ログイン時に自動的に置き換わります。
+            </p>
+            {refreshResult.failed.length > 0 && (
+              <ul className="list-disc list-inside text-red-700 mt-2">
+                {refreshResult.failed.map(failure => (
+                  <li key={failure.principal}>
+                    {formatPrincipal(failure.principal)}: {failure.error}（古いシェアは使えなくなったため、再度追加してください）
+                  </li>
+                ))}
+              </ul>
+            )}
+            {refreshResult.pendingAssignments.length > 0 && (
+              <p className="text-yellow-800 mt-2">
+                {refreshResult.pendingAssignments.map(formatPrincipal).join('、')} の割り当ての切り替えに失敗しました。新しいシェアは預けてあるため、次回ログイン時に自動的に再試行します。
+              </p>
+            )}
           </div>
         )}
       </div>
@@ -253,6 +430,12 @@ function GuardiansList() {
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   ステータス
                 </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  公開鍵
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  シェアの保持
+                </th>
                 <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                   操作
                 </th>
@@ -287,6 +470,57 @@ function GuardiansList() {
                       </span>
                     )}
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-xs">
+                    {guardianKeys[guardian.principal] ? (
+                      <>
+                        <div className="font-mono text-gray-900">{guardianKeys[guardian.principal].fingerprint}</div>
+                        {guardianKeys[guardian.principal].keyChanged ? (
+                          <div className="text-red-600">
+                            鍵が変更されています
+                            <button
+                              onClick={() => handleAcceptGuardianKey(guardian.principal)}
+                              className="ml-2 text-primary-600 hover:text-primary-800"
+                            >
+                              新しい鍵を承認
+                            </button>
+                          </div>
+                        ) : guardianKeys[guardian.principal].verifiedAt ? (
+                          <div className="text-green-700">
+                            指紋確認済み（{new Date(guardianKeys[guardian.principal].verifiedAt).toLocaleDateString()}）
+                          </div>
+                        ) : (
+                          <div className="text-yellow-700">
+                            {guardianKeys[guardian.principal].previousFingerprint ? '鍵が変更されました・' : ''}未確認
+                            <button
+                              onClick={() => handleVerifyGuardianKey(guardian.principal)}
+                              className="ml-2 text-primary-600 hover:text-primary-800"
+                            >
+                              指紋を確認
+                            </button>
+                          </div>
+                        )}
+                      </>
+                    ) : (
+                      <span className="text-gray-500">未登録</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-xs">
+                    <span className={`px-2 inline-flex leading-5 font-semibold rounded-full ${LIVENESS_LABELS[livenessStatuses[guardian.principal].state].className}`}>
+                      {LIVENESS_LABELS[livenessStatuses[guardian.principal].state].label}
+                    </span>
+                    <div className="text-gray-500 mt-1">
+                      {livenessStatuses[guardian.principal].lastProofAt
+                        ? `最終確認: ${new Date(livenessStatuses[guardian.principal].lastProofAt).toLocaleDateString()}`
+                        : '未確認'}
+                      {livenessStatuses[guardian.principal].pendingChallenge && '（応答待ち）'}
+                    </div>
+                    <button
+                      onClick={() => setLivenessGuardian(guardian.principal)}
+                      className="text-primary-600 hover:text-primary-800"
+                    >
+                      保持を確認
+                    </button>
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                     <button
                       onClick={() => handleRemoveGuardian(guardian.principal)}
@@ -310,6 +544,37 @@ function GuardiansList() {
         </div>
       )}
 
+      {livenessGuardian && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="w-full max-w-lg max-h-full flex">
+            <GuardianLivenessCheck
+              guardianPrincipal={livenessGuardian}
+              onClose={() => setLivenessGuardian(null)}
+            />
+          </div>
+        </div>
+      )}
+
+      {showPolicyEditor && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="w-full max-w-lg">
+            <RecoveryPolicyEditor
+              onClose={handleClosePolicyEditor}
+              onComplete={() => checkRecoveryStatus()}
+            />
+          </div>
+        </div>
+      )}
+
+      {showBackupKit && (
+        <PaperBackupKit
+          shares={recoveryShares}
+          userPrincipal={user?.principal}
+          variant="owner"
+          onClose={() => setShowBackupKit(false)}
+        />
+      )}
+
       {showAddGuardian && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="w-full max-w-md">
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+
+// 有効期間の表示
+export const formatLifetime = (hours) => (hours % 24 === 0 ? `${hours / 24}日` : `${hours}時間`);
+
+// 残り時間の表示
+export const formatRemainingTime = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  if (days > 0) {
+    return `${days}日${hours}時間`;
+  } else if (hours > 0) {
+    return `${hours}時間${minutes}分${secs}秒`;
+  } else if (minutes > 0) {
+    return `${minutes}分${secs}秒`;
+  } else {
+    return `${secs}秒`;
+  }
+};
+
+/**
+ * 招待の詳細（確認コード、招待リンク、シェアの解除コード、招待コード、メール送信）
+ * 新規招待の画面と保留中の招待の再送で共通に使う
+ */
+function InvitationDetails({ invitation, onEmailSent, onExpired }) {
+  const [remaining, setRemaining] = useState(() => Math.max(0, Math.floor((invitation.expiresAt - Date.now()) / 1000)));
+  const [emailInvite, setEmailInvite] = useState(invitation.recipientEmail || '');
+  const [error, setError] = useState(null);
+
+  // 有効期限までのカウントダウン
+  useEffect(() => {
+    const update = () => {
+      const seconds = Math.max(0, Math.floor((invitation.expiresAt - Date.now()) / 1000));
+      setRemaining(seconds);
+      if (seconds === 0 && onExpired) {
+        onExpired();
+      }
+      return seconds;
+    };
+
+    if (update() === 0) return undefined;
+
+    const timer = setInterval(() => {
+      if (update() === 0) {
+        clearInterval(timer);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [invitation.expiresAt, onExpired]);
+
+  // Eメール招待の送信（解除コードはメールに含めない）
+  const handleSendEmailInvite = (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!emailInvite || !emailInvite.includes('@')) {
+      setError('有効なメールアドレスを入力してください');
+      return;
+    }
+
+    try {
+      const subject = encodeURIComponent('セキュアノートのガーディアン招待');
+      const body = encodeURIComponent(`
+あなたがセキュアノートアプリのガーディアンとして招待されました。
+以下の招待リンクをクリックして、アカウント回復のガーディアンになってください。
+
+招待リンク: ${invitation.invitationLink}
+
+または以下の招待コードを使用してください:
+招待コード: ${invitation.token}
+
+この招待は ${formatRemainingTime(remaining)} 後に無効になります。
+${invitation.unlockCode ? '回復シェアの解除コードは、このメールとは別の方法でお知らせします。' : ''}
+      `);
+
+      window.open(`mailto:${emailInvite}?subject=${subject}&body=${body}`);
+
+      if (onEmailSent) {
+        onEmailSent(emailInvite);
+      }
+    } catch (err) {
+      console.error('Failed to generate invitation email:', err);
+      setError('招待メールの生成に失敗しました');
+    }
+  };
+
+  const copyToClipboard = (text, message) => {
+    navigator.clipboard.writeText(text);
+    alert(message);
+  };
+
+  return (
+    <div>
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      <div className="mb-4 text-center">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">招待の詳細</h3>
+        <p className="text-sm text-gray-500 mb-1">
+          {remaining > 0 ? (
+            <>この招待は <span className="font-bold">{formatRemainingTime(remaining)}</span> 後に無効になります</>
+          ) : (
+            'この招待は有効期限が切れています'
+          )}
+        </p>
+      </div>
+
+      {invitation.verificationCode && (
+        <div className="mb-6 text-center">
+          <p className="text-xs text-gray-500">招待の確認コード（ガーディアンの画面の表示と一致することを確認してください）</p>
+          <span className="text-xl font-mono font-bold tracking-widest text-gray-900">
+            {invitation.verificationCode}
+          </span>
+        </div>
+      )}
+
+      <div className="mb-6">
+        <h4 className="text-md font-medium text-gray-800 mb-2">招待リンク</h4>
+        <div className="bg-gray-100 p-2 rounded overflow-x-auto mb-2">
+          <pre className="text-xs break-all whitespace-pre-wrap">
+            {invitation.invitationLink}
+          </pre>
+        </div>
+        <div className="flex justify-end">
+          <button
+            onClick={() => copyToClipboard(invitation.invitationLink, '招待リンクをクリップボードにコピーしました')}
+            className="text-primary-600 hover:text-primary-800 text-sm"
+          >
+            コピー
+          </button>
+        </div>
+      </div>
+
+      {invitation.unlockCode && (
+        <div className="mb-6 bg-yellow-50 border-l-4 border-yellow-400 p-4">
+          <h4 className="text-md font-medium text-gray-800 mb-2">シェアの解除コード</h4>
+          <p className="text-sm text-yellow-700 mb-3">
+            招待リンクの回復シェアは暗号化されています。このコードは電話や対面など、リンクとは別の方法でガーディアンに伝えてください。リンクと同じメールやメッセージで送らないでください。
+          </p>
+          <div className="flex items-center">
+            <div className="flex-shrink-0 mr-4 bg-white p-1 rounded">
+              <QRCodeSVG value={invitation.unlockCode} size={96} level="M" />
+            </div>
+            <span className="text-lg font-mono font-bold tracking-wider text-gray-900 break-all">
+              {invitation.unlockCode}
+            </span>
+          </div>
+        </div>
+      )}
+
+      <div className="mb-6">
+        <h4 className="text-md font-medium text-gray-800 mb-2">招待コード</h4>
+        <div className="bg-gray-100 p-2 rounded overflow-x-auto mb-2">
+          <pre className="text-xs break-all whitespace-pre-wrap">
+            {invitation.token}
+          </pre>
+        </div>
+        <div className="flex justify-end">
+          <button
+            onClick={() => copyToClipboard(invitation.token, '招待コードをクリップボードにコピーしました')}
+            className="text-primary-600 hover:text-primary-800 text-sm"
+          >
+            コピー
+          </button>
+        </div>
+      </div>
+
+      <div className="mb-6">
+        <h4 className="text-md font-medium text-gray-800 mb-2">メールで招待</h4>
+        <form onSubmit={handleSendEmailInvite} className="flex items-center space-x-2">
+          <input
+            type="email"
+            value={emailInvite}
+            onChange={(e) => setEmailInvite(e.target.value)}
+            placeholder="ガーディアンのメールアドレス"
+            className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+            required
+          />
+          <button
+            type="submit"
+            disabled={remaining === 0}
+            className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400"
+          >
+            送信
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default InvitationDetails;
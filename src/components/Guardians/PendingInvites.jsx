@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  createGuardianInvitation,
+  revokeIssuedInvitation,
+  getInvitationLifetimeHours,
+  setInvitationLifetimeHours,
+  INVITATION_LIFETIME_OPTIONS
+} from '../../services/api';
+import {
+  getAllInvites,
+  processExpiredInvites,
+  revokeInvite,
+  updateInvite,
+  deleteInvite
+} from '../../services/inviteTracking';
+import { updateReservation } from '../../services/shareInventory';
+import { useAuth } from '../../context/AuthContext';
+import Loading from '../common/Loading';
+import InvitationDetails, { formatLifetime } from './InvitationDetails';
+
+const STATUS_LABELS = {
+  pending: { label: '保留中', className: 'bg-yellow-100 text-yellow-800' },
+  accepted: { label: '受け入れ済み', className: 'bg-green-100 text-green-800' },
+  expired: { label: '期限切れ', className: 'bg-gray-100 text-gray-800' },
+  revoked: { label: '取り消し済み', className: 'bg-red-100 text-red-800' }
+};
+
+/**
+ * 招待の管理
+ * InviteTrackingDB に記録されたこのユーザーの招待を一覧し、取り消し・再送・延長を行う
+ */
+function PendingInvites() {
+  const { user } = useAuth();
+  const userPrincipal = user?.principal;
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyInviteId, setBusyInviteId] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [resendInvite, setResendInvite] = useState(null);
+  const [lifetimeHours, setLifetimeHours] = useState(() => getInvitationLifetimeHours(userPrincipal));
+
+  // 招待の読み込み（先に期限切れの招待を処理し、予約していたシェアを戻しておく）
+  const loadInvites = useCallback(async () => {
+    setLoading(true);
+    try {
+      await processExpiredInvites();
+      const allInvites = await getAllInvites();
+      setInvites(allInvites.filter(invite => !userPrincipal || invite.userPrincipal === userPrincipal));
+    } catch (err) {
+      console.error('招待の読み込みに失敗:', err);
+      setError('招待の読み込みに失敗しました');
+    } finally {
+      setLoading(false);
+    }
+  }, [userPrincipal]);
+
+  useEffect(() => {
+    loadInvites();
+  }, [loadInvites]);
+
+  const runAction = async (invite, action) => {
+    setBusyInviteId(invite.inviteId);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+      await loadInvites();
+    } catch (err) {
+      console.error('招待の操作に失敗:', err);
+      setError(err.message || '招待の操作に失敗しました');
+    } finally {
+      setBusyInviteId(null);
+    }
+  };
+
+  // 取り消し（予約していたシェアはすぐに利用可能なシェアに戻る）
+  const handleRevoke = (invite) => {
+    if (!window.confirm('この招待を取り消しますか？招待リンクのシェアは利用可能なシェアに戻ります。')) {
+      return;
+    }
+
+    runAction(invite, async () => {
+      const result = await revokeInvite(invite.inviteId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      await revokeIssuedInvitation(invite.nonce);
+      setMessage(result.shareReleased
+        ? '招待を取り消し、シェアを利用可能なシェアに戻しました。解除コードをすでに伝えている場合は、ガーディアン設定後にシェアの更新を検討してください。'
+        : '招待を取り消しました');
+    });
+  };
+
+  // 延長（有効期限は署名されているため、同じシェアで新しい招待を発行し、古い招待は取り消す）
+  const handleExtend = (invite) => {
+    runAction(invite, async () => {
+      // 予約の期限を先に延ばし、シェアが他で使われていれば発行し直さない
+      if (invite.shareData?.shareInfo) {
+        const reserved = await updateReservation(userPrincipal, invite.shareData.shareInfo, {
+          inviteId: invite.inviteId,
+          reservedUntil: Date.now() + lifetimeHours * 60 * 60 * 1000
+        });
+        if (!reserved) {
+          throw new Error('この招待のシェアはすでに他で使われています。招待を取り消して新しく招待してください');
+        }
+      }
+      if (!invite.guardianPrincipal) {
+        throw new Error('宛先が記録されていない以前の招待は延長できません。招待を取り消して新しく招待してください');
+      }
+      const result = await createGuardianInvitation(userPrincipal, invite.guardianPrincipal, invite.shareData || null, lifetimeHours);
+      await revokeIssuedInvitation(invite.nonce);
+      await updateInvite(invite.inviteId, {
+        token: result.token,
+        nonce: result.nonce,
+        invitationLink: result.invitationLink,
+        unlockCode: result.unlockCode,
+        verificationCode: result.verificationCode,
+        expiresAt: result.expiresAt,
+        status: 'pending'
+      });
+      setMessage('新しい有効期限で招待を発行し直しました。新しい招待リンクと解除コードを送り直してください。');
+    });
+  };
+
+  const handleDelete = (invite) => {
+    runAction(invite, async () => {
+      await deleteInvite(invite.inviteId);
+    });
+  };
+
+  const handleLifetimeChange = (e) => {
+    const hours = Number(e.target.value);
+    setLifetimeHours(hours);
+    setInvitationLifetimeHours(userPrincipal, hours);
+  };
+
+  const getShareNumber = (invite) => {
+    const value = invite.shareData?.shareInfo?.value;
+    return value ? parseInt(value.substring(2, 4), 16) : null;
+  };
+
+  if (loading && invites.length === 0) {
+    return <Loading />;
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold">招待中</h2>
+        <label className="text-sm text-gray-600">
+          招待の有効期間
+          <select
+            value={lifetimeHours}
+            onChange={handleLifetimeChange}
+            className="ml-2 border rounded py-1 px-2 text-sm text-gray-700"
+          >
+            {INVITATION_LIFETIME_OPTIONS.map(hours => (
+              <option key={hours} value={hours}>{formatLifetime(hours)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative mb-4">
+          <span className="block sm:inline">{message}</span>
+        </div>
+      )}
+
+      {invites.length === 0 ? (
+        <div className="bg-white shadow rounded-lg p-6 text-center text-gray-600">
+          送信した招待はありません。「ガーディアン一覧」の「招待」からガーディアンを招待できます。
+        </div>
+      ) : (
+        <div className="bg-white shadow rounded-lg overflow-hidden">
+          <ul className="divide-y divide-gray-200">
+            {invites.map(invite => {
+              const status = STATUS_LABELS[invite.status] || STATUS_LABELS.pending;
+              const shareNumber = getShareNumber(invite);
+              const busy = busyInviteId === invite.inviteId;
+
+              return (
+                <li key={invite.inviteId} className="p-4">
+                  <div className="flex items-start justify-between">
+                    <div className="text-sm">
+                      <div className="flex items-center mb-1">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium mr-2 ${status.className}`}>
+                          {status.label}
+                        </span>
+                        <span className="text-gray-900">{invite.recipientEmail || '送信先未記録'}</span>
+                      </div>
+                      {invite.guardianPrincipal && (
+                        <p className="text-gray-500 font-mono break-all">
+                          宛先: {invite.guardianPrincipal}
+                        </p>
+                      )}
+                      <p className="text-gray-500">
+                        予約シェア: {shareNumber ? `#${shareNumber}` : 'なし'}
+                      </p>
+                      <p className="text-gray-500">
+                        作成: {new Date(invite.createdAt).toLocaleString()} ／ 期限: {new Date(invite.expiresAt).toLocaleString()}
+                      </p>
+                    </div>
+
+                    <div className="flex flex-col items-end space-y-1 text-sm">
+                      {invite.status === 'pending' ? (
+                        <>
+                          <button
+                            onClick={() => setResendInvite(invite)}
+                            disabled={busy || !invite.invitationLink}
+                            title={invite.invitationLink ? '' : '以前のバージョンで作成した招待は再送できません。延長すると再送できるようになります'}
+                            className="text-primary-600 hover:text-primary-800 disabled:text-gray-400"
+                          >
+                            再送
+                          </button>
+                          <button
+                            onClick={() => handleExtend(invite)}
+                            disabled={busy}
+                            className="text-primary-600 hover:text-primary-800 disabled:text-gray-400"
+                          >
+                            {busy ? '処理中...' : `延長（${formatLifetime(lifetimeHours)}）`}
+                          </button>
+                          <button
+                            onClick={() => handleRevoke(invite)}
+                            disabled={busy}
+                            className="text-red-600 hover:text-red-800 disabled:text-gray-400"
+                          >
+                            取り消し
+                          </button>
+                        </>
+                      ) : (
+                        <button
+                          onClick={() => handleDelete(invite)}
+                          disabled={busy}
+                          className="text-gray-500 hover:text-gray-700 disabled:text-gray-400"
+                        >
+                          記録を削除
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      {resendInvite && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="w-full max-w-md bg-white rounded-lg shadow-lg p-6 max-h-full overflow-y-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-bold">招待の再送</h2>
+              <button
+                onClick={() => setResendInvite(null)}
+                className="text-gray-500 hover:text-gray-700"
+                aria-label="Close"
+              >
+                <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+            <InvitationDetails
+              invitation={resendInvite}
+              onEmailSent={(email) => {
+                updateInvite(resendInvite.inviteId, { recipientEmail: email }).then(loadInvites);
+              }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PendingInvites;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getProtectedPeople } from '../../services/protectedPeople';
+import Loading from '../common/Loading';
+
+const ACTIVITY_LABELS = {
+  requested: 'リカバリーが要求されました',
+  approved: 'リカバリーを承認しました',
+  released: '待機期間が過ぎたため、シェアを提出しました',
+  cancelled: '待機期間中にリカバリーが取り消されました'
+};
+
+/**
+ * 守っている人の一覧（ガーディアン側）
+ * 預かっているシェア、リカバリーのポリシー、リクエストと承認の履歴を人ごとに表示する
+ */
+function ProtectedPeople() {
+  const [people, setPeople] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchPeople();
+  }, []);
+
+  const fetchPeople = async () => {
+    setLoading(true);
+    try {
+      setPeople(await getProtectedPeople());
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch protected people:', err);
+      setError('守っている人の情報を取得できませんでした。もう一度お試しください。');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // プリンシパルIDを表示用にフォーマット
+  const formatPrincipal = (principal) => {
+    if (!principal) return '';
+    if (principal.length <= 10) return principal;
+    return `${principal.substring(0, 5)}...${principal.substring(principal.length - 5)}`;
+  };
+
+  const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '不明');
+
+  const formatPolicy = (policy) => {
+    if (!policy.requiredShares) return '不明';
+    return policy.totalShares
+      ? `${policy.totalShares}人中${policy.requiredShares}人のシェアで回復`
+      : `${policy.requiredShares}人のシェアで回復`;
+  };
+
+  if (loading && people.length === 0) {
+    return (
+      <div className="container mx-auto p-4">
+        <h2 className="text-xl font-bold mb-4">守っている人</h2>
+        <Loading />
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto p-4">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">守っている人</h2>
+        <button
+          onClick={fetchPeople}
+          disabled={loading}
+          className="text-primary-600 hover:text-primary-800 text-sm disabled:text-gray-400"
+        >
+          {loading ? '更新中...' : '更新'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      {people.length === 0 ? (
+        <div className="bg-gray-100 p-4 rounded text-center">
+          <p className="text-gray-600">ガーディアンとして守っている人はいません。</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {people.map((person) => (
+            <div key={person.principal} className="bg-white shadow-md rounded-lg p-6">
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">
+                    {person.userName || '名前未設定'}
+                  </h3>
+                  <p className="text-xs font-mono text-gray-500 break-all" title={person.principal}>
+                    {person.principal}
+                  </p>
+                </div>
+                <div className="text-right text-sm text-gray-700">
+                  <div>{formatPolicy(person.policy)}</div>
+                  {person.policy.epoch && (
+                    <div className="text-xs text-gray-500">シェアの世代: {person.policy.epoch}</div>
+                  )}
+                </div>
+              </div>
+
+              {person.pendingRequest && (
+                <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4 text-sm">
+                  <p>
+                    {formatDate(person.pendingRequest.requestTime)} にリカバリーが要求されています
+                    {person.policy.requiredShares && (
+                      `（承認済み ${person.pendingRequest.approvedGuardians.length} / 必要 ${person.policy.requiredShares}）`
+                    )}
+                  </p>
+                  {person.pendingRequest.approvedByMe ? (
+                    <p className="mt-1">あなたは承認済みです。</p>
+                  ) : (
+                    <Link to="/approve-recovery" className="inline-block mt-1 font-medium underline">
+                      リクエストを確認する
+                    </Link>
+                  )}
+                </div>
+              )}
+
+              <h4 className="text-sm font-medium text-gray-700 mb-2">預かっているシェア</h4>
+              {person.shares.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">
+                  このデバイスには {formatPrincipal(person.principal)} のシェアがありません。
+                </p>
+              ) : (
+                <table className="min-w-full divide-y divide-gray-200 mb-4">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        シェアID
+                      </th>
+                      <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        世代
+                      </th>
+                      <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        受け取った日時
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {person.shares.map((share) => (
+                      <tr key={share.id}>
+                        <td className="px-4 py-2 text-sm font-mono text-gray-900">{share.id}</td>
+                        <td className="px-4 py-2 text-sm text-gray-700">{share.epoch || '不明'}</td>
+                        <td className="px-4 py-2 text-sm text-gray-700">{formatDate(share.receivedAt)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              <h4 className="text-sm font-medium text-gray-700 mb-2">リカバリーの履歴</h4>
+              {person.history.length === 0 ? (
+                <p className="text-sm text-gray-500">リカバリーの要求はまだありません。</p>
+              ) : (
+                <ul className="space-y-1">
+                  {person.history.map((entry) => (
+                    <li key={`${entry.type}-${entry.requestTime}-${entry.at}`} className="text-sm text-gray-700">
+                      <span className="text-gray-500 mr-2">{formatDate(entry.at)}</span>
+                      {ACTIVITY_LABELS[entry.type] || entry.type}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProtectedPeople;
@@ -0,0 +1,52 @@
+import React, { useMemo } from 'react';
+import { encodeShareMnemonic } from '../../services/shareMnemonic';
+
+/**
+ * シェアの単語表示
+ * 紙に書き写せるよう、番号付きの単語として表示する（printableでは操作ボタンを出さない）
+ */
+function ShareMnemonicWords({ share, printable = false }) {
+  const { words, error } = useMemo(() => {
+    try {
+      return { words: encodeShareMnemonic(share).split(' '), error: null };
+    } catch (err) {
+      console.error('シェアを単語に変換できません:', err);
+      return { words: [], error: err.message };
+    }
+  }, [share]);
+
+  if (error) {
+    return <p className="text-sm text-red-700">{error}</p>;
+  }
+
+  return (
+    <div>
+      <ol className="grid grid-cols-4 gap-x-4 gap-y-1 bg-gray-100 p-3 rounded text-sm font-mono">
+        {words.map((word, index) => (
+          <li key={index} className="flex">
+            <span className="text-gray-400 w-6 text-right mr-2 select-none">{index + 1}.</span>
+            <span className="text-gray-900">{word}</span>
+          </li>
+        ))}
+      </ol>
+      <div className="flex items-center justify-between mt-2">
+        <p className="text-xs text-gray-500">
+          全{words.length}語。末尾の4語はチェックサムで、書き写しの誤りを検出します。
+        </p>
+        {!printable && (
+          <button
+            onClick={() => {
+              navigator.clipboard.writeText(words.join(' '));
+              alert('単語をクリップボードにコピーしました');
+            }}
+            className="text-primary-600 hover:text-primary-800 text-sm"
+          >
+            単語をコピー
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ShareMnemonicWords;
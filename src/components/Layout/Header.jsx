@@ -1,12 +1,23 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { getAutoLockMinutes, setAutoLockMinutes } from '../../services/improved-crypto';
+
+// 自動ロックまでの時間の選択肢（分、0はロックしない）
+const AUTO_LOCK_OPTIONS = [5, 15, 30, 60, 0];
 
 function Header() {
-  const { user, logout } = useAuth();
+  const { user, logout, lock, keyStatus } = useAuth();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
   const [copySuccess, setCopySuccess] = useState(false);
+  const [autoLockMinutes, setAutoLockMinutesState] = useState(() => getAutoLockMinutes(user?.principal));
+
+  const handleAutoLockChange = (e) => {
+    const minutes = Number(e.target.value);
+    setAutoLockMinutes(user?.principal, minutes);
+    setAutoLockMinutesState(minutes);
+  };
 
   const handleLogout = async () => {
     try {
@@ -140,6 +151,36 @@ function Header() {
                   >
                     InheritanceRequest
                   </Link>
+                  <div className="border-t border-gray-100"></div>
+                  <div className="px-4 py-2">
+                    <label htmlFor="auto-lock" className="block text-xs text-gray-500 mb-1">
+                      Auto-lock
+                    </label>
+                    <select
+                      id="auto-lock"
+                      value={autoLockMinutes}
+                      onChange={handleAutoLockChange}
+                      className="w-full border border-gray-300 rounded text-sm text-gray-700 py-1 px-2"
+                    >
+                      {AUTO_LOCK_OPTIONS.map(minutes => (
+                        <option key={minutes} value={minutes}>
+                          {minutes === 0 ? 'Never' : `After ${minutes} min`}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  {keyStatus === 'unlocked' && (
+                    <button
+                      onClick={() => {
+                        lock();
+                        setIsUserMenuOpen(false);
+                      }}
+                      className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                      role="menuitem"
+                    >
+                      Lock now
+                    </button>
+                  )}
                   <button
                     onClick={() => {
                       handleLogout();
@@ -241,6 +282,17 @@ function Header() {
                 {copySuccess && <span className="ml-1 text-green-500">Copied!</span>}
               </button>
             )}
+            {keyStatus === 'unlocked' && (
+              <button
+                onClick={() => {
+                  lock();
+                  setIsMenuOpen(false);
+                }}
+                className="w-full text-left text-gray-600 hover:text-gray-900 block px-3 py-2 rounded-md text-base font-medium"
+              >
+                Lock now
+              </button>
+            )}
             <button
               onClick={() => {
                 handleLogout();
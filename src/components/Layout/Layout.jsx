@@ -1,24 +1,49 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { Outlet } from 'react-router-dom';
+import { throttle } from 'lodash';
 import Header from './Header';
 import { useAuth } from '../../context/AuthContext';
 import Loading from '../common/Loading';
+import UnlockScreen from '../Auth/UnlockScreen';
+import RecoveryVetoAlert from '../Recovery/RecoveryVetoAlert';
+import { touchMasterKey } from '../../services/improved-crypto';
+
+// 自動ロックのタイマーを延長する操作
+const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'click', 'touchstart', 'scroll'];
 
 function Layout() {
-  const { loading } = useAuth();
+  const { loading, user, keyStatus } = useAuth();
+  const principal = user?.principal;
+
+  // 操作がある間は自動ロックを延長
+  useEffect(() => {
+    if (keyStatus !== 'unlocked') return;
+
+    const handleActivity = throttle(() => touchMasterKey(principal), 10000);
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
 
-  if (loading) {
+    return () => {
+      handleActivity.cancel();
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+    };
+  }, [keyStatus, principal]);
+
+  if (loading || (user && !keyStatus)) {
     return <Loading />;
   }
 
+  const needsUnlock = ['locked', 'migration', 'setup'].includes(keyStatus);
+
   return (
     <div className="min-h-screen bg-gray-100">
       <Header />
+      {/* ロック中でも気づけるよう、進行中のリカバリーは常に表示する */}
+      <RecoveryVetoAlert principal={principal} />
       <main className="py-6">
-        <Outlet />
+        {needsUnlock ? <UnlockScreen /> : <Outlet />}
       </main>
     </div>
   );
 }
 
-export default Layout;
\ No newline at end of file
+export default Layout;
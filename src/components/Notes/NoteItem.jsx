@@ -29,19 +29,29 @@ function NoteItem({ note, onEdit }) {
   };
 
   return (
-    <div className="bg-white rounded-lg shadow-md p-5 mb-4 border-l-4 border-primary-500 hover:shadow-lg transition duration-200">
+    <div className={`bg-white rounded-lg shadow-md p-5 mb-4 border-l-4 ${note._tampered ? 'border-red-500' : 'border-primary-500'} hover:shadow-lg transition duration-200`}>
       <div className="flex justify-between items-start">
-        <h3 className="text-lg font-semibold text-gray-800 mb-2">{note.title}</h3>
+        <h3 className="text-lg font-semibold text-gray-800 mb-2">
+          {note.title}
+          {note._tampered && (
+            <span className="ml-2 align-middle text-xs font-medium bg-red-100 text-red-700 px-2 py-0.5 rounded">
+              改ざんの可能性
+            </span>
+          )}
+        </h3>
         <div className="flex space-x-2">
-          <button
-            onClick={() => onEdit(note)}
-            className="text-gray-500 hover:text-primary-600 transition duration-200"
-            aria-label="Edit"
-          >
-            <svg className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
-            </svg>
-          </button>
+          {/* 改ざんされたノートは編集すると正しい暗号文として保存し直されてしまうため、削除のみ可能 */}
+          {!note._tampered && (
+            <button
+              onClick={() => onEdit(note)}
+              className="text-gray-500 hover:text-primary-600 transition duration-200"
+              aria-label="Edit"
+            >
+              <svg className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
+              </svg>
+            </button>
+          )}
           <button
             onClick={handleDelete}
             className="text-gray-500 hover:text-red-600 transition duration-200"
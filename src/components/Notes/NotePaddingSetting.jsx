@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { getNotePaddingMode, setNotePaddingMode } from '../../services/api';
+import { PADDING_MODES } from '../../services/improved-crypto';
+
+const PADDING_OPTIONS = [
+  { value: PADDING_MODES.NONE, label: 'パディングなし' },
+  { value: PADDING_MODES.POWER_OF_TWO, label: '2のべき乗に揃える' },
+  { value: PADDING_MODES.BLOCK_1K, label: '1KiB単位に揃える' }
+];
+
+/**
+ * ノートの長さを秘匿するパディングの設定（アカウント単位）
+ */
+function NotePaddingSetting() {
+  const [mode, setMode] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    getNotePaddingMode()
+      .then(current => isMounted && setMode(current))
+      .catch(err => {
+        console.error('パディング設定の取得に失敗:', err);
+        isMounted && setError('パディング設定を取得できませんでした');
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  const handleChange = async (e) => {
+    const nextMode = e.target.value;
+    setSaving(true);
+    setError(null);
+
+    try {
+      setMode(await setNotePaddingMode(nextMode));
+    } catch (err) {
+      console.error('パディング設定の変更に失敗:', err);
+      setError('パディング設定を変更できませんでした');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 text-sm text-gray-600">
+      <label htmlFor="note-padding" className="mr-2">
+        ノートの長さの秘匿:
+      </label>
+      <select
+        id="note-padding"
+        value={mode || PADDING_MODES.NONE}
+        onChange={handleChange}
+        disabled={!mode || saving}
+        className="px-2 py-1 border rounded bg-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+      >
+        {PADDING_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <p className="text-xs text-gray-500 mt-1">
+        暗号文のサイズを揃え、タイトルや内容の長さが分からないようにします。既存のノートは次に保存したときに適用されます。設定を弱める変更は、このデバイスでだけ反映されます（他のデバイスはそれぞれで確認した設定より弱い方式を使いません）。
+      </p>
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+export default NotePaddingSetting;
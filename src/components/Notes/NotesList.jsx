@@ -2,9 +2,13 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useNotes } from '../../context/NotesContext';
 import NoteItem from './NoteItem';
 import NoteEditor from './NoteEditor';
+import NotePaddingSetting from './NotePaddingSetting';
 import Loading from '../common/Loading';
 import { debounce } from 'lodash';
 import DeviceSetupScanner from '../Device/DeviceSetupScanner';
+import ProfileSetupForm from '../Auth/ProfileSetupForm';
+import { useAuth } from '../../context/AuthContext';
+import { getUserMasterKey } from '../../services/improved-crypto';
 
 function NotesList() {
   const { notes, loading, error, noProfile, refreshNotes, setupProfile, needDeviceSetup  } = useNotes();
@@ -16,6 +20,7 @@ function NotesList() {
   const [lastRefreshTime, setLastRefreshTime] = useState(0);
   const [isRetrying, setIsRetrying] = useState(false);
   const [showDeviceSetup, setShowDeviceSetup] = useState(false);
+  const { user } = useAuth();
 
   // デバウンスされたリフレッシュ関数
   const debouncedRefresh = useMemo(
@@ -80,7 +85,7 @@ function NotesList() {
     // マスターキーの存在チェックを行う useEffect
     useEffect(() => {
       const checkMasterKey = () => {
-        const masterKey = localStorage.getItem('masterEncryptionKey');
+        const masterKey = getUserMasterKey(user?.principal);
         console.log("Checking master encryption key:", !!masterKey);
         if (!masterKey && notes.length > 0 && !loading && !noProfile) {
           console.log("Master key not found but notes exist - device setup needed");
@@ -91,7 +96,7 @@ function NotesList() {
       if (!loading && !noProfile) {
         checkMasterKey();
       }
-    }, [notes.length, loading, noProfile]);
+    }, [notes.length, loading, noProfile, user]);
   
 
   // エラー後の自動再試行
@@ -132,11 +137,11 @@ function NotesList() {
     setEditingNote(null);
   };
 
-  const handleCreateProfile = async () => {
+  const handleCreateProfile = async (passphrase) => {
     console.log("handleCreateProfile called");
     setCreatingProfile(true);
     try {
-      const result = await setupProfile();
+      const result = await setupProfile(passphrase);
       console.log("Profile setup result:", result);
       if (!result.success) {
         throw new Error(result.error || 'プロファイルの作成に失敗しました');
@@ -210,25 +215,7 @@ const filteredAndSortedNotes = useMemo(() => {
                   </p>
                 )}
               </div>
-              <div className="mt-4">
-                <button
-                  onClick={handleCreateProfile}
-                  disabled={creatingProfile}
-                  className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-                >
-                  {creatingProfile ? (
-                    <span className="flex items-center">
-                      <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                      </svg>
-                      プロファイル作成中...
-                    </span>
-                  ) : (
-                    'プロファイルを作成'
-                  )}
-                </button>
-              </div>
+              <ProfileSetupForm onCreate={handleCreateProfile} creating={creatingProfile} />
             </div>
           </div>
         </div>
@@ -327,6 +314,8 @@ const sortedNotes = [...filteredNotes].sort((a, b) => {
         </div>
       </div>
 
+      <NotePaddingSetting />
+
       {isEditorOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="w-full max-w-3xl">
@@ -340,8 +329,8 @@ const sortedNotes = [...filteredNotes].sort((a, b) => {
               <div className="p-6">
                 <h2 className="text-xl font-bold mb-4">デバイスセットアップが必要です</h2>
                 <p className="mb-4 text-gray-600">
-                  このデバイスはまだセットアップされていません。既存のデバイスからQRコードをスキャンするか、
-                  セットアップコードを入力してください。
+                  このデバイスはまだセットアップされていません。以下のQRコードを既存のデバイスで読み取り、
+                  確認コードを照合した後、既存のデバイスに表示された応答QRコードをスキャンしてください。
                 </p>
                 
                 <DeviceSetupScanner 
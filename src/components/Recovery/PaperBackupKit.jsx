@@ -0,0 +1,122 @@
+import React, { useMemo } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { createShareBackupCode } from '../../services/shareMnemonic';
+import ShareMnemonicWords from '../Guardians/ShareMnemonicWords';
+
+const KIT_TITLES = {
+  guardian: 'リカバリーシェア（ガーディアン保管用）',
+  owner: '緊急キット（所有者保管用）'
+};
+
+/**
+ * 印刷用の紙のバックアップ
+ * シェアごとに1枚、QRコードと単語列、所有者、閾値、シェアセットの世代、回復手順を載せる
+ * すべてブラウザ内で生成し、どこにも送信しない
+ */
+function PaperBackupKit({ shares, userPrincipal, variant = 'guardian', onClose }) {
+  const sheets = useMemo(() => shares.map(share => {
+    try {
+      return { share, code: createShareBackupCode(share, userPrincipal), error: null };
+    } catch (err) {
+      console.error('バックアップシートの作成に失敗:', err);
+      return { share, code: null, error: err.message };
+    }
+  }), [shares, userPrincipal]);
+
+  const createdAt = new Date().toLocaleString();
+
+  return (
+    <div className="paper-backup-kit fixed inset-0 bg-white z-50 overflow-y-auto print:static print:overflow-visible">
+      <div className="max-w-3xl mx-auto p-6">
+        <div className="flex items-center justify-between mb-6 print:hidden">
+          <div>
+            <h2 className="text-xl font-bold">{KIT_TITLES[variant]}の印刷</h2>
+            <p className="text-sm text-gray-600">
+              {sheets.length}枚のシートを印刷します。印刷後はこの画面を閉じ、PDFとして保存した場合はファイルを安全に管理してください。
+            </p>
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => window.print()}
+              className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+            >
+              印刷
+            </button>
+            <button
+              onClick={onClose}
+              className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+            >
+              閉じる
+            </button>
+          </div>
+        </div>
+
+        {sheets.map(({ share, code, error }) => {
+          const threshold = share.threshold || (share.metadata && share.metadata.threshold);
+          const epoch = share.epoch || (share.metadata && share.metadata.epoch);
+          const shareNumber = parseInt(share.value.substring(2, 4), 16);
+
+          return (
+            <section
+              key={share.id || share.value}
+              className="border border-gray-300 rounded-lg p-6 mb-6 break-after-page print:border-0 print:rounded-none print:mb-0"
+            >
+              <h3 className="text-lg font-bold mb-1">Secure Notes {KIT_TITLES[variant]}</h3>
+              <p className="text-xs text-gray-500 mb-4">作成日時: {createdAt}</p>
+
+              {error ? (
+                <p className="text-sm text-red-700">{error}</p>
+              ) : (
+                <>
+                  <div className="flex items-start mb-4">
+                    <div className="flex-shrink-0 mr-6">
+                      <QRCodeSVG value={code} size={200} level="M" includeMargin={true} />
+                    </div>
+                    <dl className="text-sm space-y-2">
+                      <div>
+                        <dt className="font-medium text-gray-500">所有者のプリンシパルID</dt>
+                        <dd className="font-mono break-all">{userPrincipal}</dd>
+                      </div>
+                      <div>
+                        <dt className="font-medium text-gray-500">シェア番号</dt>
+                        <dd>#{shareNumber}</dd>
+                      </div>
+                      <div>
+                        <dt className="font-medium text-gray-500">回復に必要なシェア数</dt>
+                        <dd>{threshold || '不明'}</dd>
+                      </div>
+                      <div>
+                        <dt className="font-medium text-gray-500">シェアセットの世代</dt>
+                        <dd>{epoch || '不明'}（シェアが更新されると古い世代のシートは使えなくなります）</dd>
+                      </div>
+                    </dl>
+                  </div>
+
+                  <h4 className="text-sm font-medium text-gray-700 mb-2">シェアの単語</h4>
+                  <ShareMnemonicWords share={share} printable />
+                </>
+              )}
+
+              <div className="mt-4 text-sm text-gray-700">
+                <h4 className="font-medium mb-1">回復の手順</h4>
+                <ol className="list-decimal list-inside space-y-1">
+                  <li>新しいデバイスで Secure Notes の「リカバリー」ページを開き、上記の所有者のプリンシパルIDでリカバリーを開始します</li>
+                  <li>「紙のシェアを入力」でこのシートのQRコードをスキャンするか、単語を順番に入力します</li>
+                  <li>同じ世代のシートを{threshold ? `${threshold}枚` : '必要な数だけ'}集めるとマスターキーを復元できます</li>
+                  <li>ガーディアンの承認が揃うと、新しいデバイスでリカバリーを完了できます</li>
+                </ol>
+                <p className="mt-2 text-xs text-gray-500">
+                  {variant === 'owner'
+                    ? 'このシートは他のシートと別の場所に保管してください。必要な数のシートが揃うとノートを復号できます。'
+                    : 'このシート1枚だけではノートを読むことはできません。所有者から依頼があるまで安全な場所に保管してください。'}
+                </p>
+              </div>
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default PaperBackupKit;
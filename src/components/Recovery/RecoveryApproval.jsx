@@ -2,10 +2,15 @@ import React, { useState, useEffect } from 'react';
 import { 
   getPendingRecoveryRequests, 
   approveRecovery, 
-  submitRecoveryShare 
+  parseRecoveryRequestCode
 } from '../../services/api';
-import { getSharesByUserPrincipal } from '../../services/guardianStorage';
+import { recordRecoveryActivity } from '../../services/protectedPeople';
+import { scheduleShareRelease, processScheduledShareReleases } from '../../services/recoveryDelay';
 import Loading from '../common/Loading';
+import { formatRemainingTime } from '../Guardians/InvitationDetails';
+
+// 提出を待っているシェアを確認する間隔
+const RELEASE_CHECK_INTERVAL_MS = 60 * 1000;
 
 function RecoveryApproval() {
   const [requests, setRequests] = useState([]);
@@ -14,11 +19,29 @@ function RecoveryApproval() {
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [selectedRequest, setSelectedRequest] = useState(null);
+  // リクエストごとのリカバリーリクエストコードと検証済みの公開鍵
+  const [requestCodes, setRequestCodes] = useState({});
+  const [verifiedKeys, setVerifiedKeys] = useState({});
+  // 承認済みで待機期間が過ぎるのを待っているシェアの提出
+  const [scheduledReleases, setScheduledReleases] = useState([]);
 
   useEffect(() => {
     fetchRecoveryRequests();
   }, []);
 
+  // 待機期間が過ぎたシェアを提出し、取り消されたリカバリーの予約を破棄する
+  useEffect(() => {
+    const checkReleases = () => {
+      processScheduledShareReleases()
+        .then(setScheduledReleases)
+        .catch(err => console.error('Failed to process scheduled share releases:', err));
+    };
+
+    checkReleases();
+    const interval = setInterval(checkReleases, RELEASE_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
   const fetchRecoveryRequests = async () => {
     setLoading(true);
     try {
@@ -33,6 +56,18 @@ function RecoveryApproval() {
     }
   };
 
+  // 回復する側から受け取ったリクエストコードを検証
+  const handleVerifyRequestCode = async (request) => {
+    setError(null);
+    
+    try {
+      const recoveryKey = await parseRecoveryRequestCode(requestCodes[request.id] || '', request.principal);
+      setVerifiedKeys(prev => ({ ...prev, [request.id]: recoveryKey }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const handleApproveRecovery = async (request) => {
     setApproving(true);
     setError(null);
@@ -40,28 +75,28 @@ function RecoveryApproval() {
     setSelectedRequest(request);
     
     try {
-      // 1. ガーディアンとしての承認
-      const approveResult = await approveRecovery(request.principal);
-      
-      if (!approveResult.success) {
-        throw new Error(approveResult.error || 'リカバリーの承認に失敗しました');
+      const recoveryKey = verifiedKeys[request.id];
+      if (!recoveryKey) {
+        throw new Error('先にリカバリーリクエストコードを確認してください');
       }
       
-      // 2. シェアデータの提出
-      const userShares = await getSharesByUserPrincipal(request.principal);
+      const requestTime = Math.floor(Number(request.requestTime) / 1000000);
       
-      if (userShares && userShares.length > 0) {
-        for (const share of userShares) {
-          try {
-            await submitRecoveryShare(request.principal, share.id);
-          } catch (shareErr) {
-            console.warn(`シェア提出エラー: ${shareErr.message}`);
-          }
-        }
-      }
+      // 1. ガーディアンとしての承認
+      await approveRecovery(request.principal);
+      
+      // 2. シェアの提出を予約（必要数の承認がそろってから待機期間が過ぎるまでは提出しない）
+      await scheduleShareRelease(request.principal, {
+        requestTime,
+        recoveryPublicKey: recoveryKey.publicKey
+      });
       
-      setSuccess(`${formatPrincipal(request.principal)}のリカバリーリクエストを承認しました`);
+      // 3. 「守っている人」画面の履歴に残す
+      await recordRecoveryActivity(request.principal, 'approved', { requestTime });
+      
+      setSuccess(`${formatPrincipal(request.principal)}のリカバリーリクエストを承認しました。待機期間が過ぎ、所有者が取り消さなければ、このデバイスでログインしたとき（またはこの画面を開いている間）にシェアを提出します。`);
       setRequests(prev => prev.filter(r => r.id !== request.id));
+      setScheduledReleases(await processScheduledShareReleases());
     } catch (error) {
       setError(error.message);
     } finally {
@@ -137,6 +172,34 @@ function RecoveryApproval() {
         </div>
       )}
 
+      {scheduledReleases.length > 0 && (
+        <div className="bg-white shadow-md rounded-lg p-6 mb-6">
+          <h2 className="text-xl font-semibold mb-2">提出を待っているシェア</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            必要数のガーディアンが承認し、リカバリーの要求から待機期間が過ぎるまで、シェアは提出されません。その間に所有者がリカバリーを取り消した場合、シェアは提出されません。
+            期間が過ぎた後にこのデバイスでログインするか、この画面を開くと自動的に提出されます。
+          </p>
+          <ul className="divide-y divide-gray-200">
+            {scheduledReleases.map((release) => (
+              <li key={release.userPrincipal} className="py-2 flex items-center justify-between text-sm">
+                <span className="text-gray-900">{formatPrincipal(release.userPrincipal)}</span>
+                <span className={release.error ? 'text-red-600' : 'text-gray-600'}>
+                  {release.error
+                    ? `提出に失敗しました: ${release.error}`
+                    : release.state === 'released'
+                      ? 'シェアを提出しました'
+                      : release.state === 'cancelled'
+                        ? '所有者がリカバリーを取り消したため、提出しませんでした'
+                        : release.releaseAt
+                          ? `${formatDate(release.releaseAt)} 以降に提出（残り ${formatRemainingTime(Math.max(0, Math.ceil((release.releaseAt - Date.now()) / 1000)))}）`
+                          : '必要数のガーディアンの承認を待っています'}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {requests.length === 0 ? (
         <div className="bg-white shadow-md rounded-lg p-6 text-center">
           <div className="w-16 h-16 mx-auto bg-gray-100 rounded-full flex items-center justify-center mb-4">
@@ -234,6 +297,37 @@ function RecoveryApproval() {
                   </div>
                   
                   <div className="mt-6 bg-gray-50 -mx-6 px-6 py-4">
+                    <div className="mb-4">
+                      <label htmlFor={`requestCode-${request.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                        リカバリーリクエストコード
+                      </label>
+                      <textarea
+                        id={`requestCode-${request.id}`}
+                        value={requestCodes[request.id] || ''}
+                        onChange={(e) => {
+                          const code = e.target.value;
+                          setRequestCodes(prev => ({ ...prev, [request.id]: code }));
+                          setVerifiedKeys(prev => ({ ...prev, [request.id]: null }));
+                        }}
+                        className="w-full h-16 p-2 text-xs font-mono border border-gray-300 rounded"
+                        placeholder="リカバリー中の画面に表示されたコードを貼り付けてください"
+                      />
+                      {verifiedKeys[request.id] ? (
+                        <p className="text-sm text-gray-700 mt-1">
+                          確認コード: <span className="font-mono font-bold tracking-widest">{verifiedKeys[request.id].verificationCode}</span>
+                          （本人の画面の表示と一致することを確認してください）
+                        </p>
+                      ) : (
+                        <button
+                          onClick={() => handleVerifyRequestCode(request)}
+                          disabled={!requestCodes[request.id]}
+                          className="mt-1 text-primary-600 hover:text-primary-800 text-sm disabled:text-gray-400"
+                        >
+                          コードを確認
+                        </button>
+                      )}
+                    </div>
+                    
                     <div className="flex items-center justify-between">
                       <div className="text-sm">
                         <p className="text-gray-700">
@@ -244,7 +338,7 @@ function RecoveryApproval() {
                       <div className="ml-4 flex-shrink-0 flex">
                         <button
                           onClick={() => handleApproveRecovery(request)}
-                          disabled={approving}
+                          disabled={approving || !verifiedKeys[request.id]}
                           className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
                         >
                           {approving && selectedRequest?.id === request.id ? (
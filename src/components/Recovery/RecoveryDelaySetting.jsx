@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { getPublicRecoveryData } from '../../services/api';
+import {
+  getRecoveryDelayHours,
+  setRecoveryDelayHours,
+  RECOVERY_DELAY_OPTIONS
+} from '../../services/recoveryDelay';
+import { formatLifetime } from '../Guardians/InvitationDetails';
+
+/**
+ * リカバリーの待機期間の設定（所有者側）
+ * リカバリーが要求されてから、シェアが提出されるまでの期間（提出には必要数のガーディアンの承認も必要）
+ */
+function RecoveryDelaySetting() {
+  const [delayHours, setDelayHours] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getPublicRecoveryData()
+      .then(data => setDelayHours(getRecoveryDelayHours(data)))
+      .catch(err => {
+        console.error('リカバリーの待機期間の取得に失敗:', err);
+        setError('待機期間を取得できませんでした');
+      });
+  }, []);
+
+  const handleChange = async (e) => {
+    const hours = Number(e.target.value);
+    const previous = delayHours;
+    setDelayHours(hours);
+    setSaving(true);
+    setError(null);
+    try {
+      await setRecoveryDelayHours(hours);
+    } catch (err) {
+      console.error('リカバリーの待機期間の保存に失敗:', err);
+      setDelayHours(previous);
+      setError(err.message || '待機期間を保存できませんでした');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 text-sm text-gray-700">
+      <label>
+        リカバリーの待機期間
+        <select
+          value={delayHours || ''}
+          onChange={handleChange}
+          disabled={saving || delayHours === null}
+          className="ml-2 border rounded py-1 px-2 text-sm text-gray-700"
+        >
+          {RECOVERY_DELAY_OPTIONS.map(hours => (
+            <option key={hours} value={hours}>{formatLifetime(hours)}</option>
+          ))}
+        </select>
+      </label>
+      <p className="text-xs text-gray-500 mt-1">
+        リカバリーが要求されてから、必要数のガーディアンが承認したシェアが提出されるまでの期間です。この間にリカバリーに心当たりがなければ、ログイン中のデバイスから取り消せます。
+      </p>
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+export default RecoveryDelaySetting;
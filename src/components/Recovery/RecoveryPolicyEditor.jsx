@@ -0,0 +1,360 @@
+import React, { useState, useEffect } from 'react';
+import { getGuardians, getRecoveryPolicy, syncGuardianKeyRegistry } from '../../services/api';
+import {
+  changeRecoveryPolicy,
+  cancelRecoveryPolicyChange,
+  getPolicyChangeJob,
+  planRecoveryPolicyChange,
+  MIN_REQUIRED_SHARES,
+  MAX_TOTAL_GUARDIANS
+} from '../../services/recoveryPolicy';
+import { useAuth } from '../../context/AuthContext';
+import Loading from '../common/Loading';
+
+const PHASE_LABELS = {
+  deliver: 'ガーディアンに新しいシェアを配布しています',
+  retire: 'シェアを切り替えて古いシェアを無効にしています',
+  completed: '完了しました'
+};
+
+const GUARDIAN_COUNT_OPTIONS = Array.from(
+  { length: MAX_TOTAL_GUARDIANS - MIN_REQUIRED_SHARES + 1 },
+  (_, i) => i + MIN_REQUIRED_SHARES
+);
+
+// ガーディアンIDを表示用にフォーマット
+const formatPrincipal = (principal) => {
+  if (!principal) return '';
+  if (principal.length <= 10) return principal;
+  return `${principal.substring(0, 5)}...${principal.substring(principal.length - 5)}`;
+};
+
+/**
+ * リカバリーポリシー（ガーディアン数と必要なシェア数）の編集
+ * マスターキーを新しいポリシーで分割し直し、必要数のシェアが届いてから古いシェアを無効にする
+ */
+function RecoveryPolicyEditor({ onClose, onComplete }) {
+  const { user } = useAuth();
+  const [job, setJob] = useState(() => {
+    // 完了済みのジョブは表示せず、新しい変更を始められるようにする
+    const pendingJob = getPolicyChangeJob(user?.principal);
+    return pendingJob && pendingJob.status !== 'completed' ? pendingJob : null;
+  });
+  const [guardians, setGuardians] = useState([]);
+  const [guardianKeys, setGuardianKeys] = useState({});
+  const [currentPolicy, setCurrentPolicy] = useState(null);
+  const [totalGuardians, setTotalGuardians] = useState(null);
+  const [requiredShares, setRequiredShares] = useState(null);
+  const [keepPrincipals, setKeepPrincipals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isResumable = job && job.status !== 'completed';
+
+  useEffect(() => {
+    // 計画はキャニスターに登録された公開鍵で立てる（このデバイスのキャッシュだけでは判断しない）
+    Promise.all([getGuardians(), getRecoveryPolicy(), syncGuardianKeyRegistry()])
+      .then(([fetchedGuardians, policy, registry]) => {
+        setGuardians(fetchedGuardians);
+        setGuardianKeys(registry);
+        setCurrentPolicy(policy);
+        setTotalGuardians(policy.totalGuardians);
+        setRequiredShares(policy.requiredShares);
+        setKeepPrincipals(fetchedGuardians.map(guardian => guardian.principal));
+      })
+      .catch(err => {
+        console.error('リカバリーポリシーの取得に失敗:', err);
+        setError('現在のリカバリーポリシーを取得できませんでした');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const plan = currentPolicy
+    ? planRecoveryPolicyChange(guardians, { totalGuardians, requiredShares }, keepPrincipals, guardianKeys)
+    : null;
+
+  const toggleKeep = (principal) => {
+    setKeepPrincipals(prev => prev.includes(principal)
+      ? prev.filter(p => p !== principal)
+      : [...prev, principal]);
+  };
+
+  const handleApply = async () => {
+    if (!isResumable && !window.confirm('リカバリーポリシーを変更しますか？必要な数のガーディアンに新しいシェアが届いた時点で、古いシェアは使えなくなります。')) {
+      return;
+    }
+
+    setRunning(true);
+    setError(null);
+
+    try {
+      const result = await changeRecoveryPolicy({
+        totalGuardians,
+        requiredShares,
+        keepPrincipals,
+        guardians,
+        guardianKeys,
+        onProgress: setProgress
+      });
+      setJob(result);
+
+      if (result.status === 'completed') {
+        onComplete && onComplete(result);
+      }
+    } catch (err) {
+      console.error('リカバリーポリシーの変更エラー:', err);
+      setError(`${err.message || 'リカバリーポリシーの変更に失敗しました'}（もう一度実行すると続きから再開します）`);
+      setJob(getPolicyChangeJob(user?.principal));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleCancel = () => {
+    try {
+      cancelRecoveryPolicyChange(user?.principal);
+      setJob(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const percent = progress && progress.total
+    ? Math.round((progress.done / progress.total) * 100)
+    : 0;
+
+  const renderPrincipalList = (principals, className) => (
+    <ul className={`text-sm list-disc list-inside ${className}`}>
+      {principals.map(principal => (
+        <li key={principal} className="font-mono">{formatPrincipal(principal)}</li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 max-h-screen overflow-y-auto">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">リカバリーポリシーの編集</h2>
+        <button
+          onClick={onClose}
+          disabled={running}
+          className="text-gray-500 hover:text-gray-700"
+          aria-label="Close"
+        >
+          <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+
+      {loading && <Loading />}
+
+      {running && progress && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-700 mb-2">{PHASE_LABELS[progress.phase]}</p>
+          {progress.total > 0 && (
+            <>
+              <div className="w-full bg-gray-200 rounded-full h-2.5">
+                <div className="bg-primary-600 h-2.5 rounded-full" style={{ width: `${percent}%` }}></div>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">{progress.done} / {progress.total}</p>
+            </>
+          )}
+        </div>
+      )}
+
+      {!running && job && job.status === 'completed' && (
+        <div className="mb-4">
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+            リカバリーポリシーを {job.policy.requiredShares} / {job.policy.totalGuardians} に変更しました（世代 {job.epoch}）。
+            {job.delivered.length}人のガーディアンに新しいシェアを配布しました。
+          </div>
+          {job.unassignedShares > 0 && (
+            <p className="text-sm text-yellow-700 mb-2">
+              残りの{job.unassignedShares}個のシェアは新しいガーディアンの招待に使ってください。
+            </p>
+          )}
+          {job.pendingAssignments?.length > 0 && (
+            <div className="text-sm text-yellow-800 mb-2">
+              次のガーディアンのシェアはまだ切り替えられていません。新しいシェアは預けてあるため、次回ログイン時に自動的に再試行します：
+              {renderPrincipalList(job.pendingAssignments, '')}
+            </div>
+          )}
+          {!job.profileUpdated && (
+            <p className="text-xs text-gray-500 mb-2">
+              キャニスターのプロファイルの値は更新されませんでしたが、リカバリーでは新しいポリシーが使われます。
+            </p>
+          )}
+        </div>
+      )}
+
+      {!running && isResumable && (
+        <div className="mb-4">
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-2">
+            {job.policy.requiredShares} / {job.policy.totalGuardians} へのポリシー変更が完了していません。
+            新しいシェアが届いたガーディアンは{job.delivered.length}人です（必要数 {job.policy.requiredShares}人）。
+            {job.phase === 'deliver' && ' それまでは古いシェアで回復できます。'}
+          </div>
+          {job.failedDeliveries.length > 0 && (
+            <div className="text-sm text-red-700">
+              次のガーディアンには配布できませんでした：
+              <ul className="list-disc list-inside">
+                {job.failedDeliveries.map(failure => (
+                  <li key={failure.principal}>
+                    <span className="font-mono">{formatPrincipal(failure.principal)}</span>: {failure.error}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {!running && !loading && !job && currentPolicy && plan && (
+        <div className="mb-4">
+          <p className="text-sm text-gray-600 mb-4">
+            現在のポリシー: {currentPolicy.totalGuardians}人中{currentPolicy.requiredShares}人の承認で回復
+          </p>
+
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="policyTotalGuardians" className="block text-gray-700 text-sm font-bold mb-2">
+                ガーディアン数
+              </label>
+              <select
+                id="policyTotalGuardians"
+                value={totalGuardians}
+                onChange={(e) => setTotalGuardians(parseInt(e.target.value, 10))}
+                className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+              >
+                {GUARDIAN_COUNT_OPTIONS.map(count => (
+                  <option key={count} value={count}>{count}人</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="policyRequiredShares" className="block text-gray-700 text-sm font-bold mb-2">
+                回復に必要な人数
+              </label>
+              <select
+                id="policyRequiredShares"
+                value={requiredShares}
+                onChange={(e) => setRequiredShares(parseInt(e.target.value, 10))}
+                className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+              >
+                {GUARDIAN_COUNT_OPTIONS.map(count => (
+                  <option key={count} value={count}>{count}人</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {guardians.length > 0 && (
+            <div className="mb-4">
+              <p className="text-sm font-medium text-gray-700 mb-2">シェアを持たせるガーディアン</p>
+              <ul className="border border-gray-200 rounded divide-y divide-gray-200">
+                {guardians.map(guardian => {
+                  const needsInvitation = plan.needsInvitation.includes(guardian.principal);
+                  const kept = plan.keep.includes(guardian.principal);
+                  return (
+                    <li key={guardian.principal} className="flex items-center justify-between px-3 py-2">
+                      <label className="flex items-center text-sm font-mono">
+                        <input
+                          type="checkbox"
+                          checked={!needsInvitation && keepPrincipals.includes(guardian.principal)}
+                          disabled={needsInvitation}
+                          onChange={() => toggleKeep(guardian.principal)}
+                          className="mr-2"
+                        />
+                        {formatPrincipal(guardian.principal)}
+                      </label>
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                        kept ? 'bg-green-100 text-green-800'
+                          : needsInvitation ? 'bg-yellow-100 text-yellow-800'
+                            : 'bg-gray-100 text-gray-800'
+                      }`}>
+                        {kept ? 'シェアを保持' : needsInvitation ? '再招待が必要' : '外れる'}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
+          <div className="bg-gray-50 border border-gray-200 rounded p-3 text-sm text-gray-700 space-y-2">
+            <p>{plan.keep.length}人のガーディアンに新しいシェアを配布します。</p>
+            {plan.needsInvitation.length > 0 && (
+              <div>
+                <p className="text-yellow-800">
+                  次のガーディアンは公開鍵が登録されていないため新しいシェアを受け取れません。ポリシーの変更後に外れるので、公開鍵コードを受け取って再度追加してください：
+                </p>
+                {renderPrincipalList(plan.needsInvitation, 'text-yellow-800')}
+              </div>
+            )}
+            {plan.needsKeyApproval.length > 0 && (
+              <div>
+                <p className="text-yellow-800">
+                  次のガーディアンは公開鍵が変わっていて承認されていないため新しいシェアを受け取れません。ポリシーの変更前に「ガーディアン」ページで指紋を確認して承認してください：
+                </p>
+                {renderPrincipalList(plan.needsKeyApproval, 'text-yellow-800')}
+              </div>
+            )}
+            {plan.removed.length > 0 && (
+              <div>
+                <p>次のガーディアンはポリシーの変更後に外れます：</p>
+                {renderPrincipalList(plan.removed, '')}
+              </div>
+            )}
+            {plan.openSlots > 0 && (
+              <p>変更後、あと{plan.openSlots}人のガーディアンを新たに招待できます。</p>
+            )}
+          </div>
+
+          {plan.error && (
+            <p className="text-sm text-red-700 mt-2">{plan.error}</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center justify-end space-x-2">
+        {!running && isResumable && (job.phase === 'deliver' || !job.published) && (
+          <button
+            onClick={handleCancel}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+          >
+            変更を取り消す
+          </button>
+        )}
+        {!running && (isResumable || (!job && plan)) && (
+          <button
+            onClick={handleApply}
+            disabled={!isResumable && (!plan || !!plan.error)}
+            className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
+          >
+            {isResumable ? '再開' : 'ポリシーを変更'}
+          </button>
+        )}
+        {!running && job && job.status === 'completed' && (
+          <button
+            onClick={onClose}
+            className="bg-primary-600 hover:bg-primary-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline"
+          >
+            閉じる
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RecoveryPolicyEditor;
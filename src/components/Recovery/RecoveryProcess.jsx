@@ -2,13 +2,21 @@ import React, { useState, useEffect,useCallback } from 'react';
 import { Principal } from '@dfinity/principal';
 import { 
   initiateRecovery, 
-  getRecoveryStatus,
+  findRecoveryStatus,
+  collectRecoveryData,
+  combineRecoveryShares,
+  createRecoveryRequestCode,
   finalizeRecovery,
   activateRecoveredAccount
 } from '../../services/api';
 import { combineShares,generateKeyPair } from '../../services/crypto';
 import { saveUserMasterKey } from '../../services/improved-crypto';
 import Loading from '../common/Loading';
+import ShareMnemonicInput from './ShareMnemonicInput';
+import QRScanner from '../common/QRScanner';
+import { parseShareBackupCode } from '../../services/shareMnemonic';
+import { getRecoveryDelayState } from '../../services/recoveryDelay';
+import { formatLifetime, formatRemainingTime } from '../Guardians/InvitationDetails';
 
 function RecoveryProcess() {
   const [userToRecover, setUserToRecover] = useState('');
@@ -21,6 +29,13 @@ function RecoveryProcess() {
   const [newDeviceName, setNewDeviceName] = useState('');
   const [processingFinal, setProcessingFinal] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
+  const [requestCode, setRequestCode] = useState(null);
+  const [recoveredMasterKey, setRecoveredMasterKey] = useState(null);
+  const [manualShares, setManualShares] = useState([]);
+  const [combiningManual, setCombiningManual] = useState(false);
+  const [scanningShare, setScanningShare] = useState(false);
+  // 必要数の承認がそろってからシェアが提出されるまでの待機状況
+  const [delayState, setDelayState] = useState(null);
   
   // ステータスポーリング用インターバル
   useEffect(() => {
@@ -45,8 +60,28 @@ function RecoveryProcess() {
     try {
       if (!userToRecover) return;
       
-      const result = await getRecoveryStatus(userToRecover);
+      const result = await findRecoveryStatus(userToRecover);
+      
+      // 待機期間中に所有者がリカバリーを取り消した
+      if (!result || result.session.status === 'Failed') {
+        setDelayState(null);
+        setError('このリカバリーは取り消されました。アカウントの所有者が待機期間中に取り消した可能性があります。');
+        return;
+      }
+      
       setStatus(result);
+      setDelayState(getRecoveryDelayState(userToRecover, result));
+      
+      // ガーディアンがこのデバイス宛てに提出したシェアからマスターキーを再構築
+      if (['SharesCollected', 'Completed'].includes(result.session.status) && !recoveredMasterKey) {
+        const recoveryData = await collectRecoveryData(userToRecover, manualShares);
+        if (recoveryData.masterKey) {
+          setRecoveredMasterKey(recoveryData.masterKey);
+        }
+        if (recoveryData.invalidShares.length > 0) {
+          setError(`${recoveryData.invalidShares.length}件のシェアが検証に失敗しました。破損または偽造されたシェアは復元に使用していません。`);
+        }
+      }
       
       // リカバリー完了ステップ
       if (result.session.status === 'Completed') {
@@ -54,7 +89,7 @@ function RecoveryProcess() {
         
         // 最低限1つのデバイスを設定
         if (devicesAvailable.length === 0) {
-          // 新しいデバイスキーを生成
+          // 新しいデバイスキーを生成（Web Crypto APIのRSA-OAEP鍵ペア）
           const deviceKeyPair = await generateKeyPair();
           
           // 復元されたアカウント用のデバイス情報を保存
@@ -70,7 +105,72 @@ function RecoveryProcess() {
       console.error('Failed to check recovery status:', err);
       // ポーリングの場合はエラー表示しない（UX改善のため）
     }
-  }, [userToRecover, devicesAvailable]);
+  }, [userToRecover, devicesAvailable, recoveredMasterKey, manualShares]);
+  
+  // 現在のシェアセットの閾値（ポリシー変更後は公開リカバリーデータの値が新しい）
+  const getRequiredShares = () => {
+    if (!status) return null;
+    const publicData = status.profile.publicRecoveryData;
+    return Number((publicData && publicData.requiredShares) || status.profile.requiredShares);
+  };
+  
+  // 単語から入力したシェアを追加（問題があればエラーメッセージを返す）
+  const handleAddManualShare = (share) => {
+    if (manualShares.some(existing => existing.value === share.value)) {
+      return 'このシェアはすでに入力されています';
+    }
+    
+    const requiredShares = getRequiredShares();
+    if (share.threshold && requiredShares && share.threshold !== requiredShares) {
+      return `このシェアは閾値${share.threshold}のシェアセットのものです。現在のリカバリー設定（閾値${requiredShares}）のシェアを入力してください`;
+    }
+    
+    setManualShares(prev => [...prev, share]);
+    return null;
+  };
+  
+  // 紙のバックアップのQRコードからシェアを追加
+  const handleScanShare = (code) => {
+    setScanningShare(false);
+    setError(null);
+    
+    try {
+      const share = parseShareBackupCode(code);
+      if (share.userPrincipal && share.userPrincipal !== userToRecover.trim()) {
+        throw new Error('このシートは別のアカウントのシェアです');
+      }
+      
+      const addError = handleAddManualShare(share);
+      if (addError) {
+        throw new Error(addError);
+      }
+    } catch (err) {
+      console.error('Failed to read share backup:', err);
+      setError(err.message || 'QRコードからシェアを読み取れませんでした');
+    }
+  };
+  
+  // 入力したシェアだけでマスターキーの再構築を試みる
+  const handleCombineManualShares = async () => {
+    setCombiningManual(true);
+    setError(null);
+    
+    try {
+      const result = await combineRecoveryShares(userToRecover, manualShares);
+      if (result.masterKey) {
+        setRecoveredMasterKey(result.masterKey);
+      } else if (result.invalidShares.length > 0) {
+        setError(`${result.invalidShares.length}件のシェアが検証に失敗しました。単語が正しいか、最新のシェアかをガーディアンに確認してください。`);
+      } else {
+        setError(`シェアが足りません（${result.shareCount} / ${result.requiredShares}）`);
+      }
+    } catch (err) {
+      console.error('Failed to combine manual shares:', err);
+      setError(err.message || 'シェアを結合できませんでした');
+    } finally {
+      setCombiningManual(false);
+    }
+  };
   
   // リカバリー開始処理
   const handleInitiateRecovery = async (e) => {
@@ -87,11 +187,10 @@ function RecoveryProcess() {
       }
       
       // リカバリー開始APIコール
-      const result = await initiateRecovery(userToRecover);
+      await initiateRecovery(userToRecover);
       
-      if (!result.success) {
-        throw new Error(result.error || 'リカバリーの開始に失敗しました。もう一度お試しください。');
-      }
+      // ガーディアンがシェアをこのデバイス宛てに暗号化するための公開鍵
+      setRequestCode(await createRecoveryRequestCode(userToRecover));
       
       setRecoveryInitiated(true);
       setStep(2);
@@ -132,8 +231,8 @@ function RecoveryProcess() {
         newDevice.keyPair.publicKey
       );
       
-      if (!finalizeResult.success) {
-        throw new Error(finalizeResult.error || 'リカバリー処理の最終化に失敗しました');
+      if (finalizeResult.err) {
+        throw new Error(finalizeResult.err || 'リカバリー処理の最終化に失敗しました');
       }
       
       // デバイスの有効化
@@ -143,8 +242,8 @@ function RecoveryProcess() {
         newDevice.keyPair.publicKey
       );
       
-      if (!activateResult.success) {
-        throw new Error(activateResult.error || 'リカバリーされたアカウントの有効化に失敗しました');
+      if (activateResult.err) {
+        throw new Error(activateResult.err || 'リカバリーされたアカウントの有効化に失敗しました');
       }
       
       // 成功処理
@@ -153,9 +252,9 @@ function RecoveryProcess() {
       // マスターキーと秘密鍵をローカルに保存
       localStorage.setItem('devicePrivateKey', newDevice.keyPair.privateKey);
       
-      // 仮のマスターキー - 実際にはバックエンドから取得または再構築
-      if (status.masterKey) {
-        saveUserMasterKey(userToRecover, status.masterKey);
+      // ガーディアンのシェアから再構築したマスターキー
+      if (recoveredMasterKey) {
+        saveUserMasterKey(userToRecover, recoveredMasterKey);
       }
       
       // 3秒後にログインページにリダイレクト
@@ -392,6 +491,31 @@ function RecoveryProcess() {
                 </div>
               </div>
               
+              {delayState && (
+                <div className="border-t border-gray-200 pt-4">
+                  <h4 className="font-medium mb-2">待機期間</h4>
+                  {delayState.thresholdMet ? (
+                    <>
+                      <p className="text-sm mb-2">
+                        {delayState.remainingMs > 0
+                          ? `残り ${formatRemainingTime(Math.ceil(delayState.remainingMs / 1000))}（${new Date(delayState.releaseAt).toLocaleString()} 以降にガーディアンがシェアを提出します）`
+                          : '待機期間が終わりました。ガーディアンがシェアを提出するのを待っています'}
+                      </p>
+                      <div className="w-full bg-gray-200 rounded-full h-2.5">
+                        <div
+                          className="bg-yellow-500 h-2.5 rounded-full transition-all duration-500 ease-in-out"
+                          style={{ width: `${100 - (delayState.remainingMs / (delayState.delayHours * 60 * 60 * 1000)) * 100}%` }}
+                        ></div>
+                      </div>
+                    </>
+                  ) : (
+                    <p className="text-sm text-gray-600">
+                      リカバリーを要求してから{formatLifetime(delayState.delayHours)}の待機期間があり、必要数のガーディアンが承認しても {new Date(delayState.releaseAt).toLocaleString()} まではシェアが提出されません。その間はアカウントの所有者のデバイスに通知され、所有者はリカバリーを取り消せます。
+                    </p>
+                  )}
+                </div>
+              )}
+              
               <div className="border-t border-gray-200 pt-4">
                 <h4 className="font-medium mb-2">シェア収集</h4>
                 <p className="text-sm mb-2">
@@ -412,10 +536,101 @@ function RecoveryProcess() {
                   ガーディアンに連絡して、リカバリーリクエストを承認してもらってください：
                 </p>
                 <ol className="list-decimal list-inside text-sm text-gray-600 space-y-1 pl-4">
-                  <li>ガーディアンにあなたのリカバリーリクエストを伝えてください</li>
+                  <li>ガーディアンにあなたのリカバリーリクエストを伝え、下のリクエストコードを送ってください</li>
                   <li>ガーディアンはセキュアノートアプリにログインし、「ガーディアンリクエスト」セクションで承認します</li>
-                  <li>必要な数のガーディアンが承認すると、リカバリーが完了します</li>
+                  <li>必要な数のガーディアンが承認し、要求からの待機期間が過ぎると、所有者が取り消さなければガーディアンが次にログインしたときにシェアが届きます</li>
                 </ol>
+                
+                {requestCode && (
+                  <div className="mt-4">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">リカバリーリクエストコード</label>
+                    <textarea
+                      readOnly
+                      value={requestCode.code}
+                      className="w-full h-20 p-2 text-xs font-mono border border-gray-300 rounded bg-gray-50 mb-2"
+                    />
+                    <div className="flex items-center justify-between">
+                      <p className="text-sm text-gray-600">
+                        確認コード: <span className="font-mono font-bold tracking-widest">{requestCode.verificationCode}</span>
+                        （ガーディアンの画面の表示と一致することを伝えてください）
+                      </p>
+                      <button
+                        onClick={() => {
+                          navigator.clipboard.writeText(requestCode.code);
+                          alert('リクエストコードをクリップボードにコピーしました');
+                        }}
+                        className="text-primary-600 hover:text-primary-800 text-sm"
+                      >
+                        コードをコピー
+                      </button>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                      シェアはこのデバイスでのみ復号できます。リカバリーが完了するまでこのデバイスで操作してください。
+                    </p>
+                  </div>
+                )}
+              </div>
+              
+              <div className="border-t border-gray-200 pt-4">
+                <h4 className="font-medium mb-2">紙のシェアを入力</h4>
+                <p className="text-sm text-gray-600 mb-2">
+                  紙に印刷したシェアのQRコードをスキャンするか、読み上げてもらった単語を入力できます。
+                  入力の誤りはチェックサムで検出されます。
+                </p>
+                
+                {manualShares.length > 0 && (
+                  <ul className="text-sm text-gray-700 mb-2 space-y-1">
+                    {manualShares.map(share => (
+                      <li key={share.value} className="flex items-center justify-between">
+                        <span>
+                          シェア #{share.index}
+                          {share.threshold && `（閾値 ${share.threshold}）`}
+                        </span>
+                        <button
+                          onClick={() => setManualShares(prev => prev.filter(s => s.value !== share.value))}
+                          className="text-red-600 hover:text-red-800 text-xs"
+                        >
+                          取り除く
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                
+                {recoveredMasterKey ? (
+                  <p className="text-sm text-green-700">
+                    マスターキーを再構築しました。必要な数のガーディアンが承認すると、リカバリーを完了できます。
+                  </p>
+                ) : (
+                  <>
+                    {scanningShare ? (
+                      <QRScanner
+                        elementId="share-backup-reader"
+                        message="印刷したシートのQRコードを枠内に配置してください"
+                        onScan={handleScanShare}
+                        onCancel={() => setScanningShare(false)}
+                      />
+                    ) : (
+                      <button
+                        onClick={() => setScanningShare(true)}
+                        disabled={combiningManual}
+                        className="mb-2 text-primary-600 hover:text-primary-800 text-sm disabled:text-gray-400"
+                      >
+                        QRコードをスキャン
+                      </button>
+                    )}
+                    <ShareMnemonicInput onAdd={handleAddManualShare} disabled={combiningManual} />
+                    {manualShares.length > 0 && (
+                      <button
+                        onClick={handleCombineManualShares}
+                        disabled={combiningManual}
+                        className="mt-2 text-primary-600 hover:text-primary-800 text-sm disabled:text-gray-400"
+                      >
+                        {combiningManual ? '結合中...' : `入力したシェア（${manualShares.length}件）で復元する`}
+                      </button>
+                    )}
+                  </>
+                )}
               </div>
               
               <div className="text-center text-sm text-gray-500">
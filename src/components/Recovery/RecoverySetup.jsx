@@ -1,16 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { setupRecovery } from '../../services/api';
-import { retrieveEncryptionKeySecurely } from '../../services/crypto';
+import { getUserMasterKey } from '../../services/improved-crypto';
+import { useAuth } from '../../context/AuthContext';
+import { DEFAULT_RECOVERY_POLICY } from '../../services/auth';
+import { replaceShareInventory } from '../../services/shareInventory';
 import Loading from '../common/Loading';
 
 function RecoverySetup({ onSetupComplete }) {
-  const [totalGuardians, setTotalGuardians] = useState(5);
-  const [requiredShares, setRequiredShares] = useState(3);
+  const [totalGuardians, setTotalGuardians] = useState(DEFAULT_RECOVERY_POLICY.totalGuardians);
+  const [requiredShares, setRequiredShares] = useState(DEFAULT_RECOVERY_POLICY.requiredShares);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [passwordConfirm, setPasswordConfirm] = useState('');
   const [step, setStep] = useState(1);
   const [shares, setShares] = useState([]);
+  const { user } = useAuth();
 
   // リカバリー設定の初期化
   const initializeRecovery = async (e) => {
@@ -34,8 +38,8 @@ function RecoverySetup({ onSetupComplete }) {
       // リカバリー設定のセットアップ
       const setupResult = await setupRecovery(totalGuardians, requiredShares, masterKey);
       
-      // シェアを保存
-      localStorage.setItem('recoveryShares', JSON.stringify(setupResult.shares));
+      // シェアを在庫に保存
+      await replaceShareInventory(user?.principal, setupResult.shares);
       setShares(setupResult.shares);
       
       // ステップ2へ進む（シェア表示）
@@ -48,10 +52,9 @@ function RecoverySetup({ onSetupComplete }) {
     }
   };
 
-  // 簡易的なマスターキー取得関数（実際のアプリではより安全な実装が必要）
+  // ロック解除済みのマスターキーを取得
   const retrieveMasterKey = async () => {
-    // ここでは仮にlocalStorageから取得する形に
-    const masterKey = localStorage.getItem('masterEncryptionKey');
+    const masterKey = getUserMasterKey(user?.principal);
     if (!masterKey) {
       throw new Error('Master encryption key not found');
     }
@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getActiveRecoveryAlert, vetoRecovery } from '../../services/recoveryDelay';
+import { formatLifetime, formatRemainingTime } from '../Guardians/InvitationDetails';
+
+// 自分のアカウントのリカバリーを確認する間隔
+const ALERT_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * 自分のアカウントに進行中のリカバリーがあることの警告（所有者側）
+ * 待機期間が過ぎるまでに、まだ使えるデバイスから取り消せる
+ */
+function RecoveryVetoAlert({ principal }) {
+  const [alert, setAlert] = useState(null);
+  const [vetoing, setVetoing] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const checkAlert = useCallback(async () => {
+    if (!principal) return;
+    try {
+      setAlert(await getActiveRecoveryAlert(principal));
+    } catch (err) {
+      console.error('Failed to check recovery session:', err);
+    }
+  }, [principal]);
+
+  useEffect(() => {
+    checkAlert();
+    const interval = setInterval(checkAlert, ALERT_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [checkAlert]);
+
+  const handleVeto = async () => {
+    if (!window.confirm('進行中のリカバリーを取り消しますか？ガーディアンはシェアを提出しなくなります。')) {
+      return;
+    }
+
+    setVetoing(true);
+    setError(null);
+    try {
+      await vetoRecovery(principal);
+      setAlert(null);
+      setMessage('リカバリーを取り消しました。心当たりがない場合は、ガーディアンに連絡して状況を確認してください。');
+    } catch (err) {
+      console.error('Failed to veto recovery:', err);
+      setError(err.message || 'リカバリーを取り消せませんでした');
+    } finally {
+      setVetoing(false);
+    }
+  };
+
+  if (message) {
+    return (
+      <div className="bg-green-100 border-b border-green-400 text-green-800 px-4 py-3 text-sm">
+        <div className="container mx-auto flex items-center justify-between">
+          <span>{message}</span>
+          <button onClick={() => setMessage(null)} className="ml-4 font-medium">閉じる</button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!alert) {
+    return null;
+  }
+
+  return (
+    <div className="bg-red-600 text-white px-4 py-4">
+      <div className="container mx-auto flex flex-col md:flex-row md:items-center md:justify-between">
+        <div className="text-sm">
+          <p className="font-bold text-base">あなたのアカウントのリカバリーが要求されています</p>
+          <p>
+            {alert.requestTime.toLocaleString()} に要求され、{alert.approvals} / {alert.requiredShares} 人のガーディアンが承認しています。
+          </p>
+          {alert.thresholdMet ? (
+            <p>
+              待機期間が終わるまで残り {formatRemainingTime(Math.ceil(alert.remainingMs / 1000))}。
+              取り消さなければ {new Date(alert.releaseAt).toLocaleString()} 以降にガーディアンがシェアを提出します。
+            </p>
+          ) : (
+            <p>
+              必要数のガーディアンが承認すると、要求から{formatLifetime(alert.delayHours)}の待機期間が過ぎた {new Date(alert.releaseAt).toLocaleString()} 以降にシェアが提出されます。
+            </p>
+          )}
+          <p>心当たりがない場合は、すぐに取り消してください。</p>
+          {error && <p className="mt-1 font-medium">{error}</p>}
+        </div>
+        <button
+          onClick={handleVeto}
+          disabled={vetoing}
+          className="mt-3 md:mt-0 md:ml-4 flex-shrink-0 bg-white text-red-700 hover:bg-red-50 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-75"
+        >
+          {vetoing ? '取り消し中...' : 'リカバリーを取り消す'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default RecoveryVetoAlert;
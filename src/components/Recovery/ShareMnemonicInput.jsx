@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { decodeShareMnemonic } from '../../services/shareMnemonic';
+
+/**
+ * ガーディアンが紙に書き写したシェアの単語を入力する
+ * チェックサムが一致しない入力はシェアとして受け付けない
+ */
+function ShareMnemonicInput({ onAdd, disabled = false }) {
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      const share = decodeShareMnemonic(text);
+      const addError = onAdd(share);
+      if (addError) {
+        setError(addError);
+        return;
+      }
+      setText('');
+    } catch (err) {
+      setError(err.message || '単語を読み取れませんでした');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        className="w-full h-24 p-2 text-sm font-mono border border-gray-300 rounded mb-2"
+        placeholder="例: acid arch area ..."
+        autoCapitalize="none"
+        autoCorrect="off"
+        spellCheck={false}
+        disabled={disabled}
+      />
+      {error && (
+        <p className="text-sm text-red-700 mb-2">{error}</p>
+      )}
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={disabled || !text.trim()}
+          className="bg-primary-600 hover:bg-primary-700 text-white text-sm font-bold py-1 px-3 rounded focus:outline-none focus:shadow-outline disabled:bg-primary-400 disabled:cursor-not-allowed"
+        >
+          シェアを追加
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default ShareMnemonicInput;
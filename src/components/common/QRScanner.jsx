@@ -0,0 +1,75 @@
+import React, { useEffect, useRef } from 'react';
+import { Html5QrcodeScanner } from 'html5-qrcode';
+
+/**
+ * html5-qrcodeによるQRコードスキャナー
+ * 読み取りに成功すると自動的にスキャナーを停止してonScanを呼び出す
+ */
+function QRScanner({ onScan, onCancel, elementId = 'qr-reader', message = 'QRコードを枠内に配置してスキャンしてください' }) {
+  const scannerRef = useRef(null);
+  const onScanRef = useRef(onScan);
+
+  // 最新のコールバックを保持（スキャナーを再生成しないため）
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    const scanner = new Html5QrcodeScanner(
+      elementId,
+      {
+        fps: 10,
+        qrbox: { width: 250, height: 250 },
+        // カメラの選択肢を設定
+        videoConstraints: {
+          facingMode: { ideal: "environment" }
+        }
+      },
+      /* verbose= */ false
+    );
+
+    // スキャン成功ハンドラー
+    const onScanSuccess = (decodedText) => {
+      scanner.clear().catch(() => {});
+      scannerRef.current = null;
+      onScanRef.current && onScanRef.current(decodedText);
+    };
+
+    // スキャン失敗は頻繁に発生するため何もしない
+    const onScanFailure = () => {};
+
+    scanner.render(onScanSuccess, onScanFailure);
+    scannerRef.current = scanner;
+
+    // アンマウント時にスキャナーをクリーンアップ
+    return () => {
+      if (scannerRef.current) {
+        scannerRef.current.clear().catch(() => {});
+        scannerRef.current = null;
+      }
+    };
+  }, [elementId]);
+
+  return (
+    <div className="mb-6">
+      <div className="mb-4">
+        <p className="text-gray-600 text-center mb-2">{message}</p>
+        <div className="relative rounded overflow-hidden">
+          <div id={elementId} style={{ width: '100%' }}></div>
+        </div>
+      </div>
+      {onCancel && (
+        <div className="text-center mt-4">
+          <button
+            onClick={onCancel}
+            className="text-primary-600 hover:text-primary-800 font-medium"
+          >
+            スキャンをキャンセル
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QRScanner;
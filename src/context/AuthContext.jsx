@@ -1,6 +1,21 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { isAuthenticated, login, logout, getCurrentPrincipal } from '../services/auth';
-import { getUserMasterKey, saveUserMasterKey, generateEncryptionKey } from '../services/improved-crypto';
+import { isAuthenticated, login, logout, getCurrentPrincipal, migrateLegacyDeviceKey } from '../services/auth';
+import {
+  getMasterKeyStatus,
+  unlockMasterKey,
+  setMasterKeyPassphrase,
+  lockMasterKey,
+  MASTER_KEY_STATE_EVENT
+} from '../services/improved-crypto';
+import {
+  checkDeviceRevocation,
+  clearNotesCache,
+  syncGuardianShares,
+  retryRecoveryShareAssignments
+} from '../services/api';
+import { syncRotatedMasterKey } from '../services/keyRotation';
+import { processScheduledShareReleases } from '../services/recoveryDelay';
+import { retryPolicyShareAssignments } from '../services/recoveryPolicy';
 
 // 認証コンテキストの作成
 const AuthContext = createContext();
@@ -10,11 +25,73 @@ export function useAuth() {
   return useContext(AuthContext);
 }
 
+// 失効したデバイスであれば鍵情報を消去してログアウト
+async function logoutIfRevoked(principal) {
+  const revoked = await checkDeviceRevocation(principal);
+  if (revoked) {
+    await logout();
+  }
+  return revoked;
+}
+
+// ロック解除後に旧形式（md5）のデバイスキーを再登録
+async function migrateDeviceKeyAfterUnlock() {
+  try {
+    await migrateLegacyDeviceKey();
+  } catch (error) {
+    console.warn('Failed to migrate legacy device key:', error);
+  }
+}
+
+// ガーディアンとして預かっているシェアを所有者が更新した最新の世代に置き換える
+async function syncGuardianSharesAfterLogin() {
+  try {
+    await syncGuardianShares();
+  } catch (error) {
+    console.warn('Failed to sync guardian shares:', error);
+  }
+}
+
+// シェアの更新やポリシーの変更で切り替えられなかったガーディアンの割り当てを再試行
+async function retryShareAssignmentsAfterLogin(principal) {
+  try {
+    await retryRecoveryShareAssignments(principal);
+    await retryPolicyShareAssignments(principal);
+  } catch (error) {
+    console.warn('Failed to retry recovery share assignments:', error);
+  }
+}
+
+// ガーディアンとして承認したリカバリーのうち、待機期間が過ぎたもののシェアを提出する
+async function releaseScheduledSharesAfterLogin() {
+  try {
+    await processScheduledShareReleases();
+  } catch (error) {
+    console.warn('Failed to process scheduled share releases:', error);
+  }
+}
+
+// 他のデバイスでマスターキーがローテーションされていれば、このデバイス宛てにラップし直されたキーに切り替える
+async function syncMasterKeyAfterUnlock(principal) {
+  try {
+    const result = await syncRotatedMasterKey(principal);
+    if (result.updated) {
+      // 旧キーで復号したノートを残さない
+      clearNotesCache();
+    }
+  } catch (error) {
+    console.warn('Failed to sync rotated master key:', error);
+  }
+}
+
 // 認証プロバイダーコンポーネント
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [initialized, setInitialized] = useState(false);
+  const [deviceRevoked, setDeviceRevoked] = useState(false);
+  // マスターキーの状態（unlocked / locked / migration / setup / missing）
+  const [keyStatus, setKeyStatus] = useState(null);
 
   // 初期化時に認証状態をチェック
   useEffect(() => {
@@ -24,6 +101,49 @@ export function AuthProvider({ children }) {
     }
   }, [initialized]);
 
+  // ログインしたらガーディアンのシェアを同期し、待機期間が過ぎたシェアを提出
+  useEffect(() => {
+    if (user?.principal) {
+      retryShareAssignmentsAfterLogin(user.principal);
+      syncGuardianSharesAfterLogin().then(releaseScheduledSharesAfterLogin);
+    }
+  }, [user?.principal]);
+
+  // ロックを解除したら、他のデバイスで変更されたマスターキーを取得
+  useEffect(() => {
+    if (user?.principal && keyStatus === 'unlocked') {
+      syncMasterKeyAfterUnlock(user.principal);
+    }
+  }, [user?.principal, keyStatus]);
+
+  // マスターキーの状態を追跡（自動ロックやデバイス連携による変化も反映）
+  useEffect(() => {
+    if (!user) {
+      setKeyStatus(null);
+      return;
+    }
+
+    let cancelled = false;
+    const refreshKeyStatus = async () => {
+      const status = await getMasterKeyStatus(user.principal);
+      if (status !== 'unlocked') {
+        // ロック中は復号済みのノートをメモリに残さない
+        clearNotesCache();
+      }
+      if (!cancelled) {
+        setKeyStatus(status);
+      }
+    };
+
+    refreshKeyStatus();
+    window.addEventListener(MASTER_KEY_STATE_EVENT, refreshKeyStatus);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener(MASTER_KEY_STATE_EVENT, refreshKeyStatus);
+    };
+  }, [user]);
+
   // 認証状態確認
   async function checkAuthStatus() {
     setLoading(true);
@@ -31,6 +151,11 @@ export function AuthProvider({ children }) {
       const authenticated = await isAuthenticated();
       if (authenticated) {
         const principal = await getCurrentPrincipal();
+        if (await logoutIfRevoked(principal.toString())) {
+          setDeviceRevoked(true);
+          setUser(null);
+          return;
+        }
         setUser({
           principal: principal.toString(),
           isAuthenticated: true
@@ -58,15 +183,11 @@ export function AuthProvider({ children }) {
         throw new Error('Authentication failed: No principal ID returned');
       }
       
-      // ユーザー固有のマスターキーをチェック
-      if (!getUserMasterKey(principal)) {
-        // マスターキーがない場合は新規作成
-        const masterKey = generateEncryptionKey();
-        saveUserMasterKey(principal, masterKey);
-        console.log('Generated new master key for user:', principal.substring(0, 8) + '...');
-      } else {
-        console.log('Using existing master key for user:', principal.substring(0, 8) + '...');
+      if (await logoutIfRevoked(principal)) {
+        setDeviceRevoked(true);
+        throw new Error('このデバイスはアカウントから削除されたため、保存されていた鍵情報を消去しました。');
       }
+
       
       setUser({
         principal: principal,
@@ -86,6 +207,7 @@ export function AuthProvider({ children }) {
   async function handleLogout() {
     setLoading(true);
     try {
+      lockMasterKey();
       await logout();
       setUser(null);
     } catch (error) {
@@ -95,12 +217,29 @@ export function AuthProvider({ children }) {
     }
   }
 
+  // パスフレーズでマスターキーのロックを解除
+  async function handleUnlock(passphrase) {
+    await unlockMasterKey(user.principal, passphrase);
+    await migrateDeviceKeyAfterUnlock();
+  }
+
+  // パスフレーズを設定してマスターキーを保護（平文のキーの移行も兼ねる）
+  async function handleSetPassphrase(passphrase) {
+    await setMasterKeyPassphrase(user.principal, passphrase);
+    await migrateDeviceKeyAfterUnlock();
+  }
+
   // コンテキスト値の作成
   const value = {
     user,
     loading,
+    deviceRevoked,
+    keyStatus,
     login: handleLogin,
     logout: handleLogout,
+    unlock: handleUnlock,
+    setPassphrase: handleSetPassphrase,
+    lock: () => lockMasterKey(user?.principal),
   };
 
   // プロバイダーでラップして値を提供
@@ -1,10 +1,11 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { getNotes, createNote, updateNote, deleteNote } from '../services/api';
+import { getNotes, createNote, updateNote, deleteNote, NOTE_TAMPERING_EVENT } from '../services/api';
 import { useAuth } from './AuthContext';
 import { checkProfileExists, createProfile,getActor } from '../services/auth';
 import { generateKeyPair } from '../services/crypto';
 import { listenForDecryptionErrors, setupDecryptionErrorDetection } from '../services/crypto';
 import { getUserMasterKey } from '../services/improved-crypto';
+import { getPendingRotationKey } from '../services/keyRotation';
 
 
 const NotesContext = createContext();
@@ -33,9 +34,17 @@ export function NotesProvider({ children }) {
       setError(`復号エラーが検出されました (${errorDetails.errors}/${errorDetails.attempts}). デバイスの設定が必要です。`);
     });
     
+    // 改ざんの検出は鍵の問題ではないため、デバイスの再設定は求めない
+    const handleTampering = (event) => {
+      console.warn("Note tampering detected in NotesContext:", event.detail);
+      setError(`${event.detail.noteIds.length}件のノートで改ざんの可能性が検出されました。これらのノートは表示されません。`);
+    };
+    window.addEventListener(NOTE_TAMPERING_EVENT, handleTampering);
+    
     // クリーンアップ関数
     return () => {
       cleanupListener();
+      window.removeEventListener(NOTE_TAMPERING_EVENT, handleTampering);
       // グローバルタイマーをクリーンアップ
       if (window._cryptoState && window._cryptoState.resetTimer) {
         clearInterval(window._cryptoState.resetTimer);
@@ -101,7 +110,9 @@ export function NotesProvider({ children }) {
         
         // ノートを取得 (マスターキーを引数として渡す)
         console.log("Fetching notes...");
-        const fetchedNotes = hasNotes ? await getNotes(masterKey) : [];
+        // マスターキーのローテーション中は、新しいキーで再暗号化済みのノートをそのキーで読む
+        const pendingKey = hasNotes ? await getPendingRotationKey(user.principal) : null;
+        const fetchedNotes = hasNotes ? await getNotes(masterKey, false, { pendingKey }) : [];
         
         console.log("Notes fetched:", fetchedNotes.length);
         setNotes(fetchedNotes);
@@ -122,7 +133,7 @@ export function NotesProvider({ children }) {
       }
     }
 
-    async function setupProfile() {
+    async function setupProfile(passphrase) {
       console.log("setupProfile called");
       setLoading(true);
       setError(null);
@@ -134,7 +145,7 @@ export function NotesProvider({ children }) {
         
         // プロファイルを作成
         console.log("Creating profile...");
-        await createProfile('Initial Device');
+        await createProfile('Initial Device', passphrase);
         
         // プロファイル作成後に状態を更新
         console.log("Profile created successfully");
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import GuardiansList from '../components/Guardians/GuardiansList';
 import GuardianShares from '../components/Guardians/GuardianShares';
+import PendingInvites from '../components/Guardians/PendingInvites';
+import ProtectedPeople from '../components/Guardians/ProtectedPeople';
 
 function GuardiansManagement() {
   const [activeTab, setActiveTab] = useState('guardians');
@@ -22,6 +24,26 @@ function GuardiansManagement() {
           >
             ガーディアン一覧
           </button>
+          <button
+            className={`mr-8 py-4 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'invites'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+            onClick={() => setActiveTab('invites')}
+          >
+            招待中
+          </button>
+          <button
+            className={`mr-8 py-4 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'protected'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+            onClick={() => setActiveTab('protected')}
+          >
+            守っている人
+          </button>
           <button
             className={`py-4 px-1 border-b-2 font-medium text-sm ${
               activeTab === 'shares'
@@ -38,6 +60,10 @@ function GuardiansManagement() {
       {/* タブコンテンツ */}
       {activeTab === 'guardians' ? (
         <GuardiansList />
+      ) : activeTab === 'invites' ? (
+        <PendingInvites />
+      ) : activeTab === 'protected' ? (
+        <ProtectedPeople />
       ) : (
         <GuardianShares />
       )}
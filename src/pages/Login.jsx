@@ -3,7 +3,7 @@ import { Navigate, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 function Login() {
-  const { user, loading, login } = useAuth();
+  const { user, loading, login, deviceRevoked } = useAuth();
   const [isLoggingIn, setIsLoggingIn] = useState(false);
   const [error, setError] = useState(null);
   const navigate = useNavigate();
@@ -44,6 +44,12 @@ function Login() {
               <p className="mt-2 text-gray-600">暗号化されたメモで安全に情報を管理</p>
             </div>
             
+            {deviceRevoked && !error && (
+              <div className="mt-4 bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded relative">
+                <span className="block sm:inline">このデバイスはアカウントから削除されたため、保存されていた鍵情報を消去しました。</span>
+              </div>
+            )}
+            
             {error && (
               <div className="mt-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative">
                 <span className="block sm:inline">{error}</span>
@@ -9,22 +9,54 @@ import {
   encryptWithPublicKey, 
   decryptWithPrivateKey,
   createShares,
-  combineShares,
-  generateKeyPair
+  generateKeyPair,
+  isLegacyPublicKey,
+  hexToBytes,
+  bytesToHex,
+  getPublicKeyFingerprint,
+  derivePublicKey,
+  isLegacyPrivateKey
 } from './crypto';
 import { 
   encryptWithKey as improvedEncrypt,
   decryptWithKey as improvedDecrypt,
   getUserMasterKey,
-  saveUserMasterKey
+  saveUserMasterKey,
+  lockMasterKey,
+  computeMasterKeyCheck,
+  getEnvelopeContext,
+  CONTEXT_MISMATCH_ERROR,
+  ENVELOPE_AUTHENTICATION_ERROR,
+  PADDING_MODES,
+  createShareCommitments,
+  verifyShareCommitment,
+  findShareIdByCommitment,
+  combineVerifiedShares,
+  INVALID_SHARES_ERROR,
+  generateSigningKeyPair,
+  deriveSigningPublicKey,
+  signMessage,
+  verifyMessageSignature
  } from './improved-crypto';
  import { Principal } from '@dfinity/principal';
+import { getAllShares, storeShareInIndexedDB, deleteShare } from './guardianStorage';
+import { replaceShareInventory } from './shareInventory';
 
 //------------------------------------------------
 // ガーディアンの公開鍵管理
 //------------------------------------------------
+// 公開鍵はキャニスターの公開リカバリーデータ（guardianKeys）に登録し、
+// このデバイスのlocalStorageにはシェアの暗号化に使う鍵をキャッシュする
 const GUARDIAN_REGISTRY_KEY = 'guardianRegistry';
 
+export const GUARDIAN_KEY_CHANGED_ERROR = 'GUARDIAN_KEY_CHANGED';
+export const GUARDIAN_KEY_NOT_PUBLISHED_ERROR = 'GUARDIAN_KEY_NOT_PUBLISHED';
+
+// ガーディアンが所有者宛てに公開鍵を置くキャニスター上の記録のID
+// storeKeyShare で保存した記録は保存したプリンシパルに結び付くため、所有者は getMyKeyShare で
+// ガーディアン本人が置いた鍵だけを読める（公開鍵コードを貼り付けた人を信頼する必要がない）
+const GUARDIAN_KEY_RECORD_ID = 'guardian-public-key';
+
 /**
  * ガーディアンレジストリを初期化または取得
  * @returns {Object} ガーディアンの公開鍵レジストリ
@@ -35,11 +67,11 @@ const getGuardianRegistry = () => {
 };
 
 /**
- * ガーディアンの公開鍵を保存
+ * ガーディアンの公開鍵をこのデバイスのキャッシュに保存
  * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
  * @param {string} publicKey - ガーディアンの公開鍵
  */
-export const saveGuardianPublicKey = (guardianPrincipal, publicKey) => {
+const saveGuardianPublicKey = (guardianPrincipal, publicKey) => {
   const registry = getGuardianRegistry();
   registry[guardianPrincipal] = publicKey;
   localStorage.setItem(GUARDIAN_REGISTRY_KEY, JSON.stringify(registry));
@@ -55,23 +87,437 @@ export const getGuardianPublicKey = (guardianPrincipal) => {
   return registry[guardianPrincipal] || null;
 };
 
+/**
+ * 公開鍵の短い指紋（口頭や画面で読み合わせる用）
+ * @param {string} publicKey - 16進数の公開鍵
+ * @returns {Promise<string>} 4文字ずつ区切った20文字の指紋
+ */
+export const getGuardianKeyFingerprint = async (publicKey) => {
+  const fingerprint = (await getPublicKeyFingerprint(publicKey)).substring(0, 20).toUpperCase();
+  return fingerprint.match(/.{4}/g).join(' ');
+};
+
+/**
+ * キャニスターに登録されたガーディアンの公開鍵を取得
+ * @returns {Promise<Object>} プリンシパルID → 登録内容（publicKey, fingerprint, registeredAt, verifiedAt, previousFingerprint）
+ */
+const getRegisteredGuardianKeys = async () => {
+  const publicRecoveryData = await getPublicRecoveryData();
+  return (publicRecoveryData && publicRecoveryData.guardianKeys) || {};
+};
+
+/**
+ * キャニスターのガーディアン公開鍵の登録を更新
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @param {Object|null} entry - 登録内容（nullの場合は削除）
+ * @returns {Promise<void>}
+ */
+const updateRegisteredGuardianKey = async (guardianPrincipal, entry) => {
+  await updatePublicRecoveryData(current => {
+    const guardianKeys = { ...(current.guardianKeys || {}) };
+    if (entry) {
+      guardianKeys[guardianPrincipal] = entry;
+    } else {
+      delete guardianKeys[guardianPrincipal];
+    }
+    return { guardianKeys };
+  });
+};
+
+/**
+ * キャニスターの公開鍵レジストリとこのデバイスのキャッシュを同期
+ * キャッシュがない鍵はキャニスターから取り込み、キャニスターにない鍵（以前のバージョンの登録）は
+ * ガーディアン本人が公開した鍵と一致する場合だけ登録する。
+ * キャッシュと異なる鍵が登録されている場合はキャッシュを書き換えず、鍵の変更として返す
+ * @returns {Promise<Object>} プリンシパルID → 登録内容（keyChanged: このデバイスで未承認の鍵の変更）
+ */
+export const syncGuardianKeyRegistry = async () => {
+  const registered = await getRegisteredGuardianKeys();
+  const cache = getGuardianRegistry();
+  const result = {};
+  const missing = {};
+
+  for (const [guardianPrincipal, entry] of Object.entries(registered)) {
+    const cachedKey = cache[guardianPrincipal];
+    if (!cachedKey) {
+      saveGuardianPublicKey(guardianPrincipal, entry.publicKey);
+    }
+    result[guardianPrincipal] = {
+      ...entry,
+      keyChanged: !!cachedKey && cachedKey !== entry.publicKey
+    };
+  }
+
+  for (const [guardianPrincipal, publicKey] of Object.entries(cache)) {
+    if (registered[guardianPrincipal]) continue;
+    // ガーディアン本人が公開した鍵と一致しないキャッシュは登録しない
+    if ((await getPublishedGuardianKey(guardianPrincipal)) !== publicKey) continue;
+    missing[guardianPrincipal] = {
+      publicKey,
+      fingerprint: await getGuardianKeyFingerprint(publicKey),
+      registeredAt: Date.now(),
+      verifiedAt: null,
+      previousFingerprint: null
+    };
+    result[guardianPrincipal] = { ...missing[guardianPrincipal], keyChanged: false };
+  }
+
+  if (Object.keys(missing).length > 0) {
+    // 読み込んだ後に登録された鍵は上書きしない
+    await updatePublicRecoveryData(current => ({
+      guardianKeys: { ...missing, ...(current.guardianKeys || {}) }
+    }));
+  }
+
+  return result;
+};
+
+/**
+ * 【所有者側】ガーディアン本人がキャニスターに公開した公開鍵を取得
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @returns {Promise<string|null>} 公開鍵（公開されていない場合はnull）
+ */
+export const getPublishedGuardianKey = async (guardianPrincipal) => {
+  const actor = await getActor();
+  const result = await actor.getMyKeyShare(toPrincipal(guardianPrincipal));
+  if (result.err) {
+    return null;
+  }
+
+  const record = result.ok;
+  if (record.shareId !== GUARDIAN_KEY_RECORD_ID || record.userPrincipal.toString() !== guardianPrincipal) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(blobToString(Uint8Array.from(record.encryptedShare)));
+    if (data.type !== GUARDIAN_KEY_CODE_TYPE || !data.publicKey || isLegacyPublicKey(data.publicKey)) {
+      return null;
+    }
+    return data.publicKey;
+  } catch (error) {
+    console.warn(`${guardianPrincipal} の公開鍵の記録を読み込めません:`, error);
+    return null;
+  }
+};
+
+/**
+ * 【所有者側】公開鍵がガーディアン本人によってキャニスターに公開された鍵と同じことを確認
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @param {string} publicKey - 使おうとしている公開鍵
+ * @returns {Promise<void>}
+ */
+const requirePublishedGuardianKey = async (guardianPrincipal, publicKey) => {
+  const publishedKey = await getPublishedGuardianKey(guardianPrincipal);
+  if (publishedKey === publicKey) {
+    return;
+  }
+
+  const error = new Error(publishedKey
+    ? 'この公開鍵はガーディアンがキャニスターに公開した鍵と一致しません。ガーディアンに公開鍵コードを作り直してもらってください'
+    : 'ガーディアンがまだ公開鍵をキャニスターに公開していません。ガーディアンに「保有シェア」画面であなた宛てに公開してもらってください');
+  error.code = GUARDIAN_KEY_NOT_PUBLISHED_ERROR;
+  throw error;
+};
+
+/**
+ * 受け取った公開鍵が登録済みの鍵と同じかどうかを確認
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @param {string} publicKey - 受け取った公開鍵
+ * @returns {Promise<Object>} status（new / same / changed）、指紋、以前の指紋
+ */
+export const checkGuardianPublicKey = async (guardianPrincipal, publicKey) => {
+  const registry = await syncGuardianKeyRegistry();
+  const entry = registry[guardianPrincipal];
+  const fingerprint = await getGuardianKeyFingerprint(publicKey);
+  const previousKey = entry ? entry.publicKey : getGuardianPublicKey(guardianPrincipal);
+
+  if (!previousKey) {
+    return { status: 'new', fingerprint, previousFingerprint: null };
+  }
+
+  const cachedKey = getGuardianPublicKey(guardianPrincipal);
+  if (previousKey === publicKey && cachedKey === publicKey) {
+    return { status: 'same', fingerprint, previousFingerprint: null };
+  }
+
+  // キャニスターかこのデバイスのどちらかに別の鍵があれば変更として扱う
+  const changedKey = previousKey !== publicKey ? previousKey : cachedKey;
+  return {
+    status: 'changed',
+    fingerprint,
+    previousFingerprint: await getGuardianKeyFingerprint(changedKey)
+  };
+};
+
+/**
+ * ガーディアンの公開鍵をキャニスターに登録し、このデバイスにもキャッシュする
+ * ガーディアン本人がキャニスターに公開した鍵と異なる場合は GUARDIAN_KEY_NOT_PUBLISHED で拒否する。
+ * 登録済みの鍵と異なる場合は、acceptKeyChange を指定しない限り GUARDIAN_KEY_CHANGED で拒否する
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @param {string} publicKey - ガーディアンの公開鍵
+ * @param {Object} options - オプション
+ * @param {boolean} options.acceptKeyChange - 鍵の変更を承認済みかどうか
+ * @returns {Promise<Object>} 登録内容
+ */
+export const registerGuardianPublicKey = async (guardianPrincipal, publicKey, { acceptKeyChange = false } = {}) => {
+  await requirePublishedGuardianKey(guardianPrincipal, publicKey);
+  const check = await checkGuardianPublicKey(guardianPrincipal, publicKey);
+
+  if (check.status === 'changed' && !acceptKeyChange) {
+    const error = new Error('ガーディアンの公開鍵が以前に登録された鍵から変わっています。指紋をガーディアンに確認してください');
+    error.code = GUARDIAN_KEY_CHANGED_ERROR;
+    error.fingerprint = check.fingerprint;
+    error.previousFingerprint = check.previousFingerprint;
+    throw error;
+  }
+
+  const registered = (await getRegisteredGuardianKeys())[guardianPrincipal];
+  const entry = check.status === 'same' && registered
+    ? registered
+    : {
+      publicKey,
+      fingerprint: check.fingerprint,
+      registeredAt: Date.now(),
+      verifiedAt: null,
+      previousFingerprint: check.previousFingerprint
+    };
+
+  if (entry !== registered) {
+    await updateRegisteredGuardianKey(guardianPrincipal, entry);
+  }
+  saveGuardianPublicKey(guardianPrincipal, publicKey);
+  return entry;
+};
+
+/**
+ * 別のデバイスで登録された新しい鍵をこのデバイスでも使うことを承認
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @returns {Promise<Object>} 登録内容
+ */
+export const acceptRegisteredGuardianKey = async (guardianPrincipal) => {
+  const entry = (await getRegisteredGuardianKeys())[guardianPrincipal];
+  if (!entry) {
+    throw new Error('このガーディアンの公開鍵は登録されていません');
+  }
+  saveGuardianPublicKey(guardianPrincipal, entry.publicKey);
+  return entry;
+};
+
+/**
+ * ガーディアンと指紋を読み合わせて確認したことを記録
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @returns {Promise<Object>} 登録内容
+ */
+export const markGuardianKeyVerified = async (guardianPrincipal) => {
+  const entry = (await getRegisteredGuardianKeys())[guardianPrincipal];
+  if (!entry) {
+    throw new Error('このガーディアンの公開鍵は登録されていません');
+  }
+  const verified = { ...entry, verifiedAt: Date.now(), previousFingerprint: null };
+  await updateRegisteredGuardianKey(guardianPrincipal, verified);
+  return verified;
+};
+
+/**
+ * シェアの暗号化に使う公開鍵を取得
+ * キャニスターの登録とこのデバイスのキャッシュが食い違う場合は、鍵の変更を承認するまで使わない
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @returns {Promise<string|null>} 公開鍵または null
+ */
+const getGuardianEncryptionKey = async (guardianPrincipal) => {
+  const entry = (await syncGuardianKeyRegistry())[guardianPrincipal];
+  if (entry && entry.keyChanged) {
+    const error = new Error('ガーディアンの公開鍵が変わっています。「ガーディアン」ページで指紋を確認してから新しい鍵を承認してください');
+    error.code = GUARDIAN_KEY_CHANGED_ERROR;
+    throw error;
+  }
+  return getGuardianPublicKey(guardianPrincipal);
+};
+
+const GUARDIAN_KEY_CODE_TYPE = 'guardian-public-key';
+
+/**
+ * ガーディアン秘密鍵の保存先キー
+ * @param {string} principal - ガーディアン自身のプリンシパルID
+ * @returns {string} localStorageのキー
+ */
+const getGuardianPrivateKeyStorageKey = (principal) => `${principal}_guardianPrivateKey`;
+
+/**
+ * 【ガーディアン側】シェアを受け取るための鍵ペアを取得（なければ生成）
+ * 秘密鍵はこのデバイスにだけ保存し、公開鍵だけをシェアの所有者に渡す
+ * @param {string} principal - ガーディアン自身のプリンシパルID
+ * @returns {Promise<Object>} 16進数の秘密鍵と公開鍵
+ */
+const ensureGuardianKeyPair = async (principal) => {
+  const storageKey = getGuardianPrivateKeyStorageKey(principal);
+  const storedPrivateKey = localStorage.getItem(storageKey);
+
+  if (storedPrivateKey) {
+    return {
+      privateKey: storedPrivateKey,
+      publicKey: bytesToHex(await derivePublicKey(storedPrivateKey))
+    };
+  }
+
+  const keyPair = await generateKeyPair();
+  localStorage.setItem(storageKey, keyPair.privateKey);
+
+  return {
+    privateKey: keyPair.privateKey,
+    publicKey: bytesToHex(keyPair.publicKey)
+  };
+};
+
+/**
+ * 【ガーディアン側】所有者に渡す公開鍵コードを作成
+ * @param {string|null} shareId - 招待リンクで受け取ったシェアのID（あれば）
+ * @param {string|null} invitationNonce - 受け入れた招待のノンス（あれば）
+ * @returns {Promise<Object>} 公開鍵コード、公開鍵、確認コード
+ */
+export const createGuardianKeyCode = async (shareId = null, invitationNonce = null) => {
+  const principal = await getCurrentPrincipal();
+
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+
+  const { publicKey } = await ensureGuardianKeyPair(principal.toString());
+
+  const code = btoa(JSON.stringify({
+    type: GUARDIAN_KEY_CODE_TYPE,
+    guardianPrincipal: principal.toString(),
+    publicKey,
+    shareId,
+    invitationNonce
+  }));
+
+  return {
+    code,
+    publicKey,
+    fingerprint: await getGuardianKeyFingerprint(publicKey),
+    verificationCode: await computeDeviceLinkVerificationCode(publicKey)
+  };
+};
+
+/**
+ * 【ガーディアン側】シェアを受け取るための公開鍵を所有者宛てにキャニスターに公開
+ * 所有者は公開鍵コードではなく、この記録の鍵でシェアを暗号化する
+ * @param {string} ownerPrincipal - シェアの所有者のプリンシパルID
+ * @returns {Promise<Object>} 公開した公開鍵と指紋
+ */
+export const publishGuardianPublicKey = async (ownerPrincipal) => {
+  const principal = await getCurrentPrincipal();
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+
+  const owner = toPrincipal((ownerPrincipal || '').trim());
+  if (owner.toString() === principal.toString()) {
+    throw new Error('自分自身に公開鍵を公開することはできません');
+  }
+
+  // 所有者が自分のガーディアンでもある場合、この記録の場所には所有者に預けた自分のシェアがあるため上書きしない
+  const myGuardians = await getGuardians();
+  if (myGuardians.some(guardian => guardian.principal === owner.toString())) {
+    throw new Error('この人はあなたのガーディアンでもあるため、預けているシェアを上書きしないよう公開鍵を公開できません');
+  }
+
+  const { publicKey } = await ensureGuardianKeyPair(principal.toString());
+  const actor = await getActor();
+  const record = stringToBlob(JSON.stringify({
+    type: GUARDIAN_KEY_CODE_TYPE,
+    publicKey,
+    publishedAt: Date.now()
+  }));
+
+  const result = await actor.storeKeyShare(GUARDIAN_KEY_RECORD_ID, record, owner);
+  if (result.err) {
+    throw new Error(result.err);
+  }
+
+  return {
+    publicKey,
+    fingerprint: await getGuardianKeyFingerprint(publicKey)
+  };
+};
+
+/**
+ * 【所有者側】ガーディアンから受け取った公開鍵コードを検証
+ * @param {string} code - 公開鍵コード
+ * @param {string} expectedPrincipal - 追加しようとしているガーディアンのプリンシパルID
+ * @returns {Promise<Object>} ガーディアンのプリンシパルID、公開鍵、シェアID、確認コード
+ */
+export const parseGuardianKeyCode = async (code, expectedPrincipal) => {
+  let data;
+  try {
+    data = JSON.parse(atob(code.trim()));
+  } catch (error) {
+    throw new Error('公開鍵コードの形式が正しくありません');
+  }
+
+  if (data.type !== GUARDIAN_KEY_CODE_TYPE || !data.publicKey) {
+    throw new Error('ガーディアンが発行した公開鍵コードではありません');
+  }
+
+  if (data.guardianPrincipal !== expectedPrincipal.trim()) {
+    throw new Error('公開鍵コードが入力したガーディアンのものではありません');
+  }
+
+  if (isLegacyPublicKey(data.publicKey)) {
+    throw new Error('旧形式の公開鍵は使用できません');
+  }
+
+  // コードの鍵はガーディアン本人がキャニスターに公開した鍵と一致する場合だけ使う
+  await requirePublishedGuardianKey(data.guardianPrincipal, data.publicKey);
+
+  // 招待から作られたコードは、その招待がまだ使われておらず、取り消されていないことを確認する
+  if (data.invitationNonce) {
+    const principal = await getCurrentPrincipal();
+    const issued = principal
+      ? readStoredObject(getIssuedInvitationsStorageKey(principal.toString()))[data.invitationNonce]
+      : null;
+    if (issued && issued.consumedAt) {
+      throw new Error('この招待から作られた公開鍵コードはすでに使用されています');
+    }
+    if (issued && issued.revokedAt) {
+      throw new Error('この公開鍵コードの招待は取り消されています');
+    }
+  }
+
+  return {
+    guardianPrincipal: data.guardianPrincipal,
+    publicKey: data.publicKey,
+    shareId: data.shareId || null,
+    invitationNonce: data.invitationNonce || null,
+    fingerprint: await getGuardianKeyFingerprint(data.publicKey),
+    verificationCode: await computeDeviceLinkVerificationCode(data.publicKey)
+  };
+};
+
 /**
  * リカバリーデータを生成
  * @param {string} encryptionKey - 暗号化キー
  * @param {number} totalGuardians - 総ガーディアン数
  * @param {number} requiredShares - リカバリーに必要なシェア数
- * @returns {Object} リカバリーデータ
+ * @param {number} epoch - シェアセットの世代（再生成するたびに増やす）
+ * @returns {Promise<Object>} リカバリーデータ
  */
-export const generateRecoveryData = (encryptionKey, totalGuardians, requiredShares) => {
-  // シェアを作成
-  const shares = createShares(encryptionKey, totalGuardians, requiredShares);
+export const generateRecoveryData = async (encryptionKey, totalGuardians, requiredShares, epoch = 1) => {
+  // シェアを作成（世代の異なるシェアは同じ多項式に載らないため組み合わせられない）
+  // 閾値と総数も持たせておき、ガーディアンが単語で書き写すときやポリシーを確認するときに使えるようにする
+  const shares = createShares(encryptionKey, totalGuardians, requiredShares)
+    .map(share => ({ ...share, epoch, threshold: requiredShares, totalShares: totalGuardians }));
   
-  // 公開リカバリーデータ（シェアを再結合するために必要な情報）
+  // 公開リカバリーデータ（シェアを再結合・検証するために必要な情報）
   const publicRecoveryData = {
     version: 1,
     createdAt: new Date().toISOString(),
     requiredShares,
-    totalShares: totalGuardians
+    totalShares: totalGuardians,
+    shareEpoch: epoch,
+    shareCommitments: await createShareCommitments(encryptionKey, shares)
   };
   
   return {
@@ -95,6 +541,7 @@ export const generateRecoveryData = (encryptionKey, totalGuardians, requiredShar
 const cache = {
   notes: {
     data: null,
+    key: null,
     timestamp: null,
     ttl: 30000 // 30秒間キャッシュを保持
   }
@@ -102,29 +549,274 @@ const cache = {
 
 // 進行中のリクエストを追跡
 const pendingRequests = {
-  getNotes: null
+  getNotes: null,
+  getNotesKey: null
+};
+
+/**
+ * 復号済みノートのキャッシュを破棄（ロック時やデバイス失効時に使用）
+ */
+export const clearNotesCache = () => {
+  cache.notes.data = null;
+  cache.notes.key = null;
+  cache.notes.timestamp = null;
+  // 他のデバイスで変更された設定をロック解除後に読み直す
+  notePaddingCache.principal = null;
+  notePaddingCache.mode = null;
+};
+
+// ノートの暗号文の改ざん（移し替え）を検出したときに発火するイベント
+export const NOTE_TAMPERING_EVENT = 'note-tampering-detected';
+
+/**
+ * ノートのフィールドの暗号文に結び付けるコンテキスト
+ * 追加認証データとして暗号文に結び付け、別のアカウント・別のノート・別のフィールドへの移し替えを検出する
+ * @param {string} owner - ノートの所有者のプリンシパルID
+ * @param {string} noteId - ノートID
+ * @param {string} field - フィールド名（'title' または 'content'）
+ * @returns {Object} コンテキスト
+ */
+const getNoteFieldContext = (owner, noteId, field) => ({ type: 'note', owner, noteId, field });
+
+/**
+ * 復号時に検証するノートのフィールドのコンテキスト
+ * 所有者を結び付ける前に保存したノートは、ノートIDとフィールドだけを検証する（次の保存で所有者も結び付けられる）
+ * @param {Object|string|Uint8Array} encrypted - フィールドの暗号文
+ * @param {string} owner - ノートの所有者のプリンシパルID
+ * @param {string} noteId - ノートID
+ * @param {string} field - フィールド名
+ * @returns {Object} 期待するコンテキスト
+ */
+const getExpectedNoteFieldContext = (encrypted, owner, noteId, field) => {
+  const boundContext = getEnvelopeContext(encrypted);
+  if (boundContext && !('owner' in boundContext)) {
+    return { type: 'note', noteId, field };
+  }
+  return getNoteFieldContext(owner, noteId, field);
+};
+
+/**
+ * ノートのタイトルと内容を復号
+ * 片方だけがコンテキストのない旧形式の場合も、移し替えとして扱う
+ * @param {Object} note - キャニスターから取得したノート
+ * @param {string} masterKey - マスター暗号化キー
+ * @param {string} owner - ノートの所有者のプリンシパルID
+ * @returns {Promise<Object>} 復号されたタイトルと内容
+ */
+const decryptNoteFields = async (note, masterKey, owner) => {
+  if (!!getEnvelopeContext(note.title) !== !!getEnvelopeContext(note.content)) {
+    const error = new Error('ノートのタイトルと内容の暗号文の形式が一致しません');
+    error.code = CONTEXT_MISMATCH_ERROR;
+    throw error;
+  }
+
+  // エンベロープの形式はimproved-crypto.jsが判定して復号する
+  const title = await improvedDecrypt(note.title, masterKey, {
+    context: getExpectedNoteFieldContext(note.title, owner, note.id, 'title')
+  });
+  const content = await improvedDecrypt(note.content, masterKey, {
+    context: getExpectedNoteFieldContext(note.content, owner, note.id, 'content')
+  });
+
+  return { title, content };
+};
+
+/**
+ * 復号できなかったノートの代わりに表示するノート
+ * @param {Object} note - キャニスターから取得したノート
+ * @param {boolean} tampered - 改ざんが検出されたか
+ * @returns {Object} 表示用のノート
+ */
+const createUndecryptableNote = (note, tampered) => ({
+  id: note.id,
+  title: tampered ? '改ざんの可能性があるノート' : 'Unable to decrypt',
+  content: tampered
+    ? 'このノートの暗号文は書き換えられたか、別のノートまたは別のフィールドから移し替えられています。内容は表示されません。'
+    : 'Unable to decrypt this note',
+  created: new Date(Number(note.created) / 1000000),
+  updated: new Date(Number(note.updated) / 1000000),
+  _decryptionFailed: true,
+  ...(tampered ? { _tampered: true } : {})
+});
+
+/**
+ * 認証に失敗したノートの原因が、鍵の食い違いで説明できるか判定する
+ * 公開されている確認値が手元のキーと異なる（他のデバイスでローテーションされた）場合や、
+ * 他のデバイスでローテーションが進行中の場合は、改ざんではなく鍵の問題として扱う
+ * @param {string} masterKey - 復号に使ったマスターキー
+ * @param {Object|null} pendingKey - このデバイスで進行中のローテーションの新しいキー
+ * @param {boolean} keyVerified - 同じキーで他のノートを復号できたか（確認値が公開されていない場合に使う）
+ * @returns {Promise<boolean>} 鍵の食い違いで説明できる場合はtrue
+ */
+const isExplainedByKeyMismatch = async (masterKey, pendingKey, keyVerified) => {
+  let published;
+  try {
+    const publicRecoveryData = await getPublicRecoveryData();
+    published = (publicRecoveryData && publicRecoveryData.masterKey) || null;
+  } catch (error) {
+    // 確認できない場合は改ざんと断定しない
+    console.warn('Failed to load the published master key check:', error);
+    return true;
+  }
+
+  if (published && published.pending) {
+    const ownPending = pendingKey && published.pending.check === await computeMasterKeyCheck(pendingKey.key);
+    if (!ownPending) return true;
+  }
+
+  if (published && published.check) {
+    return published.check !== await computeMasterKeyCheck(masterKey);
+  }
+
+  // 一度もローテーションしていなければ、同じキーで他のノートを復号できたかで判断する
+  return !keyVerified;
+};
+
+// ノートのパディング設定のキャッシュ（アカウントごと）
+const notePaddingCache = {
+  principal: null,
+  mode: null
+};
+
+// パディングの方式を弱い順に並べたもの
+const PADDING_MODE_STRENGTH = [PADDING_MODES.NONE, PADDING_MODES.POWER_OF_TWO, PADDING_MODES.BLOCK_1K];
+
+/**
+ * このデバイスで最後に確認したパディング設定の保存キー
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {string} localStorageのキー
+ */
+const getNotePaddingModeStorageKey = (principal) => `${principal}_notePaddingMode`;
+
+/**
+ * 2つのパディングの方式のうち強い方を返す
+ * @param {string} a - パディングの方式
+ * @param {string} b - パディングの方式
+ * @returns {string} 強い方の方式
+ */
+const getStrongerPaddingMode = (a, b) =>
+  PADDING_MODE_STRENGTH.indexOf(a) >= PADDING_MODE_STRENGTH.indexOf(b) ? a : b;
+
+/**
+ * ノートのパディング設定を取得
+ * 設定はアカウント単位で公開リカバリーデータに保存し、すべてのデバイスで共有する。
+ * 公開リカバリーデータが消えたり古い内容で上書きされたりしても弱まらないよう、
+ * このデバイスに保存した設定より弱い方式は使わない
+ * @returns {Promise<string>} パディングの方式（PADDING_MODESの値）
+ */
+export const getNotePaddingMode = async () => {
+  const principal = (await getCurrentPrincipal())?.toString();
+  if (principal && notePaddingCache.principal === principal && notePaddingCache.mode) {
+    return notePaddingCache.mode;
+  }
+  
+  const publicRecoveryData = await getPublicRecoveryData();
+  const sharedMode = Object.values(PADDING_MODES).includes(publicRecoveryData?.notePadding)
+    ? publicRecoveryData.notePadding
+    : PADDING_MODES.NONE;
+  
+  let mode = sharedMode;
+  if (principal) {
+    const localMode = localStorage.getItem(getNotePaddingModeStorageKey(principal));
+    if (Object.values(PADDING_MODES).includes(localMode)) {
+      mode = getStrongerPaddingMode(sharedMode, localMode);
+      if (mode !== sharedMode) {
+        console.warn(`共有されているパディング設定（${sharedMode}）がこのデバイスの設定（${localMode}）より弱いため、${localMode}を使用します`);
+      }
+    }
+    localStorage.setItem(getNotePaddingModeStorageKey(principal), mode);
+  }
+  
+  notePaddingCache.principal = principal;
+  notePaddingCache.mode = mode;
+  return mode;
+};
+
+/**
+ * ノートのパディング設定を変更
+ * 既存のノートは次に保存したときに新しい設定で暗号化される
+ * 弱める変更はこのデバイスで明示的に選んだ場合だけ反映される
+ * @param {string} mode - パディングの方式（PADDING_MODESの値）
+ * @returns {Promise<string>} 変更後の方式
+ */
+export const setNotePaddingMode = async (mode) => {
+  if (!Object.values(PADDING_MODES).includes(mode)) {
+    throw new Error(`不明なパディングの方式です: ${mode}`);
+  }
+  
+  await updatePublicRecoveryData({ notePadding: mode });
+  
+  const principal = (await getCurrentPrincipal())?.toString();
+  if (principal) {
+    localStorage.setItem(getNotePaddingModeStorageKey(principal), mode);
+  }
+  notePaddingCache.principal = principal;
+  notePaddingCache.mode = mode;
+  return mode;
+};
+
+/**
+ * ノートのタイトルと内容を暗号化してBlobに変換
+ * @param {string} noteId - ノートID
+ * @param {string} title - タイトル
+ * @param {string} content - 内容
+ * @param {string} masterKey - マスター暗号化キー
+ * @returns {Promise<Object>} 暗号化されたタイトルと内容のBlob
+ */
+const encryptNoteFields = async (noteId, title, content, masterKey) => {
+  const principal = await getCurrentPrincipal();
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+  const owner = principal.toString();
+  
+  // 設定を確認できない場合にパディングなしで保存すると長さが漏れるため、失敗はそのまま伝える
+  const padding = await getNotePaddingMode();
+  
+  const encryptedTitle = await improvedEncrypt(title, masterKey, {
+    context: getNoteFieldContext(owner, noteId, 'title'),
+    padding
+  });
+  const encryptedContent = await improvedEncrypt(content, masterKey, {
+    context: getNoteFieldContext(owner, noteId, 'content'),
+    padding
+  });
+
+  return {
+    titleBlob: stringToBlob(JSON.stringify(encryptedTitle)),
+    contentBlob: stringToBlob(JSON.stringify(encryptedContent))
+  };
 };
 
 /**
  * すべてのノートを取得して復号（キャッシュ付き）
+ * @param {string} masterKey - マスター暗号化キー
  * @param {boolean} forceRefresh - キャッシュを無視して強制的に再取得するか
+ * @param {Object} options - オプション（silent: 復号エラーイベントを発火しない、
+ *   pendingKey: ローテーション中の新しいキー（key）と、そのキーで再暗号化済みのノートID（noteIds））
  * @returns {Promise<Array>} 復号されたノートの配列
  */
-export const getNotes = async (masterKey, forceRefresh = false) => {
-  // 既に進行中のリクエストがあれば、それを返す
-  if (pendingRequests.getNotes) {
+export const getNotes = async (masterKey, forceRefresh = false, options = {}) => {
+  const pendingKey = options.pendingKey || null;
+  // 再暗号化済みのノートが増えると読めるノートが変わるため、キャッシュはノートIDごとに分ける
+  const cacheKey = pendingKey ? `${masterKey}:${pendingKey.key}:${pendingKey.noteIds.join(',')}` : masterKey;
+  
+  // 同じキーで既に進行中のリクエストがあれば、それを返す
+  if (pendingRequests.getNotes && pendingRequests.getNotesKey === cacheKey) {
     return pendingRequests.getNotes;
   }
   
   // キャッシュが有効な場合はキャッシュから返す
   if (!forceRefresh && 
       cache.notes.data && 
+      cache.notes.key === cacheKey && 
       cache.notes.timestamp && 
       Date.now() - cache.notes.timestamp < cache.notes.ttl) {
     return cache.notes.data;
   }
   
   try {
+    pendingRequests.getNotesKey = cacheKey;
     pendingRequests.getNotes = (async () => {
       const actor = await getActor();
       const result = await actor.getNotes();
@@ -142,23 +834,23 @@ export const getNotes = async (masterKey, forceRefresh = false) => {
         throw error;
       }
       
+      const owner = (await getCurrentPrincipal())?.toString();
+      
       // 復号エラーカウンター
       let decryptionErrorCount = 0;
+      // 改ざんが検出されたノート（鍵の誤りによる復号エラーとは分けて数える）
+      const tamperedNoteIds = [];
+      // 現行のエンベロープの認証に失敗したノート
+      const unauthenticatedNotes = [];
       
       // ノートを復号
       const decryptedNotes = await Promise.all(result.map(async note => {
         try {
-          // Blobを文字列に変換
-          const titleStr = blobToString(note.title);
-          const contentStr = blobToString(note.content);
-          
-          // JSON形式に変換して解析
-          const titleObj = JSON.parse(titleStr);
-          const contentObj = JSON.parse(contentStr);
-          
-          // WebCrypto API (improved-crypto.js) を使用
-          const title = await improvedDecrypt(titleObj, masterKey);
-          const content = await improvedDecrypt(contentObj, masterKey);
+          // ローテーション中に新しいキーで再暗号化済みのノートは新しいキーで読む（保存し直された場合に備えて旧キーも試す）
+          const { title, content } = pendingKey && pendingKey.noteIds.includes(note.id)
+            ? await decryptNoteFields(note, pendingKey.key, owner)
+              .catch(() => decryptNoteFields(note, masterKey, owner))
+            : await decryptNoteFields(note, masterKey, owner);
           
           // 復号失敗チェック
           if (!title || !content) {
@@ -174,22 +866,76 @@ export const getNotes = async (masterKey, forceRefresh = false) => {
             updated: new Date(Number(note.updated) / 1000000)
           };
         } catch (error) {
+          if (error.code === CONTEXT_MISMATCH_ERROR) {
+            tamperedNoteIds.push(note.id);
+            console.error(`Tampering detected for note ${note.id}:`, error);
+            return createUndecryptableNote(note, true);
+          }
+          
+          if (error.code === ENVELOPE_AUTHENTICATION_ERROR) {
+            unauthenticatedNotes.push(note);
+            return createUndecryptableNote(note, false);
+          }
+          
           // エラーカウント
           decryptionErrorCount++;
           console.error(`Failed to decrypt note ${note.id}:`, error);
-          return {
-            id: note.id,
-            title: 'Unable to decrypt',
-            content: 'Unable to decrypt this note',
-            created: new Date(Number(note.created) / 1000000),
-            updated: new Date(Number(note.updated) / 1000000),
-            _decryptionFailed: true
-          };
+          return createUndecryptableNote(note, false);
         }
       }));
       
-      // 復号エラーが一定数を超えた場合、カスタムイベントを発火
-      if (decryptionErrorCount > 0) {
+      // ローテーション中は、再暗号化済みの一覧に載る前に新しいキーで保存されたノートもある
+      if (unauthenticatedNotes.length > 0 && pendingKey) {
+        for (const note of [...unauthenticatedNotes]) {
+          try {
+            const { title, content } = await decryptNoteFields(note, pendingKey.key, owner);
+            decryptedNotes[decryptedNotes.findIndex(decrypted => decrypted.id === note.id)] = {
+              id: note.id,
+              title,
+              content,
+              created: new Date(Number(note.created) / 1000000),
+              updated: new Date(Number(note.updated) / 1000000)
+            };
+            unauthenticatedNotes.splice(unauthenticatedNotes.indexOf(note), 1);
+          } catch (error) {
+            // 新しいキーでも認証できなければ、下で原因を判定する
+          }
+        }
+      }
+      
+      // 鍵の食い違いで説明できない認証の失敗だけを改ざんとして扱う。
+      // 説明できる場合は、キーが古い（他のデバイスでローテーションされたなど）として扱う
+      if (unauthenticatedNotes.length > 0) {
+        const keyVerified = decryptedNotes.some(note => !note._decryptionFailed);
+        const keyMismatch = await isExplainedByKeyMismatch(masterKey, pendingKey, keyVerified);
+        unauthenticatedNotes.forEach(note => {
+          if (!keyMismatch) {
+            tamperedNoteIds.push(note.id);
+            console.error(`Tampering detected for note ${note.id}: authentication failed`);
+            decryptedNotes[decryptedNotes.findIndex(decrypted => decrypted.id === note.id)] =
+              createUndecryptableNote(note, true);
+          } else {
+            decryptionErrorCount++;
+            console.error(`Failed to decrypt note ${note.id}: authentication failed`);
+          }
+        });
+      }
+      
+      // 改ざんは鍵の問題ではないため、復号エラーとは別のイベントで通知
+      if (tamperedNoteIds.length > 0) {
+        console.warn(`Tampered notes: ${tamperedNoteIds.length}/${result.length}`);
+        if (!options.silent) {
+          window.dispatchEvent(new CustomEvent(NOTE_TAMPERING_EVENT, {
+            detail: {
+              noteIds: tamperedNoteIds,
+              attempts: result.length
+            }
+          }));
+        }
+      }
+      
+      // 復号エラーが一定数を超えた場合、カスタムイベントを発火
+      if (decryptionErrorCount > 0) {
         const errorRate = decryptionErrorCount / result.length;
         console.warn(`Decryption errors: ${decryptionErrorCount}/${result.length} (${(errorRate * 100).toFixed(1)}%)`);
         
@@ -198,7 +944,7 @@ export const getNotes = async (masterKey, forceRefresh = false) => {
           window._cryptoState.decryptionErrors += decryptionErrorCount;
           window._cryptoState.decryptionAttempts += result.length;
           // カスタムイベントを手動で発火
-          if (errorRate >= 0.3) { // 30%以上のエラー率でイベント発火
+          if (errorRate >= 0.3 && !options.silent) { // 30%以上のエラー率でイベント発火
             const event = new CustomEvent('decryption-error', {
               detail: {
                 errorRate,
@@ -223,6 +969,7 @@ export const getNotes = async (masterKey, forceRefresh = false) => {
     
     // キャッシュに保存
     cache.notes.data = result;
+    cache.notes.key = cacheKey;
     cache.notes.timestamp = Date.now();
     
     return result;
@@ -274,8 +1021,8 @@ export const getNote = async (id) => {
     }
     
     // ノートを復号
-    const title = decryptWithPrivateKey(note.title, devicePrivateKey);
-    const content = decryptWithPrivateKey(note.content, devicePrivateKey);
+    const title = await decryptWithPrivateKey(note.title, devicePrivateKey);
+    const content = await decryptWithPrivateKey(note.content, devicePrivateKey);
     
     return {
       id: note.id,
@@ -305,17 +1052,12 @@ export const createNote = async (title, content, masterKey) => {
       throw new Error('Master encryption key not found');
     }
     
-    // WebCrypto API (improved-crypto.js) を使用
-    const encryptedTitle = await improvedEncrypt(title, masterKey);
-    const encryptedContent = await improvedEncrypt(content, masterKey);
-    
-    // 暗号化データをBlobに変換
-    const titleBlob = stringToBlob(JSON.stringify(encryptedTitle));
-    const contentBlob = stringToBlob(JSON.stringify(encryptedContent));
-    
-    // ノート用のユニークIDを生成
+    // ノート用のユニークIDを生成（暗号文に結び付けるため暗号化より先に決める）
     const noteId = `note-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
     
+    // WebCrypto API (improved-crypto.js) を使用し、ノートIDとフィールドに結び付けて暗号化
+    const { titleBlob, contentBlob } = await encryptNoteFields(noteId, title, content, masterKey);
+    
     // 暗号化されたノートを保存
     const result = await actor.saveNote(noteId,titleBlob, contentBlob);
     
@@ -346,13 +1088,8 @@ export const updateNote = async (id, title, content, masterKey) => {
       throw new Error('Master encryption key not found');
     }
     
-    // improved-crypto.jsの関数を使用して暗号化
-    const encryptedTitle = await improvedEncrypt(title, masterKey);
-    const encryptedContent = await improvedEncrypt(content, masterKey);
-    
-    // 暗号化データをBlobに変換
-    const titleBlob = stringToBlob(JSON.stringify(encryptedTitle));
-    const contentBlob = stringToBlob(JSON.stringify(encryptedContent));
+    // ノートIDとフィールドに結び付けて暗号化（旧形式のノートも更新時に結び付けられる）
+    const { titleBlob, contentBlob } = await encryptNoteFields(id, title, content, masterKey);
     
     // 暗号化されたノートを更新
     const result = await actor.updateNote(id, titleBlob, contentBlob);
@@ -413,23 +1150,122 @@ export const getGuardians = async () => {
 };
 
 /**
- * ガーディアンを追加し、シェアを割り当て
+ * シェアをガーディアンの公開鍵で暗号化
  * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
- * @param {string} guardianPublicKey - ガーディアンの公開鍵
- * @param {Object} share - ガーディアンに割り当てるシェア
- * @returns {boolean} 成功した場合はtrue
+ * @param {Object} share - 暗号化するシェア（id, value, epoch）
+ * @returns {Promise<Uint8Array>} 暗号化されたシェア
+ */
+const encryptShareForGuardian = async (guardianPrincipal, share) => {
+  // シェアはガーディアンの公開鍵でしか暗号化しない（鍵が変わっていれば承認されるまで暗号化しない）
+  const guardianPublicKey = await getGuardianEncryptionKey(guardianPrincipal);
+  if (!guardianPublicKey) {
+    throw new Error('ガーディアンの公開鍵が登録されていません。ガーディアンから公開鍵コードを受け取ってください');
+  }
+  
+  return encryptWithPublicKey(
+    {
+      id: share.id,
+      value: share.value,
+      epoch: share.epoch || null,
+      threshold: share.threshold || null,
+      totalShares: share.totalShares || null
+    },
+    guardianPublicKey
+  );
+};
+
+/**
+ * シェアをガーディアンの公開鍵で暗号化してキャニスターに保存
+ * @param {Object} actor - キャニスターのアクター
+ * @param {Principal} guardianPrincipal - ガーディアンのプリンシパル
+ * @param {Object} share - 割り当てるシェア（id, value, epoch）
+ * @param {Object} action - manageGuardianのアクション（Add / Replace）
+ * @returns {Promise<void>}
+ */
+const storeGuardianShare = async (actor, guardianPrincipal, share, action) => {
+  const encryptedShare = await encryptShareForGuardian(guardianPrincipal.toString(), share);
+  
+  const result = await actor.manageGuardian(
+    guardianPrincipal,
+    action,
+    [encryptedShare],  // Some(Blob)として暗号化したシェアを渡す
+    [share.id]         // Some(Text)としてシェアIDを渡す
+  );
+  
+  if (result.err) {
+    throw new Error(result.err);
+  }
+  
+  const storeResult = await actor.storeKeyShare(share.id, encryptedShare, guardianPrincipal);
+  
+  if (storeResult.err) {
+    throw new Error(storeResult.err);
+  }
+};
+
+/**
+ * 新しいシェアをキャニスターに預けるだけで、ガーディアンの割り当ては変えない
+ * 割り当て中のシェアはそのまま有効なので、シェアセットの切り替え前の配布に使う
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @param {Object} share - 預けるシェア（id, value, epoch）
+ * @returns {Promise<Uint8Array>} ガーディアンの公開鍵で暗号化したシェア（割り当ての切り替えに使う）
+ */
+export const stageGuardianShare = async (guardianPrincipal, share) => {
+  const actor = await getActor();
+  const encryptedShare = await encryptShareForGuardian(guardianPrincipal, share);
+  
+  const result = await actor.storeKeyShare(share.id, encryptedShare, toPrincipal(guardianPrincipal));
+  
+  if (result.err) {
+    throw new Error(result.err);
+  }
+  
+  return encryptedShare;
+};
+
+/**
+ * 預けてあるシェアにガーディアンの割り当てを切り替える
+ * 暗号化済みのシェアを使うため、マスターキーやシェアの値がなくても再試行できる
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @param {string} shareId - シェアID
+ * @param {Uint8Array} encryptedShare - stageGuardianShareが返した暗号化済みのシェア
+ * @returns {Promise<void>}
+ */
+export const assignStagedGuardianShare = async (guardianPrincipal, shareId, encryptedShare) => {
+  const actor = await getActor();
+  const principal = toPrincipal(guardianPrincipal);
+  
+  const result = await actor.manageGuardian(principal, { Replace: principal }, [encryptedShare], [shareId]);
+  
+  if (result.err) {
+    throw new Error(result.err);
+  }
+};
+
+/**
+ * 既存のガーディアンに割り当てるシェアを差し替える
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @param {Object} share - 新しく割り当てるシェア（id, value, epoch）
+ * @returns {Promise<void>}
  */
+export const assignGuardianShare = async (guardianPrincipal, share) => {
+  const actor = await getActor();
+  const principal = toPrincipal(guardianPrincipal);
+  // 同じガーディアンのままシェアだけを差し替える
+  await storeGuardianShare(actor, principal, share, { Replace: principal });
+};
+
 /**
  * ガーディアンを追加し、シェアを割り当て
+ * シェアはガーディアンの公開鍵で暗号化してからキャニスターに保存する
  * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
  * @param {Object} share - ガーディアンに割り当てるシェア
  * @returns {Object} 成功した場合は {success: true}
  */
-
 export const addGuardian = async (guardianPrincipal, share) => {
   try {
     // シェア情報のバリデーション
-    if (!share) {
+    if (!share || !share.value) {
       return { success: false, error: 'シェア情報が不足しています' };
     }
     
@@ -438,8 +1274,6 @@ export const addGuardian = async (guardianPrincipal, share) => {
       return { success: false, error: 'シェアIDが不足しています' };
     }
     
-    console.log('Adding guardian with share:', share);
-    
     const actor = await getActor();
     
     // PrincipalオブジェクトへのIDの変換
@@ -450,35 +1284,7 @@ export const addGuardian = async (guardianPrincipal, share) => {
       return { success: false, error: `ガーディアンIDの形式が無効です` };
     }
     
-    // シェアIDを取得
-    const shareId = share.id;
-    
-    // シェアの値を取得（存在しない場合はダミーデータ）
-    const shareValue = share.value || "dummy-share-value";
-    
-    // ダミーのencryptedShareを作成（最小限のBlobデータ）
-    const dummyEncryptedShare = new Uint8Array([1, 2, 3, 4]);
-    
-    console.log('manageGuardian呼び出し準備:', {
-      principal: principalObj.toString(),
-      action: 'Add',
-      shareId,
-      hasEncryptedShare: true
-    });
-    
-    // 重要: encryptedShareに値を渡し、shareIdも配列でラップする
-    const result = await actor.manageGuardian(
-      principalObj,
-      { Add: null },
-      [dummyEncryptedShare],  // Some(Blob)として値を渡す
-      [shareId]              // Some(Text)としてシェアIDを渡す
-    );
-    
-    console.log('manageGuardian結果:', result);
-    
-    if (result.err) {
-      return { success: false, error: result.err };
-    }
+    await storeGuardianShare(actor, principalObj, share, { Add: null });
     
     return { success: true };
   } catch (error) {
@@ -497,7 +1303,7 @@ export const removeGuardian = async (guardianPrincipal) => {
     const actor = await getActor();
     
     const result = await actor.manageGuardian(
-      guardianPrincipal,
+      typeof guardianPrincipal === 'string' ? toPrincipal(guardianPrincipal) : guardianPrincipal,
       { Remove: null },
       [],
       []
@@ -518,6 +1324,100 @@ export const removeGuardian = async (guardianPrincipal) => {
 // Recovery API
 //------------------------------------------------
 
+/**
+ * キャニスターに保存されている公開リカバリーデータを取得
+ * @returns {Promise<Object|null>} 公開リカバリーデータ（未設定の場合はnull）
+ */
+export const getPublicRecoveryData = async () => {
+  const actor = await getActor();
+  const result = await actor.getProfile();
+  
+  if (result.err) {
+    throw new Error(result.err);
+  }
+  
+  const data = result.ok.publicRecoveryData;
+  if (!data || data.length === 0) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(blobToString(Uint8Array.from(data[0])));
+  } catch (error) {
+    console.error('公開リカバリーデータの解析に失敗:', error);
+    return null;
+  }
+};
+
+// 書き込みが他のデバイスの書き込みと重なった場合にやり直す回数
+const PUBLIC_RECOVERY_DATA_WRITE_ATTEMPTS = 3;
+
+export const PUBLIC_RECOVERY_DATA_CONFLICT_ERROR = 'PUBLIC_RECOVERY_DATA_CONFLICT';
+
+/**
+ * 公開リカバリーデータを更新（公開リカバリーデータへの書き込みはすべてこの関数を通す）
+ * キャニスターには比較して書き込むAPIがないため、書き込む直前に読み直した内容に変更を重ね、
+ * 書き込み後にもう一度読んで自分の版が残っているかを確かめる。
+ * 他のデバイスの書き込みで上書きされていれば、その内容に変更を重ね直す
+ * @param {Object|Function} update - 更新するフィールド、または現在の内容を受け取って更新するフィールドを返す関数
+ * @returns {Promise<Object>} 更新後の公開リカバリーデータ
+ */
+export const updatePublicRecoveryData = async (update) => {
+  const actor = await getActor();
+
+  for (let attempt = 0; attempt < PUBLIC_RECOVERY_DATA_WRITE_ATTEMPTS; attempt++) {
+    const current = (await getPublicRecoveryData()) || {};
+    const patch = typeof update === 'function' ? update(current) : update;
+    const writeId = bytesToHex(window.crypto.getRandomValues(new Uint8Array(8)));
+    const next = {
+      ...current,
+      ...patch,
+      revision: (current.revision || 0) + 1,
+      writeId
+    };
+
+    const result = await actor.setPublicRecoveryData(stringToBlob(JSON.stringify(next)));
+
+    if (result.err) {
+      throw new Error(result.err);
+    }
+
+    const written = await getPublicRecoveryData();
+    if (written && written.writeId === writeId) {
+      return written;
+    }
+
+    console.warn('公開リカバリーデータが他のデバイスの書き込みと重なったため、更新し直します');
+  }
+
+  const error = new Error('公開リカバリーデータを更新できませんでした。他のデバイスでの操作が終わってからもう一度お試しください');
+  error.code = PUBLIC_RECOVERY_DATA_CONFLICT_ERROR;
+  throw error;
+};
+
+/**
+ * 現在のリカバリーポリシー（シェアの総数と必要数）を取得
+ * ポリシーを変更してもプロファイルの値は更新できない場合があるため、
+ * シェアセットと一緒に公開した値を優先する
+ * @returns {Promise<Object>} totalGuardians, requiredShares, shareEpoch
+ */
+export const getRecoveryPolicy = async () => {
+  const actor = await getActor();
+  const result = await actor.getProfile();
+  
+  if (result.err) {
+    throw new Error(result.err);
+  }
+  
+  const publicData = await getPublicRecoveryData();
+  
+  return {
+    totalGuardians: Number((publicData && publicData.totalShares) || result.ok.totalGuardians),
+    requiredShares: Number((publicData && publicData.requiredShares) || result.ok.requiredShares),
+    shareEpoch: (publicData && publicData.shareEpoch) || 0
+  };
+};
+
 /**
  * リカバリーセットアップを実行
  * @param {number} totalGuardians - 総ガーディアン数
@@ -527,17 +1427,18 @@ export const removeGuardian = async (guardianPrincipal) => {
  */
 export const setupRecovery = async (totalGuardians, requiredShares, masterKey) => {
   try {
-    const actor = await getActor();
+    const currentData = await getPublicRecoveryData().catch(() => null);
     
-    // シェアとリカバリーデータの生成
-    const recoveryData = generateRecoveryData(masterKey, totalGuardians, requiredShares);
-    
-    // 公開リカバリーデータをキャニスターに保存
-    const result = await actor.setPublicRecoveryData(recoveryData.publicRecoveryData);
+    // シェアとリカバリーデータの生成（以前のシェアセットは世代を上げて無効にする）
+    const recoveryData = await generateRecoveryData(
+      masterKey,
+      totalGuardians,
+      requiredShares,
+      ((currentData && currentData.shareEpoch) || 0) + 1
+    );
     
-    if (result.err) {
-      throw new Error(result.err);
-    }
+    // 公開リカバリーデータをキャニスターに保存（失効デバイスの一覧などシェア以外の情報は引き継ぐ）
+    await updatePublicRecoveryData(JSON.parse(blobToString(recoveryData.publicRecoveryData)));
     
     return {
       shares: recoveryData.shares,
@@ -550,6 +1451,246 @@ export const setupRecovery = async (totalGuardians, requiredShares, masterKey) =
   }
 };
 
+/**
+ * シェアの再配布ジョブの保存先キー
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {string} localStorageのキー
+ */
+const getShareRefreshJobStorageKey = (principal) => `${principal}_shareRefreshJob`;
+
+/**
+ * シェアの再配布ジョブを取得
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {Object|null} ジョブまたはnull
+ */
+export const getShareRefreshJob = (principal) => {
+  if (!principal) return null;
+
+  try {
+    const job = localStorage.getItem(getShareRefreshJobStorageKey(principal));
+    return job ? JSON.parse(job) : null;
+  } catch (error) {
+    console.error('シェアの再配布ジョブの読み込みに失敗:', error);
+    return null;
+  }
+};
+
+/**
+ * シェアの再配布ジョブを保存（各ステップの後に呼び出し、中断時に同じシェアセットで再開できるようにする）
+ * 新しいシェアは配布するキーで暗号化した形でだけ残し、キーそのものは保存しない
+ * @param {Object} job - シェアの再配布ジョブ
+ */
+const saveShareRefreshJob = (job) => {
+  job.updatedAt = Date.now();
+  const { shares, masterKey, ...storedJob } = job;
+  localStorage.setItem(getShareRefreshJobStorageKey(job.principal), JSON.stringify(storedJob));
+};
+
+/**
+ * 公開前のシェアの再配布ジョブを破棄する
+ * 預けた新しいシェアはコミットメントが公開されないため使われない
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {boolean} 破棄した場合はtrue
+ */
+export const discardStagedRecoveryShares = (principal) => {
+  const job = getShareRefreshJob(principal);
+  if (!job || job.status !== 'staging') return false;
+
+  localStorage.removeItem(getShareRefreshJobStorageKey(principal));
+  return true;
+};
+
+/**
+ * 新しいシェアセットを作ってガーディアンに預ける（割り当てとコミットメントはまだ変えない）
+ * 同じキーで預けている途中のジョブがあれば、同じシェアセットのまま残りのガーディアンに預ける。
+ * 必要数のガーディアンに届かなければ例外になり、ジョブは次の実行のために残る
+ * @param {Object} options - オプション
+ * @param {string} options.masterKey - シェアにするキー（省略時は現在のマスターキー）
+ * @returns {Promise<Object>} ジョブ（shares を含む）
+ */
+export const stageRecoveryShares = async ({ masterKey: keyToShare = null } = {}) => {
+  const principal = await getCurrentPrincipal();
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+
+  const principalStr = principal.toString();
+  const masterKey = keyToShare || getUserMasterKey(principalStr);
+  if (!masterKey) {
+    throw new Error('マスターキーがロックされています');
+  }
+
+  const keyCheck = await computeMasterKeyCheck(masterKey);
+  let job = getShareRefreshJob(principalStr);
+
+  if (job && job.status === 'staging' && job.keyCheck === keyCheck) {
+    try {
+      job.shares = await improvedDecrypt(job.sharesEncrypted, masterKey);
+    } catch (error) {
+      throw new Error('シェアの再配布ジョブのシェアを復元できません');
+    }
+  } else {
+    // 公開前のジョブは別のキーのもの、公開後のジョブは新しいシェアセットで置き換わるため引き継がない
+    const policy = await getRecoveryPolicy();
+    const epoch = policy.shareEpoch + 1;
+    const recoveryData = await generateRecoveryData(masterKey, policy.totalGuardians, policy.requiredShares, epoch);
+
+    job = {
+      principal: principalStr,
+      status: 'staging',
+      keyCheck,
+      epoch,
+      requiredShares: policy.requiredShares,
+      shares: recoveryData.shares,
+      sharesEncrypted: await improvedEncrypt(recoveryData.shares, masterKey),
+      publicRecoveryData: JSON.parse(blobToString(recoveryData.publicRecoveryData)),
+      staged: [],
+      failed: [],
+      pendingAssignments: [],
+      startedAt: Date.now()
+    };
+  }
+
+  // 在庫のシェアの暗号化に使う（保存はしない）
+  job.masterKey = masterKey;
+
+  const guardians = await getGuardians();
+  const stagedPrincipals = new Set(job.staged.map(entry => entry.principal));
+  const usedShareIds = new Set(job.staged.map(entry => entry.shareId));
+
+  // 失敗一覧は毎回評価し直す
+  job.failed = [];
+
+  // 割り当て中のシェアは変えずに、新しいシェアを預けるだけにする
+  for (const guardian of guardians) {
+    if (stagedPrincipals.has(guardian.principal)) continue;
+
+    const share = job.shares.find(item => !usedShareIds.has(item.id));
+    if (!share) {
+      job.failed.push({ principal: guardian.principal, error: '割り当てるシェアが残っていません' });
+      continue;
+    }
+
+    try {
+      const encryptedShare = await stageGuardianShare(guardian.principal, share);
+      job.staged.push({ principal: guardian.principal, shareId: share.id, encryptedShare: bytesToHex(encryptedShare) });
+      usedShareIds.add(share.id);
+    } catch (error) {
+      console.error(`ガーディアン ${guardian.principal} へのシェアの再配布に失敗:`, error);
+      job.failed.push({ principal: guardian.principal, error: error.message });
+    }
+
+    saveShareRefreshJob(job);
+  }
+
+  saveShareRefreshJob(job);
+
+  if (job.staged.length < job.requiredShares) {
+    // 新しいシェアだけでは回復できないため、現在のシェアセットを有効なまま残す
+    throw new Error(`新しいシェアを配布できたガーディアンが回復に必要な${job.requiredShares}人に届きませんでした（${job.staged.length}人）`);
+  }
+
+  return job;
+};
+
+/**
+ * 預けた新しいシェアセットのコミットメントを公開し、ガーディアンの割り当てを切り替える
+ * 必要数のガーディアンに預けた時点で新しいシェアセットで回復できるため、先に公開してから切り替える。
+ * 切り替えられなかったガーディアンはジョブに残し、retryRecoveryShareAssignmentsで再試行する
+ * @param {Object} job - stageRecoverySharesが返したジョブ
+ * @returns {Promise<Object>} 新しい世代、配布できたガーディアン、失敗したガーディアン、切り替え待ちのガーディアン、未割り当てのシェア数
+ */
+export const commitRecoveryShares = async (job) => {
+  if (!job || job.status !== 'staging' || !job.shares) {
+    throw new Error('公開できるシェアの再配布ジョブがありません');
+  }
+
+  // 新しいコミットメントを公開した時点で、古い世代のシェアは結合に使えなくなる
+  await updatePublicRecoveryData(job.publicRecoveryData);
+
+  const assignedShares = {};
+  job.staged.forEach(entry => {
+    assignedShares[entry.shareId] = entry.principal;
+  });
+  const unassignedShares = await replaceShareInventory(job.principal, job.shares, assignedShares, {
+    masterKey: job.masterKey
+  });
+
+  job.status = 'assigning';
+  job.pendingAssignments = job.staged.map(({ principal, shareId, encryptedShare }) => ({ principal, shareId, encryptedShare }));
+  delete job.sharesEncrypted;
+  saveShareRefreshJob(job);
+
+  const { pending } = await retryRecoveryShareAssignments(job.principal);
+
+  return {
+    epoch: job.epoch,
+    redistributed: job.staged.map(entry => entry.principal),
+    failed: job.failed,
+    pendingAssignments: pending,
+    unassignedShares
+  };
+};
+
+/**
+ * 公開済みのシェアセットで、切り替えられていないガーディアンの割り当てを再試行する
+ * ログイン時やシェアの更新時に呼び出す
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {Promise<Object>} 切り替えたガーディアン（assigned）と切り替え待ちのガーディアン（pending）
+ */
+export const retryRecoveryShareAssignments = async (principal) => {
+  const job = getShareRefreshJob(principal);
+  if (!job || job.status !== 'assigning') {
+    return { assigned: [], pending: [] };
+  }
+
+  // 後から別のシェアセット（ポリシー変更など）が公開されていれば、古い世代のシェアには切り替えない
+  const publicRecoveryData = await getPublicRecoveryData();
+  if (!publicRecoveryData || publicRecoveryData.shareEpoch !== job.epoch) {
+    job.status = 'superseded';
+    job.pendingAssignments = [];
+    saveShareRefreshJob(job);
+    return { assigned: [], pending: [] };
+  }
+
+  const assigned = [];
+  const remaining = [];
+
+  for (const entry of job.pendingAssignments) {
+    try {
+      await assignStagedGuardianShare(entry.principal, entry.shareId, hexToBytes(entry.encryptedShare));
+      assigned.push(entry.principal);
+    } catch (error) {
+      console.error(`ガーディアン ${entry.principal} のシェアの切り替えに失敗:`, error);
+      remaining.push({ ...entry, error: error.message });
+    }
+  }
+
+  job.pendingAssignments = remaining;
+  if (remaining.length === 0) {
+    job.status = 'completed';
+    job.completedAt = Date.now();
+  }
+  saveShareRefreshJob(job);
+
+  return { assigned, pending: remaining.map(entry => entry.principal) };
+};
+
+/**
+ * マスターキーを変えずにリカバリーシェアを更新（プロアクティブなシェアの再配布）
+ * 同じ秘密から新しい多項式でシェアを作り直して既存のガーディアンに預け、
+ * 必要数以上のガーディアンに届いてから世代を上げたコミットメントを公開して割り当てを切り替える。
+ * 必要数に届かない場合は古いシェアセットを有効なまま残し、次の実行で同じシェアセットの配布を続ける
+ * マスターキーのローテーションでは、有効化する前の新しいキーを options.masterKey に渡して同じ手順で配布する
+ * @param {Object} options - オプション
+ * @param {string} options.masterKey - シェアにするキー（省略時は現在のマスターキー）
+ * @returns {Promise<Object>} 新しい世代、配布できたガーディアン、失敗したガーディアン、切り替え待ちのガーディアン、未割り当てのシェア数
+ */
+export const refreshRecoveryShares = async ({ masterKey = null } = {}) => {
+  const job = await stageRecoveryShares({ masterKey });
+  return commitRecoveryShares(job);
+};
+
 const toPrincipal = (principalStr) => {
   try {
     return Principal.fromText(principalStr);
@@ -606,6 +1747,29 @@ export const approveRecovery = async (userPrincipal) => {
   }
 };
 
+/**
+ * リカバリーセッションを取り消す（所有者の拒否）
+ * @param {string} userPrincipal - ユーザーのプリンシパルID
+ * @returns {boolean} 成功した場合はtrue
+ */
+export const resetRecovery = async (userPrincipal) => {
+  try {
+    const actor = await getActor();
+    const principal = toPrincipal(userPrincipal);
+    
+    const result = await actor.resetRecovery(principal);
+    
+    if (result.err) {
+      throw new Error(result.err);
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Failed to reset recovery:', error);
+    throw error;
+  }
+};
+
 /**
  * リカバリーシェアを提出
  * @param {string} userPrincipal - 回復対象のユーザーのプリンシパルID
@@ -625,6 +1789,38 @@ export const submitRecoveryShare = async (userPrincipal, shareId) => {
   }
 };
 
+/**
+ * キャニスターのリカバリーセッションとプロファイルを表示用の形式に変換
+ * @param {Object} session - RecoverySession
+ * @param {Object} profile - UserProfile
+ * @returns {Object} リカバリーステータス情報
+ */
+const parseRecoveryStatus = (session, profile) => ({
+  session: {
+    userPrincipal: session.userPrincipal.toString(),
+    requestTime: new Date(Number(session.requestTime) / 1000000),
+    approvedGuardians: session.approvedGuardians.map(p => p.toString()),
+    tempAccessPrincipal: session.tempAccessPrincipal.length > 0 ? session.tempAccessPrincipal[0].toString() : null,
+    status: Object.keys(session.status)[0],
+    collectedShares: session.collectedShares
+  },
+  profile: {
+    principal: profile.principal.toString(),
+    totalGuardians: profile.totalGuardians,
+    requiredShares: profile.requiredShares,
+    recoveryEnabled: profile.recoveryEnabled,
+    publicRecoveryData: profile.publicRecoveryData && profile.publicRecoveryData.length > 0
+      ? JSON.parse(blobToString(Uint8Array.from(profile.publicRecoveryData[0])))
+      : null,
+    devices: profile.devices.map(device => ({
+      id: device.id,
+      name: device.name,
+      registrationTime: new Date(Number(device.registrationTime) / 1000000),
+      lastAccessTime: new Date(Number(device.lastAccessTime) / 1000000)
+    }))
+  }
+});
+
 /**
  * リカバリー状態を取得
  * @param {string} userPrincipal - ユーザーのプリンシパルID
@@ -643,48 +1839,225 @@ export const getRecoveryStatus = async (userPrincipal) => {
     
     const [session, profile] = result.ok;
     
-    return {
-      session: {
-        userPrincipal: session.userPrincipal.toString(),
-        requestTime: new Date(Number(session.requestTime) / 1000000),
-        approvedGuardians: session.approvedGuardians.map(p => p.toString()),
-        tempAccessPrincipal: session.tempAccessPrincipal ? session.tempAccessPrincipal[0].toString() : null,
-        status: Object.keys(session.status)[0],
-        collectedShares: session.collectedShares
-      },
-      profile: {
-        principal: profile.principal.toString(),
-        totalGuardians: profile.totalGuardians,
-        requiredShares: profile.requiredShares,
-        recoveryEnabled: profile.recoveryEnabled,
-        publicRecoveryData: profile.publicRecoveryData ? JSON.parse(blobToString(profile.publicRecoveryData[0])) : null,
-        devices: profile.devices.map(device => ({
-          id: device.id,
-          name: device.name,
-          registrationTime: new Date(Number(device.registrationTime) / 1000000),
-          lastAccessTime: new Date(Number(device.lastAccessTime) / 1000000)
-        }))
-      }
-    };
+    return parseRecoveryStatus(session, profile);
   } catch (error) {
     console.error('Failed to get recovery status:', error);
     throw error;
   }
 };
 
-//------------------------------------------------
-// Device API
-//------------------------------------------------
-
 /**
- * デバイス一覧を取得
- * @returns {Array} デバイスの配列
+ * リカバリーセッションがあればその状態を取得
+ * 定期的に確認する用途のため、セッションがない場合はエラーにせずnullを返す
+ * @param {string} userPrincipal - ユーザーのプリンシパルID
+ * @returns {Promise<Object|null>} リカバリーステータス情報
  */
-export const getDevices = async () => {
-  try {
-    const actor = await getActor();
-    const result = await actor.getDevices();
-    
+export const findRecoveryStatus = async (userPrincipal) => {
+  const actor = await getActor();
+  const result = await actor.getRecoveryStatus(toPrincipal(userPrincipal));
+  
+  if (result.err) {
+    return null;
+  }
+  
+  const [session, profile] = result.ok;
+  return parseRecoveryStatus(session, profile);
+};
+
+const RECOVERY_REQUEST_CODE_TYPE = 'recovery-request';
+
+/**
+ * 【回復する側】ガーディアンに渡すリカバリーリクエストコードを作成
+ * シェアを受け取るための鍵ペアを生成し、秘密鍵はこのデバイスにだけ保存する
+ * @param {string} userPrincipal - 回復対象のユーザーのプリンシパルID
+ * @returns {Promise<Object>} リクエストコードと確認コード
+ */
+export const createRecoveryRequestCode = async (userPrincipal) => {
+  const keyPair = await generateKeyPair();
+  const publicKeyHex = bytesToHex(keyPair.publicKey);
+  localStorage.setItem('recoveryDevicePrivateKey', keyPair.privateKey);
+
+  const code = btoa(JSON.stringify({
+    type: RECOVERY_REQUEST_CODE_TYPE,
+    userPrincipal,
+    publicKey: publicKeyHex
+  }));
+
+  return {
+    code,
+    verificationCode: await computeDeviceLinkVerificationCode(publicKeyHex)
+  };
+};
+
+/**
+ * 【ガーディアン側】回復する側から受け取ったリカバリーリクエストコードを検証
+ * @param {string} code - リクエストコード
+ * @param {string} userPrincipal - 承認しようとしているユーザーのプリンシパルID
+ * @returns {Promise<Object>} 回復する側の公開鍵と確認コード
+ */
+export const parseRecoveryRequestCode = async (code, userPrincipal) => {
+  let data;
+  try {
+    data = JSON.parse(atob(code.trim()));
+  } catch (error) {
+    throw new Error('リカバリーリクエストコードの形式が正しくありません');
+  }
+
+  if (data.type !== RECOVERY_REQUEST_CODE_TYPE || !data.publicKey) {
+    throw new Error('リカバリー画面に表示されたリクエストコードではありません');
+  }
+
+  if (data.userPrincipal !== userPrincipal) {
+    throw new Error('別のユーザーのリカバリーリクエストコードです');
+  }
+
+  return {
+    publicKey: data.publicKey,
+    verificationCode: await computeDeviceLinkVerificationCode(data.publicKey)
+  };
+};
+
+/**
+ * 【ガーディアン側】預かっているシェアを回復する側の公開鍵で暗号化し直して提出
+ * キャニスター上のシェアは自分の公開鍵宛てのため、自分の秘密鍵で復号してから再暗号化する
+ * @param {string} userPrincipal - 回復対象のユーザーのプリンシパルID
+ * @param {string} recoveryPublicKey - 回復する側の公開鍵（16進数）
+ * @returns {Promise<Object>} 提出したシェアのID
+ */
+export const releaseRecoveryShare = async (userPrincipal, recoveryPublicKey) => {
+  const actor = await getActor();
+  const principal = toPrincipal(userPrincipal);
+  const currentPrincipal = await getCurrentPrincipal();
+
+  if (!currentPrincipal) {
+    throw new Error('User principal not found');
+  }
+
+  const guardianPrivateKey = localStorage.getItem(
+    getGuardianPrivateKeyStorageKey(currentPrincipal.toString())
+  );
+  if (!guardianPrivateKey) {
+    throw new Error('このデバイスにはガーディアンの秘密鍵がありません。公開鍵コードを発行したデバイスで承認してください');
+  }
+
+  const keyShareResult = await actor.getMyKeyShare(principal);
+  if (keyShareResult.err) {
+    throw new Error(keyShareResult.err);
+  }
+
+  const keyShare = keyShareResult.ok;
+  const share = await decryptWithPrivateKey(Uint8Array.from(keyShare.encryptedShare), guardianPrivateKey);
+
+  if (!share || share.id !== keyShare.shareId) {
+    throw new Error('預かっているシェアの内容が一致しません');
+  }
+
+  // 破損・改ざんされたシェアを提出しないよう、所有者が公開したコミットメントと照合する
+  const { profile } = await getRecoveryStatus(userPrincipal);
+  const commitments = profile.publicRecoveryData && profile.publicRecoveryData.shareCommitments;
+  if (commitments && (await verifyShareCommitment(share, commitments)) !== true) {
+    const error = new Error('預かっているシェアが現在のリカバリー設定と一致しません（古い世代のシェアの可能性があります）');
+    error.code = INVALID_SHARES_ERROR;
+    throw error;
+  }
+
+  // 回復する側だけが復号できる形でキャニスター上のシェアを置き換える
+  // Replace には置き換え後のガーディアン（自分自身）を渡し、割り当てはそのままシェアだけを差し替える
+  const releasedShare = await encryptWithPublicKey(share, recoveryPublicKey);
+  const replaceResult = await actor.manageGuardian(
+    principal,
+    { Replace: toPrincipal(currentPrincipal.toString()) },
+    [releasedShare],
+    [keyShare.shareId]
+  );
+
+  if (replaceResult.err) {
+    throw new Error(replaceResult.err);
+  }
+
+  const submitResult = await actor.submitRecoveryShare(principal, keyShare.shareId);
+  if (submitResult.err) {
+    throw new Error(submitResult.err);
+  }
+
+  return { shareId: keyShare.shareId };
+};
+
+/**
+ * 【ガーディアン側】預かっているシェアをキャニスター上の最新のシェアに置き換える
+ * 所有者がシェアを更新した後、ログイン時に古い世代のシェアを自動的に差し替える
+ * @returns {Promise<Object>} 置き換えたシェアの数
+ */
+export const syncGuardianShares = async () => {
+  const principal = await getCurrentPrincipal();
+  if (!principal) {
+    return { updated: 0 };
+  }
+
+  const guardianPrivateKey = localStorage.getItem(
+    getGuardianPrivateKeyStorageKey(principal.toString())
+  );
+  if (!guardianPrivateKey) {
+    return { updated: 0 };
+  }
+
+  const actor = await getActor();
+  const storedShares = await getAllShares();
+  const userPrincipals = Array.from(new Set(storedShares.map(share => share.userPrincipal)));
+  let updated = 0;
+
+  for (const userPrincipal of userPrincipals) {
+    try {
+      const keyShareResult = await actor.getMyKeyShare(toPrincipal(userPrincipal));
+      if (keyShareResult.err) continue;
+
+      const keyShare = keyShareResult.ok;
+      const oldShares = storedShares.filter(share => share.userPrincipal === userPrincipal);
+      if (oldShares.some(share => share.id === keyShare.shareId)) continue;
+
+      const share = await decryptWithPrivateKey(Uint8Array.from(keyShare.encryptedShare), guardianPrivateKey);
+      if (!share || share.id !== keyShare.shareId) {
+        console.warn(`${userPrincipal} のシェアの内容が一致しないため置き換えません`);
+        continue;
+      }
+
+      await storeShareInIndexedDB(
+        {
+          ...share,
+          metadata: {
+            epoch: share.epoch || null,
+            threshold: share.threshold || null,
+            totalShares: share.totalShares || null
+          }
+        },
+        userPrincipal,
+        oldShares[0].userName || ''
+      );
+      for (const oldShare of oldShares) {
+        await deleteShare(oldShare.id);
+      }
+      updated++;
+    } catch (error) {
+      console.warn(`${userPrincipal} のシェアを更新できませんでした:`, error);
+    }
+  }
+
+  return { updated };
+};
+
+//------------------------------------------------
+// Device API
+//------------------------------------------------
+
+/**
+ * デバイス一覧を取得
+ * @returns {Array} デバイスの配列
+ */
+export const getDevices = async () => {
+  try {
+    const actor = await getActor();
+    const result = await actor.getDevices();
+    
     if (result.err) {
       throw new Error(result.err);
     }
@@ -693,7 +2066,10 @@ export const getDevices = async () => {
       id: device.id,
       name: device.name,
       registrationTime: new Date(Number(device.registrationTime) / 1000000),
-      lastAccessTime: new Date(Number(device.lastAccessTime) / 1000000)
+      lastAccessTime: new Date(Number(device.lastAccessTime) / 1000000),
+      publicKey: Uint8Array.from(device.publicKey),
+      // md5を公開鍵としていた旧形式のデバイス（再登録が必要）
+      legacyKey: isLegacyPublicKey(device.publicKey)
     }));
   } catch (error) {
     console.error('Failed to get devices:', error);
@@ -702,65 +2078,164 @@ export const getDevices = async () => {
 };
 
 /**
- * 新しいデバイスを追加
- * @param {string} deviceName - デバイス名
- * @returns {string} 新しいデバイスのID
+ * 登録済みデバイスに新しいマスターキーをラップし直す
+ * キャニスターにはラップ済みキーを更新するAPIがないため、
+ * 同じ公開鍵で登録し直してから元のデバイスを削除する
+ * @param {Object} device - getDevicesで取得したデバイス
+ * @param {string} masterKey - ラップするマスターキー
+ * @returns {Promise<string>} 再登録後のデバイスID
+ */
+export const rewrapDeviceMasterKey = async (device, masterKey) => {
+  const actor = await getActor();
+  const encryptedMasterKey = await encryptWithPublicKey(masterKey, device.publicKey);
+  
+  const result = await actor.addDevice(device.name, device.publicKey, encryptedMasterKey);
+  
+  if (result.err) {
+    throw new Error(result.err);
+  }
+  
+  return result.ok;
+};
+
+/**
+ * デバイスを失効させる
+ * デバイスIDと公開鍵のフィンガープリントを失効リストに記録してから登録を削除する。
+ * 失効したデバイスは次回接続時にローカルの鍵情報を消去する（checkDeviceRevocation）
+ * マスターキーのローテーションは呼び出し側で続けて実行すること
+ * @param {string} deviceId - デバイスID
+ * @returns {Promise<boolean>} 成功した場合はtrue
  */
-export const addDevice = async (deviceName) => {
+export const revokeDevice = async (deviceId) => {
   try {
-    const actor = await getActor();
-    const principal = await getCurrentPrincipal();
+    const devices = await getDevices();
+    const device = devices.find(d => d.id === deviceId);
     
-    if (!principal) {
-      throw new Error('User principal not found');
+    if (!device) {
+      throw new Error('デバイスが見つかりません');
     }
     
-    // Get the user-specific master key
-    const principalStr = principal.toString();
-    const masterKey = getUserMasterKey(principalStr);
-    
-    if (!masterKey) {
-      throw new Error('Master encryption key not found');
-    }
+    const fingerprint = await getPublicKeyFingerprint(device.publicKey);
     
-    // Generate a new key pair for the device
-    const deviceKeyPair = await generateKeyPair();
+    await updatePublicRecoveryData(current => {
+      const revokedDevices = current.revokedDevices || [];
+      return revokedDevices.some(entry => entry.deviceId === deviceId)
+        ? {}
+        : { revokedDevices: [...revokedDevices, { deviceId, fingerprint, revokedAt: Date.now() }] };
+    });
     
-    // Use dummy data for now - in a real implementation we'd encrypt the master key
-    // with the new device's public key
-    const encryptedMasterKey = stringToBlob(JSON.stringify({dummy: true}));
+    return await removeDevice(deviceId);
+  } catch (error) {
+    console.error('Failed to revoke device:', error);
+    throw error;
+  }
+};
 
-    const result = await actor.addDevice(
-      deviceName, 
-      deviceKeyPair.publicKey,
-      encryptedMasterKey
-    );
-    
-    if (result.err) {
-      throw new Error(result.err);
+/**
+ * このデバイスが失効済みか確認し、失効していればローカルの鍵情報を消去する
+ * デバイスIDは鍵の形式によらず照合し、鍵のフィンガープリントは新形式の鍵のときだけ照合する
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {Promise<boolean>} 失効していた場合はtrue
+ */
+export const checkDeviceRevocation = async (principal) => {
+  const devicePrivateKey = localStorage.getItem('devicePrivateKey');
+  const deviceId = localStorage.getItem('deviceId');
+  if (!devicePrivateKey && !deviceId) {
+    return false;
+  }
+  
+  try {
+    const publicRecoveryData = await getPublicRecoveryData();
+    const revokedDevices = (publicRecoveryData && publicRecoveryData.revokedDevices) || [];
+    if (revokedDevices.length === 0) {
+      return false;
     }
     
-    // Generate setup information for QR code
-    const deviceSetupInfo = {
-      deviceId: result.ok,
-      privateKey: deviceKeyPair.privateKey,
-      userPrincipal: principalStr, // Include user principal for proper key storage
-      expiresAt: Date.now() + 1000 * 60 * 10 // 10 minutes validity
-    };
+    // 他のデバイスでのローテーション後は、このデバイスは新しいIDで登録し直されている
+    const rewrappedDevices = (publicRecoveryData.masterKey && publicRecoveryData.masterKey.rewrappedDevices) || {};
+    const deviceIds = [deviceId, rewrappedDevices[deviceId]].filter(Boolean);
+    let revoked = revokedDevices.some(entry => entry.deviceId && deviceIds.includes(entry.deviceId));
     
-    // Generate setup token (for QR code)
-    const setupToken = btoa(JSON.stringify(deviceSetupInfo));
+    if (!revoked && devicePrivateKey && !isLegacyPrivateKey(devicePrivateKey)) {
+      const fingerprint = await getPublicKeyFingerprint(await derivePublicKey(devicePrivateKey));
+      revoked = revokedDevices.some(entry => entry.fingerprint === fingerprint);
+    }
     
-    return {
-      deviceId: result.ok,
-      setupToken
-    };
+    if (!revoked) {
+      return false;
+    }
+    
+    console.warn('このデバイスは失効しています。ローカルの鍵情報を消去します');
+    await wipeLocalKeyMaterial(principal);
+    return true;
   } catch (error) {
-    console.error('Failed to add device:', error);
-    throw error;
+    // 確認できない場合は消去しない（オフライン時など）
+    console.error('デバイス失効の確認に失敗:', error);
+    return false;
   }
 };
 
+/**
+ * IndexedDBのデータベースを削除
+ * @param {string} dbName - データベース名
+ * @returns {Promise<void>}
+ */
+const deleteIndexedDB = (dbName) => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(dbName);
+    request.onsuccess = () => resolve();
+    request.onerror = (event) => reject(event.target.error);
+    // 他のタブが接続を保持している場合も削除は後で完了する
+    request.onblocked = () => resolve();
+  });
+};
+
+/**
+ * このデバイスに保存されている鍵情報をすべて消去
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {Promise<void>}
+ */
+export const wipeLocalKeyMaterial = async (principal) => {
+  const keysToRemove = [
+    'masterEncryptionKey',
+    'devicePrivateKey',
+    'deviceId',
+    'recoveryDevicePrivateKey',
+    'recoveryShares'
+  ];
+  
+  if (principal) {
+    keysToRemove.push(
+      `${principal}_masterEncryptionKey`,
+      `${principal}_keyRotationJob`,
+      getGuardianPrivateKeyStorageKey(principal)
+    );
+  }
+  
+  keysToRemove.forEach(key => localStorage.removeItem(key));
+  lockMasterKey();
+  
+  // 他のユーザー分も含め、マスターキーはすべて消去する
+  Object.keys(localStorage)
+    .filter(key => ['_masterEncryptionKey', '_keyRotationJob', '_guardianPrivateKey'].some(suffix => key.endsWith(suffix)))
+    .forEach(key => localStorage.removeItem(key));
+  
+  if (window._secureBackupStorage) {
+    window._secureBackupStorage = {};
+  }
+  
+  for (const dbName of ['SecureStorage', 'AppStorage', 'ShareInventoryDB']) {
+    try {
+      await deleteIndexedDB(dbName);
+    } catch (error) {
+      console.error(`${dbName} の削除に失敗:`, error);
+    }
+  }
+  
+  // キャッシュされた復号済みノートも破棄
+  clearNotesCache();
+};
+
 /**
  * デバイスを削除
  * @param {string} deviceId - デバイスID
@@ -780,150 +2255,465 @@ export const removeDevice = async (deviceId) => {
     console.error('Failed to remove device:', error);
     throw error;
   }
-};
-
+};
+
+/**
+ * リカバリー後のアカウントを有効化
+ * @param {string} userPrincipal - ユーザーのプリンシパルID
+ * @param {string} deviceName - 新しいデバイス名
+ * @param {Array<number>} publicKey - 新しいデバイスの公開鍵
+ * @returns {Promise<Object>} 結果（デバイスIDまたはエラー）
+ */
+export const activateRecoveredAccount = async (userPrincipal, deviceName, publicKey) => {
+  try {
+    const actor = await getActor();
+    const result = await actor.activateRecoveredAccount(userPrincipal, deviceName, publicKey);
+    return result; // { ok: deviceId } or { err: string }
+  } catch (error) {
+    console.error('アカウントリカバリーに失敗:', error);
+    return { err: error.message };
+  }
+};
+
+/**
+ * 集めたシェアからマスターキーを再構築
+ * IDのないシェア（単語から手入力したシェアなど）は、コミットメントからIDを探して検証する
+ * @param {string} userPrincipal - 回復対象のユーザーのプリンシパルID
+ * @param {Array} shares - シェアの配列（value、あればid）
+ * @returns {Promise<Object>} masterKey（シェアが足りない場合はnull）、invalidShares、requiredShares、shareCount
+ */
+export const combineRecoveryShares = async (userPrincipal, shares) => {
+  // セッションには閾値が含まれないため、シェアセットと一緒に公開した設定と比較する
+  const { profile } = await getRecoveryStatus(userPrincipal);
+  const publicData = profile.publicRecoveryData;
+  const commitments = publicData && publicData.shareCommitments;
+  const requiredShares = Number((publicData && publicData.requiredShares) || profile.requiredShares);
+  
+  // 同じシェアがキャニスターと手入力の両方から届いた場合は1つにまとめる
+  const uniqueShares = [];
+  for (const share of shares) {
+    if (uniqueShares.some(existing => existing.value === share.value)) continue;
+    
+    const id = share.id
+      || (await findShareIdByCommitment(share.value, commitments))
+      || `manual-${uniqueShares.length + 1}`;
+    uniqueShares.push({ ...share, id });
+  }
+  
+  let masterKey = null;
+  let invalidShares = [];
+  
+  if (uniqueShares.length >= requiredShares) {
+    // 十分なシェアが集まった場合、コミットメントで検証しながらマスターキーを再構築
+    try {
+      const combined = await combineVerifiedShares(uniqueShares, commitments, requiredShares);
+      masterKey = combined.secret;
+      invalidShares = combined.invalidShares;
+    } catch (error) {
+      if (error.code !== INVALID_SHARES_ERROR) throw error;
+      console.error('正しいシェアが不足しています:', error.invalidShares);
+      invalidShares = error.invalidShares;
+    }
+  }
+  
+  return {
+    masterKey,
+    invalidShares,
+    requiredShares,
+    shareCount: uniqueShares.length
+  };
+};
+
+/**
+ * リカバリーデータを収集する
+ * @param {string} userPrincipal - 回復対象のユーザーのプリンシパルID
+ * @param {Array} extraShares - ガーディアンから単語で受け取って手入力したシェア
+ * @returns {Promise<Object>} 収集したリカバリーデータ
+ */
+export const collectRecoveryData = async (userPrincipal, extraShares = []) => {
+  try {
+    const actor = await getActor();
+    
+    // バックエンドのcollectRecoveryData関数を呼び出し
+    const result = await actor.collectRecoveryData(toPrincipal(userPrincipal));
+    
+    if (result.err) {
+      throw new Error(result.err);
+    }
+    
+    // IDLファイルから確認すると、結果はタプルで返ってくる
+    // [RecoverySession, Vec<KeyShare>, Opt<Vec<Nat8>>]
+    const [session, keyShares] = result.ok;
+    
+    // ガーディアンが回復する側の公開鍵で暗号化し直したシェアだけが復号できる
+    const recoveryPrivateKey = localStorage.getItem('recoveryDevicePrivateKey');
+    let shares = [];
+    
+    if (recoveryPrivateKey && keyShares && keyShares.length > 0) {
+      const decryptedShares = await Promise.all(keyShares.map(async keyShare => {
+        try {
+          const share = await decryptWithPrivateKey(
+            Uint8Array.from(keyShare.encryptedShare),
+            recoveryPrivateKey
+          );
+          return share && share.id === keyShare.shareId ? share : null;
+        } catch (err) {
+          console.warn(`シェア ${keyShare.shareId} はまだ復号できません:`, err);
+          return null;
+        }
+      }));
+      shares = decryptedShares.filter(Boolean);
+    }
+    
+    // マスターキーの再構築はクライアント側で行う
+    const allShares = [...shares, ...extraShares];
+    const { masterKey, invalidShares } = allShares.length > 0
+      ? await combineRecoveryShares(userPrincipal, allShares)
+      : { masterKey: null, invalidShares: [] };
+    
+    return {
+      session: {
+        status: Object.keys(session.status)[0],
+        requestTime: new Date(Number(session.requestTime) / 1000000),
+        approvedGuardians: session.approvedGuardians.map(p => p.toString()),
+        collectedShares: session.collectedShares,
+        tempAccessPrincipal: session.tempAccessPrincipal.length > 0 ? session.tempAccessPrincipal[0].toString() : null
+      },
+      keyShares,
+      masterKey,
+      invalidShares
+    };
+  } catch (error) {
+    console.error('Failed to collect recovery data:', error);
+    throw error;
+  }
+};
+
+
+//------------------------------------------------
+// ガーディアン招待トークン
+//------------------------------------------------
+const INVITATION_TOKEN_TYPE = 'guardian-invitation';
+const INVITATION_TOKEN_VERSION = 2;
+const HOUR_MS = 60 * 60 * 1000;
+export const INVITATION_LIFETIME_OPTIONS = [1, 24, 72, 168]; // 選択できる有効期間（時間）
+export const DEFAULT_INVITATION_LIFETIME_HOURS = 24;
+const MAX_INVITATION_LIFETIME_MS = Math.max(...INVITATION_LIFETIME_OPTIONS) * HOUR_MS;
+const INVITATION_CLOCK_SKEW_MS = 5 * 60 * 1000; // 端末間の時計のずれの許容範囲
+const ISSUED_INVITATION_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 公開鍵コードが遅れて届く場合に備えて30日保持
+const INVITATION_RECORD_ID = 'guardian-invitation'; // 招待者がキャニスターに残す招待の記録のID
+
+/**
+ * 招待の有効期間設定の保存先キー
+ * @param {string} principal - 招待する所有者のプリンシパルID
+ * @returns {string} localStorageのキー
+ */
+const getInvitationLifetimeStorageKey = (principal) => `${principal}_invitationLifetimeHours`;
+
+/**
+ * 招待の有効期間を取得
+ * 署名付きトークン、招待の記録、画面のカウントダウンはすべてこの値から決まる
+ * @param {string} principal - 招待する所有者のプリンシパルID
+ * @returns {number} 時間数
+ */
+export const getInvitationLifetimeHours = (principal) => {
+  const stored = principal ? Number(localStorage.getItem(getInvitationLifetimeStorageKey(principal))) : NaN;
+  return INVITATION_LIFETIME_OPTIONS.includes(stored) ? stored : DEFAULT_INVITATION_LIFETIME_HOURS;
+};
+
+/**
+ * 招待の有効期間を設定
+ * @param {string} principal - 招待する所有者のプリンシパルID
+ * @param {number} hours - 時間数（INVITATION_LIFETIME_OPTIONSのいずれか）
+ */
+export const setInvitationLifetimeHours = (principal, hours) => {
+  if (!principal || !INVITATION_LIFETIME_OPTIONS.includes(hours)) return;
+  localStorage.setItem(getInvitationLifetimeStorageKey(principal), String(hours));
+};
+
+/**
+ * 招待署名鍵の保存先キー
+ * @param {string} principal - 招待する所有者のプリンシパルID
+ * @returns {string} localStorageのキー
+ */
+const getInvitationSigningKeyStorageKey = (principal) => `${principal}_invitationSigningKey`;
+
+/**
+ * 発行済み招待の記録の保存先キー
+ * @param {string} principal - 招待する所有者のプリンシパルID
+ * @returns {string} localStorageのキー
+ */
+const getIssuedInvitationsStorageKey = (principal) => `${principal}_issuedInvitations`;
+
+/**
+ * localStorageのJSONオブジェクトを読み込む（壊れている場合は空として扱う）
+ * @param {string} storageKey - localStorageのキー
+ * @returns {Object} 保存されているオブジェクト
+ */
+const readStoredObject = (storageKey) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey)) || {};
+  } catch (error) {
+    console.error(`Failed to parse ${storageKey}:`, error);
+    return {};
+  }
+};
+
+/**
+ * 【所有者側】招待に署名する鍵ペアを取得（なければ生成）
+ * 秘密鍵はこのデバイスにだけ保存し、公開鍵は招待トークンに含めて渡す
+ * @param {string} principal - 招待する所有者のプリンシパルID
+ * @returns {Promise<Object>} 16進数の秘密鍵と公開鍵
+ */
+const ensureInvitationSigningKey = async (principal) => {
+  const storageKey = getInvitationSigningKeyStorageKey(principal);
+  const storedPrivateKey = localStorage.getItem(storageKey);
+
+  if (storedPrivateKey) {
+    return {
+      privateKey: storedPrivateKey,
+      publicKey: await deriveSigningPublicKey(storedPrivateKey)
+    };
+  }
+
+  const keyPair = await generateSigningKeyPair();
+  localStorage.setItem(storageKey, keyPair.privateKey);
+  return keyPair;
+};
+
+/**
+ * 【所有者側】発行した招待を記録（保持期間を過ぎた記録は削除）
+ * @param {string} principal - 招待する所有者のプリンシパルID
+ * @param {Object} payload - 署名した招待の内容
+ */
+const recordIssuedInvitation = (principal, payload) => {
+  const storageKey = getIssuedInvitationsStorageKey(principal);
+  const issued = readStoredObject(storageKey);
+  const now = Date.now();
+
+  Object.keys(issued).forEach(nonce => {
+    if (issued[nonce].expiresAt + ISSUED_INVITATION_RETENTION_MS < now) {
+      delete issued[nonce];
+    }
+  });
+
+  issued[payload.nonce] = {
+    id: payload.id,
+    guardianPrincipal: payload.guardianPrincipal,
+    createdAt: payload.createdAt,
+    expiresAt: payload.expiresAt,
+    consumedAt: null,
+    revokedAt: null
+  };
+  localStorage.setItem(storageKey, JSON.stringify(issued));
+};
+
+/**
+ * 【所有者側】ガーディアンの公開鍵コードに含まれる招待を使用済みにする
+ * 同じ招待から作られた公開鍵コードで二度ガーディアンを追加できないようにする
+ * キャニスターの招待の記録は、ガーディアンに割り当てたシェアで上書きされるため、それ以降その招待は受け入れられない
+ * @param {string} nonce - 招待のノンス
+ * @returns {Promise<boolean>} このデバイスで発行した招待だった場合はtrue
+ */
+export const consumeIssuedInvitation = async (nonce) => {
+  return updateIssuedInvitation(nonce, { consumedAt: Date.now() });
+};
+
+/**
+ * 【所有者側】発行した招待を取り消す
+ * 取り消した招待から作られた公開鍵コードではガーディアンを追加できなくなる
+ * キャニスターの招待の記録も取り消し済みにし、ガーディアンがこの招待を受け入れられないようにする
+ * @param {string} nonce - 招待のノンス
+ * @returns {Promise<boolean>} このデバイスで発行した招待だった場合はtrue
+ */
+export const revokeIssuedInvitation = async (nonce) => {
+  const principal = await getCurrentPrincipal();
+  if (!principal || !nonce) return false;
+
+  const issued = readStoredObject(getIssuedInvitationsStorageKey(principal.toString()));
+  const invitation = issued[nonce];
+  if (!invitation) return false;
+
+  // 記録の場所はガーディアンごとに1つのため、同じ相手に新しい招待を発行済みなら、その記録を上書きしない
+  const now = Date.now();
+  const superseded = Object.keys(issued).some(otherNonce => otherNonce !== nonce
+    && issued[otherNonce].guardianPrincipal === invitation.guardianPrincipal
+    && issued[otherNonce].createdAt > invitation.createdAt
+    && !issued[otherNonce].revokedAt
+    && issued[otherNonce].expiresAt > now);
+
+  if (invitation.guardianPrincipal && !invitation.consumedAt && !superseded) {
+    await storeInvitationRecord(invitation.guardianPrincipal, { nonce, revokedAt: now });
+  }
+
+  return updateIssuedInvitation(nonce, { revokedAt: now });
+};
+
+/**
+ * 【所有者側】発行した招待の記録を更新
+ * @param {string} nonce - 招待のノンス
+ * @param {Object} patch - 更新する項目
+ * @returns {Promise<boolean>} 記録が見つかった場合はtrue
+ */
+const updateIssuedInvitation = async (nonce, patch) => {
+  const principal = await getCurrentPrincipal();
+  if (!principal || !nonce) return false;
+
+  const storageKey = getIssuedInvitationsStorageKey(principal.toString());
+  const issued = readStoredObject(storageKey);
+  if (!issued[nonce]) return false;
+
+  issued[nonce] = { ...issued[nonce], ...patch };
+  localStorage.setItem(storageKey, JSON.stringify(issued));
+  return true;
+};
+
+/**
+ * 【所有者側】招待の記録をガーディアン宛てにキャニスターに保存
+ * キャニスターは記録に書き込んだ本人のプリンシパルを付けるため、ガーディアンは招待者が残した記録だと確かめられる
+ * @param {string} guardianPrincipal - 招待するガーディアンのプリンシパルID
+ * @param {Object} record - 記録する内容（ノンス、署名鍵、有効期限、取り消し日時）
+ * @returns {Promise<void>}
+ */
+const storeInvitationRecord = async (guardianPrincipal, record) => {
+  const actor = await getActor();
+  const result = await actor.storeKeyShare(
+    INVITATION_RECORD_ID,
+    stringToBlob(JSON.stringify({ type: INVITATION_TOKEN_TYPE, ...record })),
+    toPrincipal(guardianPrincipal)
+  );
+  if (result.err) {
+    throw new Error(result.err);
+  }
+};
+
+/**
+ * 【ガーディアン側】招待者がキャニスターに残した自分宛ての招待の記録を取得
+ * @param {string} inviterPrincipal - 招待者のプリンシパルID
+ * @returns {Promise<Object|null>} 招待の記録（ない場合、シェアで上書きされた場合はnull）
+ */
+const getInvitationRecord = async (inviterPrincipal) => {
+  const actor = await getActor();
+  const result = await actor.getMyKeyShare(toPrincipal(inviterPrincipal));
+  if (result.err) {
+    return null;
+  }
 
+  const record = result.ok;
+  if (record.shareId !== INVITATION_RECORD_ID || record.userPrincipal.toString() !== inviterPrincipal) {
+    return null;
+  }
 
-export const setupNewDevice = async (setupToken) => {
   try {
-    const setupData = JSON.parse(atob(setupToken));
-    
-    // 有効期限チェック
-    if (Date.now() > setupData.expiresAt) {
-      throw new Error('セットアップトークンの有効期限が切れています');
-    }
-    
-    // デバイス秘密鍵を保存
-    localStorage.setItem('devicePrivateKey', setupData.privateKey);
-    
-    // マスターキーを取得 - FIX: Use actor's getAccessKey method instead of importing it
-    const actor = await getActor();
-    const accessKeyResult = await actor.getAccessKey();
-    
-    if (accessKeyResult.err) {
-      throw new Error(accessKeyResult.err);
-    }
-    
-    // 秘密鍵でマスターキーを復号
-    const encryptedMasterKey = accessKeyResult.ok;
-    const masterKey = await decryptWithPrivateKey(
-      encryptedMasterKey,
-      setupData.privateKey
-    );
-    
-    // マスターキーを保存
-    localStorage.setItem('masterEncryptionKey', masterKey);
-    
-    return true;
+    const data = JSON.parse(blobToString(Uint8Array.from(record.encryptedShare)));
+    return data.type === INVITATION_TOKEN_TYPE ? data : null;
   } catch (error) {
-    console.error('デバイスセットアップエラー:', error);
-    throw error;
+    console.warn(`${inviterPrincipal} の招待の記録を読み込めません:`, error);
+    return null;
   }
 };
 
 /**
- * リカバリー後のアカウントを有効化
- * @param {string} userPrincipal - ユーザーのプリンシパルID
- * @param {string} deviceName - 新しいデバイス名
- * @param {Array<number>} publicKey - 新しいデバイスの公開鍵
- * @returns {Promise<Object>} 結果（デバイスIDまたはエラー）
+ * 招待トークンをデコード
+ * 署名は payload の文字列そのものに対して行うため、JSONの再シリアライズによる揺れは起きない
+ * @param {string} token - 招待トークン
+ * @returns {Object} トークン（payloadはパース済みのオブジェクト、signedPayloadは署名対象の文字列）
  */
-export const activateRecoveredAccount = async (userPrincipal, deviceName, publicKey) => {
+const decodeInvitationToken = (token) => {
+  let data;
   try {
-    const actor = await getActor();
-    const result = await actor.activateRecoveredAccount(userPrincipal, deviceName, publicKey);
-    return result; // { ok: deviceId } or { err: string }
+    data = JSON.parse(atob(token.trim()));
   } catch (error) {
-    console.error('アカウントリカバリーに失敗:', error);
-    return { err: error.message };
+    throw new Error('招待トークンの形式が無効です');
   }
-};
 
-/**
- * リカバリーデータを収集する
- * @param {string} userPrincipal - 回復対象のユーザーのプリンシパルID
- * @returns {Promise<Object>} 収集したリカバリーデータ
- */
-export const collectRecoveryData = async (userPrincipal) => {
+  if (data.type !== INVITATION_TOKEN_TYPE || typeof data.payload !== 'string' || !data.signature) {
+    throw new Error('署名のない旧形式の招待です。所有者に新しい招待を依頼してください');
+  }
+
+  if (data.version !== INVITATION_TOKEN_VERSION) {
+    throw new Error('対応していない形式の招待です。アプリを更新してください');
+  }
+
+  let payload;
   try {
-    const actor = await getActor();
-    
-    // バックエンドのcollectRecoveryData関数を呼び出し
-    const result = await actor.collectRecoveryData(userPrincipal);
-    
-    if (result.err) {
-      throw new Error(result.err);
-    }
-    
-    // IDLファイルから確認すると、結果はタプルで返ってくる
-    // [RecoverySession, Vec<KeyShare>, Opt<Vec<Nat8>>]
-    const [session, keyShares, optEncryptedMasterKey] = result.ok;
-    
-    // マスターキーの再構築はクライアント側で行う必要がある
-    // キーシェアがあれば再構築を試みる
-    let masterKey = null;
-    
-    if (keyShares && keyShares.length > 0) {
-      // シェアを抽出
-      const shares = keyShares.map(share => {
-        // 秘密鍵で復号化（秘密鍵がない場合はパスする）
-        try {
-          const devicePrivateKey = localStorage.getItem('recoveryDevicePrivateKey');
-          if (devicePrivateKey) {
-            return {
-              id: share.shareId,
-              value: decryptWithPrivateKey(share.encryptedShare, devicePrivateKey)
-            };
-          }
-        } catch (err) {
-          console.error('Failed to decrypt share:', err);
-        }
-        return null;
-      }).filter(Boolean);
-      
-      if (shares.length >= session.requiredShares) {
-        // 十分なシェアが集まった場合、マスターキーを再構築
-        masterKey = combineShares(shares);
-      }
-    }
-    
-    return {
-      session: {
-        status: Object.keys(session.status)[0],
-        requestTime: new Date(Number(session.requestTime) / 1000000),
-        approvedGuardians: session.approvedGuardians.map(p => p.toString()),
-        collectedShares: session.collectedShares,
-        tempAccessPrincipal: session.tempAccessPrincipal ? session.tempAccessPrincipal[0].toString() : null
-      },
-      keyShares,
-      masterKey
-    };
+    payload = JSON.parse(data.payload);
   } catch (error) {
-    console.error('Failed to collect recovery data:', error);
-    throw error;
+    throw new Error('招待トークンの形式が無効です');
   }
-};
 
+  return { payload, signedPayload: data.payload, signature: data.signature };
+};
 
 /**
  * ガーディアン招待トークンを生成
+ * 招待内容（招待者、招待するガーディアン、ノンス、有効期限、署名鍵）にこのデバイスの署名鍵で署名し、
+ * ガーディアンが署名鍵を確かめられるよう、同じ内容をガーディアン宛てにキャニスターに記録する
  * @param {string} userPrincipal - ユーザーのプリンシパルID
- * @returns {Promise<Object>} 生成された招待トークンと有効期限
+ * @param {string} guardianPrincipal - 招待するガーディアンのプリンシパルID
+ * @param {number} lifetimeHours - 有効期間（時間、省略時は設定値）
+ * @returns {Promise<Object>} 生成された招待トークン、招待ID、有効期限、ノンス、確認コード
  */
-export const generateInvitationToken = async (userPrincipal) => {
+export const generateInvitationToken = async (userPrincipal, guardianPrincipal, lifetimeHours = getInvitationLifetimeHours(userPrincipal)) => {
+  const guardian = (guardianPrincipal || '').trim();
   try {
+    toPrincipal(guardian);
+  } catch (error) {
+    throw new Error('招待するガーディアンのプリンシパルIDが正しくありません');
+  }
 
-    const token = btoa(JSON.stringify({
+  if (guardian === userPrincipal) {
+    throw new Error('自分自身をガーディアンに招待することはできません');
+  }
+
+  // 招待の記録はシェアと同じ場所に保存されるため、すでにシェアを預けているガーディアンには送らない
+  const guardians = await getGuardians();
+  if (guardians.some(g => g.principal === guardian)) {
+    throw new Error('この人はすでにガーディアンです');
+  }
+
+  try {
+    if (!INVITATION_LIFETIME_OPTIONS.includes(lifetimeHours)) {
+      throw new Error(`Unsupported invitation lifetime: ${lifetimeHours}`);
+    }
+
+    const signingKey = await ensureInvitationSigningKey(userPrincipal);
+    const createdAt = Date.now();
+
+    const payload = {
       inviterPrincipal: userPrincipal,
-      createdAt: Date.now(),
-      expiresAt: Date.now() + 3600000, // 1時間有効
-      id: `invite-${Date.now()}-${Math.floor(Math.random() * 1000)}`
+      guardianPrincipal: guardian,
+      id: `invite-${createdAt}-${Math.floor(Math.random() * 1000)}`,
+      nonce: bytesToHex(window.crypto.getRandomValues(new Uint8Array(16))),
+      createdAt,
+      expiresAt: createdAt + lifetimeHours * HOUR_MS,
+      signingKey: signingKey.publicKey
+    };
+
+    const signedPayload = JSON.stringify(payload);
+    const token = btoa(JSON.stringify({
+      type: INVITATION_TOKEN_TYPE,
+      version: INVITATION_TOKEN_VERSION,
+      payload: signedPayload,
+      signature: await signMessage(signedPayload, signingKey.privateKey)
     }));
-    
+
+    await storeInvitationRecord(guardian, {
+      nonce: payload.nonce,
+      signingKey: payload.signingKey,
+      expiresAt: payload.expiresAt
+    });
+    recordIssuedInvitation(userPrincipal, payload);
+
     return {
       token,
-      expiresIn: 3600, // 1時間（秒単位）
-      createdAt: Date.now()
+      id: payload.id,
+      expiresIn: lifetimeHours * HOUR_MS / 1000,
+      createdAt,
+      expiresAt: payload.expiresAt,
+      nonce: payload.nonce,
+      guardianPrincipal: guardian,
+      verificationCode: await computeDeviceLinkVerificationCode(signingKey.publicKey)
     };
   } catch (err) {
     console.error('Failed to generate invitation token:', err);
@@ -932,86 +2722,100 @@ export const generateInvitationToken = async (userPrincipal) => {
 };
 
 /**
- * 招待トークンを検証
+ * 【ガーディアン側】招待トークンを検証
+ * 招待者のプリンシパルID（完全一致）、宛先が自分であること、有効期限を確認し、
+ * 署名はトークンに含まれる鍵ではなく、招待者がキャニスターに残した記録の鍵で検証する
+ * 記録がない（取り消された、またはシェアの割り当てで使用済みになった）招待は受け入れない
  * @param {string} token - 検証するトークン
- * @param {string} principalId - ユーザーのプリンシパルID
+ * @param {string} principalId - 招待者のプリンシパルID
  * @returns {Promise<Object>} 検証結果
  */
 export const verifyInvitationToken = async (token, principalId) => {
   try {
-    console.log('verifyInvitationToken called with:', {
-      tokenLength: token ? token.length : 0,
-      principalId
-    });
-    
     if (!token) {
       return {
         valid: false,
         error: '招待トークンが見つかりません'
       };
     }
-    
-    // Try to sanitize the principal if needed
-    let cleanPrincipalId = principalId;
-    if (principalId.includes(' ') || principalId.includes('\n') || principalId.includes('\t')) {
-      cleanPrincipalId = principalId.trim().replace(/\s+/g, '');
-      console.log(`Sanitized principal for verification: "${cleanPrincipalId}"`);
-    }
-    
-    // トークンのデコード
+
+    // URLのコピー時に混入した空白だけを取り除く（大文字小文字は区別する）
+    const cleanPrincipalId = (principalId || '').replace(/\s+/g, '');
+
+    let decoded;
     try {
-      const decoded = JSON.parse(atob(token));
-      console.log('Decoded token:', decoded);
-      
-      // 有効期限の確認
-      if (decoded.expiresAt < Date.now()) {
-        console.log('Token expired:', {
-          expiresAt: new Date(decoded.expiresAt).toISOString(),
-          now: new Date().toISOString()
-        });
-        return {
-          valid: false,
-          error: '招待トークンの有効期限が切れています'
-        };
-      }
-      
-      // プリンシパルIDの確認 - Be more lenient in comparison
-      if (decoded.inviterPrincipal !== cleanPrincipalId) {
-        console.log('Principal mismatch:', {
-          tokenPrincipal: decoded.inviterPrincipal,
-          requestPrincipal: cleanPrincipalId
-        });
-        
-        // Try case-insensitive comparison as fallback
-        if (decoded.inviterPrincipal.toLowerCase() !== cleanPrincipalId.toLowerCase()) {
-          return {
-            valid: false,
-            error: '招待トークンが無効です（プリンシパルIDが一致しません）'
-          };
-        } else {
-          console.log('Principal matched case-insensitively');
-        }
-      }
-      
-      // 有効な場合、トークン情報を返す
-      return {
-        valid: true,
-        inviterPrincipal: decoded.inviterPrincipal,
-        createdAt: decoded.createdAt,
-        expiresAt: decoded.expiresAt,
-        id: decoded.id,
-        inviterName: decoded.inviterName || null
-      };
+      decoded = decodeInvitationToken(token);
     } catch (decodeErr) {
       console.error('Token decode error:', decodeErr);
+      return { valid: false, error: decodeErr.message };
+    }
+
+    const { payload, signedPayload, signature } = decoded;
+
+    if (payload.inviterPrincipal !== cleanPrincipalId) {
+      console.log('Principal mismatch:', {
+        tokenPrincipal: payload.inviterPrincipal,
+        requestPrincipal: cleanPrincipalId
+      });
+      return {
+        valid: false,
+        error: '招待トークンが無効です（プリンシパルIDが一致しません）'
+      };
+    }
+
+    const now = Date.now();
+    if (payload.createdAt > now + INVITATION_CLOCK_SKEW_MS
+      || payload.expiresAt - payload.createdAt > MAX_INVITATION_LIFETIME_MS) {
+      return {
+        valid: false,
+        error: '招待トークンの有効期限が正しくありません'
+      };
+    }
+
+    if (payload.expiresAt < now) {
       return {
         valid: false,
-        error: '招待トークンの形式が無効です'
+        error: '招待トークンの有効期限が切れています'
       };
     }
+
+    const currentPrincipal = await getCurrentPrincipal();
+    if (!currentPrincipal || payload.guardianPrincipal !== currentPrincipal.toString()) {
+      return {
+        valid: false,
+        error: 'この招待は別のアカウント宛てです。招待されたアカウントでログインしてください'
+      };
+    }
+
+    const record = await getInvitationRecord(payload.inviterPrincipal);
+    if (!record || record.nonce !== payload.nonce || record.revokedAt) {
+      return {
+        valid: false,
+        error: 'この招待は取り消されたか、すでに使用されています'
+      };
+    }
+
+    if (!record.signingKey || record.signingKey !== payload.signingKey
+      || !await verifyMessageSignature(signedPayload, signature, record.signingKey)) {
+      return {
+        valid: false,
+        error: '招待トークンの署名が招待者の署名鍵と一致しません（改ざんされた可能性があります）'
+      };
+    }
+
+    return {
+      valid: true,
+      inviterPrincipal: payload.inviterPrincipal,
+      createdAt: payload.createdAt,
+      expiresAt: payload.expiresAt,
+      id: payload.id,
+      nonce: payload.nonce,
+      inviterName: null,
+      signingKey: record.signingKey,
+      verificationCode: await computeDeviceLinkVerificationCode(record.signingKey)
+    };
   } catch (err) {
     console.error('Failed to verify invitation token:', err);
-    console.error('Error stack:', err.stack);
     return {
       valid: false,
       error: '招待トークンの検証に失敗しました'
@@ -1019,20 +2823,133 @@ export const verifyInvitationToken = async (token, principalId) => {
   }
 };
 
+// 解除コードの文字（読み間違えやすい 0/O/1/I を除いた32文字）
+const SHARE_UNLOCK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SHARE_UNLOCK_CODE_LENGTH = 20; // 100ビット
+const INVITATION_SHARE_CONTEXT_TYPE = 'invitation-share';
+
+/**
+ * 解除コードを正規化（空白・区切り記号を除き、大文字にする）
+ * @param {string} unlockCode - 入力された解除コード
+ * @returns {string} 正規化した解除コード
+ */
+const normalizeShareUnlockCode = (unlockCode) => (unlockCode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * 解除コードからシェアを暗号化するキーを導出
+ * 解除コードは十分なエントロピーを持つため、パスワード用のKDFではなくハッシュで導出する
+ * @param {string} unlockCode - 解除コード
+ * @returns {Promise<string>} 暗号化キー（16進数）
+ */
+const deriveShareUnlockKey = async (unlockCode) => {
+  const digest = await window.crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(`${INVITATION_SHARE_CONTEXT_TYPE}:${normalizeShareUnlockCode(unlockCode)}`)
+  );
+  return bytesToHex(new Uint8Array(digest));
+};
+
+/**
+ * 【所有者側】招待リンクに載せるシェアを使い捨ての解除コードで暗号化
+ * リンクには暗号文だけを載せ、解除コードはリンクとは別の経路でガーディアンに伝える
+ * 暗号文は招待のノンスに結び付け、別の招待のリンクに移し替えても復号できないようにする
+ * @param {Object} shareData - 招待で渡すシェア（shareInfo, inviterPrincipal）
+ * @param {string} nonce - 招待のノンス
+ * @returns {Promise<Object>} リンクに載せる暗号文（sealedShare）と解除コード（unlockCode）
+ */
+export const sealInvitationShare = async (shareData, nonce) => {
+  const randomBytes = window.crypto.getRandomValues(new Uint8Array(SHARE_UNLOCK_CODE_LENGTH));
+  const code = Array.from(randomBytes, b => SHARE_UNLOCK_CODE_ALPHABET[b & 31]).join('');
+  const unlockCode = code.match(/.{4}/g).join('-');
+
+  const envelope = await improvedEncrypt(shareData, await deriveShareUnlockKey(code), {
+    context: { type: INVITATION_SHARE_CONTEXT_TYPE, nonce }
+  });
+
+  return {
+    sealedShare: btoa(JSON.stringify(envelope)),
+    unlockCode
+  };
+};
+
+/**
+ * 【ガーディアン側】招待リンクの暗号化されたシェアを解除コードで復号
+ * @param {string} sealedShare - リンクに載っていた暗号文
+ * @param {string} unlockCode - 所有者から別の経路で受け取った解除コード
+ * @param {string} nonce - 検証済みの招待のノンス
+ * @returns {Promise<Object>} シェア（shareInfo, inviterPrincipal）
+ */
+export const openInvitationShare = async (sealedShare, unlockCode, nonce) => {
+  if (normalizeShareUnlockCode(unlockCode).length !== SHARE_UNLOCK_CODE_LENGTH) {
+    throw new Error(`解除コードは${SHARE_UNLOCK_CODE_LENGTH}文字です`);
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(atob(sealedShare));
+  } catch (error) {
+    throw new Error('招待リンクのシェアの形式が正しくありません');
+  }
+
+  // 別の招待のリンクから移し替えたシェアは、解除コードが正しくても認証に失敗する
+  if (!getEnvelopeContext(envelope)) {
+    throw new Error('招待リンクのシェアの形式が正しくありません');
+  }
+  
+  try {
+    return await improvedDecrypt(envelope, await deriveShareUnlockKey(unlockCode), {
+      context: { type: INVITATION_SHARE_CONTEXT_TYPE, nonce }
+    });
+  } catch (error) {
+    if (error.code === ENVELOPE_AUTHENTICATION_ERROR) {
+      throw new Error('解除コードが正しくないか、このシェアは別の招待のものです');
+    }
+    throw new Error('解除コードが正しくありません');
+  }
+};
+
+/**
+ * 【所有者側】ガーディアン招待を作成
+ * 署名付きトークンを発行し、シェアがあれば解除コードで暗号化して招待リンクに載せる
+ * @param {string} userPrincipal - ユーザーのプリンシパルID
+ * @param {string} guardianPrincipal - 招待するガーディアンのプリンシパルID
+ * @param {Object|null} shareData - 招待で渡すシェア（shareInfo, inviterPrincipal）
+ * @param {number} lifetimeHours - 有効期間（時間、省略時は設定値）
+ * @returns {Promise<Object>} トークン、招待ID、ノンス、有効期限、確認コード、招待リンク、解除コード
+ */
+export const createGuardianInvitation = async (userPrincipal, guardianPrincipal, shareData = null, lifetimeHours = getInvitationLifetimeHours(userPrincipal)) => {
+  const invitation = await generateInvitationToken(userPrincipal, guardianPrincipal, lifetimeHours);
+  const params = new URLSearchParams({ token: invitation.token, principal: userPrincipal });
+
+  let unlockCode = null;
+  if (shareData) {
+    const sealed = await sealInvitationShare(shareData, invitation.nonce);
+    params.set('sealedShare', sealed.sealedShare);
+    unlockCode = sealed.unlockCode;
+  }
+
+  return {
+    ...invitation,
+    invitationLink: `${window.location.origin}/guardian-invite?${params.toString()}`,
+    unlockCode
+  };
+};
+
 /**
  * ガーディアン招待を受け入れる
  * @param {string} token - 招待トークン
  * @param {string} inviterPrincipal - 招待者のプリンシパルID
- * @returns {Promise<Object>} 処理結果
+ * @param {string|null} shareId - 招待リンクで受け取ったシェアのID（あれば）
+ * @returns {Promise<Object>} 処理結果（成功時は招待者に渡す公開鍵コードを含む）
  */
-export const acceptGuardianInvitation = async (token, inviterPrincipal) => {
+export const acceptGuardianInvitation = async (token, inviterPrincipal, shareId = null) => {
   try {
     console.log('API: acceptGuardianInvitation called with:', {
       tokenLength: token ? token.length : 0,
       inviterPrincipal
     });
     
-    // トークン検証（既存コード）
+    // トークン検証（プリンシパルID・宛先・有効期限・キャニスターの招待の記録と署名）
     const verification = await verifyInvitationToken(token, inviterPrincipal);
     console.log('Token verification result:', verification);
     
@@ -1076,10 +2993,18 @@ export const acceptGuardianInvitation = async (token, inviterPrincipal) => {
     const currentPrincipalText = currentPrincipal ? currentPrincipal.toString() : '';
     console.log('Current principal:', currentPrincipalText);
     
+    // シェアを自分宛てに暗号化してもらうための公開鍵を用意（所有者が招待を使用済みにできるようノンスを含める）
+    const keyCode = await createGuardianKeyCode(shareId, verification.nonce);
+    
+    // 所有者はキャニスターに公開した鍵でだけシェアを暗号化するため、招待者宛てに公開しておく
+    await publishGuardianPublicKey(verification.inviterPrincipal);
+    
     // Prepare metadata
     const metadata = JSON.stringify({
       acceptedAt: Date.now(),
-      acceptedBy: currentPrincipalText
+      acceptedBy: currentPrincipalText,
+      publicKey: keyCode.publicKey,
+      fingerprint: keyCode.fingerprint
     });
     
     console.log('Calling manageGuardian with:', {
@@ -1103,7 +3028,7 @@ export const acceptGuardianInvitation = async (token, inviterPrincipal) => {
       return { success: false, error: result.err };
     }
     
-    return { success: true };
+    return { success: true, keyCode };
   } catch (err) {
     console.error('Failed to accept guardian invitation:', err);
     console.error('Error stack:', err.stack);
@@ -1187,32 +3112,128 @@ export const finalizeRecovery = async (userPrincipal, tempAccessPrincipal, publi
   }
 };
 
-export const setupDeviceLink = async () => {
+const DEVICE_LINK_VALIDITY_MS = 10 * 60 * 1000; // 10分
+
+/**
+ * デバイス連携用の確認コードを公開鍵から算出
+ * 新旧両方のデバイスに表示し、ユーザーが一致を目視で確認する
+ * @param {string} publicKeyHex - 新しいデバイスの公開鍵（16進数）
+ * @returns {Promise<string>} 6桁の確認コード（例: "123 456"）
+ */
+const computeDeviceLinkVerificationCode = async (publicKeyHex) => {
+  const digest = new Uint8Array(
+    await window.crypto.subtle.digest('SHA-256', hexToBytes(publicKeyHex))
+  );
+  const value = ((digest[0] << 24) | (digest[1] << 16) | (digest[2] << 8) | digest[3]) >>> 0;
+  const code = (value % 1000000).toString().padStart(6, '0');
+  return `${code.substring(0, 3)} ${code.substring(3)}`;
+};
+
+/**
+ * 連携用トークン（Base64エンコードされたJSON）をデコード
+ * @param {string} token - トークン
+ * @param {string} expectedType - 期待するトークン種別
+ * @returns {Object} デコードされたトークン
+ */
+const decodeDeviceLinkToken = (token, expectedType) => {
+  let data;
   try {
-    const principal = await getCurrentPrincipal();
-    
-    if (!principal) {
-      throw new Error('User principal not found');
-    }
-    
-    const principalStr = principal.toString();
-    const masterKey = getUserMasterKey(principalStr);
+    data = JSON.parse(atob(token.trim()));
+  } catch (error) {
+    throw new Error('連携コードの形式が正しくありません');
+  }
+  
+  if (data.type !== expectedType) {
+    throw new Error(expectedType === 'device-link-request'
+      ? '新しいデバイスに表示された連携リクエストのコードではありません'
+      : '既存デバイスが発行した連携応答のコードではありません');
+  }
+  
+  if (Date.now() > data.expiresAt) {
+    throw new Error("QRコードの有効期限が切れています");
+  }
+  
+  return data;
+};
+
+/**
+ * 【新しいデバイス側】デバイス連携リクエストを作成
+ * このデバイス用の鍵ペアを生成し、公開鍵のみを含むQRコード用トークンを返す
+ * 秘密鍵はこのデバイスから外に出さない
+ * @returns {Promise<Object>} リクエストトークン、秘密鍵、確認コードなど
+ */
+export const createDeviceLinkRequest = async () => {
+  const principal = await getCurrentPrincipal();
+  
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+  
+  const deviceKeyPair = await generateKeyPair();
+  const publicKeyHex = bytesToHex(deviceKeyPair.publicKey);
+  const requestId = bytesToHex(window.crypto.getRandomValues(new Uint8Array(8)));
+  const expiresAt = Date.now() + DEVICE_LINK_VALIDITY_MS;
+  
+  const requestToken = btoa(JSON.stringify({
+    type: 'device-link-request',
+    requestId,
+    publicKey: publicKeyHex,
+    userPrincipal: principal.toString(),
+    expiresAt
+  }));
+  
+  return {
+    requestId,
+    requestToken,
+    privateKey: deviceKeyPair.privateKey,
+    userPrincipal: principal.toString(),
+    verificationCode: await computeDeviceLinkVerificationCode(publicKeyHex),
+    expiresAt
+  };
+};
+
+/**
+ * 【既存デバイス側】新しいデバイスの連携リクエストを検証
+ * @param {string} requestToken - 新しいデバイスに表示されたリクエストトークン
+ * @returns {Promise<Object>} リクエスト内容と確認コード
+ */
+export const parseDeviceLinkRequest = async (requestToken) => {
+  const request = decodeDeviceLinkToken(requestToken, 'device-link-request');
+  
+  const principal = await getCurrentPrincipal();
+  if (!principal || principal.toString() !== request.userPrincipal) {
+    throw new Error('別のアカウントからの連携リクエストです');
+  }
+  
+  return {
+    ...request,
+    verificationCode: await computeDeviceLinkVerificationCode(request.publicKey)
+  };
+};
+
+/**
+ * 【既存デバイス側】新しいデバイスを登録し、マスターキーをその公開鍵でラップした応答を作成
+ * 確認コードの一致をユーザーが確認した後に呼び出す
+ * @param {string} requestToken - 新しいデバイスに表示されたリクエストトークン
+ * @param {string} deviceName - 新しいデバイスの名前
+ * @returns {Promise<Object>} 応答トークンとデバイスID
+ */
+export const setupDeviceLink = async (requestToken, deviceName = "新しいデバイス (QR連携)") => {
+  try {
+    const request = await parseDeviceLinkRequest(requestToken);
     
+    const masterKey = getUserMasterKey(request.userPrincipal);
     if (!masterKey) {
       throw new Error('マスターキーが見つかりません');
     }
     
     const actor = await getActor();
-    
-    // Generate new device key pair
-    const deviceKeyPair = await generateKeyPair();
-    
-    // Use dummy data for encrypted master key
-    const encryptedMasterKey = stringToBlob(JSON.stringify({dummy: true}));
+    const devicePublicKey = hexToBytes(request.publicKey);
+    const encryptedMasterKey = await encryptWithPublicKey(masterKey, devicePublicKey);
     
     const result = await actor.addDevice(
-      "新しいデバイス (QR連携)", 
-      deviceKeyPair.publicKey,
+      deviceName,
+      devicePublicKey,
       encryptedMasterKey
     );
     
@@ -1220,20 +3241,20 @@ export const setupDeviceLink = async () => {
       throw new Error(result.err || "デバイス追加に失敗しました");
     }
     
-    // Include user principal in the link data
-    const linkData = {
+    // 応答にはラップ済みのマスターキーのみを含める
+    const responseToken = btoa(JSON.stringify({
+      type: 'device-link-response',
+      requestId: request.requestId,
       deviceId: result.ok,
-      masterKey: masterKey,
-      userPrincipal: principalStr,
-      expiresAt: Date.now() + 10 * 60 * 1000 // 10 minutes validity
-    };
-    
-    // Convert to Base64
-    const linkToken = btoa(JSON.stringify(linkData));
+      encryptedMasterKey: blobToString(encryptedMasterKey),
+      userPrincipal: request.userPrincipal,
+      expiresAt: request.expiresAt
+    }));
     
     return { 
-      token: linkToken,
-      deviceId: result.ok
+      token: responseToken,
+      deviceId: result.ok,
+      expiresAt: request.expiresAt
     };
   } catch (error) {
     console.error("デバイス連携準備エラー:", error);
@@ -1241,38 +3262,48 @@ export const setupDeviceLink = async () => {
   }
 };
 
-
-// 新デバイス側のprocessDeviceLinkResult関数 - シンプル版
-export const processDeviceLinkResult = async (scanResult) => {
+/**
+ * 【新しいデバイス側】既存デバイスが発行した応答を処理
+ * ラップされたマスターキーをこのデバイスの秘密鍵で復号して保存する
+ * @param {string} scanResult - 既存デバイスに表示された応答トークン
+ * @param {Object} linkRequest - createDeviceLinkRequestの戻り値
+ * @returns {Promise<boolean>} 成功した場合はtrue
+ */
+export const processDeviceLinkResult = async (scanResult, linkRequest) => {
   try {
-    const linkData = JSON.parse(atob(scanResult));
+    const linkData = decodeDeviceLinkToken(scanResult, 'device-link-response');
     
-    if (Date.now() > linkData.expiresAt) {
-      throw new Error("QRコードの有効期限が切れています");
+    if (!linkRequest || linkData.requestId !== linkRequest.requestId) {
+      throw new Error('このデバイスの連携リクエストに対する応答ではありません');
     }
     
-    // Save device ID
-    localStorage.setItem('deviceId', linkData.deviceId);
-    
     // Ensure we have the user principal
-    if (!linkData.userPrincipal) {
-      throw new Error("ユーザー情報が不足しています");
+    if (!linkData.userPrincipal || linkData.userPrincipal !== linkRequest.userPrincipal) {
+      throw new Error("ユーザー情報が一致しません");
+    }
+    
+    const masterKey = await decryptWithPrivateKey(
+      linkData.encryptedMasterKey,
+      linkRequest.privateKey
+    );
+    
+    if (typeof masterKey !== 'string' || !masterKey) {
+      throw new Error('マスターキーの復号結果が不正です');
     }
     
-    // Save the master key using the new user-specific approach
-    saveUserMasterKey(linkData.userPrincipal, linkData.masterKey);
+    // Save device ID and key
+    localStorage.setItem('deviceId', linkData.deviceId);
+    localStorage.setItem('devicePrivateKey', linkRequest.privateKey);
     
-    // For backward compatibility, also save to localStorage
-    localStorage.setItem('masterEncryptionKey', linkData.masterKey);
+    // マスターキーはメモリ上に保持し、パスフレーズの設定後にラップして保存する
+    await saveUserMasterKey(linkData.userPrincipal, masterKey);
     
-    // Save to IndexedDB for persistence
+    // Save the principal for future use
     try {
       const db = await openIndexedDB();
-      await saveKeyToIndexedDB(db, 'masterEncryptionKey', linkData.masterKey);
-      // Also save the principal for future use
       await saveKeyToIndexedDB(db, 'userPrincipal', linkData.userPrincipal);
     } catch (dbError) {
-      console.warn('IndexedDBへの保存に失敗しましたが、暗号化キーは保存されています:', dbError);
+      console.warn('IndexedDBへの保存に失敗しました:', dbError);
     }
     
     console.log("デバイス連携が完了しました");
@@ -0,0 +1,773 @@
+import { IDL } from '@dfinity/candid';
+import { Principal } from '@dfinity/principal';
+import { idlFactory } from '../declarations/secure_notes';
+import { getActor, getCurrentPrincipal } from './auth';
+import { generateKeyPair, encryptWithPublicKey, decryptWithPrivateKey, bytesToHex, stringToBlob, blobToString } from './crypto';
+import { saveUserMasterKey, lockMasterKey, encryptWithKey, computeMasterKeyCheck } from './improved-crypto';
+import { replaceShareInventory } from './shareInventory';
+import {
+  generateRecoveryData,
+  assignGuardianShare,
+  refreshRecoveryShares,
+  retryRecoveryShareAssignments,
+  getShareRefreshJob,
+  releaseRecoveryShare,
+  updatePublicRecoveryData,
+  registerGuardianPublicKey,
+  publishGuardianPublicKey,
+  generateInvitationToken,
+  verifyInvitationToken,
+  checkDeviceRevocation,
+  getNotes,
+  getNotePaddingMode,
+  setNotePaddingMode,
+  clearNotesCache,
+  GUARDIAN_KEY_NOT_PUBLISHED_ERROR
+} from './api';
+
+jest.mock('./auth', () => ({
+  getActor: jest.fn(),
+  getCurrentPrincipal: jest.fn()
+}));
+
+jest.mock('./shareInventory', () => ({
+  replaceShareInventory: jest.fn()
+}));
+
+const OWNER = Principal.fromText('rrkah-fqaaa-aaaaa-aaaaq-cai');
+const GUARDIAN = Principal.fromText('ryjl3-tyaaa-aaaaa-aaaba-cai');
+const OTHER_GUARDIANS = [
+  Principal.fromText('r7inp-6aaaa-aaaaa-aaabq-cai'),
+  Principal.fromText('rkp4c-7iaaa-aaaaa-aaaca-cai')
+];
+const MASTER_KEY = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+const LEGACY_DEVICE_KEY = 'ffeeddccbbaa99887766554433221100ffeeddccbbaa99887766554433221100';
+
+const service = idlFactory({ IDL });
+
+const getMethod = (method) => service._fields.find(([name]) => name === method);
+
+/**
+ * キャニスターのメソッドの引数をIDLでエンコードする（型が合わなければ例外になる）
+ */
+const encodeArgs = (method, args) => IDL.encode(getMethod(method)[1].argTypes, args);
+
+/**
+ * 呼び出しの引数をIDLでエンコードしてから応答を返すアクター
+ */
+const createActor = (responses) => {
+  const calls = [];
+  const actor = new Proxy({}, {
+    get: (target, method) => {
+      if (!getMethod(method)) return undefined;
+      return async (...args) => {
+        encodeArgs(method, args);
+        calls.push({ method, args });
+        const response = responses[method];
+        return typeof response === 'function' ? response(...args) : response;
+      };
+    }
+  });
+  return { actor, calls };
+};
+
+const createSession = (status = { ApprovalComplete: null }) => ({
+  status,
+  collectedShares: [],
+  tempAccessPrincipal: [],
+  userPrincipal: OWNER,
+  requestTime: Date.now() * 1000000,
+  approvedGuardians: [GUARDIAN]
+});
+
+const createProfile = (publicRecoveryData = null) => ({
+  totalGuardians: 3n,
+  requiredShares: 2n,
+  principal: OWNER,
+  recoveryEnabled: true,
+  publicRecoveryData: publicRecoveryData ? [stringToBlob(JSON.stringify(publicRecoveryData))] : [],
+  devices: []
+});
+
+describe('releaseRecoveryShare', () => {
+  let guardianKeys;
+  let recoveryKeys;
+  const share = { id: 'share-1', value: '801abc', epoch: 1, threshold: 2, totalShares: 3 };
+
+  beforeAll(async () => {
+    guardianKeys = await generateKeyPair();
+    recoveryKeys = await generateKeyPair();
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem(`${GUARDIAN.toText()}_guardianPrivateKey`, guardianKeys.privateKey);
+    getCurrentPrincipal.mockResolvedValue(GUARDIAN);
+  });
+
+  test('キャニスターのIDLに合う引数でシェアを差し替えて提出する', async () => {
+    const encryptedShare = await encryptWithPublicKey(share, bytesToHex(guardianKeys.publicKey));
+    const { actor, calls } = createActor({
+      getMyKeyShare: {
+        ok: {
+          encryptedShare: Array.from(encryptedShare),
+          guardianPrincipal: GUARDIAN,
+          shareId: share.id,
+          userPrincipal: OWNER
+        }
+      },
+      getRecoveryStatus: { ok: [createSession(), createProfile()] },
+      manageGuardian: { ok: null },
+      submitRecoveryShare: { ok: null }
+    });
+    getActor.mockResolvedValue(actor);
+
+    await expect(
+      releaseRecoveryShare(OWNER.toText(), bytesToHex(recoveryKeys.publicKey))
+    ).resolves.toEqual({ shareId: share.id });
+
+    const replace = calls.find(call => call.method === 'manageGuardian');
+    expect(replace.args[0].toText()).toBe(OWNER.toText());
+    expect(replace.args[1].Replace.toText()).toBe(GUARDIAN.toText());
+    expect(replace.args[3]).toEqual([share.id]);
+
+    // 差し替えたシェアは回復する側の秘密鍵でだけ復号できる
+    const released = await decryptWithPrivateKey(replace.args[2][0], recoveryKeys.privateKey);
+    expect(released).toEqual(share);
+
+    expect(calls.map(call => call.method)).toEqual([
+      'getMyKeyShare',
+      'getRecoveryStatus',
+      'manageGuardian',
+      'submitRecoveryShare'
+    ]);
+  });
+
+  test('ガーディアンの秘密鍵がないデバイスでは提出しない', async () => {
+    localStorage.clear();
+    const { actor, calls } = createActor({});
+    getActor.mockResolvedValue(actor);
+
+    await expect(
+      releaseRecoveryShare(OWNER.toText(), bytesToHex(recoveryKeys.publicKey))
+    ).rejects.toThrow('ガーディアンの秘密鍵');
+    expect(calls).toHaveLength(0);
+  });
+});
+
+describe('assignGuardianShare', () => {
+  let guardianKeys;
+  const share = { id: 'share-2', value: '802def', epoch: 2, threshold: 2, totalShares: 3 };
+
+  beforeAll(async () => {
+    guardianKeys = await generateKeyPair();
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+  });
+
+  test('登録済みのガーディアンのままシェアだけを差し替える', async () => {
+    const publicKey = bytesToHex(guardianKeys.publicKey);
+    localStorage.setItem('guardianRegistry', JSON.stringify({ [GUARDIAN.toText()]: publicKey }));
+
+    const { actor, calls } = createActor({
+      getProfile: {
+        ok: createProfile({ guardianKeys: { [GUARDIAN.toText()]: { publicKey } } })
+      },
+      manageGuardian: { ok: null },
+      storeKeyShare: { ok: null }
+    });
+    getActor.mockResolvedValue(actor);
+
+    await assignGuardianShare(GUARDIAN.toText(), share);
+
+    const replace = calls.find(call => call.method === 'manageGuardian');
+    expect(replace.args[0].toText()).toBe(GUARDIAN.toText());
+    expect(replace.args[1].Replace.toText()).toBe(GUARDIAN.toText());
+    expect(await decryptWithPrivateKey(replace.args[2][0], guardianKeys.privateKey)).toEqual(share);
+
+    const store = calls.find(call => call.method === 'storeKeyShare');
+    expect(store.args[0]).toBe(share.id);
+    expect(store.args[2].toText()).toBe(GUARDIAN.toText());
+  });
+});
+
+describe('refreshRecoveryShares', () => {
+  const guardians = [GUARDIAN, ...OTHER_GUARDIANS];
+  let publicKey;
+
+  beforeAll(async () => {
+    publicKey = bytesToHex((await generateKeyPair()).publicKey);
+  });
+
+  const publicRecoveryData = () => ({
+    shareEpoch: 1,
+    requiredShares: 2,
+    totalShares: 3,
+    shareCommitments: { epoch: 1 },
+    guardianKeys: Object.fromEntries(guardians.map(guardian => [guardian.toText(), { publicKey }]))
+  });
+
+  beforeEach(async () => {
+    localStorage.clear();
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    replaceShareInventory.mockResolvedValue(0);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await saveUserMasterKey(OWNER.toText(), MASTER_KEY);
+    localStorage.setItem('guardianRegistry', JSON.stringify(
+      Object.fromEntries(guardians.map(guardian => [guardian.toText(), publicKey]))
+    ));
+  });
+
+  afterEach(() => {
+    lockMasterKey();
+    jest.restoreAllMocks();
+  });
+
+  test('必要数のガーディアンに預けられなければ割り当てもコミットメントも変えず、次の実行で同じシェアセットの配布を続ける', async () => {
+    const store = createPublicDataStore(publicRecoveryData());
+    let available = [GUARDIAN.toText()];
+    const { actor, calls } = createActor({
+      ...store.responses,
+      getMyGuardians: guardians.map(guardian => [guardian, true]),
+      // 最初は1人にしか預けられない
+      storeKeyShare: (shareId, encryptedShare, guardian) => (
+        available.includes(guardian.toText()) ? { ok: null } : { err: 'unavailable' }
+      ),
+      manageGuardian: { ok: null }
+    });
+    getActor.mockResolvedValue(actor);
+
+    await expect(refreshRecoveryShares()).rejects.toThrow('必要な2人に届きませんでした');
+
+    const methods = calls.map(call => call.method);
+    expect(methods).not.toContain('manageGuardian');
+    expect(methods).not.toContain('setPublicRecoveryData');
+
+    const stagedJob = getShareRefreshJob(OWNER.toText());
+    expect(stagedJob).toMatchObject({ status: 'staging', epoch: 2 });
+    expect(stagedJob.staged.map(entry => entry.principal)).toEqual([GUARDIAN.toText()]);
+    // シェアの値は暗号化した形でだけ保存する
+    expect(stagedJob.shares).toBeUndefined();
+
+    available = guardians.map(guardian => guardian.toText());
+    calls.length = 0;
+    const result = await refreshRecoveryShares();
+
+    // 預け済みのガーディアンには預け直さない
+    const stored = calls.filter(call => call.method === 'storeKeyShare');
+    expect(stored.map(call => call.args[2].toText())).toEqual(OTHER_GUARDIANS.map(guardian => guardian.toText()));
+    expect(result.redistributed).toHaveLength(3);
+    expect(store.data.shareEpoch).toBe(2);
+
+    const [, shares, assignments] = replaceShareInventory.mock.calls[0];
+    expect(assignments[stagedJob.staged[0].shareId]).toBe(GUARDIAN.toText());
+    expect(shares.map(share => share.id)).toContain(stagedJob.staged[0].shareId);
+  });
+
+  test('割り当ての切り替えに一部失敗しても公開して続け、失敗したガーディアンは再試行する', async () => {
+    const store = createPublicDataStore(publicRecoveryData());
+    let failing = OTHER_GUARDIANS[1].toText();
+    const { actor, calls } = createActor({
+      ...store.responses,
+      getMyGuardians: guardians.map(guardian => [guardian, true]),
+      storeKeyShare: { ok: null },
+      manageGuardian: (guardian) => (
+        guardian.toText() === failing ? { err: 'temporarily unavailable' } : { ok: null }
+      )
+    });
+    getActor.mockResolvedValue(actor);
+
+    const result = await refreshRecoveryShares();
+
+    expect(result.pendingAssignments).toEqual([failing]);
+    expect(store.data.shareEpoch).toBe(2);
+    expect(getShareRefreshJob(OWNER.toText())).toMatchObject({ status: 'assigning' });
+
+    const staged = calls.find(call => call.method === 'storeKeyShare' && call.args[2].toText() === failing);
+
+    failing = null;
+    calls.length = 0;
+    await expect(retryRecoveryShareAssignments(OWNER.toText()))
+      .resolves.toEqual({ assigned: [OTHER_GUARDIANS[1].toText()], pending: [] });
+
+    // 預けたものと同じシェアに切り替える
+    const replace = calls.find(call => call.method === 'manageGuardian');
+    expect(replace.args[3]).toEqual([staged.args[0]]);
+    expect(Array.from(replace.args[2][0])).toEqual(Array.from(staged.args[1]));
+    expect(getShareRefreshJob(OWNER.toText())).toMatchObject({ status: 'completed', pendingAssignments: [] });
+  });
+});
+
+/**
+ * 公開リカバリーデータを保持するアクターの応答（getProfile / setPublicRecoveryData）
+ * onWrite で書き込みの直後に別のデバイスの書き込みを割り込ませられる
+ */
+const createPublicDataStore = (initial = {}, onWrite = null) => {
+  const store = { data: initial, writes: 0 };
+  store.responses = {
+    getProfile: () => ({ ok: createProfile(store.data) }),
+    setPublicRecoveryData: (blob) => {
+      store.data = JSON.parse(blobToString(Uint8Array.from(blob)));
+      store.writes++;
+      if (onWrite) onWrite(store);
+      return { ok: null };
+    }
+  };
+  return store;
+};
+
+describe('generateRecoveryData', () => {
+  test('シェアを作成できなければ、空のシェアセットを返さずに失敗する', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(generateRecoveryData(MASTER_KEY, 2, 3)).rejects.toThrow('シェア作成に失敗しました');
+
+    console.error.mockRestore();
+  });
+
+  test('世代と閾値を持つシェアとコミットメントを公開データに含める', async () => {
+    const { shares, publicRecoveryData } = await generateRecoveryData(MASTER_KEY, 3, 2, 4);
+    const published = JSON.parse(blobToString(publicRecoveryData));
+
+    expect(shares).toHaveLength(3);
+    expect(shares.every(share => share.epoch === 4 && share.threshold === 2 && share.totalShares === 3)).toBe(true);
+    expect(published).toMatchObject({ requiredShares: 2, totalShares: 3, shareEpoch: 4 });
+    expect(Object.keys(published.shareCommitments.shares)).toEqual(shares.map(share => share.id));
+  });
+});
+
+describe('updatePublicRecoveryData', () => {
+  test('書き込む直前の内容に変更を重ね、版数を上げる', async () => {
+    const store = createPublicDataStore({ shareEpoch: 2, notePadding: 'none', revision: 4 });
+    const { actor } = createActor(store.responses);
+    getActor.mockResolvedValue(actor);
+
+    const written = await updatePublicRecoveryData({ recoveryDelayHours: 24 });
+
+    expect(written).toMatchObject({ shareEpoch: 2, notePadding: 'none', recoveryDelayHours: 24, revision: 5 });
+    expect(store.data).toEqual(written);
+  });
+
+  test('他のデバイスの書き込みで上書きされたら、その内容に変更を重ね直す', async () => {
+    let interrupted = false;
+    const store = createPublicDataStore({ revokedDevices: [] }, (current) => {
+      // 最初の書き込みの直後に、古い内容をもとにした別のデバイスの書き込みが届く
+      if (interrupted) return;
+      interrupted = true;
+      current.data = { revokedDevices: [], notePadding: 'bucket', revision: 1, writeId: 'other' };
+    });
+    const { actor } = createActor(store.responses);
+    getActor.mockResolvedValue(actor);
+
+    const written = await updatePublicRecoveryData(current => ({
+      revokedDevices: [...(current.revokedDevices || []), { fingerprint: 'abc' }]
+    }));
+
+    expect(store.writes).toBe(2);
+    expect(written.notePadding).toBe('bucket');
+    expect(written.revokedDevices).toEqual([{ fingerprint: 'abc' }]);
+    expect(written.revision).toBe(2);
+  });
+});
+
+describe('ノートのパディング設定', () => {
+  const PADDING_MODE_KEY = `${OWNER.toText()}_notePaddingMode`;
+
+  beforeEach(() => {
+    localStorage.clear();
+    clearNotesCache();
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('共有されている設定がこのデバイスの設定より弱ければ、このデバイスの設定を使う', async () => {
+    localStorage.setItem(PADDING_MODE_KEY, 'block-1k');
+    const store = createPublicDataStore({ notePadding: 'none', revision: 3 });
+    const { actor } = createActor(store.responses);
+    getActor.mockResolvedValue(actor);
+
+    await expect(getNotePaddingMode()).resolves.toBe('block-1k');
+    expect(localStorage.getItem(PADDING_MODE_KEY)).toBe('block-1k');
+  });
+
+  test('公開リカバリーデータがなくてもこのデバイスの設定より弱めない', async () => {
+    localStorage.setItem(PADDING_MODE_KEY, 'pow2');
+    const { actor } = createActor(createPublicDataStore(null).responses);
+    getActor.mockResolvedValue(actor);
+
+    await expect(getNotePaddingMode()).resolves.toBe('pow2');
+  });
+
+  test('共有されている設定が強ければ、それをこのデバイスの設定として保存する', async () => {
+    localStorage.setItem(PADDING_MODE_KEY, 'none');
+    const { actor } = createActor(createPublicDataStore({ notePadding: 'pow2' }).responses);
+    getActor.mockResolvedValue(actor);
+
+    await expect(getNotePaddingMode()).resolves.toBe('pow2');
+    expect(localStorage.getItem(PADDING_MODE_KEY)).toBe('pow2');
+  });
+
+  test('このデバイスで選んだ設定は弱める変更でも保存する', async () => {
+    localStorage.setItem(PADDING_MODE_KEY, 'block-1k');
+    const store = createPublicDataStore({ notePadding: 'block-1k' });
+    const { actor } = createActor(store.responses);
+    getActor.mockResolvedValue(actor);
+
+    await setNotePaddingMode('none');
+    clearNotesCache();
+
+    expect(store.data.notePadding).toBe('none');
+    await expect(getNotePaddingMode()).resolves.toBe('none');
+  });
+});
+
+describe('checkDeviceRevocation', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('旧形式の鍵のデバイスでもデバイスIDで失効を検出して鍵情報を消去する', async () => {
+    localStorage.setItem('devicePrivateKey', LEGACY_DEVICE_KEY);
+    localStorage.setItem('deviceId', 'device-1');
+    localStorage.setItem(`${OWNER.toText()}_masterEncryptionKey`, MASTER_KEY);
+    const store = createPublicDataStore({ revokedDevices: [{ deviceId: 'device-1', fingerprint: 'abc', revokedAt: 1 }] });
+    const { actor } = createActor(store.responses);
+    getActor.mockResolvedValue(actor);
+
+    await expect(checkDeviceRevocation(OWNER.toText())).resolves.toBe(true);
+    expect(localStorage.getItem('devicePrivateKey')).toBeNull();
+    expect(localStorage.getItem(`${OWNER.toText()}_masterEncryptionKey`)).toBeNull();
+  });
+
+  test('ローテーションで登録し直された後のデバイスIDでも失効を検出する', async () => {
+    localStorage.setItem('deviceId', 'device-old');
+    const store = createPublicDataStore({
+      revokedDevices: [{ deviceId: 'device-new', fingerprint: 'abc', revokedAt: 1 }],
+      masterKey: { epoch: 1, rewrappedDevices: { 'device-old': 'device-new' } }
+    });
+    const { actor } = createActor(store.responses);
+    getActor.mockResolvedValue(actor);
+
+    await expect(checkDeviceRevocation(OWNER.toText())).resolves.toBe(true);
+    expect(localStorage.getItem('deviceId')).toBeNull();
+  });
+
+  test('別のデバイスの失効ではこのデバイスの鍵情報を消去しない', async () => {
+    localStorage.setItem('devicePrivateKey', LEGACY_DEVICE_KEY);
+    localStorage.setItem('deviceId', 'device-2');
+    const store = createPublicDataStore({ revokedDevices: [{ deviceId: 'device-1', fingerprint: 'abc', revokedAt: 1 }] });
+    const { actor } = createActor(store.responses);
+    getActor.mockResolvedValue(actor);
+
+    await expect(checkDeviceRevocation(OWNER.toText())).resolves.toBe(false);
+    expect(localStorage.getItem('devicePrivateKey')).toBe(LEGACY_DEVICE_KEY);
+  });
+});
+
+describe('getNotes', () => {
+  const encryptNoteField = async (noteId, field, value, context = null) => stringToBlob(JSON.stringify(
+    await encryptWithKey(value, MASTER_KEY, {
+      context: context || { type: 'note', owner: OWNER.toText(), noteId, field }
+    })
+  ));
+
+  const createNote = async (id, title, content) => ({
+    id,
+    title: await encryptNoteField(id, 'title', title),
+    content: await encryptNoteField(id, 'content', content),
+    created: 0,
+    updated: 0
+  });
+
+  /**
+   * ノートと、公開されているマスターキーの確認値を返すアクター
+   */
+  const useNotesActor = (notes, masterKey = null) => {
+    const { actor } = createActor({
+      getNotes: notes,
+      getProfile: { ok: createProfile(masterKey ? { masterKey } : null) }
+    });
+    getActor.mockResolvedValue(actor);
+  };
+
+  /**
+   * 別のアカウントのものとして暗号化したタイトルを持つノート（どのキーの食い違いでも説明できない）
+   */
+  const createForeignNote = async (id) => {
+    const note = await createNote(id, 'タイトル', '内容');
+    note.title = await encryptNoteField(id, 'title', 'タイトル', {
+      type: 'note', owner: GUARDIAN.toText(), noteId: id, field: 'title'
+    });
+    return note;
+  };
+
+  beforeEach(() => {
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('別のノートから移し替えた暗号文は、書かれたコンテキストを書き換えても改ざんとして扱う', async () => {
+    const intact = await createNote('note-1', 'タイトル', '内容');
+    const target = await createNote('note-2', '別のタイトル', '別の内容');
+    // note-1 の内容の暗号文を、note-2 のものに見えるようにコンテキストを書き換えて移す
+    const moved = JSON.parse(blobToString(Uint8Array.from(intact.content)));
+    moved.context = { ...moved.context, noteId: 'note-2' };
+    target.content = stringToBlob(JSON.stringify(moved));
+    useNotesActor([intact, target], { epoch: 1, check: await computeMasterKeyCheck(MASTER_KEY) });
+
+    const notes = await getNotes(MASTER_KEY, true, { silent: true });
+
+    expect(notes[0]).toMatchObject({ id: 'note-1', title: 'タイトル', content: '内容' });
+    expect(notes[1]).toMatchObject({ id: 'note-2', _decryptionFailed: true, _tampered: true });
+  });
+
+  test('確認値が公開されていなければ、他のノートを同じキーで復号できた場合に改ざんとして扱う', async () => {
+    useNotesActor([await createNote('note-1', 'タイトル', '内容'), await createForeignNote('note-2')]);
+
+    const notes = await getNotes(MASTER_KEY, true, { silent: true });
+
+    expect(notes[1]).toMatchObject({ id: 'note-2', _tampered: true });
+  });
+
+  test('公開されている確認値と手元のキーが異なれば、他のノートを復号できてもキーの問題として扱う', async () => {
+    useNotesActor(
+      [await createNote('note-1', 'タイトル', '内容'), await createForeignNote('note-2')],
+      { epoch: 2, check: await computeMasterKeyCheck(MASTER_KEY.replace('00', 'ff')) }
+    );
+
+    const notes = await getNotes(MASTER_KEY, true, { silent: true });
+
+    expect(notes[1]._decryptionFailed).toBe(true);
+    expect(notes[1]._tampered).toBeUndefined();
+  });
+
+  test('他のデバイスでローテーションが進行中であれば、キーの問題として扱う', async () => {
+    useNotesActor(
+      [await createNote('note-1', 'タイトル', '内容'), await createForeignNote('note-2')],
+      {
+        epoch: 1,
+        check: await computeMasterKeyCheck(MASTER_KEY),
+        pending: { check: await computeMasterKeyCheck(LEGACY_DEVICE_KEY), startedAt: 1 }
+      }
+    );
+
+    const notes = await getNotes(MASTER_KEY, true, { silent: true });
+
+    expect(notes[1]._tampered).toBeUndefined();
+  });
+
+  test('ローテーション中の新しいキーで読めるノートは、再暗号化済みの一覧になくても復号する', async () => {
+    const rotated = {
+      ...await createNote('note-2', '新しいキーのタイトル', '新しいキーの内容'),
+      title: stringToBlob(JSON.stringify(await encryptWithKey('新しいキーのタイトル', LEGACY_DEVICE_KEY, {
+        context: { type: 'note', owner: OWNER.toText(), noteId: 'note-2', field: 'title' }
+      }))),
+      content: stringToBlob(JSON.stringify(await encryptWithKey('新しいキーの内容', LEGACY_DEVICE_KEY, {
+        context: { type: 'note', owner: OWNER.toText(), noteId: 'note-2', field: 'content' }
+      })))
+    };
+    useNotesActor([await createNote('note-1', 'タイトル', '内容'), rotated], {
+      epoch: 1,
+      check: await computeMasterKeyCheck(MASTER_KEY)
+    });
+
+    const notes = await getNotes(MASTER_KEY, true, {
+      silent: true,
+      pendingKey: { key: LEGACY_DEVICE_KEY, noteIds: [] }
+    });
+
+    expect(notes[1]).toMatchObject({ id: 'note-2', title: '新しいキーのタイトル' });
+  });
+
+  test('どのノートも復号できない場合はキーの問題として扱い、改ざんとはしない', async () => {
+    useNotesActor([await createNote('note-1', 'タイトル', '内容')]);
+
+    const notes = await getNotes(MASTER_KEY.replace('00', 'ff'), true, { silent: true });
+
+    expect(notes[0]._decryptionFailed).toBe(true);
+    expect(notes[0]._tampered).toBeUndefined();
+  });
+});
+
+describe('ガーディアンが公開した公開鍵', () => {
+  let guardianKeys;
+  let otherKeys;
+
+  beforeAll(async () => {
+    guardianKeys = await generateKeyPair();
+    otherKeys = await generateKeyPair();
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('ガーディアンは所有者宛ての記録として公開鍵を保存する', async () => {
+    getCurrentPrincipal.mockResolvedValue(GUARDIAN);
+    localStorage.setItem(`${GUARDIAN.toText()}_guardianPrivateKey`, guardianKeys.privateKey);
+    const { actor, calls } = createActor({
+      getMyGuardians: [],
+      storeKeyShare: { ok: null }
+    });
+    getActor.mockResolvedValue(actor);
+
+    const published = await publishGuardianPublicKey(OWNER.toText());
+
+    const store = calls.find(call => call.method === 'storeKeyShare');
+    expect(store.args[2].toText()).toBe(OWNER.toText());
+    expect(JSON.parse(blobToString(store.args[1])).publicKey).toBe(published.publicKey);
+    expect(published.publicKey).toBe(bytesToHex(guardianKeys.publicKey));
+  });
+
+  test('所有者が自分のガーディアンでもある場合は預けたシェアを上書きしない', async () => {
+    getCurrentPrincipal.mockResolvedValue(GUARDIAN);
+    const { actor, calls } = createActor({ getMyGuardians: [[OWNER, true]] });
+    getActor.mockResolvedValue(actor);
+
+    await expect(publishGuardianPublicKey(OWNER.toText())).rejects.toThrow('ガーディアンでもある');
+    expect(calls.map(call => call.method)).not.toContain('storeKeyShare');
+  });
+
+  const createKeyRecordActor = (publishedKey) => createActor({
+    getMyKeyShare: publishedKey
+      ? {
+        ok: {
+          encryptedShare: stringToBlob(JSON.stringify({ type: 'guardian-public-key', publicKey: publishedKey })),
+          guardianPrincipal: OWNER,
+          shareId: 'guardian-public-key',
+          userPrincipal: GUARDIAN
+        }
+      }
+      : { err: 'Key share not found' },
+    getProfile: { ok: createProfile({}) },
+    setPublicRecoveryData: { ok: null }
+  });
+
+  test('所有者はガーディアンが公開していない鍵を登録しない', async () => {
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    const { actor, calls } = createKeyRecordActor(null);
+    getActor.mockResolvedValue(actor);
+
+    await expect(
+      registerGuardianPublicKey(GUARDIAN.toText(), bytesToHex(guardianKeys.publicKey))
+    ).rejects.toMatchObject({ code: GUARDIAN_KEY_NOT_PUBLISHED_ERROR });
+    expect(calls.map(call => call.method)).not.toContain('setPublicRecoveryData');
+  });
+
+  test('所有者は公開された鍵と異なる公開鍵コードの鍵を登録しない', async () => {
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    const { actor, calls } = createKeyRecordActor(bytesToHex(guardianKeys.publicKey));
+    getActor.mockResolvedValue(actor);
+
+    await expect(
+      registerGuardianPublicKey(GUARDIAN.toText(), bytesToHex(otherKeys.publicKey))
+    ).rejects.toMatchObject({ code: GUARDIAN_KEY_NOT_PUBLISHED_ERROR });
+    expect(calls.map(call => call.method)).not.toContain('setPublicRecoveryData');
+  });
+});
+
+describe('ガーディアン招待', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  /**
+   * 所有者として招待を発行し、キャニスターに記録された招待の内容も返す
+   */
+  const issueInvitation = async (guardian = GUARDIAN) => {
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    const { actor, calls } = createActor({ getMyGuardians: [], storeKeyShare: { ok: null } });
+    getActor.mockResolvedValue(actor);
+
+    const invitation = await generateInvitationToken(OWNER.toText(), guardian.toText(), 24);
+    const store = calls.find(call => call.method === 'storeKeyShare');
+    return { invitation, store };
+  };
+
+  /**
+   * ガーディアンとして、招待者が残した記録（なければシェアなど別の記録）を読むアクターを使う
+   */
+  const useGuardianActor = (recordBlob, shareId = 'guardian-invitation') => {
+    getCurrentPrincipal.mockResolvedValue(GUARDIAN);
+    const { actor } = createActor({
+      getMyKeyShare: recordBlob
+        ? { ok: { encryptedShare: recordBlob, guardianPrincipal: GUARDIAN, shareId, userPrincipal: OWNER } }
+        : { err: 'Key share not found' }
+    });
+    getActor.mockResolvedValue(actor);
+  };
+
+  test('招待の記録はガーディアン宛てにキャニスターへ保存され、その鍵で検証できる', async () => {
+    const { invitation, store } = await issueInvitation();
+
+    expect(store.args[0]).toBe('guardian-invitation');
+    expect(store.args[2].toText()).toBe(GUARDIAN.toText());
+    expect(JSON.parse(blobToString(store.args[1])).nonce).toBe(invitation.nonce);
+
+    useGuardianActor(store.args[1]);
+    const result = await verifyInvitationToken(invitation.token, OWNER.toText());
+
+    expect(result).toMatchObject({ valid: true, nonce: invitation.nonce });
+    expect(result.verificationCode).toBe(invitation.verificationCode);
+  });
+
+  test('記録と異なる鍵で署名された招待は受け入れない', async () => {
+    const { store } = await issueInvitation();
+    // 別の署名鍵で、同じ招待者を名乗るトークンを作る
+    localStorage.clear();
+    const { invitation: forged } = await issueInvitation();
+    const record = JSON.parse(blobToString(store.args[1]));
+
+    useGuardianActor(stringToBlob(JSON.stringify({ ...record, nonce: forged.nonce })));
+    const result = await verifyInvitationToken(forged.token, OWNER.toText());
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('署名');
+  });
+
+  test('別のアカウント宛ての招待は受け入れない', async () => {
+    const { invitation, store } = await issueInvitation(OTHER_GUARDIANS[0]);
+
+    useGuardianActor(store.args[1]);
+    const result = await verifyInvitationToken(invitation.token, OWNER.toText());
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('別のアカウント宛て');
+  });
+
+  test('シェアの割り当てで記録が上書きされた招待は再利用できない', async () => {
+    const { invitation } = await issueInvitation();
+
+    useGuardianActor(stringToBlob('encrypted-share'), 'share-1');
+    const result = await verifyInvitationToken(invitation.token, OWNER.toText());
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toContain('すでに使用されています');
+  });
+
+  test('すでにガーディアンの相手には招待の記録を書き込まない', async () => {
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    const { actor, calls } = createActor({ getMyGuardians: [[GUARDIAN, true]] });
+    getActor.mockResolvedValue(actor);
+
+    await expect(generateInvitationToken(OWNER.toText(), GUARDIAN.toText(), 24)).rejects.toThrow('すでにガーディアン');
+    expect(calls.map(call => call.method)).not.toContain('storeKeyShare');
+  });
+});
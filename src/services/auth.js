@@ -5,9 +5,9 @@ import {
   generateKeyPair, 
   encryptWithPublicKey,
   generateEncryptionKey,
-  decryptWithPrivateKey
+  isLegacyPrivateKey
 } from './crypto';
-import { saveUserMasterKey,getUserMasterKey } from './improved-crypto';
+import { setMasterKeyPassphrase, getUserMasterKey } from './improved-crypto';
 import { Principal } from '@dfinity/principal';
 
 
@@ -43,44 +43,6 @@ export const isAuthenticated = async () => {
   return await client.isAuthenticated();
 };
 
-export const initializeNewDevice = async (devicePrivateKey) => {
-  try {
-    const actor = await getActor();
-    const principal = await getCurrentPrincipal();
-    
-    if (!principal) {
-      throw new Error('User principal not found');
-    }
-    
-    // 修正: getProfileではなくcheckInheritanceStatusを使用
-    const status = await actor.checkInheritanceStatus(principal);
-    
-    if (!status.exists) {
-      throw new Error('アカウントが見つかりません');
-    }
-    
-    const accessKeyResult = await actor.getAccessKey();
-    if (accessKeyResult.err) {
-      throw new Error(accessKeyResult.err);
-    }
-    
-    // 秘密鍵で復号
-    const masterKey = decryptWithPrivateKey(
-      accessKeyResult.ok,
-      devicePrivateKey
-    );
-    
-    // マスターキーをローカルに保存
-    localStorage.setItem('masterEncryptionKey', masterKey);
-    
-    return true;
-  } catch (error) {
-    console.error('Failed to initialize device:', error);
-    throw error;
-  }
-};
-
-
 /**
  * ユーザーのプロファイルが存在するかチェック
  * @returns {Promise<boolean>} プロファイルが存在する場合はtrue
@@ -121,7 +83,23 @@ export const checkProfileExists = async () => {
   }
 };
 
-export const createProfile = async (deviceName) => {
+/**
+ * プロファイル作成時のリカバリーポリシー（ガーディアン数とリカバリーに必要なシェア数）
+ */
+export const DEFAULT_RECOVERY_POLICY = {
+  totalGuardians: 5,
+  requiredShares: 3
+};
+
+/**
+ * プロファイルを作成し、このデバイスを最初のデバイスとして登録する
+ * マスターキーは生成後すぐにパスフレーズでラップして保存してから、
+ * デバイスの公開鍵で暗号化したものと一緒に登録する（リロードしてもキーが失われない）
+ * @param {string} deviceName - デバイス名
+ * @param {string} passphrase - マスターキーを保護するパスフレーズ
+ * @returns {Promise<boolean>} 成功した場合はtrue
+ */
+export const createProfile = async (deviceName, passphrase) => {
   try {
     const actor = await getActor();
     const principal = await getCurrentPrincipal();
@@ -129,43 +107,41 @@ export const createProfile = async (deviceName) => {
     if (!principal) {
       throw new Error('User principal not found. Please login first.');
     }
+    if (!passphrase) {
+      throw new Error('マスターキーを保護するパスフレーズを指定してください');
+    }
     
-    // デバイスの公開鍵を生成
-    const deviceKeyPair = generateKeyPair();
-    const devicePublicKey = deviceKeyPair.publicKey;
+    // デフォルトのガーディアン数とシェア数（後からリカバリーポリシーの編集で変更できる）
+    const { totalGuardians, requiredShares } = DEFAULT_RECOVERY_POLICY;
     
-    // デフォルトのガーディアン数とシェア数
-    const totalGuardians = 3;
-    const requiredShares = 2;
+    const result = await actor.createProfile(totalGuardians, requiredShares);
+    if (result.err) {
+      // 前回の作成がデバイス登録の前で中断していた場合は、作成済みのプロファイルを使う
+      const profileResult = await actor.getProfile();
+      if (profileResult.err) {
+        throw new Error(`Failed to create profile: ${result.err}`);
+      }
+    }
     
-    console.log("Calling createProfileWithDevice with params:", {
-      totalGuardians,
-      requiredShares,
-      deviceName,
-      devicePublicKeyLength: devicePublicKey ? devicePublicKey.length : 0
-    });
+    // ユーザー固有のマスターキーを生成し、デバイスを登録する前にパスフレーズでラップして保存
+    const masterKey = generateEncryptionKey();
+    await setMasterKeyPassphrase(principal.toString(), passphrase, masterKey);
     
-    // 新しいインターフェースを使用する
-    const result = await actor.createProfileWithDevice(
-      totalGuardians,
-      requiredShares,
+    // デバイスの鍵ペアを生成し、公開鍵で暗号化したマスターキーと一緒に登録
+    const deviceKeyPair = await generateKeyPair();
+    const deviceResult = await actor.addDevice(
       deviceName,
-      devicePublicKey
+      deviceKeyPair.publicKey,
+      await encryptWithPublicKey(masterKey, deviceKeyPair.publicKey)
     );
     
-    if (result.err) {
-      throw new Error(`Failed to create profile: ${result.err}`);
+    if (deviceResult.err) {
+      throw new Error(`Failed to register device: ${deviceResult.err}`);
     }
     
-    // デバイスIDを保存
-    const deviceId = result.ok;
-    localStorage.setItem('deviceId', deviceId);
+    localStorage.setItem('deviceId', deviceResult.ok);
     localStorage.setItem('devicePrivateKey', deviceKeyPair.privateKey);
-    
-    // ユーザー固有のマスターキーを生成・保存
-    const masterKey = generateEncryptionKey();
-    saveUserMasterKey(principal.toString(), masterKey);
-    console.log('Created profile with new master key for:', principal.toString().substring(0, 8) + '...');
+    console.log('新しいマスターキーでプロファイルを作成しました');
     
     return true;
   } catch (error) {
@@ -174,6 +150,58 @@ export const createProfile = async (deviceName) => {
   }
 };
 
+/**
+ * このデバイスの鍵が旧形式（md5を公開鍵とする方式）であれば、
+ * Web Crypto APIで生成した鍵ペアでデバイスを登録し直す
+ * @param {string} deviceName - 再登録時のデバイス名
+ * @returns {Promise<Object|null>} 再登録した場合は新しいキーペア、不要な場合はnull
+ */
+export const migrateLegacyDeviceKey = async (deviceName = 'Migrated Device') => {
+  const storedPrivateKey = localStorage.getItem('devicePrivateKey');
+  if (!isLegacyPrivateKey(storedPrivateKey)) {
+    return null;
+  }
+  
+  // 新しいデバイス鍵にラップするマスターキーがなければ再登録できない
+  const principal = await getCurrentPrincipal();
+  const masterKey = principal ? getUserMasterKey(principal.toString()) : null;
+  if (!masterKey) {
+    console.warn('Legacy device key found but no master key is available for re-registration');
+    return null;
+  }
+  
+  const actor = await getActor();
+  const deviceKeyPair = await generateKeyPair();
+  
+  const result = await actor.addDevice(
+    deviceName,
+    deviceKeyPair.publicKey,
+    await encryptWithPublicKey(masterKey, deviceKeyPair.publicKey)
+  );
+  
+  if (result.err) {
+    throw new Error(`Failed to re-register device: ${result.err}`);
+  }
+  
+  // 旧形式の鍵で登録されていたデバイスは削除する
+  const legacyDeviceId = localStorage.getItem('deviceId');
+  if (legacyDeviceId) {
+    try {
+      const removeResult = await actor.removeDevice(legacyDeviceId);
+      if (removeResult.err) {
+        console.warn('Failed to remove legacy device:', removeResult.err);
+      }
+    } catch (removeError) {
+      console.warn('Failed to remove legacy device:', removeError);
+    }
+  }
+  
+  localStorage.setItem('deviceId', result.ok);
+  localStorage.setItem('devicePrivateKey', deviceKeyPair.privateKey);
+  console.log('新しい鍵ペアでデバイスを登録し直しました');
+  
+  return deviceKeyPair;
+};
 
 /**
  * ログイン処理
@@ -202,8 +230,7 @@ export const login = async () => {
             canisterId: NOTES_CANISTER_ID,
           });
           
-          // デバイスキーペアの生成
-          const deviceKeyPair = generateKeyPair();
+          let deviceKeyPair = null;
           
           // プロファイルが存在するかチェック
           let isNewUser = false;
@@ -211,31 +238,16 @@ export const login = async () => {
           const profileExists = await checkProfileExists();
           
           if (!profileExists) {
-            // 新規ユーザー: プロファイル作成
+            // 新規ユーザー: マスターキーを保護するパスフレーズが必要なため、
+            // プロファイルはログイン後の作成画面で作成する
             isNewUser = true;
-            
-            try {
-              // createProfile関数を正しく呼び出す
-              await createProfile('Initial Device');
-            } catch (createError) {
-              console.warn('Failed to auto-create profile:', createError);
-              // プロファイル作成失敗はユーザーに通知するが、ログインは続行
-            }
           } else {
             
-            // 既存ユーザー: デバイスキーを保存
-            localStorage.setItem('devicePrivateKey', deviceKeyPair.privateKey);
-            const legacyMasterKey = localStorage.getItem('masterEncryptionKey');
-            if (legacyMasterKey && !getUserMasterKey(principalStr)) {
-              // 古い形式のマスターキーを新しい形式に移行
-              saveUserMasterKey(principalStr, legacyMasterKey);
-              console.log('Migrated legacy master key to user-specific format');
-            }
-            
-            // マスターキーがなければ生成
-            if (!localStorage.getItem('masterEncryptionKey')) {
-              const masterKey = generateEncryptionKey();
-              localStorage.setItem('masterEncryptionKey', masterKey);
+            // 既存ユーザー: 旧形式（md5）のデバイスキーなら再登録
+            try {
+              deviceKeyPair = await migrateLegacyDeviceKey();
+            } catch (migrationError) {
+              console.warn('Failed to migrate legacy device key:', migrationError);
             }
           }
           
@@ -0,0 +1,320 @@
+// src/services/cryptoTestVectors.js
+// improved-crypto.js の各形式に対する固定のテストベクター
+// 過去の形式のデコーダーを変更した場合は verifyCryptoTestVectors() がすべて成功することを確認する
+
+import {
+  encryptWithKey,
+  decryptWithKey,
+  decryptEnvelopeWithPrivateKey,
+  detectEnvelopeFormat,
+  combineShares,
+  combineVerifiedShares,
+  INVALID_SHARES_ERROR,
+  SHARE_COMMITMENT_ALGORITHM,
+  ENVELOPE_AUTHENTICATION_ERROR,
+  hexToBytes,
+  ENVELOPE_FORMATS,
+  PADDING_MODES
+} from './improved-crypto';
+import { encodeShareMnemonic, decodeShareMnemonic, SHARE_MNEMONIC_ERROR } from './shareMnemonic';
+
+// テスト専用の鍵（実際のデータの暗号化には使用しない）
+const TEST_KEY = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+const TEST_PLAINTEXT = 'Secure Notes テストベクター';
+
+// テスト専用のRSA-OAEP秘密鍵（PKCS#8の16進数）
+const TEST_RSA_PRIVATE_KEY =
+  '308204bf020100300d06092a864886f70d0101010500048204a9308204a50201000282010100d2c08a126119a59f71e8' +
+  '8fbdde02eb40eddcb60ee2196048e6a8de25179d0096f5117eb0e147d52b7e01458999fbfa894787907ed978953e205b' +
+  '76656412bb1a92f7b9d75e94edfd5a4007c78442a8e738b03869982e7b62f1d03c3b2df4a02f0a3916afeef35614b79a' +
+  'e0a900a8624d5be10d979cab41db574eb5260b7dca8f84c9b8eae5e697e59cfc33a9aac48a2ae40348b94798c84ce7de' +
+  'df256afb1d0466011ee9105c4a7437aff115b0db1aba51df3639f48c9608f3ba9d2a8858d973b36eaebf67fb7cc09ec4' +
+  'fb2a15c7ad6f417b108f12ed746b9eac006d8eaa8a2793f7fb290ea9a0814a8a0be77b2289f648b98395c4feb3d5e817' +
+  '2f1da3fddc5b0203010001028201005feed4ead8d85bd3e07e04306146e2df8366dc589a0303192c25e238f02ebf7df7' +
+  'c026f34d18eda8068b7da3cd3c2e271f304e4defa03c0f339b6ea168943e27328f214130048af0b08c44fe44ee33044d' +
+  '81a9ac2761c138a0ea31009f42a347c65786443f78f4ce29658eae5f6646990021c99621f2b2dfad365eaf1abbffdfd0' +
+  'fcd117cb2bb586f501f333a4e26110a3338f16f4b5b858240c9947333539421be4af92ef1e67a48e6f8014d85193cf30' +
+  '74f9ef37cf5a199198a1df4332679099df2b75b67c73a7d890c5546d9f43eb82041080055dafed8c767b3d15d962835c' +
+  'ed9550c424e4087d11b669d2458ab6e69a6d87e85187c12687d6c35ed7ec8102818100ef09ef7c488bbd799e2d491618' +
+  '8b37535f67372f1af5ce2fa677d12ee45add274d0a6470992348597cd264bbafe5724504847ca04324420654e347d385' +
+  'f8c4c5c9e3f532885c6cabd58f3af332ced6650fd5da61dfcb6819098be9b4abbc0f69533901c110c7e4d0a29edcbea7' +
+  '87dc8eaa80a1e72a72656008bafb1a0c36278302818100e1b4c8e976ac9c569f8342d053a18db7f874eaefad3faa044c' +
+  '23de37c64bd6c3b89684b8528d2f638440c3077b4f365a7ddae04899df5a517808cd117da88d7ac13ee362b47d67c7ca' +
+  'b709f8405fdf41105a6dd14b515f39b171948772c4ce1d109d0a9549f7a1a0086c5b10dc88c90874d06d811b41ae9e1d' +
+  'e491488a05884902818100ae8ca2c42e755c36a2ba8ed403b824fe4c7c225fd3600adfe0bf3d90f04f298eb9430d74eb' +
+  '5e4846904f521f7ba2207f257d5943edc35c33236993d971cae66547b79e24f84e054cb4f5922664c384eae75551d286' +
+  '8911cab69de45a79cd29b3cf81a13649faadab6c14753d0338c265ab3ba2fe1a90ce56020a07b24d987de102818100c5' +
+  '10f8dec6cc3d1070e3c5816993c3ce1e33cf31073e6feea2a02a94de213759da2029af59fc85a4c943564581078f7881' +
+  '2c8ae938d847de9c046b305b5bc073aea87f169e6a6423903e32893b83b9c4f047545d09faf93ec14c5f17c840478a1f' +
+  '084ec63c37e73978414b5db48005aec9777634e49c7b9ef890a9bd012d8569028181008850378058a9a41b3a3f18bf07' +
+  '281f78f768f759e2da0d1455d0fa96a5fc14dbb6a3f0382e505d4f9ad08af8685c1c98a2ea64d3ca8e0e8c1a4a0cffbd' +
+  'cae97fbd0a85c5879947e3ee244f6cf70b17f3a532dd20388f71626fdec271ff4e74fc9c0eff65e22abd9e909b31845b' +
+  '06e848002a0f5fb1430704de489223738be66a';
+
+// 旧形式（md5を公開鍵とする方式）のテスト用デバイス秘密鍵
+const TEST_LEGACY_PRIVATE_KEY = 'abcdef0123456789abcdef0123456789abcdef0123456789abcdef0123456789';
+
+export const CRYPTO_TEST_VECTORS = [
+  {
+    name: '現行の共通鍵エンベロープ（IV固定で暗号化結果も一致する）',
+    format: ENVELOPE_FORMATS.V3_SYMMETRIC,
+    key: TEST_KEY,
+    plaintext: TEST_PLAINTEXT,
+    ciphertext: {
+      version: 3,
+      algorithm: 'AES-256-GCM',
+      iv: '0f0e0d0c0b0a090807060504',
+      encryptedData: '8663d43f2ea5ca8ea5b0c53a4bba6a82ef859dd92cda7987d5d04d7d9de93295e7097f62d21af98318ae143e107b6a08e12a0a82'
+    }
+  },
+  {
+    name: 'ノートIDとフィールドに結び付けた共通鍵エンベロープ',
+    format: ENVELOPE_FORMATS.V3_SYMMETRIC,
+    key: TEST_KEY,
+    context: { type: 'note', noteId: 'note-test-vector', field: 'title' },
+    plaintext: TEST_PLAINTEXT,
+    ciphertext: {
+      version: 3,
+      algorithm: 'AES-256-GCM',
+      iv: '0f0e0d0c0b0a090807060504',
+      encryptedData: '8663d43f2ea5ca8ea5b0c53a4bba6a82ef859dd92cda7987d5d04d7d9de93295e7097f624978d2a1ac0fd0310b9154146b252b0b',
+      context: { type: 'note', noteId: 'note-test-vector', field: 'title' }
+    }
+  },
+  {
+    name: '長さを2のべき乗に揃えた共通鍵エンベロープ',
+    format: ENVELOPE_FORMATS.V3_SYMMETRIC,
+    key: TEST_KEY,
+    padding: PADDING_MODES.POWER_OF_TWO,
+    plaintext: TEST_PLAINTEXT,
+    ciphertext: {
+      version: 3,
+      algorithm: 'AES-256-GCM',
+      iv: '0f0e0d0c0b0a090807060504',
+      encryptedData: '8663d43f2ea5ca8ea5b0c53a4bba6a82ef859dd92cda7987d5d04d7d9de93295e7097f62ab497b8e20b52ced930c2805' +
+        '1700f55168bd5eebf45c46f67377458a89d174a1a75c3ab246cf9bc37427fcad',
+      padding: 'pow2'
+    }
+  },
+  {
+    name: 'ヘッダーのないAES-GCM',
+    format: ENVELOPE_FORMATS.V1_AES_GCM,
+    key: TEST_KEY,
+    plaintext: TEST_PLAINTEXT,
+    ciphertext: {
+      encryptedData: 'c44b194e30b9679f2c0af3b6745a235df64fdba97134ca8f1f97c504d048f7be31f5fbddcf9168c873d87321933f3ccb7f8a075b',
+      iv: 'a0a1a2a3a4a5a6a7a8a9aaab'
+    }
+  },
+  {
+    name: 'CryptoJSのパスフレーズ暗号',
+    format: ENVELOPE_FORMATS.V0_CRYPTOJS,
+    key: TEST_KEY,
+    plaintext: TEST_PLAINTEXT,
+    ciphertext: 'U2FsdGVkX19lD/PHWYa8m9z+1L1gcOkwYYGyynn9BpEs1q8PFCrCdnw/eEDISf1AaAJgz5uLisfrgNelvZlLKg=='
+  },
+  {
+    name: '現行の公開鍵エンベロープ',
+    format: ENVELOPE_FORMATS.V3_HYBRID,
+    privateKey: TEST_RSA_PRIVATE_KEY,
+    plaintext: TEST_PLAINTEXT,
+    ciphertext: {
+      version: 3,
+      algorithm: 'RSA-OAEP-256+AES-256-GCM',
+      encryptedKey: 'abc1ebcb7d5eb56da68bf8a1d508f2c36b03bf05d76284e155a32e21ba01c833c6d7c8aebd2757e7376d21ab58629cfd24318a82253e35f5c931e45bf6315cca9040f276b1c1d175a758437b4486c737179a236a9f16dd713d14ce8cdd2b0b54b5e78cadd21fcdeaeedbacffdb4a4e9eba289a2c08b68c2df545ac2ddd1f1afbdaf6c593776ee2b8de9ed3b0907eb91ad317b44bba2f819b81112ee24b83a22cb4ab824891c9f327ba13bc0061360d25ad8fc0710eb259b19b7795ddfe2c6afdd93f25908b02ae7e514a3d71fa7f82816450f21fd1fdc10a4c8443a33ae791307b6d4f33691f8b801daaf0ac965c6a79629d30ce784cefecafca024ec958c316',
+      iv: 'b9bef3761fde78c69335ea57',
+      encryptedData: '619a25d4047991c1406a00b1807a19432d697a3daf793ad2ef495e0408ed002ebf2fac7cf9f0580f6191cfb9a6912b901fdf6dda'
+    }
+  },
+  {
+    name: 'version 2 の公開鍵エンベロープ',
+    format: ENVELOPE_FORMATS.V2_HYBRID,
+    privateKey: TEST_RSA_PRIVATE_KEY,
+    plaintext: TEST_PLAINTEXT,
+    ciphertext: {
+      version: 2,
+      algorithm: 'RSA-OAEP-256+AES-GCM',
+      encryptedKey: 'b205f2f735241acf3b45d41c9328d7f7322e39f517c6868334a7852066fc3ddfac89efca13262a7eb7be22260ef59ff812a14dc2fa6854378337a3e3eeb65e2b974962e4d24462ad77e09c75a9c68a75e904ea9180b70f9287f84db4aebb363256955400b42c18c7fc0655351edf6d662c43140b79480638c9b9565d34e3fbfdc99cbf91c53dc47fe5f48bff9537d312c83f1c09a29296fe02341451f1c05fb510c8396fe603e51e22270c27b1a3375f18d151055b9a3522a86451b75604c7b87950abf9f161b160c77936b389723688d4f441dc30197e664d440e9c3d6b7fe3059358af92ec4a80447a744b45ce4f32c7eeb2048b2bcc3536db737c938f969b',
+      encryptedData: '598623166419d40bca030b0c22535899db46750a688622d7fae841b140c2b1479ea9aa05f44da9ce4587f759fccdebfaa6831d87',
+      iv: '101112131415161718191a1b'
+    }
+  },
+  {
+    name: '旧デバイス鍵（md5）のエンベロープ',
+    format: ENVELOPE_FORMATS.V0_LEGACY_DEVICE,
+    privateKey: TEST_LEGACY_PRIVATE_KEY,
+    plaintext: TEST_PLAINTEXT,
+    ciphertext: {
+      encryptedData: 'U2FsdGVkX19ZKVsZ1gE6Pzww/jc+PZGVwXQdYvpGwsqHOLInc8gEz4MWEPTEICjlXmsZ1uZXBLdkB69MsdFzig==',
+      encryptedKey: 'U2FsdGVkX19HtIv2EFJJkPcVJuxVFiU4v+brfynjWv8KJVSI9mr/IHHO9zkjCaBsPj/iy4UZ8x7cVKZAQYrCsnQUWqA1XDhZkneK1mMJdjWfJ6YYduYb512hLfTpynJa'
+    }
+  }
+];
+
+// 3-of-5 で分割したTEST_KEYのうち3つのシェア
+export const SHAMIR_TEST_VECTOR = {
+  secret: TEST_KEY,
+  shares: [
+    '80012b074ecce065befbc7fb21cfa3b4cf92f6f04556488fce794b824cbaebfdf8840a39d1756e4be593da3a1e4eaa0e9cf0f683bc7b92ed4bf089ab27ea3a00f4b4',
+    '80037749aec79155547f15dc1137b6d969e95c13e6de0339e84fcd26d302af4717df95708991bd50f4a2ad24e0a27d73df8fd11652838f187e657b72a96e488dd1da',
+    '8005201be55f074be8d4e40b097829bd8fcc4d96271e0427ab15873eeeadeae0b614a6dc5b0d7cf47942ea0e4fe5dac0128b467fea7bb3e9085f24519ec355065801'
+  ],
+  // シェアのIDは先頭から share-1, share-2, share-3 とする
+  commitments: {
+    algorithm: SHARE_COMMITMENT_ALGORITHM,
+    salt: '00112233445566778899aabbccddeeff',
+    secret: '0b98797a2bcd73384a23de81a68c04a7104af8c7a3482cc76e80ba54c5c10c5d',
+    shares: {
+      'share-1': '779abb5220ad33cde2b2cac6e66eea5b4b3cdfc05cac2ef80a0e8077677056f5',
+      'share-2': 'a8f2c90c6df82ad68845163b178567b861ed1d0708803189b2179bf5221a069c',
+      'share-3': '430e959fdd3b0699e1b6606395481a9d8d1250e664a87b485f7a986ca6cf98f3'
+    }
+  }
+};
+
+// SHAMIR_TEST_VECTORの1つ目のシェア（閾値3、世代1）の単語表現
+export const SHARE_MNEMONIC_TEST_VECTOR = {
+  share: SHAMIR_TEST_VECTOR.shares[0],
+  threshold: 3,
+  epoch: 1,
+  mnemonic: 'arch arch army arch clip baby flow snow tree herb rose yoga seed yoga card song park ramp song moon word whip edge gate farm milk soil lake fire list fish rock void zinc yard lock bank dial star kite inch fire unit moss test dice cafe flow poem beam nose whip word loaf room land moon wall fire whip mail pond chef visa dice acid wood ramp road clip fold goal'
+};
+
+/**
+ * シェアの単語エンコーディングを検証
+ * 単語列が変わらないこと、元のシェアに戻せること、1語の書き誤りをチェックサムで検出できること
+ * @returns {void} 一致しない場合は例外
+ */
+const verifyShareMnemonicVector = () => {
+  const { share, threshold, epoch, mnemonic } = SHARE_MNEMONIC_TEST_VECTOR;
+
+  if (encodeShareMnemonic({ value: share, threshold, epoch }) !== mnemonic) {
+    throw new Error('単語へのエンコード結果が一致しません');
+  }
+
+  const decoded = decodeShareMnemonic(mnemonic);
+  if (decoded.value !== share || decoded.threshold !== threshold || decoded.epoch !== epoch) {
+    throw new Error('単語からのデコード結果が一致しません');
+  }
+
+  const words = mnemonic.split(' ');
+  words[10] = words[10] === 'acid' ? 'arch' : 'acid';
+  let typoError = null;
+  try {
+    decodeShareMnemonic(words.join(' '));
+  } catch (error) {
+    typoError = error;
+  }
+  if (!typoError || typoError.code !== SHARE_MNEMONIC_ERROR) {
+    throw new Error('単語の書き誤りを検出できません');
+  }
+};
+
+/**
+ * コミットメント付きのシャミア秘密分散を検証
+ * 正しいシェアは復元でき、1バイトでも書き換えたシェアは無効として検出されること
+ * @returns {Promise<void>} 一致しない場合は例外
+ */
+const verifyShareCommitmentVector = async () => {
+  const { secret, shares, commitments } = SHAMIR_TEST_VECTOR;
+  const shareObjects = shares.map((value, index) => ({ id: `share-${index + 1}`, value }));
+
+  const combined = await combineVerifiedShares(shareObjects, commitments, 3);
+  if (combined.secret !== secret || !combined.verified) {
+    throw new Error('コミットメント付きの復元結果が一致しません');
+  }
+
+  const tampered = shareObjects.map((share, index) => index === 2
+    ? { ...share, value: share.value.slice(0, -2) + (share.value.endsWith('00') ? '01' : '00') }
+    : share
+  );
+  const failure = await combineVerifiedShares(tampered, commitments, 3).then(() => null, error => error);
+  if (!failure || failure.code !== INVALID_SHARES_ERROR || !failure.invalidShares.includes('share-3')) {
+    throw new Error('書き換えられたシェアを検出できません');
+  }
+};
+
+/**
+ * テストベクターを1件検証
+ * @param {Object} vector - テストベクター
+ * @returns {Promise<void>} 一致しない場合は例外
+ */
+const verifyVector = async (vector) => {
+  const format = detectEnvelopeFormat(vector.ciphertext);
+  if (format !== vector.format) {
+    throw new Error(`形式の判定が一致しません: ${format}`);
+  }
+
+  const plaintext = vector.privateKey
+    ? await decryptEnvelopeWithPrivateKey(vector.ciphertext, vector.privateKey)
+    : await decryptWithKey(vector.ciphertext, vector.key, { context: vector.context });
+
+  if (plaintext !== vector.plaintext) {
+    throw new Error('復号結果が一致しません');
+  }
+
+  // 現行の共通鍵エンベロープは同じIVで暗号化すると同じ暗号文になる
+  if (vector.format === ENVELOPE_FORMATS.V3_SYMMETRIC) {
+    const envelope = await encryptWithKey(vector.plaintext, vector.key, {
+      iv: hexToBytes(vector.ciphertext.iv),
+      context: vector.context,
+      padding: vector.padding
+    });
+    if (JSON.stringify(envelope) !== JSON.stringify(vector.ciphertext)) {
+      throw new Error('暗号化結果が一致しません');
+    }
+  }
+
+  // 結び付けたコンテキストと異なる場所で復号しようとした場合は、エンベロープのコンテキストを
+  // 書き換えても認証に失敗する
+  if (vector.context) {
+    const otherContext = { ...vector.context, field: `${vector.context.field}-moved` };
+    for (const ciphertext of [vector.ciphertext, { ...vector.ciphertext, context: otherContext }]) {
+      const mismatch = await decryptWithKey(ciphertext, vector.key, { context: otherContext })
+        .then(() => null, error => error);
+      if (!mismatch || mismatch.code !== ENVELOPE_AUTHENTICATION_ERROR) {
+        throw new Error('コンテキストの不一致を検出できません');
+      }
+    }
+  }
+};
+
+/**
+ * すべてのテストベクターを検証
+ * @returns {Promise<Array>} 各ベクターの結果（name, format, ok, error）
+ */
+export const verifyCryptoTestVectors = async () => {
+  const results = [];
+
+  for (const vector of CRYPTO_TEST_VECTORS) {
+    try {
+      await verifyVector(vector);
+      results.push({ name: vector.name, format: vector.format, ok: true });
+    } catch (error) {
+      results.push({ name: vector.name, format: vector.format, ok: false, error: error.message });
+    }
+  }
+
+  try {
+    const secret = combineShares(SHAMIR_TEST_VECTOR.shares);
+    results.push({ name: 'シャミア秘密分散', format: 'shamir', ok: secret === SHAMIR_TEST_VECTOR.secret });
+  } catch (error) {
+    results.push({ name: 'シャミア秘密分散', format: 'shamir', ok: false, error: error.message });
+  }
+
+  try {
+    await verifyShareCommitmentVector();
+    results.push({ name: 'シャミア秘密分散（コミットメント）', format: 'shamir', ok: true });
+  } catch (error) {
+    results.push({ name: 'シャミア秘密分散（コミットメント）', format: 'shamir', ok: false, error: error.message });
+  }
+
+  try {
+    verifyShareMnemonicVector();
+    results.push({ name: 'シェアの単語エンコーディング', format: 'mnemonic', ok: true });
+  } catch (error) {
+    results.push({ name: 'シェアの単語エンコーディング', format: 'mnemonic', ok: false, error: error.message });
+  }
+
+  return results;
+};
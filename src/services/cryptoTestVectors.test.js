@@ -0,0 +1,20 @@
+import { verifyCryptoTestVectors, CRYPTO_TEST_VECTORS } from './cryptoTestVectors';
+
+describe('verifyCryptoTestVectors', () => {
+  beforeEach(() => {
+    // 改ざんの検出を確かめるベクターは復号失敗のログを出す
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('すべての形式のテストベクターを検証できる', async () => {
+    const results = await verifyCryptoTestVectors();
+
+    // 暗号文の形式ごとのベクターに加え、シャミア秘密分散・コミットメント・単語エンコーディングを検証する
+    expect(results).toHaveLength(CRYPTO_TEST_VECTORS.length + 3);
+    expect(results.filter(result => !result.ok)).toEqual([]);
+  });
+});
@@ -0,0 +1,320 @@
+// src/services/guardianLiveness.js
+// ガーディアンのシェア保持確認（生存確認）
+// 所有者がノンス付きのチャレンジコードを発行し、ガーディアンは預かっているシェアから導出した鍵で
+// HMACで応答する。シェアそのものはどちらの方向にも送らず、所有者は導出した鍵だけを控えておく
+
+import { getCurrentPrincipal } from './auth';
+import { getSharesByUserPrincipal } from './guardianStorage';
+import { getShareInventory } from './shareInventory';
+import { bytesToHex, hexToBytes } from './crypto';
+import { deriveShareLivenessKey } from './improved-crypto';
+
+const LIVENESS_CHALLENGE_TYPE = 'guardian-liveness-challenge';
+const LIVENESS_RESPONSE_TYPE = 'guardian-liveness-response';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// チャレンジの有効期間（ガーディアンが応答するまでの猶予）
+const LIVENESS_CHALLENGE_LIFETIME_MS = 7 * DAY_MS;
+
+// 最後の確認からこの日数が過ぎたら再確認が必要
+export const LIVENESS_STALE_AFTER_DAYS = 90;
+
+// healthy: 期間内に確認済み / stale: 未確認または期間切れ / missing: 直近の確認でシェアを持っていなかった
+export const GUARDIAN_LIVENESS_STATES = ['healthy', 'stale', 'missing'];
+
+/**
+ * シェア保持確認の記録の保存先キー
+ * @param {string} principal - 所有者のプリンシパルID
+ * @returns {string} localStorageのキー
+ */
+const getLivenessStorageKey = (principal) => `${principal}_guardianLiveness`;
+
+/**
+ * シェア保持確認の記録を取得
+ * @param {string} principal - 所有者のプリンシパルID
+ * @returns {Object} ガーディアンのプリンシパルID → 記録
+ */
+const getLivenessRecords = (principal) => {
+  try {
+    const stored = localStorage.getItem(getLivenessStorageKey(principal));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('シェア保持確認の記録の読み込みに失敗:', error);
+    return {};
+  }
+};
+
+/**
+ * ガーディアンのシェア保持確認の記録を更新
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @param {Object} patch - 更新する項目
+ * @returns {Object} 更新後の記録
+ */
+const updateLivenessRecord = (principal, guardianPrincipal, patch) => {
+  const records = getLivenessRecords(principal);
+  records[guardianPrincipal] = { ...(records[guardianPrincipal] || {}), ...patch };
+  localStorage.setItem(getLivenessStorageKey(principal), JSON.stringify(records));
+  return records[guardianPrincipal];
+};
+
+/**
+ * シェアから導出した鍵によるHMACで、チャレンジへの応答値を計算
+ * @param {string} livenessKey - deriveShareLivenessKeyで導出した鍵（16進数）
+ * @param {Object} challenge - チャレンジ（ownerPrincipal, guardianPrincipal, shareId, nonce）
+ * @returns {Promise<string>} 16進数の応答値
+ */
+const computeLivenessProof = async (livenessKey, challenge) => {
+  const encoder = new TextEncoder();
+  const key = await window.crypto.subtle.importKey(
+    'raw',
+    hexToBytes(livenessKey),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const message = encoder.encode(JSON.stringify([
+    challenge.ownerPrincipal,
+    challenge.guardianPrincipal,
+    challenge.shareId,
+    challenge.nonce
+  ]));
+  return bytesToHex(new Uint8Array(await window.crypto.subtle.sign('HMAC', key, message)));
+};
+
+/**
+ * 確認コード（Base64エンコードされたJSON）をデコード
+ * @param {string} code - コード
+ * @param {string} expectedType - 期待するコード種別
+ * @param {string} label - エラーメッセージに使うコードの名前
+ * @returns {Object} デコードされたコード
+ */
+const decodeLivenessCode = (code, expectedType, label) => {
+  let data;
+  try {
+    data = JSON.parse(atob((code || '').trim()));
+  } catch (error) {
+    throw new Error(`${label}の形式が正しくありません`);
+  }
+
+  if (!data || data.type !== expectedType) {
+    throw new Error(`${label}ではありません`);
+  }
+  return data;
+};
+
+/**
+ * 現在のユーザーのプリンシパルIDを取得
+ * @returns {Promise<string>} プリンシパルID
+ */
+const requireCurrentPrincipal = async () => {
+  const principal = await getCurrentPrincipal();
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+  return principal.toString();
+};
+
+/**
+ * 【所有者側】ガーディアンに割り当てたシェアの控えを在庫から取得
+ * @param {string} ownerPrincipal - 所有者のプリンシパルID
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @returns {Promise<Object|null>} 在庫レコード
+ */
+const findAssignedShareRecord = async (ownerPrincipal, guardianPrincipal) => {
+  const records = await getShareInventory(ownerPrincipal);
+  return records.find(record =>
+    (record.state === 'assigned' || record.state === 'confirmed') &&
+    record.guardianPrincipal === guardianPrincipal
+  ) || null;
+};
+
+/**
+ * 【所有者側】在庫レコードに控えたシェア保持確認の鍵を取得
+ * 鍵を控える前に割り当てたシェアは、残っているシェアの値から導出する
+ * @param {Object} shareRecord - 在庫レコード
+ * @returns {Promise<string|null>} 鍵、控えがなければnull
+ */
+const getRecordLivenessKey = async (shareRecord) => {
+  if (shareRecord.livenessKey) return shareRecord.livenessKey;
+  if (shareRecord.share && shareRecord.share.value) {
+    return deriveShareLivenessKey(shareRecord.share.value);
+  }
+  return null;
+};
+
+/**
+ * 【所有者側】ガーディアンに送るチャレンジコードを発行
+ * 未応答のチャレンジが有効なうちは同じコードを返す
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @returns {Promise<Object>} チャレンジコードと有効期限
+ */
+export const createLivenessChallenge = async (guardianPrincipal) => {
+  const ownerPrincipal = await requireCurrentPrincipal();
+  const record = getLivenessRecords(ownerPrincipal)[guardianPrincipal];
+
+  if (record && record.pendingChallenge && record.pendingChallenge.expiresAt > Date.now()) {
+    return { code: record.pendingChallenge.code, expiresAt: record.pendingChallenge.expiresAt };
+  }
+
+  const shareRecord = await findAssignedShareRecord(ownerPrincipal, guardianPrincipal);
+  if (!shareRecord || !(await getRecordLivenessKey(shareRecord))) {
+    throw new Error('このガーディアンに割り当てたシェアの控えがこのデバイスにないため確認できません。シェアを更新すると確認できるようになります');
+  }
+
+  const issuedAt = Date.now();
+  const challenge = {
+    type: LIVENESS_CHALLENGE_TYPE,
+    ownerPrincipal,
+    guardianPrincipal,
+    shareId: shareRecord.id,
+    nonce: bytesToHex(window.crypto.getRandomValues(new Uint8Array(16))),
+    issuedAt,
+    expiresAt: issuedAt + LIVENESS_CHALLENGE_LIFETIME_MS
+  };
+  const code = btoa(JSON.stringify(challenge));
+
+  updateLivenessRecord(ownerPrincipal, guardianPrincipal, {
+    pendingChallenge: {
+      code,
+      nonce: challenge.nonce,
+      shareId: challenge.shareId,
+      issuedAt,
+      expiresAt: challenge.expiresAt
+    }
+  });
+
+  return { code, expiresAt: challenge.expiresAt };
+};
+
+/**
+ * 【ガーディアン側】所有者から受け取ったチャレンジコードに応答
+ * 預かっているシェアから導出した鍵によるHMACだけを返し、シェアの内容は含めない
+ * @param {string} code - チャレンジコード
+ * @returns {Promise<Object>} 応答コード、所有者のプリンシパルID、シェアを持っているかどうか
+ */
+export const respondToLivenessChallenge = async (code) => {
+  const challenge = decodeLivenessCode(code, LIVENESS_CHALLENGE_TYPE, 'シェア保持確認のチャレンジコード');
+  const guardianPrincipal = await requireCurrentPrincipal();
+
+  if (challenge.guardianPrincipal !== guardianPrincipal) {
+    throw new Error('このチャレンジコードは別のガーディアン宛てです');
+  }
+
+  if (!challenge.expiresAt || challenge.expiresAt < Date.now()) {
+    throw new Error('このチャレンジコードは有効期限が切れています。所有者に新しいコードを依頼してください');
+  }
+
+  const shares = await getSharesByUserPrincipal(challenge.ownerPrincipal);
+  const share = shares.find(item => item.id === challenge.shareId);
+
+  const response = {
+    type: LIVENESS_RESPONSE_TYPE,
+    ownerPrincipal: challenge.ownerPrincipal,
+    guardianPrincipal,
+    shareId: challenge.shareId,
+    nonce: challenge.nonce,
+    hasShare: !!share,
+    proof: share ? await computeLivenessProof(await deriveShareLivenessKey(share.value), challenge) : null,
+    respondedAt: Date.now()
+  };
+
+  return {
+    code: btoa(JSON.stringify(response)),
+    ownerPrincipal: challenge.ownerPrincipal,
+    hasShare: response.hasShare
+  };
+};
+
+/**
+ * 【所有者側】ガーディアンから受け取った応答コードを検証して記録
+ * @param {string} code - 応答コード
+ * @returns {Promise<Object>} ガーディアンのプリンシパルID、結果（ok / missing / mismatch）
+ */
+export const verifyLivenessResponse = async (code) => {
+  const response = decodeLivenessCode(code, LIVENESS_RESPONSE_TYPE, 'シェア保持確認の応答コード');
+  const ownerPrincipal = await requireCurrentPrincipal();
+
+  if (response.ownerPrincipal !== ownerPrincipal) {
+    throw new Error('この応答コードは別のユーザーのチャレンジへの応答です');
+  }
+
+  const record = getLivenessRecords(ownerPrincipal)[response.guardianPrincipal];
+  const pending = record && record.pendingChallenge;
+
+  // 発行した未応答のチャレンジへの応答だけを受け付ける（古い応答の使い回しを防ぐ）
+  if (!pending || pending.nonce !== response.nonce || pending.shareId !== response.shareId) {
+    throw new Error('この応答コードに対応するチャレンジが見つかりません。新しいチャレンジコードを送ってください');
+  }
+
+  if (pending.expiresAt < Date.now()) {
+    throw new Error('チャレンジの有効期限が切れています。新しいチャレンジコードを送ってください');
+  }
+
+  let result = 'missing';
+  if (response.hasShare) {
+    const shareRecord = await findAssignedShareRecord(ownerPrincipal, response.guardianPrincipal);
+    if (!shareRecord || shareRecord.id !== response.shareId) {
+      throw new Error('チャレンジを発行した後にシェアが変わりました。新しいチャレンジコードを送ってください');
+    }
+
+    const livenessKey = await getRecordLivenessKey(shareRecord);
+    if (!livenessKey) {
+      throw new Error('このガーディアンに割り当てたシェアの控えがこのデバイスにないため確認できません');
+    }
+
+    const expected = await computeLivenessProof(livenessKey, {
+      ownerPrincipal,
+      guardianPrincipal: response.guardianPrincipal,
+      shareId: response.shareId,
+      nonce: response.nonce
+    });
+    result = expected === response.proof ? 'ok' : 'mismatch';
+  }
+
+  const now = Date.now();
+  updateLivenessRecord(ownerPrincipal, response.guardianPrincipal, {
+    pendingChallenge: null,
+    lastCheckedAt: now,
+    lastResult: result,
+    ...(result === 'ok' ? { lastProofAt: now } : {})
+  });
+
+  return { guardianPrincipal: response.guardianPrincipal, result };
+};
+
+/**
+ * 【所有者側】ガーディアンごとのシェア保持の状態を取得
+ * @param {string} ownerPrincipal - 所有者のプリンシパルID
+ * @param {Array<string>} guardianPrincipals - ガーディアンのプリンシパルID
+ * @returns {Object} ガーディアンのプリンシパルID → 状態（state, lastProofAt, lastCheckedAt, lastResult, pendingChallenge）
+ */
+export const getGuardianLivenessStatuses = (ownerPrincipal, guardianPrincipals) => {
+  const records = ownerPrincipal ? getLivenessRecords(ownerPrincipal) : {};
+  const staleBefore = Date.now() - LIVENESS_STALE_AFTER_DAYS * DAY_MS;
+  const statuses = {};
+
+  guardianPrincipals.forEach(guardianPrincipal => {
+    const record = records[guardianPrincipal] || {};
+    const pendingChallenge = record.pendingChallenge && record.pendingChallenge.expiresAt > Date.now()
+      ? record.pendingChallenge
+      : null;
+
+    let state = 'stale';
+    if (record.lastResult === 'missing' || record.lastResult === 'mismatch') {
+      state = 'missing';
+    } else if (record.lastProofAt && record.lastProofAt >= staleBefore) {
+      state = 'healthy';
+    }
+
+    statuses[guardianPrincipal] = {
+      state,
+      lastProofAt: record.lastProofAt || null,
+      lastCheckedAt: record.lastCheckedAt || null,
+      lastResult: record.lastResult || null,
+      pendingChallenge
+    };
+  });
+
+  return statuses;
+};
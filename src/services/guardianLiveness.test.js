@@ -0,0 +1,108 @@
+import { Principal } from '@dfinity/principal';
+import { getCurrentPrincipal } from './auth';
+import { getSharesByUserPrincipal } from './guardianStorage';
+import { getShareInventory } from './shareInventory';
+import { createShares, deriveShareLivenessKey } from './improved-crypto';
+import {
+  createLivenessChallenge,
+  respondToLivenessChallenge,
+  verifyLivenessResponse,
+  getGuardianLivenessStatuses
+} from './guardianLiveness';
+
+jest.mock('./auth', () => ({
+  getCurrentPrincipal: jest.fn()
+}));
+
+jest.mock('./guardianStorage', () => ({
+  getSharesByUserPrincipal: jest.fn()
+}));
+
+jest.mock('./shareInventory', () => ({
+  getShareInventory: jest.fn()
+}));
+
+const OWNER = Principal.fromText('rrkah-fqaaa-aaaaa-aaaaq-cai');
+const GUARDIAN = Principal.fromText('ryjl3-tyaaa-aaaaa-aaaba-cai');
+const SECRET = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+
+describe('シェア保持確認', () => {
+  let shares;
+
+  beforeAll(() => {
+    shares = createShares(SECRET, 3, 2);
+  });
+
+  beforeEach(async () => {
+    localStorage.clear();
+    // 所有者の控えには導出した鍵だけがあり、シェアの値はない
+    const { value, ...metadata } = shares[0];
+    getShareInventory.mockResolvedValue([{
+      id: shares[0].id,
+      share: metadata,
+      state: 'confirmed',
+      guardianPrincipal: GUARDIAN.toText(),
+      livenessKey: await deriveShareLivenessKey(value)
+    }]);
+  });
+
+  /**
+   * 所有者としてチャレンジを発行し、ガーディアンとして応答する
+   */
+  const exchange = async (guardianShares) => {
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    const challenge = await createLivenessChallenge(GUARDIAN.toText());
+
+    getCurrentPrincipal.mockResolvedValue(GUARDIAN);
+    getSharesByUserPrincipal.mockResolvedValue(guardianShares);
+    const response = await respondToLivenessChallenge(challenge.code);
+
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    return response;
+  };
+
+  test('預けたシェアを持っているガーディアンの応答を控えの鍵で検証する', async () => {
+    const response = await exchange([shares[0]]);
+
+    // 応答にはシェアの値を含めない
+    expect(atob(response.code)).not.toContain(shares[0].value);
+    await expect(verifyLivenessResponse(response.code))
+      .resolves.toEqual({ guardianPrincipal: GUARDIAN.toText(), result: 'ok' });
+    expect(getGuardianLivenessStatuses(OWNER.toText(), [GUARDIAN.toText()])[GUARDIAN.toText()].state)
+      .toBe('healthy');
+  });
+
+  test('別の値のシェアで応答した場合は一致しないと記録する', async () => {
+    const response = await exchange([{ ...shares[1], id: shares[0].id }]);
+
+    await expect(verifyLivenessResponse(response.code))
+      .resolves.toMatchObject({ result: 'mismatch' });
+    expect(getGuardianLivenessStatuses(OWNER.toText(), [GUARDIAN.toText()])[GUARDIAN.toText()].state)
+      .toBe('missing');
+  });
+
+  test('シェアを持っていないガーディアンの応答は missing として記録する', async () => {
+    const response = await exchange([]);
+
+    await expect(verifyLivenessResponse(response.code)).resolves.toMatchObject({ result: 'missing' });
+  });
+
+  test('検証済みの応答は使い回せない', async () => {
+    const response = await exchange([shares[0]]);
+    await verifyLivenessResponse(response.code);
+
+    await expect(verifyLivenessResponse(response.code)).rejects.toThrow('対応するチャレンジが見つかりません');
+  });
+
+  test('鍵を控える前に割り当てたシェアは、残っているシェアの値から検証する', async () => {
+    getShareInventory.mockResolvedValue([{
+      id: shares[0].id,
+      share: shares[0],
+      state: 'assigned',
+      guardianPrincipal: GUARDIAN.toText()
+    }]);
+    const response = await exchange([shares[0]]);
+
+    await expect(verifyLivenessResponse(response.code)).resolves.toMatchObject({ result: 'ok' });
+  });
+});
@@ -93,6 +93,15 @@ const openDatabase = (dbName = DB_NAME, version = 1) => {
             console.log('Share already exists, updating it');
             // Update existing share
             existingShare.value = shareInfo.value || existingShare.value;
+            // 付けてある名前は残し、まだない場合だけ新しい名前を使う
+            existingShare.userName = existingShare.userName || userName || '';
+            // メタデータは値のある項目だけ更新する
+            existingShare.metadata = {
+              ...(existingShare.metadata || {}),
+              ...Object.fromEntries(
+                Object.entries(shareInfo.metadata || {}).filter(([, value]) => value !== null && value !== undefined)
+              )
+            };
             existingShare.updatedAt = Date.now();
             
             const updateRequest = store.put(existingShare);
@@ -113,7 +122,8 @@ const openDatabase = (dbName = DB_NAME, version = 1) => {
               value: shareInfo.value,
               userPrincipal: userPrincipal,
               userName: userName || '',
-              storedAt: Date.now(),
+              // バックアップから戻す場合は最初に受け取った日時を引き継ぐ
+              storedAt: shareInfo.storedAt || Date.now(),
               updatedAt: Date.now(),
               metadata: shareInfo.metadata || {}
             };
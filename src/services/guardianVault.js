@@ -0,0 +1,218 @@
+// src/services/guardianVault.js
+// 【ガーディアン側】預かっているシェアのバックアップ
+// すべてのシェアをパスフレーズで暗号化したファイルに書き出し、別のブラウザで読み込めるようにする
+
+import { getCurrentPrincipal } from './auth';
+import { getAllShares, storeShareInIndexedDB } from './guardianStorage';
+import { deriveKeyFromPassword, bytesToHex, hexToBytes } from './crypto';
+import { KDF_ALGORITHMS } from './improved-crypto';
+
+const VAULT_FILE_TYPE = 'guardian-share-vault';
+const VAULT_FILE_VERSION = 1;
+
+// バックアップのパスフレーズの最小文字数
+export const MIN_VAULT_PASSPHRASE_LENGTH = 8;
+
+// 読み込むバックアップの鍵派生パラメーターの範囲
+// ファイルは書き換えられうるため、弱すぎる値や、ブラウザが応答しなくなるほど大きい値は受け付けない
+const VAULT_KDF_LIMITS = {
+  memorySize: { min: 65536, max: 1048576 }, // KiB
+  iterations: { min: 3, max: 10 },
+  parallelism: { min: 1, max: 4 },
+  hashLength: { min: 32, max: 32 }
+};
+
+// ソルトの最小バイト数
+const MIN_VAULT_SALT_BYTES = 16;
+
+/**
+ * バックアップファイルの鍵派生パラメーターとソルトを検証
+ * @param {Object} kdf - 鍵派生のパラメーター
+ * @param {string} salt - ソルト（16進数）
+ * @returns {Object} 検証済みのパラメーター
+ */
+const validateVaultKdf = (kdf, salt) => {
+  if (!kdf || kdf.algorithm !== KDF_ALGORITHMS.ARGON2ID) {
+    throw new Error('バックアップの鍵派生の方式に対応していません');
+  }
+
+  for (const [name, { min, max }] of Object.entries(VAULT_KDF_LIMITS)) {
+    if (!Number.isInteger(kdf[name]) || kdf[name] < min || kdf[name] > max) {
+      throw new Error(`バックアップの鍵派生のパラメーターが許可された範囲外です（${name}）`);
+    }
+  }
+
+  if (typeof salt !== 'string' || !/^[0-9a-f]+$/i.test(salt) || salt.length < MIN_VAULT_SALT_BYTES * 2) {
+    throw new Error('バックアップのソルトが正しくありません');
+  }
+
+  return {
+    algorithm: kdf.algorithm,
+    memorySize: kdf.memorySize,
+    iterations: kdf.iterations,
+    parallelism: kdf.parallelism,
+    hashLength: kdf.hashLength
+  };
+};
+
+/**
+ * 暗号化していないヘッダーをAES-GCMの追加認証データにする
+ * 作成したアカウントや鍵派生のパラメーターを書き換えたファイルは復号できなくなる
+ * @param {Object} header - ヘッダー（guardianPrincipal, kdf, salt）
+ * @returns {Uint8Array} 追加認証データ
+ */
+const getVaultAdditionalData = ({ guardianPrincipal, kdf, salt }) => new TextEncoder().encode(JSON.stringify({
+  type: VAULT_FILE_TYPE,
+  version: VAULT_FILE_VERSION,
+  guardianPrincipal,
+  kdf: {
+    algorithm: kdf.algorithm,
+    memorySize: kdf.memorySize,
+    iterations: kdf.iterations,
+    parallelism: kdf.parallelism,
+    hashLength: kdf.hashLength
+  },
+  salt
+}));
+
+/**
+ * 現在のユーザーのプリンシパルIDを取得
+ * @returns {Promise<string>} プリンシパルID
+ */
+const requireCurrentPrincipal = async () => {
+  const principal = await getCurrentPrincipal();
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+  return principal.toString();
+};
+
+/**
+ * 預かっているシェアをパスフレーズで暗号化したバックアップを作成
+ * @param {string} passphrase - バックアップのパスフレーズ
+ * @returns {Promise<Object>} ファイルの内容（JSON文字列）、ファイル名、シェア数
+ */
+export const exportGuardianVault = async (passphrase) => {
+  if (!passphrase || passphrase.length < MIN_VAULT_PASSPHRASE_LENGTH) {
+    throw new Error(`パスフレーズは${MIN_VAULT_PASSPHRASE_LENGTH}文字以上にしてください`);
+  }
+
+  const guardianPrincipal = await requireCurrentPrincipal();
+  const shares = await getAllShares();
+  if (shares.length === 0) {
+    throw new Error('バックアップするシェアがありません');
+  }
+
+  const payload = shares.map(share => ({
+    id: share.id,
+    value: share.value,
+    userPrincipal: share.userPrincipal,
+    userName: share.userName || '',
+    storedAt: share.storedAt || null,
+    metadata: share.metadata || {}
+  }));
+
+  const { derivedKey, salt, kdf } = await deriveKeyFromPassword(passphrase);
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: getVaultAdditionalData({ guardianPrincipal, kdf, salt }) },
+    derivedKey,
+    new TextEncoder().encode(JSON.stringify(payload))
+  );
+
+  const exportedAt = Date.now();
+  const vault = {
+    type: VAULT_FILE_TYPE,
+    version: VAULT_FILE_VERSION,
+    guardianPrincipal,
+    exportedAt,
+    shareCount: payload.length,
+    kdf,
+    salt,
+    iv: bytesToHex(iv),
+    ciphertext: bytesToHex(new Uint8Array(ciphertext))
+  };
+
+  return {
+    content: JSON.stringify(vault, null, 2),
+    fileName: `guardian-shares-${new Date(exportedAt).toISOString().slice(0, 10)}.json`,
+    shareCount: payload.length
+  };
+};
+
+/**
+ * バックアップファイルを読み込み、シェアIDごとにこのデバイスのシェアへ統合
+ * 鍵派生のパラメーターは許可された範囲のものだけを使い、ヘッダーは追加認証データとして復号時に検証する
+ * 既にあるシェアは storeShareInIndexedDB の更新処理で上書きし、名前とメタデータを引き継ぐ
+ * @param {string} content - バックアップファイルの内容
+ * @param {string} passphrase - バックアップのパスフレーズ
+ * @returns {Promise<Object>} 追加したシェア数、更新したシェア数
+ */
+export const importGuardianVault = async (content, passphrase) => {
+  let vault;
+  try {
+    vault = JSON.parse(content);
+  } catch (error) {
+    throw new Error('バックアップファイルの形式が正しくありません');
+  }
+
+  if (!vault || vault.type !== VAULT_FILE_TYPE) {
+    throw new Error('シェアのバックアップファイルではありません');
+  }
+
+  if (vault.version !== VAULT_FILE_VERSION) {
+    throw new Error(`対応していないバックアップのバージョンです（${vault.version}）`);
+  }
+
+  // シェアの提出やシェア保持の確認はガーディアンのプリンシパルに結び付いているため、別のアカウントには読み込まない
+  const guardianPrincipal = await requireCurrentPrincipal();
+  if (vault.guardianPrincipal !== guardianPrincipal) {
+    throw new Error('このバックアップは別のアカウントで作成されています。作成したときと同じアカウントでログインしてください');
+  }
+
+  const kdf = validateVaultKdf(vault.kdf, vault.salt);
+
+  let shares;
+  try {
+    const { derivedKey } = await deriveKeyFromPassword(passphrase, hexToBytes(vault.salt), kdf);
+    const plaintext = await window.crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: hexToBytes(vault.iv),
+        additionalData: getVaultAdditionalData({ guardianPrincipal, kdf, salt: vault.salt })
+      },
+      derivedKey,
+      hexToBytes(vault.ciphertext)
+    );
+    shares = JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    console.error('バックアップの復号に失敗:', error);
+    throw new Error('パスフレーズが正しくないか、バックアップファイルが壊れています');
+  }
+
+  const existingIds = new Set((await getAllShares()).map(share => share.id));
+  let added = 0;
+  let updated = 0;
+
+  for (const share of shares) {
+    if (!share || !share.id || !share.value || !share.userPrincipal) {
+      console.warn('不完全なシェアを読み飛ばしました:', share && share.id);
+      continue;
+    }
+
+    await storeShareInIndexedDB(
+      { id: share.id, value: share.value, storedAt: share.storedAt, metadata: share.metadata || {} },
+      share.userPrincipal,
+      share.userName || ''
+    );
+
+    if (existingIds.has(share.id)) {
+      updated++;
+    } else {
+      added++;
+      existingIds.add(share.id);
+    }
+  }
+
+  return { added, updated };
+};
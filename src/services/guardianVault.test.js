@@ -0,0 +1,67 @@
+import 'fake-indexeddb/auto';
+import { Principal } from '@dfinity/principal';
+import { getCurrentPrincipal } from './auth';
+import { storeShareInIndexedDB, getAllShares, deleteShare } from './guardianStorage';
+import { exportGuardianVault, importGuardianVault } from './guardianVault';
+
+jest.mock('./auth', () => ({
+  getCurrentPrincipal: jest.fn()
+}));
+
+const GUARDIAN = Principal.fromText('ryjl3-tyaaa-aaaaa-aaaba-cai');
+const OWNER = 'rrkah-fqaaa-aaaaa-aaaaq-cai';
+const PASSPHRASE = 'correct horse battery';
+
+const SHARES = [
+  { id: 'share-1', value: '01aa', metadata: { epoch: 1 } },
+  { id: 'share-2', value: '02bb', metadata: { epoch: 1 } }
+];
+
+describe('ガーディアンのシェアのバックアップ', () => {
+  let content;
+
+  beforeAll(async () => {
+    getCurrentPrincipal.mockResolvedValue(GUARDIAN);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    for (const share of SHARES) {
+      await storeShareInIndexedDB(share, OWNER, '山田');
+    }
+    ({ content } = await exportGuardianVault(PASSPHRASE));
+  });
+
+  beforeEach(() => {
+    getCurrentPrincipal.mockResolvedValue(GUARDIAN);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('書き出したバックアップを読み込むと、シェアIDごとに既存のシェアへ統合する', async () => {
+    await deleteShare('share-2');
+
+    await expect(importGuardianVault(content, PASSPHRASE)).resolves.toEqual({ added: 1, updated: 1 });
+
+    const shares = (await getAllShares()).sort((a, b) => a.id.localeCompare(b.id));
+    expect(shares.map(share => [share.id, share.value, share.userPrincipal, share.userName])).toEqual([
+      ['share-1', '01aa', OWNER, '山田'],
+      ['share-2', '02bb', OWNER, '山田']
+    ]);
+  });
+
+  test('ヘッダーの鍵派生のパラメーターを書き換えたファイルは復号しない', async () => {
+    const vault = JSON.parse(content);
+    const tampered = JSON.stringify({ ...vault, kdf: { ...vault.kdf, iterations: vault.kdf.iterations + 1 } });
+
+    await expect(importGuardianVault(tampered, PASSPHRASE)).rejects.toThrow('壊れています');
+  });
+
+  test('許可された範囲外の鍵派生のパラメーターは鍵を派生する前に拒否する', async () => {
+    const vault = JSON.parse(content);
+    const tampered = JSON.stringify({ ...vault, kdf: { ...vault.kdf, memorySize: 16 * 1048576 } });
+
+    await expect(importGuardianVault(tampered, PASSPHRASE)).rejects.toThrow('許可された範囲外');
+  });
+});
@@ -1,8 +1,13 @@
 // src/services/improved-crypto.js
 
 import { v4 as uuidv4 } from 'uuid';
-// secrets.js-grempeの代わりに使用する改良版シャミア秘密分散の実装
-// このモジュールは外部ライブラリに依存せず、より安全な実装を提供します
+import CryptoJS from 'crypto-js';
+import { argon2id } from 'hash-wasm';
+// アプリ全体の暗号処理を一元化したモジュール
+// - 暗号文はバージョンとアルゴリズムを含むエンベロープ形式で保存する
+// - 過去の形式はそれぞれ専用のデコーダーで復号する（CryptoJSは旧形式の復号にのみ使用）
+// - crypto.js と shamir.js はこのモジュールのアダプター
+// - secrets.js-grempeの代わりに使用する改良版シャミア秘密分散の実装を含む
 
 /**
  * 暗号化用のランダムキーを生成
@@ -38,78 +43,365 @@ export const importKey = async (keyHex) => {
   );
 };
 
+// ------------------------------------------------------------
+// 暗号文のエンベロープ形式
+// ------------------------------------------------------------
+
+// 現在のエンベロープのバージョン
+export const ENVELOPE_VERSION = 3;
+
+// エンベロープに記録するアルゴリズム名
+export const ENVELOPE_ALGORITHMS = {
+  SYMMETRIC: 'AES-256-GCM',
+  HYBRID: 'RSA-OAEP-256+AES-256-GCM'
+};
+
+// 過去に使用された形式を含む、復号できる暗号文の形式
+export const ENVELOPE_FORMATS = {
+  // { version: 3, algorithm: 'AES-256-GCM', iv, encryptedData }
+  V3_SYMMETRIC: 'v3-aes-256-gcm',
+  // { version: 3, algorithm: 'RSA-OAEP-256+AES-256-GCM', encryptedKey, iv, encryptedData }
+  V3_HYBRID: 'v3-rsa-oaep-256+aes-256-gcm',
+  // { version: 2, algorithm: 'RSA-OAEP-256+AES-GCM', encryptedKey, iv, encryptedData }
+  V2_HYBRID: 'v2-rsa-oaep-256+aes-gcm',
+  // { encryptedData, iv } - ヘッダーのないAES-GCM（16進数）
+  V1_AES_GCM: 'v1-aes-gcm',
+  // CryptoJS.AES.encrypt(JSON, パスフレーズ) のOpenSSL互換Base64文字列
+  V0_CRYPTOJS: 'v0-cryptojs-aes',
+  // { encryptedData, encryptedKey } - md5を公開鍵とした旧デバイス鍵用の形式
+  V0_LEGACY_DEVICE: 'v0-cryptojs-md5-device'
+};
+
+// CryptoJSのOpenSSL互換形式（"Salted__" のBase64）の先頭
+const CRYPTOJS_SALTED_PREFIX = 'U2FsdGVkX1';
+
+/**
+ * 暗号文をエンベロープとして読み込む
+ * Blob（Uint8Array/数値配列）、JSON文字列、CryptoJSの文字列、オブジェクトを受け付ける
+ * @param {Uint8Array|Array|string|Object} input - 暗号文
+ * @returns {Object|string|null} エンベロープ（CryptoJS形式の場合は文字列）
+ */
+export const parseEnvelope = (input) => {
+  if (!input) return null;
+
+  let text = input;
+  if (input instanceof Uint8Array || Array.isArray(input)) {
+    text = new TextDecoder('utf-8', { fatal: false }).decode(Uint8Array.from(input));
+  } else if (typeof input === 'object') {
+    return input;
+  }
+
+  if (typeof text !== 'string') return null;
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith(CRYPTOJS_SALTED_PREFIX)) {
+    return trimmed;
+  }
+
+  try {
+    const parsed = JSON.parse(trimmed);
+    // JSON文字列の中にエンベロープが入れ子になっている場合
+    return typeof parsed === 'string' ? parseEnvelope(parsed) : parsed;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * エンベロープの形式を判定
+ * @param {Uint8Array|Array|string|Object} input - 暗号文
+ * @returns {string|null} ENVELOPE_FORMATSの値（判定できない場合はnull）
+ */
+export const detectEnvelopeFormat = (input) => {
+  const envelope = parseEnvelope(input);
+  if (!envelope) return null;
+
+  if (typeof envelope === 'string') {
+    return envelope.startsWith(CRYPTOJS_SALTED_PREFIX) ? ENVELOPE_FORMATS.V0_CRYPTOJS : null;
+  }
+
+  if (envelope.version === 3) {
+    if (envelope.algorithm === ENVELOPE_ALGORITHMS.SYMMETRIC) return ENVELOPE_FORMATS.V3_SYMMETRIC;
+    if (envelope.algorithm === ENVELOPE_ALGORITHMS.HYBRID) return ENVELOPE_FORMATS.V3_HYBRID;
+    return null;
+  }
+
+  if (envelope.version === 2 && envelope.encryptedKey && envelope.iv) {
+    return ENVELOPE_FORMATS.V2_HYBRID;
+  }
+
+  if (envelope.version === undefined) {
+    if (envelope.encryptedData && envelope.iv) return ENVELOPE_FORMATS.V1_AES_GCM;
+    if (envelope.encryptedData && envelope.encryptedKey) return ENVELOPE_FORMATS.V0_LEGACY_DEVICE;
+  }
+
+  return null;
+};
+
+// 暗号文を別の場所に移し替えられたときに送出するエラーのコード
+export const CONTEXT_MISMATCH_ERROR = 'ENVELOPE_CONTEXT_MISMATCH';
+
+// 現行のエンベロープの認証（AES-GCMのタグの検証）に失敗したときに送出するエラーのコード
+// 暗号文・ヘッダー・結び付けたコンテキストのいずれかが書き換えられたか、鍵が異なる
+export const ENVELOPE_AUTHENTICATION_ERROR = 'ENVELOPE_AUTHENTICATION_FAILED';
+
+/**
+ * エンベロープに結び付けられたコンテキストを取得
+ * @param {Uint8Array|Array|string|Object} input - 暗号文
+ * @returns {Object|null} コンテキスト（結び付けられていない場合はnull）
+ */
+export const getEnvelopeContext = (input) => {
+  const envelope = parseEnvelope(input);
+  if (!envelope || typeof envelope !== 'object') return null;
+  return envelope.context && typeof envelope.context === 'object' ? envelope.context : null;
+};
+
+/**
+ * コンテキストを比較可能な文字列に変換（キーの順序に依存しない）
+ * @param {Object} context - コンテキスト
+ * @returns {string} 正規化した文字列
+ */
+const serializeContext = (context) => JSON.stringify(
+  Object.keys(context).sort().map(name => [name, String(context[name])])
+);
+
+/**
+ * AES-GCMの追加認証データ（AAD）を作成
+ * エンベロープのバージョンとアルゴリズムも含め、形式の書き換えも検出できるようにする
+ * @param {Object|null} context - コンテキスト（例: { noteId, field }）
+ * @param {string|null} padding - パディングの方式（パディングの除去による改ざんを検出する）
+ * @returns {Uint8Array|null} 追加認証データ（どちらも指定されていない場合はnull）
+ */
+const buildAssociatedData = (context, padding = null) => {
+  if (!context && !padding) return null;
+
+  const associated = {
+    version: ENVELOPE_VERSION,
+    algorithm: ENVELOPE_ALGORITHMS.SYMMETRIC,
+    context: context ? serializeContext(context) : null
+  };
+  if (padding) {
+    associated.padding = padding;
+  }
+  return new TextEncoder().encode(JSON.stringify(associated));
+};
+
+// ------------------------------------------------------------
+// 長さを秘匿するパディング
+// ------------------------------------------------------------
+
+// パディングの方式
+export const PADDING_MODES = {
+  NONE: 'none',
+  // 2のべき乗のサイズに揃える（最小64バイト）
+  POWER_OF_TWO: 'pow2',
+  // 1KiB単位のブロックに揃える
+  BLOCK_1K: 'block-1k'
+};
+
+// 2のべき乗に揃える場合の最小サイズ
+const MIN_PADDED_LENGTH = 64;
+
+// 1KiB単位で揃える場合のブロックサイズ
+const PADDING_BLOCK_SIZE = 1024;
+
+/**
+ * パディング後のサイズを計算
+ * @param {number} length - 平文の長さ（パディングの終端を示す1バイトを含む）
+ * @param {string} mode - パディングの方式
+ * @returns {number} パディング後のサイズ
+ */
+const getPaddedLength = (length, mode) => {
+  switch (mode) {
+    case PADDING_MODES.POWER_OF_TWO: {
+      let size = MIN_PADDED_LENGTH;
+      while (size < length) size *= 2;
+      return size;
+    }
+    case PADDING_MODES.BLOCK_1K:
+      return Math.ceil(length / PADDING_BLOCK_SIZE) * PADDING_BLOCK_SIZE;
+    default:
+      throw new Error(`不明なパディングの方式です: ${mode}`);
+  }
+};
+
+/**
+ * 平文をパディング（ISO/IEC 7816-4: 0x80 の後に 0x00 を続ける）
+ * @param {Uint8Array} plaintext - 平文
+ * @param {string} mode - パディングの方式
+ * @returns {Uint8Array} パディングされた平文
+ */
+const padPlaintext = (plaintext, mode) => {
+  const padded = new Uint8Array(getPaddedLength(plaintext.length + 1, mode));
+  padded.set(plaintext);
+  padded[plaintext.length] = 0x80;
+  return padded;
+};
+
+/**
+ * パディングを除去
+ * @param {Uint8Array} padded - パディングされた平文
+ * @returns {Uint8Array} 元の平文
+ */
+const unpadPlaintext = (padded) => {
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0x00) end--;
+
+  if (end < 0 || padded[end] !== 0x80) {
+    throw new Error('パディングが不正です');
+  }
+  return padded.subarray(0, end);
+};
+
+/**
+ * AES-GCMでバイト列を暗号化
+ * @param {Uint8Array} plaintext - 平文
+ * @param {string} keyHex - 暗号化キー（16進数）
+ * @param {Uint8Array} iv - 初期化ベクトル
+ * @param {Uint8Array} additionalData - 追加認証データ（省略可）
+ * @returns {Promise<string>} 暗号文（16進数）
+ */
+const encryptAesGcm = async (plaintext, keyHex, iv, additionalData = null) => {
+  const key = await importKey(keyHex);
+  const params = additionalData ? { name: 'AES-GCM', iv, additionalData } : { name: 'AES-GCM', iv };
+  const encryptedBuffer = await window.crypto.subtle.encrypt(params, key, plaintext);
+  return bytesToHex(new Uint8Array(encryptedBuffer));
+};
+
+/**
+ * AES-GCMで暗号化されたバイト列を復号
+ * @param {string} encryptedHex - 暗号文（16進数）
+ * @param {string} ivHex - 初期化ベクトル（16進数）
+ * @param {string} keyHex - 復号キー（16進数）
+ * @param {Uint8Array} additionalData - 追加認証データ（省略可）
+ * @returns {Promise<Uint8Array>} 平文
+ */
+const decryptAesGcm = async (encryptedHex, ivHex, keyHex, additionalData = null) => {
+  const key = await importKey(keyHex);
+  const iv = hexToBytes(ivHex);
+  const params = additionalData ? { name: 'AES-GCM', iv, additionalData } : { name: 'AES-GCM', iv };
+  const decryptedBuffer = await window.crypto.subtle.decrypt(params, key, hexToBytes(encryptedHex));
+  return new Uint8Array(decryptedBuffer);
+};
+
+/**
+ * AES-GCMで暗号化されたJSONを復号
+ * @param {string} encryptedHex - 暗号文（16進数）
+ * @param {string} ivHex - 初期化ベクトル（16進数）
+ * @param {string} keyHex - 復号キー（16進数）
+ * @returns {Promise<any>} 復号されたデータ
+ */
+const decryptAesGcmJson = async (encryptedHex, ivHex, keyHex) => {
+  const plaintext = await decryptAesGcm(encryptedHex, ivHex, keyHex);
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+/**
+ * CryptoJS（OpenSSL互換のパスフレーズ暗号）で暗号化されたJSONを復号
+ * @param {string} ciphertext - Base64の暗号文
+ * @param {string} passphrase - パスフレーズ
+ * @returns {any} 復号されたデータ
+ */
+const decryptCryptoJSJson = (ciphertext, passphrase) => {
+  const plaintext = CryptoJS.AES.decrypt(ciphertext, passphrase).toString(CryptoJS.enc.Utf8);
+  if (!plaintext) {
+    throw new Error('CryptoJS形式の復号結果が空です');
+  }
+  return JSON.parse(plaintext);
+};
+
 /**
  * データをキーで暗号化
+ * contextを指定すると、その値（ノートIDやフィールド名など）を追加認証データとして結び付け、
+ * 別の場所へ移し替えられた暗号文を復号時に検出できるようにする
+ * paddingを指定すると、暗号文の長さから平文の長さが分からないようにサイズを揃える
  * @param {any} data - 暗号化するデータ
  * @param {string} keyHex - 暗号化キー（16進数）
- * @returns {Promise<Object>} 暗号化されたデータ（iv含む）
+ * @param {Object} options - オプション
+ * @param {Uint8Array} options.iv - テストベクター用に固定するIV
+ * @param {Object} options.context - 暗号文を結び付けるコンテキスト
+ * @param {string} options.padding - パディングの方式（PADDING_MODESの値）
+ * @returns {Promise<Object>} エンベロープ（version, algorithm, iv, encryptedData, context, padding）
  */
-export const encryptWithKey = async (data, keyHex) => {
-  // データをJSON文字列に変換
-  const dataString = JSON.stringify(data);
-  const dataBuffer = new TextEncoder().encode(dataString);
-  
-  // キーをインポート
-  const key = await importKey(keyHex);
-  
-  // 初期化ベクトル（IV）を生成
-  const iv = window.crypto.getRandomValues(new Uint8Array(12));
-  
-  // 暗号化を実行
-  const encryptedBuffer = await window.crypto.subtle.encrypt(
-    { name: 'AES-GCM', iv },
-    key,
-    dataBuffer
-  );
-  
-  // バイナリデータを16進数に変換
-  const encryptedHex = Array.from(new Uint8Array(encryptedBuffer))
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('');
-  
-  const ivHex = Array.from(iv)
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('');
-  
-  // 暗号化データとIVを返す
-  return {
-    encryptedData: encryptedHex,
-    iv: ivHex
+export const encryptWithKey = async (data, keyHex, options = {}) => {
+  const iv = options.iv || window.crypto.getRandomValues(new Uint8Array(12));
+  const context = options.context || null;
+  const padding = options.padding && options.padding !== PADDING_MODES.NONE ? options.padding : null;
+
+  let plaintext = new TextEncoder().encode(JSON.stringify(data));
+  if (padding) {
+    plaintext = padPlaintext(plaintext, padding);
+  }
+
+  const envelope = {
+    version: ENVELOPE_VERSION,
+    algorithm: ENVELOPE_ALGORITHMS.SYMMETRIC,
+    iv: bytesToHex(iv),
+    encryptedData: await encryptAesGcm(plaintext, keyHex, iv, buildAssociatedData(context, padding))
   };
+
+  if (context) {
+    envelope.context = context;
+  }
+  if (padding) {
+    envelope.padding = padding;
+  }
+
+  return envelope;
 };
 
 /**
  * 暗号化されたデータをキーで復号
- * @param {Object} encryptedObj - 暗号化されたデータオブジェクト（encryptedData, iv）
+ * 現行のエンベロープ（パディングの有無を問わない）に加え、ヘッダーのないAES-GCMとCryptoJS形式も復号できる
+ * contextを指定した場合、コンテキストを結び付けたエンベロープはエンベロープに書かれた値ではなく
+ * 指定したコンテキストを追加認証データとして検証する（コンテキストのない旧形式はそのまま復号）
+ * 現行のエンベロープの認証に失敗した場合はcodeがENVELOPE_AUTHENTICATION_ERRORのエラーを送出する
+ * @param {Object|string|Uint8Array} encrypted - 暗号文（エンベロープ）
  * @param {string} keyHex - 復号キー（16進数）
+ * @param {Object} options - オプション（context: 期待するコンテキスト）
  * @returns {Promise<any>} 復号されたデータ
  */
-export const decryptWithKey = async (encryptedObj, keyHex) => {
+export const decryptWithKey = async (encrypted, keyHex, options = {}) => {
+  const envelope = parseEnvelope(encrypted);
+  const format = detectEnvelopeFormat(envelope);
+
+  if (format === ENVELOPE_FORMATS.V3_SYMMETRIC) {
+    const padding = envelope.padding || null;
+    const boundContext = getEnvelopeContext(envelope);
+    const context = boundContext ? (options.context || boundContext) : null;
+
+    let plaintext;
+    try {
+      plaintext = await decryptAesGcm(
+        envelope.encryptedData,
+        envelope.iv,
+        keyHex,
+        buildAssociatedData(context, padding)
+      );
+    } catch (error) {
+      console.error('エンベロープの認証に失敗しました:', error);
+      const authError = new Error('暗号文が改ざんされているか、鍵が一致しません');
+      authError.code = ENVELOPE_AUTHENTICATION_ERROR;
+      throw authError;
+    }
+
+    try {
+      return JSON.parse(new TextDecoder().decode(padding ? unpadPlaintext(plaintext) : plaintext));
+    } catch (error) {
+      console.error('復号化に失敗しました:', error);
+      throw new Error('復号化に失敗しました');
+    }
+  }
+
   try {
-    const { encryptedData, iv } = encryptedObj;
-    
-    // 16進数からバイナリデータに変換
-    const encryptedBuffer = new Uint8Array(
-      encryptedData.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-    ).buffer;
-    
-    const ivBuffer = new Uint8Array(
-      iv.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-    );
-    
-    // キーをインポート
-    const key = await importKey(keyHex);
-    
-    // 復号を実行
-    const decryptedBuffer = await window.crypto.subtle.decrypt(
-      { name: 'AES-GCM', iv: ivBuffer },
-      key,
-      encryptedBuffer
-    );
-    
-    // バッファをJSONに変換
-    const decryptedText = new TextDecoder().decode(decryptedBuffer);
-    return JSON.parse(decryptedText);
+    switch (format) {
+      case ENVELOPE_FORMATS.V1_AES_GCM:
+        return await decryptAesGcmJson(envelope.encryptedData, envelope.iv, keyHex);
+      case ENVELOPE_FORMATS.V0_CRYPTOJS:
+        return decryptCryptoJSJson(envelope, keyHex);
+      default:
+        throw new Error('対応していない暗号文の形式です');
+    }
   } catch (error) {
     console.error('復号化に失敗しました:', error);
     throw new Error('復号化に失敗しました');
@@ -287,7 +579,178 @@ export const decryptWithPrivateKey = async (encryptedHex, privateKeyHex) => {
   }
 };
 
-const GF256 = {
+/**
+ * 公開鍵でデータを暗号化したエンベロープを作成
+ * データ本体はAES-GCMで暗号化し、そのキーのみをRSA-OAEPで暗号化する
+ * @param {any} data - 暗号化するデータ
+ * @param {string} publicKeyHex - 16進数形式の公開鍵（SPKI）
+ * @returns {Promise<Object>} エンベロープ（version, algorithm, encryptedKey, iv, encryptedData）
+ */
+export const encryptEnvelopeForPublicKey = async (data, publicKeyHex) => {
+  const contentKey = bytesToHex(window.crypto.getRandomValues(new Uint8Array(32)));
+  const { iv, encryptedData } = await encryptWithKey(data, contentKey);
+
+  return {
+    version: ENVELOPE_VERSION,
+    algorithm: ENVELOPE_ALGORITHMS.HYBRID,
+    encryptedKey: await encryptWithPublicKey(contentKey, publicKeyHex),
+    iv,
+    encryptedData
+  };
+};
+
+/**
+ * 公開鍵で暗号化されたエンベロープを秘密鍵で復号
+ * 旧デバイス鍵（md5を公開鍵とする方式）の形式は、秘密鍵からその「公開鍵」を求めて復号する
+ * @param {Object|string|Uint8Array} encrypted - 暗号文（エンベロープ）
+ * @param {string} privateKeyHex - 秘密鍵（PKCS#8の16進数、または旧形式の64文字の16進数）
+ * @returns {Promise<any>} 復号されたデータ
+ */
+export const decryptEnvelopeWithPrivateKey = async (encrypted, privateKeyHex) => {
+  const envelope = parseEnvelope(encrypted);
+  const format = detectEnvelopeFormat(envelope);
+
+  switch (format) {
+    case ENVELOPE_FORMATS.V3_HYBRID:
+    case ENVELOPE_FORMATS.V2_HYBRID: {
+      if (isLegacyDevicePrivateKey(privateKeyHex)) {
+        throw new Error('旧形式のデバイス鍵では復号できません。デバイスを再登録してください');
+      }
+      const contentKey = await decryptWithPrivateKey(envelope.encryptedKey, privateKeyHex);
+      return decryptAesGcmJson(envelope.encryptedData, envelope.iv, contentKey);
+    }
+    case ENVELOPE_FORMATS.V0_LEGACY_DEVICE: {
+      // 旧実装はコンテンツキーを md5(秘密鍵) をパスフレーズとしてCryptoJSで暗号化していた
+      const legacyPublicKey = CryptoJS.MD5(privateKeyHex).toString();
+      const contentKey = CryptoJS.AES.decrypt(envelope.encryptedKey, legacyPublicKey)
+        .toString(CryptoJS.enc.Utf8);
+      if (!contentKey) {
+        throw new Error('旧形式のコンテンツキーを復号できません');
+      }
+      return decryptCryptoJSJson(envelope.encryptedData, contentKey);
+    }
+    default:
+      throw new Error('対応していない暗号文の形式です');
+  }
+};
+
+/**
+ * 旧実装で生成されたデバイス秘密鍵（32バイトの乱数の16進数）かどうかを判定
+ * @param {string} privateKey - 秘密鍵
+ * @returns {boolean} 旧形式の場合はtrue
+ */
+export const isLegacyDevicePrivateKey = (privateKey) => {
+  return typeof privateKey === 'string' && /^[0-9a-f]{64}$/i.test(privateKey);
+};
+
+const SIGNING_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * 署名用のECDSA鍵ペアを生成（P-256 / SHA-256）
+ * 暗号化用のRSA-OAEP鍵とは用途を分けるため、別の鍵ペアとして扱う
+ * @returns {Promise<Object>} キーペア（privateKey: PKCS#8の16進数, publicKey: SPKIの16進数）
+ */
+export const generateSigningKeyPair = async () => {
+  try {
+    const keyPair = await window.crypto.subtle.generateKey(
+      SIGNING_KEY_ALGORITHM,
+      true,
+      ['sign', 'verify']
+    );
+
+    return {
+      privateKey: bytesToHex(new Uint8Array(await window.crypto.subtle.exportKey('pkcs8', keyPair.privateKey))),
+      publicKey: bytesToHex(new Uint8Array(await window.crypto.subtle.exportKey('spki', keyPair.publicKey)))
+    };
+  } catch (error) {
+    console.error('署名鍵の生成に失敗しました:', error);
+    throw new Error('署名鍵の生成に失敗しました');
+  }
+};
+
+/**
+ * 署名用秘密鍵（PKCS#8の16進数）から対応する公開鍵を復元
+ * @param {string} privateKeyHex - 16進数形式の秘密鍵
+ * @returns {Promise<string>} SPKI形式の公開鍵（16進数）
+ */
+export const deriveSigningPublicKey = async (privateKeyHex) => {
+  const privateKey = await window.crypto.subtle.importKey(
+    'pkcs8',
+    hexToBytes(privateKeyHex),
+    SIGNING_KEY_ALGORITHM,
+    true,
+    ['sign']
+  );
+
+  // JWKの公開パラメータ（x, y）だけを使って公開鍵を作り直す
+  const { kty, crv, x, y } = await window.crypto.subtle.exportKey('jwk', privateKey);
+  const publicKey = await window.crypto.subtle.importKey(
+    'jwk',
+    { kty, crv, x, y, ext: true },
+    SIGNING_KEY_ALGORITHM,
+    true,
+    ['verify']
+  );
+
+  return bytesToHex(new Uint8Array(await window.crypto.subtle.exportKey('spki', publicKey)));
+};
+
+/**
+ * 文字列に署名
+ * @param {string} message - 署名する文字列
+ * @param {string} privateKeyHex - 署名用秘密鍵（PKCS#8の16進数）
+ * @returns {Promise<string>} 署名（16進数）
+ */
+export const signMessage = async (message, privateKeyHex) => {
+  const privateKey = await window.crypto.subtle.importKey(
+    'pkcs8',
+    hexToBytes(privateKeyHex),
+    SIGNING_KEY_ALGORITHM,
+    false,
+    ['sign']
+  );
+
+  const signature = await window.crypto.subtle.sign(
+    SIGNATURE_ALGORITHM,
+    privateKey,
+    new TextEncoder().encode(message)
+  );
+
+  return bytesToHex(new Uint8Array(signature));
+};
+
+/**
+ * 文字列の署名を検証
+ * 鍵や署名の形式が不正な場合も、例外ではなく検証失敗として扱う
+ * @param {string} message - 署名された文字列
+ * @param {string} signatureHex - 署名（16進数）
+ * @param {string} publicKeyHex - 署名用公開鍵（SPKIの16進数）
+ * @returns {Promise<boolean>} 署名が正しい場合はtrue
+ */
+export const verifyMessageSignature = async (message, signatureHex, publicKeyHex) => {
+  try {
+    const publicKey = await window.crypto.subtle.importKey(
+      'spki',
+      hexToBytes(publicKeyHex),
+      SIGNING_KEY_ALGORITHM,
+      false,
+      ['verify']
+    );
+
+    return await window.crypto.subtle.verify(
+      SIGNATURE_ALGORITHM,
+      publicKey,
+      hexToBytes(signatureHex),
+      new TextEncoder().encode(message)
+    );
+  } catch (error) {
+    console.error('署名の検証に失敗しました:', error);
+    return false;
+  }
+};
+
+export const GF256 = {
     // 加算と減算はXOR
     add: (a, b) => a ^ b,
     sub: (a, b) => a ^ b,
@@ -415,7 +878,7 @@ const GF256 = {
      * @param {number} x - 評価するx値
      * @returns {number} 評価結果
      */
-    function evaluatePolynomial(coeffs, x) {
+    export function evaluatePolynomial(coeffs, x) {
         if (x === 0) return coeffs[0];
         
         let result = 0;
@@ -433,7 +896,7 @@ const GF256 = {
  * @param {Array} points - (x, y)座標の配列
  * @returns {number} f(0)の値
  */
-const lagrangeInterpolation = (points) => {
+export const lagrangeInterpolation = (points) => {
 
     
     if (points.length === 0) {
@@ -494,7 +957,7 @@ const lagrangeInterpolation = (points) => {
  * @param {Uint8Array} bytes - バイト配列
  * @returns {string} 16進数文字列
  */
-const bytesToHex = (bytes) => {
+export const bytesToHex = (bytes) => {
     return Array.from(bytes)
       .map(b => b.toString(16).padStart(2, '0'))
       .join('');
@@ -675,231 +1138,387 @@ export const combineShares = (shares) => {
     throw new Error('シェア結合に失敗しました: ' + error.message);
   }
 };
+
+// ------------------------------------------------------------
+// シェアのコミットメント（検証可能な秘密分散）
+// ------------------------------------------------------------
+
+export const SHARE_COMMITMENT_ALGORITHM = 'sha256-commitment-v1';
+
+// 正しいシェアが閾値に満たず秘密を復元できない場合のエラーコード
+export const INVALID_SHARES_ERROR = 'RECOVERY_SHARES_INVALID';
+
 /**
- * パスワードから暗号化キーを派生（PBKDF2）- バックアップ実装付き
- * @param {string} password - ユーザーパスワード
- * @param {Uint8Array} salt - ソルト（新規の場合は省略可）
- * @returns {Promise<Object>} 派生キーとソルト
+ * ソルト付きのSHA-256コミットメントを計算
+ * @param {string} salt - コミットメントのソルト（16進数）
+ * @param {string} value - コミットする値
+ * @returns {Promise<string>} 16進数のハッシュ
  */
-export const deriveKeyFromPassword = async (password, salt = null) => {
-  try {
-    // ソルトがない場合は新しく生成
-    if (!salt) {
-      salt = window.crypto.getRandomValues(new Uint8Array(16));
-    }
-    
-    // パスワードからキーマテリアルを作成
-    const encoder = new TextEncoder();
-    const passwordBuffer = encoder.encode(password);
-    
-    // Web Crypto API が利用可能かチェック
-    if (window.crypto && window.crypto.subtle) {
-      try {
-        const keyMaterial = await window.crypto.subtle.importKey(
-          'raw',
-          passwordBuffer,
-          { name: 'PBKDF2' },
-          false,
-          ['deriveBits', 'deriveKey']
-        );
-        
-        // PBKDF2を使ってキーを派生
-        const derivedKey = await window.crypto.subtle.deriveKey(
-          {
-            name: 'PBKDF2',
-            salt,
-            iterations: 100000, // 適切な反復回数
-            hash: 'SHA-256'
-          },
-          keyMaterial,
-          { name: 'AES-GCM', length: 256 },
-          true, // エクスポート可能に設定
-          ['encrypt', 'decrypt']
-        );
-        
-        // 派生キーをエクスポート
-        const exportedKey = await window.crypto.subtle.exportKey('raw', derivedKey);
-        const keyHex = Array.from(new Uint8Array(exportedKey))
-          .map(b => b.toString(16).padStart(2, '0'))
-          .join('');
-        
-        // ソルトを16進数に変換
-        const saltHex = Array.from(salt)
-          .map(b => b.toString(16).padStart(2, '0'))
-          .join('');
-        
-        return {
-          derivedKey,
-          key: keyHex,
-          salt: saltHex
-        };
-      } catch (cryptoError) {
-        console.warn('Web Crypto APIでの鍵派生に失敗しました - フォールバック実装を使用します:', cryptoError);
-        return fallbackDeriveKey(password, salt);
-      }
-    } else {
-      console.warn('Web Crypto APIが利用できません - フォールバック実装を使用します');
-      return fallbackDeriveKey(password, salt);
-    }
-  } catch (error) {
-    console.error('鍵派生に失敗しました:', error);
-    // 最終手段としてフォールバック
-    return fallbackDeriveKey(password, salt);
-  }
+const computeCommitment = async (salt, value) => {
+  const digest = await window.crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(`${salt}:${value}`)
+  );
+  return bytesToHex(new Uint8Array(digest));
 };
 
 /**
- * パスワードからキーを派生するフォールバック実装
- * 注: これは暗号学的に安全なPBKDF2ではありませんが、Web Crypto APIが使用できない場合の代替です
- * @param {string} password - パスワード
- * @param {Uint8Array} salt - ソルト
- * @returns {Promise<Object>} 派生キーと関連情報
+ * シェア保持確認に使う鍵をシェアの値から導出
+ * 所有者は割り当てたシェアの値の代わりにこの鍵だけを控えておき、ガーディアンの応答（HMAC）を検証する。
+ * 一方向のハッシュのため、控えからシェアの値は復元できない
+ * @param {string} value - シェアの値
+ * @returns {Promise<string>} 鍵（16進数）
  */
-const fallbackDeriveKey = (password, salt) => {
-  return new Promise(resolve => {
-    // 簡易的なキー派生（本番環境では使用しないでください）
-    const encoder = new TextEncoder();
-    const saltHex = Array.from(salt)
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
-    
-    // パスワードとソルトを結合して繰り返しハッシュ化する簡易実装
-    let key = password + saltHex;
-    
-    // 単純なハッシュ反復（これは例示目的です - 本番環境では使用しないでください）
-    for (let i = 0; i < 1000; i++) {
-      // 単純な文字列ハッシュ
-      let hash = 0;
-      for (let j = 0; j < key.length; j++) {
-        hash = ((hash << 5) - hash) + key.charCodeAt(j);
-        hash |= 0; // 32ビット整数に変換
-      }
-      key = hash.toString(16);
-    }
-    
-    // 256ビット（32バイト）のキーを生成
-    let derivedKeyArray = new Uint8Array(32);
-    for (let i = 0; i < 32; i++) {
-      derivedKeyArray[i] = parseInt(key.substr((i * 2) % key.length, 2) || '0', 16);
-    }
-    
-    const keyHex = Array.from(derivedKeyArray)
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
-    
-    resolve({
-      derivedKey: null, // Web Crypto APIのオブジェクトはありません
-      key: keyHex,
-      salt: saltHex,
-      isWebCrypto: false
-    });
-  });
+export const deriveShareLivenessKey = async (value) => {
+  const digest = await window.crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(`guardian-liveness:${value}`)
+  );
+  return bytesToHex(new Uint8Array(digest));
 };
 
 /**
- * フォールバック用のXORベース暗号化/復号関数
- * 暗号化と復号で同一のロジックを使用するため、統一関数として実装
- * @param {Uint8Array} data - 処理するデータ
- * @param {Uint8Array} key - 鍵データ
- * @param {Uint8Array} iv - 初期化ベクトル
- * @returns {Uint8Array} 処理結果
+ * シェアセットのコミットメントを作成
+ * 公開リカバリーデータに保存し、復元時に偽造・破損したシェアを検出するために使う
+ * シェアのyは閾値未満では一様乱数のため、ハッシュを公開しても秘密は推測できない
+ * @param {string} secret - 分割した秘密
+ * @param {Array} shares - createSharesで作成したシェア
+ * @returns {Promise<Object>} コミットメント（algorithm, salt, secret, shares）
  */
-const fallbackEncryptDecrypt = (data, key, iv) => {
-    const result = new Uint8Array(data.length);
-    for (let i = 0; i < data.length; i++) {
-      result[i] = data[i] ^ key[i % key.length] ^ iv[i % iv.length];
-    }
-    return result;
-  };
+export const createShareCommitments = async (secret, shares) => {
+  const salt = bytesToHex(window.crypto.getRandomValues(new Uint8Array(16)));
+  const shareCommitments = {};
 
-/**
- * 暗号化キーを安全にストレージに保存
- * @param {string} masterKey - マスター暗号化キー
- * @param {string} password - パスワード
- * @returns {Promise<boolean>} 成功した場合はtrue
+  for (const share of shares) {
+    shareCommitments[share.id] = await computeCommitment(salt, share.value);
+  }
+
+  return {
+    algorithm: SHARE_COMMITMENT_ALGORITHM,
+    salt,
+    secret: await computeCommitment(salt, secret),
+    shares: shareCommitments
+  };
+};
+
+/**
+ * シェアがコミットメントと一致するか検証
+ * @param {Object} share - シェア（id, value）
+ * @param {Object} commitments - createShareCommitmentsの結果
+ * @returns {Promise<boolean|null>} 一致すればtrue、不一致ならfalse、記録がなければnull
+ */
+export const verifyShareCommitment = async (share, commitments) => {
+  const expected = commitments && commitments.shares && commitments.shares[share.id];
+  if (!expected) return null;
+
+  return (await computeCommitment(commitments.salt, share.value)) === expected;
+};
+
+/**
+ * シェアの値からコミットメントに記録されたシェアIDを探す
+ * 手入力したシェアなど、IDを持たないシェアを検証できるようにする
+ * @param {string} value - シェアの値
+ * @param {Object} commitments - createShareCommitmentsの結果
+ * @returns {Promise<string|null>} 一致したシェアID（見つからなければnull）
+ */
+export const findShareIdByCommitment = async (value, commitments) => {
+  if (!commitments || !commitments.shares) return null;
+
+  const hash = await computeCommitment(commitments.salt, value);
+  const entry = Object.entries(commitments.shares).find(([, expected]) => expected === hash);
+  return entry ? entry[0] : null;
+};
+
+/**
+ * 配列から指定数の要素を選ぶ組み合わせを列挙
+ * @param {Array} items - 要素
+ * @param {number} size - 選ぶ数
+ * @param {number} start - 開始位置
+ * @returns {Generator<Array>} 組み合わせ
+ */
+function* combinations(items, size, start = 0) {
+  if (size === 0) {
+    yield [];
+    return;
+  }
+  for (let i = start; i <= items.length - size; i++) {
+    for (const rest of combinations(items, size - 1, i + 1)) {
+      yield [items[i], ...rest];
+    }
+  }
+}
+
+/**
+ * コミットメントで検証しながらシェアを結合
+ * コミットメントと一致しないシェアを除外し、残りのシェアから閾値個の組み合わせを順に試して
+ * 復元結果が秘密のコミットメントと一致するものを採用する
+ * @param {Array} shares - シェアの配列（id, value）
+ * @param {Object|null} commitments - コミットメント（ない場合は従来どおり結合のみ）
+ * @param {number} threshold - 必要なシェア数
+ * @returns {Promise<Object>} 復元した秘密、無効なシェアのID、使用したシェアのID
  */
-export const storeEncryptionKeySecurely = async (masterKey, password) => {
+export const combineVerifiedShares = async (shares, commitments, threshold) => {
+  // コミットメントのない旧シェアセットは検証できない
+  if (!commitments) {
+    return {
+      secret: combineShares(shares),
+      invalidShares: [],
+      usedShares: shares.map(share => share.id),
+      verified: false
+    };
+  }
+
+  const candidates = [];
+  const invalidShares = [];
+
+  for (const share of shares) {
+    // 記録のないシェア（別の世代のシェアなど）も無効として扱う
+    if ((await verifyShareCommitment(share, commitments)) !== true) {
+      invalidShares.push(share.id);
+    } else {
+      candidates.push(share);
+    }
+  }
+
+  for (const subset of combinations(candidates, threshold)) {
+    let secret;
     try {
-      // パスワードからキーを派生
-      const { derivedKey, salt, key, iterations, hash } = await deriveKeyFromPassword(password);
-      
-      console.debug('生成されたソルト:', bytesToHex(salt));
-      // Web Crypto APIが利用可能かどうかで処理を分岐
-      let encryptedKeyHex;
-      let ivHex;
-      
-      if (derivedKey && window.crypto.subtle) {
-        // 初期化ベクトル（IV）を生成
-        const iv = window.crypto.getRandomValues(new Uint8Array(12));
-        
-        // マスターキーをバッファに変換（文字列の場合）
-        let masterKeyBuffer;
-        if (typeof masterKey === 'string') {
-          masterKeyBuffer = new TextEncoder().encode(masterKey);
-        } else {
-          // すでにバイナリ形式の場合
-          masterKeyBuffer = masterKey;
-        }
-        
-        // Web Crypto APIでマスターキーを暗号化
-        const encryptedKeyBuffer = await window.crypto.subtle.encrypt(
-          {
-            name: 'AES-GCM',
-            iv
-          },
-          derivedKey,
-          masterKeyBuffer
-        );
-        
-        // バイナリデータを16進数に変換
-        encryptedKeyHex = Array.from(new Uint8Array(encryptedKeyBuffer))
-          .map(b => b.toString(16).padStart(2, '0'))
-          .join('');
-        
-        ivHex = Array.from(iv)
-          .map(b => b.toString(16).padStart(2, '0'))
-          .join('');
-      } else {
-      // フォールバック: 簡易暗号化（本番環境では使用しないでください）
-      console.warn('フォールバック暗号化を使用しています - 本番環境では推奨されません');
-      
-        // 簡易IV生成
-        const iv = new Uint8Array(12);
-        window.crypto.getRandomValues(iv); // より安全なランダム値生成
+      secret = combineShares(subset);
+    } catch (error) {
+      continue;
+    }
+
+    if ((await computeCommitment(commitments.salt, secret)) === commitments.secret) {
+      const usedShares = subset.map(share => share.id);
+      return { secret, invalidShares, usedShares, verified: true };
+    }
+  }
+
+  const error = new Error(`正しいシェアが不足しているため復元できません（無効なシェア: ${invalidShares.length}件）`);
+  error.code = INVALID_SHARES_ERROR;
+  error.invalidShares = invalidShares;
+  throw error;
+};
+
+// ------------------------------------------------------------
+// パスフレーズからの鍵派生
+// ------------------------------------------------------------
+
+// 鍵派生のアルゴリズム
+export const KDF_ALGORITHMS = {
+  ARGON2ID: 'argon2id',
+  // 以前のバージョンで使用していた方式（読み込みと自動アップグレードのためにのみ使用）
+  PBKDF2: 'PBKDF2'
+};
+
+// 新しくラップするときのパラメーター（64MiB・3回・並列度1）
+// 値を引き上げた場合、弱いパラメーターでラップされたキーはロック解除時に自動で再ラップされる
+export const DEFAULT_KDF_PARAMS = {
+  algorithm: KDF_ALGORITHMS.ARGON2ID,
+  memorySize: 65536, // KiB
+  iterations: 3,
+  parallelism: 1,
+  hashLength: 32
+};
+
+// パラメーターが記録されていない旧データのPBKDF2の設定
+const LEGACY_PBKDF2_PARAMS = {
+  algorithm: KDF_ALGORITHMS.PBKDF2,
+  iterations: 100000,
+  hash: 'SHA-256'
+};
+
+/**
+ * 保存されている暗号化データから鍵派生のパラメーターを取得
+ * パラメーターの記録がない旧データはPBKDF2（secureData.iterations, secureData.hash）とみなす
+ * @param {Object} secureData - 保存されている暗号化データ
+ * @returns {Object} 鍵派生のパラメーター
+ */
+export const getStoredKdfParams = (secureData) => {
+  if (secureData && secureData.kdf) {
+    return secureData.kdf;
+  }
+
+  return {
+    ...LEGACY_PBKDF2_PARAMS,
+    iterations: secureData?.iterations || LEGACY_PBKDF2_PARAMS.iterations,
+    hash: secureData?.hash || LEGACY_PBKDF2_PARAMS.hash
+  };
+};
 
-        // マスターキーをバッファに変換
-        const masterKeyBytes = new TextEncoder().encode(masterKey);
-        const keyBytes = hexToBytes(key);
+/**
+ * 鍵派生のパラメーターが現在の推奨値より弱いか判定
+ * @param {Object} params - 鍵派生のパラメーター
+ * @param {Object} target - 比較する推奨値
+ * @returns {boolean} 弱い場合はtrue
+ */
+export const isKdfWeakerThan = (params, target = DEFAULT_KDF_PARAMS) => {
+  if (!params || params.algorithm !== target.algorithm) {
+    return true;
+  }
 
-        // 統一されたフォールバック関数を使用
-        const encryptedBytes = fallbackEncryptDecrypt(masterKeyBytes, keyBytes, iv);
+  if (params.algorithm === KDF_ALGORITHMS.PBKDF2) {
+    return params.iterations < target.iterations;
+  }
+
+  return params.memorySize < target.memorySize ||
+    params.iterations < target.iterations ||
+    params.parallelism < target.parallelism ||
+    params.hashLength < target.hashLength;
+};
 
-        encryptedKeyHex = bytesToHex(encryptedBytes);
-        ivHex = bytesToHex(iv);
+/**
+ * 派生した鍵のバイト列を計算
+ * @param {Uint8Array} passwordBytes - パスワード（UTF-8）
+ * @param {Uint8Array} salt - ソルト
+ * @param {Object} params - 鍵派生のパラメーター
+ * @returns {Promise<Uint8Array>} 32バイトの鍵
+ */
+const deriveKeyBytes = async (passwordBytes, salt, params) => {
+  switch (params.algorithm) {
+    case KDF_ALGORITHMS.ARGON2ID:
+      return argon2id({
+        password: passwordBytes,
+        salt,
+        memorySize: params.memorySize,
+        iterations: params.iterations,
+        parallelism: params.parallelism,
+        hashLength: params.hashLength,
+        outputType: 'binary'
+      });
+    case KDF_ALGORITHMS.PBKDF2: {
+      const keyMaterial = await window.crypto.subtle.importKey(
+        'raw',
+        passwordBytes,
+        { name: 'PBKDF2' },
+        false,
+        ['deriveBits']
+      );
+      const bits = await window.crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt, iterations: params.iterations, hash: params.hash },
+        keyMaterial,
+        256
+      );
+      return new Uint8Array(bits);
     }
-    
-    // 暗号化データを保存形式に変換
-    const secureData = {
-        encryptedKey: encryptedKeyHex,
-        iv: ivHex,
-        salt: salt,
-        version: 2,
-        algorithm: derivedKey ? 'AES-GCM' : 'XOR-FALLBACK',
-        iterations: iterations,
-        hash: hash,
-        createdAt: new Date().toISOString(),
-        keyEncoding: 'utf8',
-        keyFormat: typeof masterKey === 'string' ? 'string' : 'binary'
-      };
-    
-      console.debug('保存するセキュアデータ:', secureData);
+    default:
+      throw new Error(`対応していない鍵派生の方式です: ${params.algorithm}`);
+  }
+};
 
-        return await saveToSecureStorage('masterKey', secureData);
-        } catch (error) {
-        console.error('暗号化キーの保存に失敗しました:', error);
-        throw new Error('暗号化キーの保存に失敗しました');
-        }
+/**
+ * パスワードから暗号化キーを派生
+ * 安全な実装を利用できない環境では例外とし、弱い代替手段には切り替えない
+ * @param {string} password - ユーザーパスワード
+ * @param {Uint8Array} salt - ソルト（新規の場合は省略可）
+ * @param {Object} params - 鍵派生のパラメーター（省略時はDEFAULT_KDF_PARAMS）
+ * @returns {Promise<Object>} 派生キー（derivedKey, key）、ソルト（16進数）、パラメーター（kdf）
+ */
+export const deriveKeyFromPassword = async (password, salt = null, params = DEFAULT_KDF_PARAMS) => {
+  if (!window.crypto || !window.crypto.subtle) {
+    throw new Error('Web Crypto APIが利用できないため鍵を派生できません');
+  }
+
+  try {
+    // ソルトがない場合は新しく生成
+    if (!salt) {
+      salt = window.crypto.getRandomValues(new Uint8Array(16));
+    }
+
+    const keyBytes = await deriveKeyBytes(new TextEncoder().encode(password), salt, params);
+
+    const derivedKey = await window.crypto.subtle.importKey(
+      'raw',
+      keyBytes,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+
+    return {
+      derivedKey,
+      key: bytesToHex(keyBytes),
+      salt: bytesToHex(salt),
+      kdf: { ...params }
     };
+  } catch (error) {
+    console.error('鍵派生に失敗しました:', error);
+    throw new Error('鍵派生に失敗しました');
+  }
+};
+
+/**
+ * パスワードから派生した鍵でマスターキーをAES-GCM暗号化
+ * @param {string|Uint8Array} masterKey - マスター暗号化キー
+ * @param {CryptoKey} derivedKey - パスワードから派生した鍵
+ * @returns {Promise<Object>} 暗号化されたキーとIV（16進数）
+ */
+const encryptMasterKeyWithDerivedKey = async (masterKey, derivedKey) => {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const masterKeyBuffer = typeof masterKey === 'string'
+    ? new TextEncoder().encode(masterKey)
+    : masterKey;
+
+  const encryptedKeyBuffer = await window.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    derivedKey,
+    masterKeyBuffer
+  );
+
+  return {
+    encryptedKey: bytesToHex(new Uint8Array(encryptedKeyBuffer)),
+    iv: bytesToHex(iv)
+  };
+};
+
+/**
+ * パスワードから派生した鍵でマスターキーを復号
+ * パスワードが誤っている場合はAES-GCMの認証に失敗して例外になる
+ * @param {Object} secureData - 保存されている暗号化データ
+ * @param {CryptoKey} derivedKey - パスワードから派生した鍵
+ * @returns {Promise<string>} 復号されたマスターキー
+ */
+const decryptMasterKeyWithDerivedKey = async (secureData, derivedKey) => {
+  const decryptedBuffer = await window.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: hexToBytes(secureData.iv) },
+    derivedKey,
+    hexToBytes(secureData.encryptedKey)
+  );
+
+  return new TextDecoder(secureData.keyEncoding || 'utf8').decode(decryptedBuffer);
+};
+
+/**
+ * 暗号化キーを安全にストレージに保存
+ * @param {string} masterKey - マスター暗号化キー
+ * @param {string} password - パスワード
+ * @param {string} storageKey - 保存先のキー名
+ * @returns {Promise<boolean>} 成功した場合はtrue
+ */
+export const storeEncryptionKeySecurely = async (masterKey, password, storageKey = 'masterKey') => {
+  try {
+    // パスワードからキーを派生
+    const { derivedKey, salt, kdf } = await deriveKeyFromPassword(password);
+    const encrypted = await encryptMasterKeyWithDerivedKey(masterKey, derivedKey);
+
+    // 暗号化データを保存形式に変換（鍵派生のパラメーターも記録する）
+    const secureData = {
+      ...encrypted,
+      salt,
+      version: 3,
+      algorithm: 'AES-GCM',
+      kdf,
+      createdAt: new Date().toISOString(),
+      keyEncoding: 'utf8',
+      keyFormat: typeof masterKey === 'string' ? 'string' : 'binary'
+    };
+
+    return await saveToSecureStorage(storageKey, secureData);
+  } catch (error) {
+    console.error('暗号化キーの保存に失敗しました:', error);
+    throw new Error('暗号化キーの保存に失敗しました');
+  }
+};
 
 /**
  * 16進数文字列をバイト配列に変換
@@ -1049,6 +1668,14 @@ const getFromIndexedDB = (key) => {
     try {
       const request = indexedDB.open('SecureStorage', 2);
       
+      // 先に読み込みでデータベースが作成された場合もストアを用意する
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains('secureData')) {
+          db.createObjectStore('secureData', { keyPath: 'id' });
+        }
+      };
+      
       request.onsuccess = (event) => {
         try {
           const db = event.target.result;
@@ -1082,206 +1709,423 @@ const getFromIndexedDB = (key) => {
 
 /**
  * 暗号化されたマスターキーを取得して復号
+ * 以前のフォールバック（XOR）で保存されたデータは安全でないため復号しない
  * @param {string} password - パスワード
- * @returns {Promise<string>} 復号されたマスターキー
+ * @param {string} storageKey - 保存先のキー名
+ * @returns {Promise<string|null>} 復号されたマスターキー（パスワードが誤っている場合はnull）
  */
-export const retrieveEncryptionKeySecurely = async (password) => {
+export const retrieveEncryptionKeySecurely = async (password, storageKey = 'masterKey') => {
+  try {
+    // 暗号化されたキーデータを取得
+    const secureData = await getFromSecureStorage(storageKey);
+
+    if (!secureData) {
+      return null;
+    }
+
+    // secureData.saltが存在するか確認
+    if (!secureData.salt) {
+      throw new Error('暗号化キーのソルトデータが見つかりません');
+    }
+
+    if ((secureData.algorithm || 'AES-GCM') !== 'AES-GCM') {
+      throw new Error(`安全でない形式で保存されたキーは復号できません: ${secureData.algorithm}`);
+    }
+
+    // 保存時のパラメーターでパスワードからキーを派生
+    const { derivedKey } = await deriveKeyFromPassword(
+      password,
+      hexToBytes(secureData.salt),
+      getStoredKdfParams(secureData)
+    );
+
     try {
-      // 暗号化されたキーデータを取得
-      const secureData = await getFromSecureStorage('masterKey');
-      
-      if (!secureData) {
-        return null;
-      }
-      
+      return await decryptMasterKeyWithDerivedKey(secureData, derivedKey);
+    } catch (cryptoError) {
+      // 認証タグが一致しない＝パスワードが誤っている
+      console.warn('Web Crypto APIでの復号に失敗しました:', cryptoError);
+      return null;
+    }
+  } catch (error) {
+    console.error('暗号化キーの取得に失敗しました:', error);
+    return null;
+  }
+};
 
-      
-      // secureData.saltが存在するか確認
-      if (!secureData.salt) {
-        throw new Error('暗号化キーのソルトデータが見つかりません');
-      }
-      
-      // 16進数からバイナリデータに変換
-      const encryptedKeyBytes = hexToBytes(secureData.encryptedKey);
-      const ivBytes = hexToBytes(secureData.iv);
-      const saltBytes = hexToBytes(secureData.salt);
-      
-      // デバッグ情報を追加
-      console.debug('暗号化キー(Hex):', secureData.encryptedKey);
-      console.debug('IV(Hex):', secureData.iv);
-      console.debug('ソルト(Hex):', secureData.salt);
-      console.debug('変換後のソルト長:', saltBytes.length);
-      
-      // アルゴリズムとエンコーディングを確認
-    // メタデータを確認
-        const algorithm = secureData.algorithm || 'AES-GCM';
-        const keyEncoding = secureData.keyEncoding || 'utf8';
-        const iterations = secureData.iterations || 100000;
-        const hash = secureData.hash || 'SHA-256';
-      
-      // Web Crypto APIが利用可能であれば使用
-      if (algorithm === 'AES-GCM' && window.crypto && window.crypto.subtle) {
-        try {
-          // パスワードからキーを派生
-          const { derivedKey } = await deriveKeyFromPassword(password, saltBytes);
-          
-          // マスターキーを復号化
-          const decryptedBuffer = await window.crypto.subtle.decrypt(
-            {
-              name: 'AES-GCM',
-              iv: ivBytes
-            },
-            derivedKey,
-            encryptedKeyBytes
-          );
-          
-          // バッファを文字列に変換 (エンコーディングを指定)
-          return new TextDecoder(keyEncoding).decode(decryptedBuffer);
-        } catch (cryptoError) {
-          console.warn('Web Crypto APIでの復号に失敗しました:', cryptoError);
-          // デバッグ情報
-          console.debug('暗号化データ長:', encryptedKeyBytes.length);
-          console.debug('IV長:', ivBytes.length);
-          console.debug('ソルト長:', saltBytes.length);
+/**
+ * 暗号学的に安全な乱数のバイト列を生成
+ * @param {number} length - バイト数
+ * @returns {Uint8Array} 乱数のバイト列
+ */
+export const getRandomBytes = (length) => {
+  return window.crypto.getRandomValues(new Uint8Array(length));
+};
+
+/**
+ * シャミア秘密分散の簡易テスト
+ * @returns {boolean} 分割したシェアから秘密を復元できた場合はtrue
+ */
+export const testShamir = () => {
+  // シンプルな秘密（'A'のASCIIコード = 65）
+  const secret = "A";
+  const shares = createShares(secret, 5, 3);
+  return combineShares(shares.slice(0, 3)) === secret;
+};
+
+// ------------------------------------------------------------
+// マスターキーの保管
+// マスターキーはパスフレーズから派生した鍵でラップしてIndexedDBに保存し、
+// ロック解除後はメモリ上にのみ保持する
+// ------------------------------------------------------------
+
+// 自動ロックまでの既定の時間（分）
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+// マスターキーの状態が変わったときに通知するイベント名
+export const MASTER_KEY_STATE_EVENT = 'master-key-state-changed';
+
+// ロック解除済みのマスターキー（プリンシパルごと）
+// { masterKey, derivedKey, salt, kdf } - derivedKeyがない場合はパスフレーズ未設定
+const unlockedMasterKeys = {};
+let autoLockTimer = null;
+
+/**
+ * ラップしたマスターキーの保存先キー名
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {string} SecureStorageのキー名
+ */
+const getWrappedKeyStorageKey = (principal) => `${principal}_masterKey`;
+
+/**
+ * 自動ロック設定の保存先キー名
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {string} localStorageのキー名
+ */
+const getAutoLockStorageKey = (principal) => `${principal}_autoLockMinutes`;
+
+/**
+ * マスターキーの状態変化を通知
+ * @param {string} principal - ユーザーのプリンシパルID
+ */
+const notifyMasterKeyState = (principal) => {
+  window.dispatchEvent(new CustomEvent(MASTER_KEY_STATE_EVENT, {
+    detail: { principal }
+  }));
+};
+
+/**
+ * 以前のバージョンが平文で保存したマスターキーを取得
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {string|null} 平文のマスターキーまたはnull
+ */
+const getPlaintextMasterKey = (principal) => {
+  return localStorage.getItem(`${principal}_masterEncryptionKey`) ||
+    localStorage.getItem('masterEncryptionKey');
+};
+
+/**
+ * 平文で保存されたマスターキーを削除
+ * デバイス連携で保存されていたAppStorageのコピーも削除する
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {Promise<void>}
+ */
+const removePlaintextMasterKey = (principal) => {
+  localStorage.removeItem(`${principal}_masterEncryptionKey`);
+  localStorage.removeItem('masterEncryptionKey');
+
+  return new Promise((resolve) => {
+    try {
+      const request = indexedDB.open('AppStorage', 1);
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        if (!db.objectStoreNames.contains('keyStore')) {
+          db.createObjectStore('keyStore', { keyPath: 'id' });
         }
-      }
-      
-      // ここにfallbackEncryptDecrypt関数を追加
-      const fallbackEncryptDecrypt = (data, key, iv) => {
-        const result = new Uint8Array(data.length);
-        for (let i = 0; i < data.length; i++) {
-          result[i] = data[i] ^ key[i % key.length] ^ iv[i % iv.length];
+      };
+
+      request.onsuccess = (event) => {
+        try {
+          const db = event.target.result;
+          const transaction = db.transaction(['keyStore'], 'readwrite');
+          transaction.objectStore('keyStore').delete('masterEncryptionKey');
+          transaction.oncomplete = () => {
+            db.close();
+            resolve();
+          };
+          transaction.onerror = () => {
+            db.close();
+            resolve();
+          };
+        } catch (txError) {
+          console.warn('AppStorageのマスターキー削除に失敗しました:', txError);
+          resolve();
         }
-        return result;
       };
-      
-      // フォールバック復号（失敗した場合）
-      console.warn('フォールバック復号を使用しています');
-      
-      // パスワードからキーを派生
-      const { key } = await deriveKeyFromPassword(password, saltBytes);
-      const keyBytes = hexToBytes(key);
-      
-      console.debug('派生キー(Hex):', key);
-      console.debug('派生キーバイト長:', keyBytes.length);
-      
-      // 統一されたフォールバック関数を使用
-      const decryptedBytes = fallbackEncryptDecrypt(encryptedKeyBytes, keyBytes, ivBytes);
-      
-      // エンコーディングを指定して文字列に変換
-      return new TextDecoder(keyEncoding).decode(decryptedBytes);
+
+      request.onerror = () => resolve();
     } catch (error) {
-      console.error('暗号化キーの取得に失敗しました:', error);
-      return null;
+      console.warn('AppStorageのマスターキー削除に失敗しました:', error);
+      resolve();
     }
+  });
 };
 
 /**
- * リカバリーデータを生成
- * @param {string} encryptionKey - マスター暗号化キー
- * @param {number} totalGuardians - 総ガーディアン数
- * @param {number} requiredShares - リカバリーに必要なシェア数
- * @returns {Object} 生成されたリカバリーデータ
+ * ラップしたマスターキーをIndexedDBに保存
+ * メモリ上のバックアップストレージではリロード時に失われるため、IndexedDBへの保存が必須
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @param {string} masterKey - マスターキー
+ * @param {CryptoKey} derivedKey - パスフレーズから派生した鍵
+ * @param {string} salt - 派生に使用したソルト（16進数）
+ * @param {Object} kdf - 派生に使用したパラメーター
+ * @returns {Promise<void>}
  */
-export const generateRecoveryData = (encryptionKey, totalGuardians, requiredShares) => {
-  // シェアを作成
-  const shares = createShares(encryptionKey, totalGuardians, requiredShares);
-  
-  // 公開リカバリーデータ
-  const publicRecoveryData = {
-    version: 2,
+const persistWrappedMasterKey = async (principal, masterKey, derivedKey, salt, kdf) => {
+  const encrypted = await encryptMasterKeyWithDerivedKey(masterKey, derivedKey);
+
+  const saved = await saveToIndexedDB(getWrappedKeyStorageKey(principal), {
+    ...encrypted,
+    salt,
+    version: 3,
+    algorithm: 'AES-GCM',
+    kdf,
     createdAt: new Date().toISOString(),
-    requiredShares,
-    totalShares: totalGuardians,
-    algorithm: 'shamir-secret-sharing',
-    library: 'custom-implementation'
-  };
+    keyEncoding: 'utf8',
+    keyFormat: 'string'
+  });
 
-  
-  // バイト配列に変換
-  const publicDataBytes = new TextEncoder().encode(
-    JSON.stringify(publicRecoveryData)
-  );
-  
-  return {
-    shares,
-    publicRecoveryData: publicDataBytes
-  };
+  if (!saved) {
+    throw new Error('マスターキーを保存できませんでした');
+  }
 };
 
-// テスト関数
-function testSimple() {
-    // 基本演算のテスト
+/**
+ * 自動ロックまでの時間を取得
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {number} 分数（0の場合は自動ロックしない）
+ */
+export const getAutoLockMinutes = (principal) => {
+  const stored = principal ? localStorage.getItem(getAutoLockStorageKey(principal)) : null;
+  const minutes = stored === null ? DEFAULT_AUTO_LOCK_MINUTES : Number(stored);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_AUTO_LOCK_MINUTES;
+};
 
+/**
+ * 自動ロックまでの時間を設定
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @param {number} minutes - 分数（0の場合は自動ロックしない）
+ */
+export const setAutoLockMinutes = (principal, minutes) => {
+  if (!principal) return;
+  localStorage.setItem(getAutoLockStorageKey(principal), String(minutes));
+  touchMasterKey(principal);
+};
 
+/**
+ * 操作があったことを記録し、自動ロックのタイマーを延長する
+ * @param {string} principal - ユーザーのプリンシパルID
+ */
+export const touchMasterKey = (principal) => {
+  if (autoLockTimer) {
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+  }
 
+  const minutes = getAutoLockMinutes(principal);
+  if (!unlockedMasterKeys[principal] || minutes === 0) {
+    return;
+  }
 
-    
-    // 逆元テスト
+  autoLockTimer = setTimeout(() => {
+    console.log('一定時間操作がなかったためマスターキーをロックしました');
+    lockMasterKey();
+  }, minutes * 60 * 1000);
+};
 
-    for (let i = 1; i <= 5; i++) {
-      const inv = GF256.inverse(i);
+/**
+ * マスターキーをメモリから消去してロックする
+ * @param {string} principal - 対象のプリンシパルID（省略時はすべて）
+ */
+export const lockMasterKey = (principal = null) => {
+  const principals = principal ? [principal] : Object.keys(unlockedMasterKeys);
 
-    }
-    
-    // シャミア分散法テスト
+  principals.forEach(p => {
+    delete unlockedMasterKeys[p];
+    notifyMasterKeyState(p);
+  });
 
-    // シンプルな秘密（'A'のASCIIコード = 65）
-    const secret = "A";
-    // シェアを作成
-    const shares = createShares(secret, 5, 3);
+  if (autoLockTimer) {
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+  }
+};
 
-    
-    // シェアから秘密を復元
-    const recovered = combineShares(shares.slice(0, 3));
+// マスターキーを保護するパスフレーズの最小文字数
+export const MIN_PASSPHRASE_LENGTH = 8;
 
-    
-    return recovered === secret;
+/**
+ * マスターキーの状態を取得
+ * - unlocked: ロック解除済み
+ * - locked: パスフレーズで保護されたキーがありロック中
+ * - migration: 以前のバージョンが平文で保存したキーがある
+ * - setup: キーはメモリ上にあるがパスフレーズが未設定
+ * - missing: このデバイスにキーがない
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {Promise<string>} 状態
+ */
+export const getMasterKeyStatus = async (principal) => {
+  if (!principal) return 'missing';
+
+  const entry = unlockedMasterKeys[principal];
+  if (entry) {
+    return entry.derivedKey ? 'unlocked' : 'setup';
+  }
+
+  if (await getFromIndexedDB(getWrappedKeyStorageKey(principal))) {
+    return 'locked';
   }
 
+  return getPlaintextMasterKey(principal) ? 'migration' : 'missing';
+};
+
+/**
+ * パスフレーズを設定してマスターキーをラップ保存する
+ * 指定したキー、なければメモリ上のキー、平文で保存されていたキーの順に対象にし、保存後に平文のキーを削除する
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @param {string} passphrase - パスフレーズ
+ * @param {string} [newMasterKey] - 保護するマスターキー（プロファイル作成時に生成したキー）
+ * @returns {Promise<boolean>} 成功した場合はtrue
+ */
+export const setMasterKeyPassphrase = async (principal, passphrase, newMasterKey = null) => {
+  if (!principal) {
+    throw new Error('Principal ID is missing');
+  }
+
+  const masterKey = newMasterKey || unlockedMasterKeys[principal]?.masterKey || getPlaintextMasterKey(principal);
+  if (!masterKey) {
+    throw new Error('保護するマスターキーが見つかりません');
+  }
+
+  const { derivedKey, salt, kdf } = await deriveKeyFromPassword(passphrase);
 
+  await persistWrappedMasterKey(principal, masterKey, derivedKey, salt, kdf);
+  unlockedMasterKeys[principal] = { masterKey, derivedKey, salt, kdf };
 
-  /**
+  // ラップしたキーを保存できたので平文のキーは削除する
+  await removePlaintextMasterKey(principal);
+
+  touchMasterKey(principal);
+  notifyMasterKeyState(principal);
+  return true;
+};
+
+/**
+ * 弱いパラメーターでラップされたマスターキーを現在の推奨値でラップし直す
+ * 失敗してもロック解除は妨げず、次回のロック解除時に再試行する
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @param {string} masterKey - マスターキー
+ * @param {string} passphrase - パスフレーズ
+ * @returns {Promise<Object|null>} 新しい派生キー（derivedKey, salt, kdf）、失敗した場合はnull
+ */
+const upgradeWrappedMasterKey = async (principal, masterKey, passphrase) => {
+  try {
+    const { derivedKey, salt, kdf } = await deriveKeyFromPassword(passphrase);
+    await persistWrappedMasterKey(principal, masterKey, derivedKey, salt, kdf);
+    console.log('マスターキーを新しい鍵派生パラメーターでラップし直しました');
+    return { derivedKey, salt, kdf };
+  } catch (error) {
+    console.warn('マスターキーの再ラップに失敗しました:', error);
+    return null;
+  }
+};
+
+/**
+ * パスフレーズでマスターキーのロックを解除する
+ * 保存時のパラメーターが現在の推奨値より弱い場合は、自動的にラップし直す
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @param {string} passphrase - パスフレーズ
+ * @returns {Promise<string>} マスターキー
+ */
+export const unlockMasterKey = async (principal, passphrase) => {
+  if (!principal) {
+    throw new Error('Principal ID is missing');
+  }
+
+  const secureData = await getFromIndexedDB(getWrappedKeyStorageKey(principal));
+  if (!secureData) {
+    throw new Error('保護されたマスターキーが見つかりません');
+  }
+
+  const kdf = getStoredKdfParams(secureData);
+  const { derivedKey } = await deriveKeyFromPassword(passphrase, hexToBytes(secureData.salt), kdf);
+
+  let masterKey;
+  try {
+    masterKey = await decryptMasterKeyWithDerivedKey(secureData, derivedKey);
+  } catch (error) {
+    throw new Error('パスフレーズが正しくありません');
+  }
+
+  const upgraded = isKdfWeakerThan(kdf)
+    ? await upgradeWrappedMasterKey(principal, masterKey, passphrase)
+    : null;
+
+  unlockedMasterKeys[principal] = upgraded
+    ? { masterKey, ...upgraded }
+    : { masterKey, derivedKey, salt: secureData.salt, kdf };
+
+  // 移行前の平文のキーが残っていれば削除する
+  await removePlaintextMasterKey(principal);
+
+  touchMasterKey(principal);
+  notifyMasterKeyState(principal);
+  return masterKey;
+};
+
+/**
  * ユーザー固有のマスターキーを保存
+ * キーはメモリ上に保持し、ロック解除済みであれば同じパスフレーズでラップし直して保存する。
+ * パスフレーズが未設定の場合は状態がsetupになり、設定されるまで永続化されない
  * @param {string} principal - ユーザーのプリンシパルID
  * @param {string} masterKey - 保存するマスターキー
- * @returns {boolean} 成功した場合はtrue
+ * @returns {Promise<boolean>} 成功した場合はtrue
  */
-export const saveUserMasterKey = (principal, masterKey) => {
+export const saveUserMasterKey = async (principal, masterKey) => {
   if (!principal) {
     console.error('Cannot save master key: Principal ID is missing');
     return false;
   }
-  const keyName = `${principal}_masterEncryptionKey`;
-  localStorage.setItem(keyName, masterKey);
 
-  return true;
+  const current = unlockedMasterKeys[principal];
+  unlockedMasterKeys[principal] = { ...current, masterKey };
+  notifyMasterKeyState(principal);
+
+  if (!current || !current.derivedKey) {
+    return true;
+  }
+
+  try {
+    await persistWrappedMasterKey(principal, masterKey, current.derivedKey, current.salt, current.kdf);
+    return true;
+  } catch (error) {
+    console.error('マスターキーの保存に失敗しました:', error);
+    return false;
+  }
 };
 
 /**
  * ユーザー固有のマスターキーを取得
  * @param {string} principal - ユーザーのプリンシパルID
- * @returns {string|null} マスターキーまたはnull
+ * @returns {string|null} マスターキー（ロック中の場合はnull）
  */
 export const getUserMasterKey = (principal) => {
   if (!principal) {
     console.error('Cannot get master key: Principal ID is missing');
     return null;
   }
-  const keyName = `${principal}_masterEncryptionKey`;
-  const key = localStorage.getItem(keyName);
-  
-  // 後方互換性: 古い形式のキーを確認
-  if (!key && principal) {
-    const legacyKey = localStorage.getItem('masterEncryptionKey');
-    if (legacyKey) {
 
-      saveUserMasterKey(principal, legacyKey);
-      return legacyKey;
-    }
-  }
-  
-  return key;
+  return unlockedMasterKeys[principal]?.masterKey || null;
 };
 
 /**
@@ -1291,4 +2135,18 @@ export const getUserMasterKey = (principal) => {
  */
 export const hasUserMasterKey = (principal) => {
   return !!getUserMasterKey(principal);
-};
\ No newline at end of file
+};
+
+/**
+ * マスターキーの確認値（キーそのものを明かさずに、どのキーかを判定するために使う）
+ * キーは256ビットの乱数のため、ハッシュを公開してもキーは推測できない
+ * @param {string} masterKey - マスターキー（16進数）
+ * @returns {Promise<string>} 確認値（16進数）
+ */
+export const computeMasterKeyCheck = async (masterKey) => {
+  const digest = await window.crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(`master-key-check:${masterKey}`)
+  );
+  return bytesToHex(new Uint8Array(digest));
+};
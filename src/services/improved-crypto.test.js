@@ -0,0 +1,102 @@
+import {
+  encryptWithKey,
+  decryptWithKey,
+  encryptEnvelopeForPublicKey,
+  decryptEnvelopeWithPrivateKey,
+  generateKeyPair,
+  createShares,
+  createShareCommitments,
+  combineVerifiedShares,
+  findShareIdByCommitment,
+  ENVELOPE_AUTHENTICATION_ERROR,
+  INVALID_SHARES_ERROR,
+  PADDING_MODES
+} from './improved-crypto';
+
+const TEST_KEY = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+const OTHER_KEY = '1f1e1d1c1b1a191817161514131211100f0e0d0c0b0a09080706050403020100';
+
+/**
+ * 16進数の末尾1バイトを書き換える
+ */
+const flipLastByte = (hex) => hex.slice(0, -2) + (hex.endsWith('00') ? '01' : '00');
+
+describe('共通鍵エンベロープ', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('パディングとコンテキストを付けて暗号化したデータを復号できる', async () => {
+    const context = { type: 'note', noteId: 'note-1', field: 'content' };
+    const envelope = await encryptWithKey({ text: 'メモ' }, TEST_KEY, { context, padding: PADDING_MODES.BLOCK_1K });
+
+    expect(envelope).toMatchObject({ version: 3, padding: PADDING_MODES.BLOCK_1K });
+    await expect(decryptWithKey(envelope, TEST_KEY, { context })).resolves.toEqual({ text: 'メモ' });
+  });
+
+  test('別のフィールドへ移し替えた暗号文は、書かれたコンテキストを書き換えても復号しない', async () => {
+    const envelope = await encryptWithKey('タイトル', TEST_KEY, {
+      context: { type: 'note', noteId: 'note-1', field: 'title' }
+    });
+    const expected = { type: 'note', noteId: 'note-1', field: 'content' };
+
+    for (const moved of [envelope, { ...envelope, context: expected }]) {
+      const result = await decryptWithKey(moved, TEST_KEY, { context: expected }).then(() => null, error => error);
+      expect(result && result.code).toBe(ENVELOPE_AUTHENTICATION_ERROR);
+    }
+  });
+
+  test('書き換えられた暗号文や異なる鍵では認証に失敗する', async () => {
+    const envelope = await encryptWithKey('メモ', TEST_KEY);
+
+    await expect(decryptWithKey({ ...envelope, encryptedData: flipLastByte(envelope.encryptedData) }, TEST_KEY))
+      .rejects.toMatchObject({ code: ENVELOPE_AUTHENTICATION_ERROR });
+    await expect(decryptWithKey(envelope, OTHER_KEY)).rejects.toMatchObject({ code: ENVELOPE_AUTHENTICATION_ERROR });
+  });
+});
+
+describe('公開鍵エンベロープ', () => {
+  test('公開鍵で暗号化したデータを対応する秘密鍵で復号できる', async () => {
+    const keys = await generateKeyPair();
+    const envelope = await encryptEnvelopeForPublicKey(TEST_KEY, keys.publicKey);
+
+    await expect(decryptEnvelopeWithPrivateKey(envelope, keys.privateKey)).resolves.toBe(TEST_KEY);
+  });
+});
+
+describe('シェアのコミットメント', () => {
+  let shares;
+  let commitments;
+
+  beforeAll(async () => {
+    shares = createShares(TEST_KEY, 5, 3);
+    commitments = await createShareCommitments(TEST_KEY, shares);
+  });
+
+  test('書き換えられたシェアを除外して残りのシェアから復元する', async () => {
+    const tampered = { ...shares[0], value: flipLastByte(shares[0].value) };
+    const result = await combineVerifiedShares([tampered, ...shares.slice(1, 4)], commitments, 3);
+
+    expect(result.secret).toBe(TEST_KEY);
+    expect(result.verified).toBe(true);
+    expect(result.invalidShares).toEqual([shares[0].id]);
+  });
+
+  test('正しいシェアが閾値に満たなければ復元しない', async () => {
+    const tampered = { ...shares[2], value: flipLastByte(shares[2].value) };
+    const result = await combineVerifiedShares([shares[0], shares[1], tampered], commitments, 3)
+      .then(() => null, error => error);
+
+    expect(result && result.code).toBe(INVALID_SHARES_ERROR);
+    expect(result.invalidShares).toEqual([shares[2].id]);
+  });
+
+  test('IDのないシェアの値からシェアIDを探せる', async () => {
+    await expect(findShareIdByCommitment(shares[3].value, commitments)).resolves.toBe(shares[3].id);
+    await expect(findShareIdByCommitment(flipLastByte(shares[3].value), commitments)).resolves.toBeNull();
+  });
+});
@@ -1,6 +1,8 @@
 // src/services/inviteTracking.js
 // ガーディアン招待の追跡管理サービス
 
+import { releaseShare } from './shareInventory';
+
 /**
  * IndexedDBを開く
  * @param {string} dbName - データベース名
@@ -50,16 +52,27 @@ const openDatabase = (dbName = 'InviteTrackingDB', version = 1) => {
         // 招待ID生成
         const inviteId = inviteData.inviteId || `invite-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
         
+        // 有効期限は署名付きトークンと同じ値を使う（独自の既定値は持たない）
+        if (!inviteData.expiresAt) {
+          reject(new Error('expiresAt is required'));
+          return;
+        }
+        
         // 招待データ構築
         const invitation = {
           inviteId,
           shareId: inviteData.shareId,
-          recipientEmail: inviteData.recipientEmail,
+          recipientEmail: inviteData.recipientEmail || null,
           token: inviteData.token,
+          nonce: inviteData.nonce || null,
+          invitationLink: inviteData.invitationLink || null,
+          unlockCode: inviteData.unlockCode || null,
+          verificationCode: inviteData.verificationCode || null,
           userPrincipal: inviteData.userPrincipal,
-          status: 'pending', // pending, accepted, expired
+          guardianPrincipal: inviteData.guardianPrincipal || null,
+          status: 'pending', // pending, accepted, expired, revoked
           createdAt: Date.now(),
-          expiresAt: inviteData.expiresAt || (Date.now() + 24 * 60 * 60 * 1000), // デフォルト24時間
+          expiresAt: inviteData.expiresAt,
           shareData: inviteData.shareData
         };
         
@@ -91,6 +104,16 @@ const openDatabase = (dbName = 'InviteTrackingDB', version = 1) => {
    * @returns {Promise<boolean>} 成功した場合はtrue
    */
   export const updateInviteStatus = async (inviteId, status) => {
+    return updateInvite(inviteId, { status });
+  };
+  
+  /**
+   * 招待の記録を更新
+   * @param {string} inviteId - 招待ID
+   * @param {Object} patch - 更新する項目
+   * @returns {Promise<boolean>} 成功した場合はtrue
+   */
+  export const updateInvite = async (inviteId, patch) => {
     try {
       const db = await openDatabase();
       
@@ -108,12 +131,11 @@ const openDatabase = (dbName = 'InviteTrackingDB', version = 1) => {
             return;
           }
           
-          // 状態を更新
-          invitation.status = status;
-          invitation.updatedAt = Date.now();
+          // 記録を更新
+          const updated = { ...invitation, ...patch, inviteId, updatedAt: Date.now() };
           
           // 保存
-          const updateRequest = store.put(invitation);
+          const updateRequest = store.put(updated);
           
           updateRequest.onsuccess = () => {
             resolve(true);
@@ -135,11 +157,89 @@ const openDatabase = (dbName = 'InviteTrackingDB', version = 1) => {
         };
       });
     } catch (error) {
-      console.error('Failed to update invite status:', error);
+      console.error('Failed to update invite:', error);
       return false;
     }
   };
   
+  /**
+   * 招待の記録を削除
+   * @param {string} inviteId - 招待ID
+   * @returns {Promise<boolean>} 成功した場合はtrue
+   */
+  export const deleteInvite = async (inviteId) => {
+    try {
+      const db = await openDatabase();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['pendingInvites'], 'readwrite');
+        const store = transaction.objectStore('pendingInvites');
+        
+        const request = store.delete(inviteId);
+        
+        request.onsuccess = () => {
+          resolve(true);
+        };
+        
+        request.onerror = (event) => {
+          console.error('Error deleting invite:', event.target.error);
+          reject(event.target.error);
+        };
+        
+        transaction.oncomplete = () => {
+          db.close();
+        };
+      });
+    } catch (error) {
+      console.error('Failed to delete invite:', error);
+      return false;
+    }
+  };
+  
+  /**
+   * すべての招待を取得（新しい順）
+   * @returns {Promise<Array>} 招待データの配列
+   */
+  export const getAllInvites = async () => {
+    try {
+      const db = await openDatabase();
+      
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['pendingInvites'], 'readonly');
+        const store = transaction.objectStore('pendingInvites');
+        
+        const request = store.getAll();
+        
+        request.onsuccess = () => {
+          resolve(request.result.sort((a, b) => b.createdAt - a.createdAt));
+        };
+        
+        request.onerror = (event) => {
+          console.error('Error getting invites:', event.target.error);
+          reject(event.target.error);
+        };
+        
+        transaction.oncomplete = () => {
+          db.close();
+        };
+      });
+    } catch (error) {
+      console.error('Failed to get invites:', error);
+      return [];
+    }
+  };
+  
+  /**
+   * 招待のノンスで招待を検索
+   * @param {string} nonce - 署名付き招待トークンのノンス
+   * @returns {Promise<Object|null>} 招待データまたはnull
+   */
+  export const findInviteByNonce = async (nonce) => {
+    if (!nonce) return null;
+    const invites = await getAllInvites();
+    return invites.find(invite => invite.nonce === nonce) || null;
+  };
+  
   /**
    * トークンで招待を検索
    * @param {string} token - 招待トークン
@@ -212,6 +312,58 @@ const openDatabase = (dbName = 'InviteTrackingDB', version = 1) => {
     }
   };
   
+  /**
+   * 招待で予約していたシェアをシェアの在庫に戻す
+   * 割り当て済みのシェアや、別の招待が予約し直したシェアは戻さない
+   * @param {Object} invite - 招待データ
+   * @returns {Promise<boolean>} シェアを戻した場合はtrue
+   */
+  const releaseInviteShare = async (invite) => {
+    if (!invite.shareData || !invite.shareData.shareInfo || !invite.userPrincipal) {
+      return false;
+    }
+    
+    try {
+      const released = await releaseShare(invite.userPrincipal, invite.shareData.shareInfo, {
+        inviteId: invite.inviteId
+      });
+      if (released) {
+        console.log('予約していたシェアを復元:', { シェアID: invite.shareData.shareInfo.id });
+      }
+      return released;
+    } catch (err) {
+      console.error('シェア復元エラー:', err);
+      return false;
+    }
+  };
+  
+  /**
+   * 招待を取り消し、予約していたシェアをすぐに利用可能なシェアに戻す
+   * @param {string} inviteId - 招待ID
+   * @returns {Promise<Object>} 結果オブジェクト（success, invite, shareReleased）
+   */
+  export const revokeInvite = async (inviteId) => {
+    try {
+      const invites = await getAllInvites();
+      const invite = invites.find(item => item.inviteId === inviteId);
+      
+      if (!invite) {
+        return { success: false, error: '招待が見つかりません' };
+      }
+      
+      if (invite.status !== 'pending') {
+        return { success: false, error: '保留中の招待ではありません' };
+      }
+      
+      await updateInviteStatus(inviteId, 'revoked');
+      
+      return { success: true, invite, shareReleased: await releaseInviteShare(invite) };
+    } catch (error) {
+      console.error('Failed to revoke invite:', error);
+      return { success: false, error: '招待の取り消しに失敗しました' };
+    }
+  };
+  
   /**
    * 期限切れの招待を全て取得
    * @returns {Promise<Array>} 期限切れ招待の配列
@@ -264,11 +416,11 @@ const openDatabase = (dbName = 'InviteTrackingDB', version = 1) => {
       }
       
       const db = await openDatabase();
-      const releasedShareIds = [];
       
-      return new Promise((resolve, reject) => {
+      const markedInvites = await new Promise((resolve, reject) => {
         const transaction = db.transaction(['pendingInvites'], 'readwrite');
         const store = transaction.objectStore('pendingInvites');
+        const marked = [];
         
         let completed = 0;
         
@@ -280,37 +432,11 @@ const openDatabase = (dbName = 'InviteTrackingDB', version = 1) => {
           const request = store.put(invite);
           
           request.onsuccess = () => {
-            // 解放されたシェアIDを記録
-            if (invite.shareId) {
-              releasedShareIds.push(invite.shareId);
-              
-              // shareData があれば、それを localStorage の recoveryShares に戻す
-              if (invite.shareData && invite.shareData.shareInfo) {
-                try {
-                  const sharesJson = localStorage.getItem('recoveryShares');
-                  const shares = sharesJson ? JSON.parse(sharesJson) : [];
-                  
-                  // シェアが重複していないか確認
-                  const shareExists = shares.some(share => share.id === invite.shareData.shareInfo.id);
-                  
-                  if (!shareExists) {
-                    // シェアを追加して localStorage を更新
-                    shares.push(invite.shareData.shareInfo);
-                    console.log('期限切れシェアを復元:', {
-                      シェアID: invite.shareData.shareInfo.id,
-                      新しいシェア総数: shares.length
-                    });
-                    localStorage.setItem('recoveryShares', JSON.stringify(shares));
-                  }
-                } catch (err) {
-                  console.error('シェア復元エラー:', err);
-                }
-              }
-            }
+            marked.push(invite);
             
             completed++;
             if (completed === expiredInvites.length) {
-              resolve(releasedShareIds);
+              resolve(marked);
             }
           };
           
@@ -319,7 +445,7 @@ const openDatabase = (dbName = 'InviteTrackingDB', version = 1) => {
             
             completed++;
             if (completed === expiredInvites.length) {
-              resolve(releasedShareIds);
+              resolve(marked);
             }
           };
         });
@@ -328,6 +454,16 @@ const openDatabase = (dbName = 'InviteTrackingDB', version = 1) => {
           db.close();
         };
       });
+      
+      // 期限切れにした招待のシェアを在庫に戻し、解放されたシェアIDを記録
+      const releasedShareIds = [];
+      for (const invite of markedInvites) {
+        if (invite.shareId) {
+          releasedShareIds.push(invite.shareId);
+          await releaseInviteShare(invite);
+        }
+      }
+      return releasedShareIds;
     } catch (error) {
       console.error('Failed to process expired invites:', error);
       return [];
@@ -0,0 +1,689 @@
+// src/services/keyRotation.js
+// マスターキーのローテーション（全ノートの再暗号化・シェア再生成・デバイスへの再ラップ）
+
+import { getActor, getCurrentPrincipal, getProfile } from './auth';
+import {
+  getNotes,
+  updateNote,
+  setupRecovery,
+  stageRecoveryShares,
+  commitRecoveryShares,
+  retryRecoveryShareAssignments,
+  getShareRefreshJob,
+  discardStagedRecoveryShares,
+  clearNotesCache,
+  getRecoveryPolicy,
+  getGuardians,
+  getDevices,
+  removeDevice,
+  rewrapDeviceMasterKey,
+  getPublicRecoveryData,
+  updatePublicRecoveryData
+} from './api';
+import {
+  generateEncryptionKey,
+  getUserMasterKey,
+  saveUserMasterKey,
+  encryptWithKey,
+  decryptWithKey,
+  computeMasterKeyCheck
+} from './improved-crypto';
+import { decryptWithPrivateKey, isLegacyPrivateKey } from './crypto';
+import { getShareInventory, replaceShareInventory } from './shareInventory';
+
+// ジョブの進行段階（この順に実行される）
+// 新しいキーのシェアをガーディアンに預けてからノートを書き換えるため、預けられなければノートは旧キーのまま残る
+export const ROTATION_PHASES = ['stage', 'notes', 'recovery', 'devices', 'completed'];
+
+// 取り消せる段階（リカバリーシェアを公開する前）
+const ABORTABLE_PHASES = ['stage', 'notes'];
+
+/**
+ * ジョブの保存先キー
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {string} localStorageのキー
+ */
+const getJobStorageKey = (principal) => `${principal}_keyRotationJob`;
+
+/**
+ * ローテーションジョブを取得
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {Object|null} ジョブまたはnull
+ */
+export const getRotationJob = (principal) => {
+  if (!principal) return null;
+
+  try {
+    const job = localStorage.getItem(getJobStorageKey(principal));
+    return job ? JSON.parse(job) : null;
+  } catch (error) {
+    console.error('ローテーションジョブの読み込みに失敗:', error);
+    return null;
+  }
+};
+
+/**
+ * 中断されたローテーションジョブがあるか確認
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {boolean} 未完了のジョブがある場合はtrue
+ */
+export const hasPendingRotation = (principal) => {
+  const job = getRotationJob(principal);
+  return !!job && job.status !== 'completed';
+};
+
+/**
+ * マスターキーの更新が必要になったことを記録する（デバイスを削除したときなど）
+ * 更新を開始する前に画面を閉じても、未完了の更新として再開を促せるようにする。
+ * 進行中のジョブがあれば、再ラップの対象外にするデバイスIDだけを追加する
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @param {Object} options - オプション
+ * @param {string} options.reason - ローテーションの理由
+ * @param {Array<string>} options.excludeDeviceIds - 再ラップの対象外にするデバイスID
+ * @returns {Object} 記録したジョブ
+ */
+export const requestKeyRotation = (principal, { reason = 'manual', excludeDeviceIds = [] } = {}) => {
+  const job = getRotationJob(principal);
+  if (job && job.status !== 'completed') {
+    job.excludeDeviceIds = Array.from(new Set([...(job.excludeDeviceIds || []), ...excludeDeviceIds]));
+    saveRotationJob(job);
+    return job;
+  }
+
+  const requestedJob = {
+    principal,
+    reason,
+    status: 'requested',
+    phase: 'stage',
+    excludeDeviceIds,
+    requestedAt: Date.now()
+  };
+  saveRotationJob(requestedJob);
+  return requestedJob;
+};
+
+/**
+ * 有効化する前の新しいキーと、そのキーで再暗号化済みのノートIDを取得
+ * ローテーション中でも再暗号化済みのノートを読めるよう、ノートの読み込みに渡す
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {Promise<Object|null>} 新しいキー（key）と再暗号化済みのノートID（noteIds）、ローテーション中でなければnull
+ */
+export const getPendingRotationKey = async (principal) => {
+  const job = getRotationJob(principal);
+  if (!job || job.status === 'completed' || !job.newKeyEncrypted || job.rotatedNotes.length === 0) {
+    return null;
+  }
+
+  const currentKey = getUserMasterKey(principal);
+  if (!currentKey) return null;
+
+  try {
+    const key = await decryptWithKey(job.newKeyEncrypted, currentKey);
+    return { key, noteIds: job.rotatedNotes };
+  } catch (error) {
+    // 新キーの有効化直後に中断した場合は、現在のキーがすでに新キーになっている
+    return null;
+  }
+};
+
+/**
+ * ジョブを保存（各ステップの後に呼び出し、中断時に再開できるようにする）
+ * 平文の鍵は保存せず、旧キーで暗号化した新キーだけを残す
+ * @param {Object} job - ローテーションジョブ
+ */
+const saveRotationJob = (job) => {
+  job.updatedAt = Date.now();
+  const { oldKey, newKey, ...storedJob } = job;
+  localStorage.setItem(getJobStorageKey(job.principal), JSON.stringify(storedJob));
+};
+
+/**
+ * 保存されていたジョブの鍵を復元
+ * 新キーは有効化されるまでロック解除済みの旧キーで復号できる
+ * @param {Object} job - ローテーションジョブ
+ */
+const restoreJobKeys = async (job) => {
+  const currentKey = getUserMasterKey(job.principal);
+  if (!currentKey) {
+    throw new Error('マスターキーがロックされています');
+  }
+
+  try {
+    job.newKey = await decryptWithKey(job.newKeyEncrypted, currentKey);
+    job.oldKey = currentKey;
+  } catch (error) {
+    // 新キーの有効化直後に中断した場合は、現在のキーがすでに新キーになっている
+    if (job.phase !== 'completed') {
+      throw new Error('ローテーションジョブの鍵を復元できません');
+    }
+    job.newKey = currentKey;
+  }
+};
+
+/**
+ * 全ノートを新しいキーで再暗号化
+ * 旧キーで復号できないノートは、前回の実行で再暗号化済みかどうかを新キーで確認する
+ * @param {Object} job - ローテーションジョブ
+ * @param {Function} report - 進捗通知関数
+ */
+const reencryptNotes = async (job, report) => {
+  const notes = await getNotes(job.oldKey, true, { silent: true });
+  const rotated = new Set(job.rotatedNotes);
+  const undecryptable = [];
+
+  // 失敗一覧は毎回評価し直す
+  job.failedNotes = [];
+  report({ done: rotated.size, total: notes.length });
+
+  for (const note of notes) {
+    if (rotated.has(note.id)) continue;
+
+    if (note._decryptionFailed) {
+      undecryptable.push(note.id);
+      continue;
+    }
+
+    try {
+      await updateNote(note.id, note.title, note.content, job.newKey);
+      job.rotatedNotes.push(note.id);
+      rotated.add(note.id);
+    } catch (error) {
+      console.error(`ノート ${note.id} の再暗号化に失敗:`, error);
+      job.failedNotes.push({ id: note.id, error: error.message || '更新に失敗しました' });
+    }
+
+    saveRotationJob(job);
+    report({ done: rotated.size, total: notes.length });
+  }
+
+  if (undecryptable.length === 0) return;
+
+  // 更新直後に中断した場合、ノートは新キーで暗号化済みになっている
+  const notesWithNewKey = await getNotes(job.newKey, true, { silent: true });
+  const readableWithNewKey = new Set(
+    notesWithNewKey.filter(note => !note._decryptionFailed).map(note => note.id)
+  );
+
+  for (const id of undecryptable) {
+    if (readableWithNewKey.has(id)) {
+      job.rotatedNotes.push(id);
+    } else {
+      job.failedNotes.push({ id, error: '旧キーでも新キーでも復号できません' });
+    }
+  }
+
+  saveRotationJob(job);
+  report({ done: job.rotatedNotes.length, total: notes.length });
+};
+
+/**
+ * 有効化の直前に、すべてのノートが新しいキーで読めるか確認する
+ * ローテーション中に他のデバイスが旧キーで保存・作成したノートは、再暗号化済みの一覧にあっても旧キーで暗号化されているため、
+ * 再暗号化済みの一覧から外して再暗号化し直す
+ * @param {Object} job - ローテーションジョブ
+ * @param {Function} report - 進捗通知関数
+ */
+const verifyRotatedNotes = async (job, report) => {
+  const notes = await getNotes(job.newKey, true, { silent: true });
+  const readable = notes.filter(note => !note._decryptionFailed).map(note => note.id);
+
+  if (readable.length === notes.length) return;
+
+  job.rotatedNotes = readable;
+  saveRotationJob(job);
+  await reencryptNotes(job, report);
+};
+
+/**
+ * 新しいキーのリカバリーシェアをガーディアンに預ける（ノートを書き換える前に実行する）
+ * 割り当てとコミットメントはまだ変えないため、旧キーのシェアは有効なまま残る。
+ * 必要数のガーディアンに届かなければ例外になり、ノートに触れないままジョブは中断される
+ * @param {Object} job - ローテーションジョブ
+ */
+const stageRecovery = async (job) => {
+  const profileResult = await getProfile();
+  if (profileResult.err) {
+    throw new Error(profileResult.err);
+  }
+
+  const profile = profileResult.ok;
+  const hasLocalShares = (await getShareInventory(job.principal)).length > 0;
+
+  if (!profile.recoveryEnabled && !hasLocalShares) {
+    job.recovery = { mode: 'none', regenerated: false };
+    return;
+  }
+
+  const guardians = await getGuardians();
+  if (guardians.length === 0) {
+    // ガーディアンがいなければ、シェアは有効化の前に作り直すだけでよい
+    job.recovery = { mode: 'setup', regenerated: false };
+    return;
+  }
+
+  const staged = await stageRecoveryShares({ masterKey: job.newKey });
+  job.recovery = { mode: 'guardians', regenerated: false, staged: staged.staged.length };
+};
+
+/**
+ * 新しいキーのリカバリーシェアを公開する
+ * 古いシェアは旧キーの復元にしか使えないため、預けておいた新しいシェアのコミットメントを公開して割り当てを切り替える。
+ * ガーディアンがいなければシェアを作り直す
+ * @param {Object} job - ローテーションジョブ
+ */
+const regenerateRecoveryShares = async (job) => {
+  // 段階を分ける前に作られたジョブは、ここで新しいシェアを預ける
+  if (!job.recovery || !job.recovery.mode) {
+    await stageRecovery(job);
+    saveRotationJob(job);
+  }
+
+  if (job.recovery.mode === 'none') return;
+
+  // ポリシーを変更した後はプロファイルの値より公開リカバリーデータの値が新しい
+  const policy = await getRecoveryPolicy();
+
+  if (job.recovery.mode === 'guardians') {
+    const refreshJob = getShareRefreshJob(job.principal);
+    let refreshed;
+
+    if (refreshJob && refreshJob.status !== 'staging' && refreshJob.keyCheck === await computeMasterKeyCheck(job.newKey)) {
+      // 公開した直後に中断した場合は、切り替えられていないガーディアンだけを再試行する
+      const { pending } = await retryRecoveryShareAssignments(job.principal);
+      refreshed = {
+        redistributed: refreshJob.staged.map(entry => entry.principal),
+        failed: refreshJob.failed,
+        pendingAssignments: pending
+      };
+    } else {
+      refreshed = await commitRecoveryShares(await stageRecoveryShares({ masterKey: job.newKey }));
+    }
+
+    job.recovery = {
+      mode: 'guardians',
+      regenerated: true,
+      totalShares: policy.totalGuardians,
+      requiredShares: policy.requiredShares,
+      redistributed: refreshed.redistributed.length,
+      failedGuardians: refreshed.failed,
+      pendingAssignments: refreshed.pendingAssignments
+    };
+    return;
+  }
+
+  const result = await setupRecovery(policy.totalGuardians, policy.requiredShares, job.newKey);
+
+  await replaceShareInventory(job.principal, result.shares, {}, { masterKey: job.newKey });
+  job.recovery = {
+    mode: 'setup',
+    regenerated: true,
+    totalShares: result.shares.length,
+    requiredShares: result.requiredShares
+  };
+};
+
+/**
+ * 残っているデバイスに新しいキーをラップし直す
+ * @param {Object} job - ローテーションジョブ
+ * @param {Function} report - 進捗通知関数
+ */
+const rewrapDevices = async (job, report) => {
+  const devices = await getDevices();
+  const reRegisteredIds = new Set(Object.values(job.rewrappedDevices));
+  const targets = devices.filter(device =>
+    !reRegisteredIds.has(device.id) && !job.excludeDeviceIds.includes(device.id)
+  );
+  const currentDeviceId = localStorage.getItem('deviceId');
+
+  job.failedDevices = [];
+  let done = 0;
+  report({ done, total: targets.length });
+
+  for (const device of targets) {
+    if (!job.rewrappedDevices[device.id]) {
+      if (device.legacyKey) {
+        job.failedDevices.push({ id: device.id, name: device.name, error: '旧形式の鍵のため再ラップできません' });
+        continue;
+      }
+
+      try {
+        job.rewrappedDevices[device.id] = await rewrapDeviceMasterKey(device, job.newKey);
+        saveRotationJob(job);
+      } catch (error) {
+        console.error(`デバイス ${device.id} への再ラップに失敗:`, error);
+        job.failedDevices.push({ id: device.id, name: device.name, error: error.message });
+        continue;
+      }
+    }
+
+    // 新しい登録が済んだので旧キーをラップした登録を削除
+    try {
+      await removeDevice(device.id);
+    } catch (error) {
+      console.warn(`旧デバイス登録 ${device.id} の削除に失敗:`, error);
+    }
+
+    if (device.id === currentDeviceId) {
+      localStorage.setItem('deviceId', job.rewrappedDevices[device.id]);
+    }
+
+    done++;
+    saveRotationJob(job);
+    report({ done, total: targets.length });
+  }
+};
+
+/**
+ * ローテーションが進行中であることを公開リカバリーデータに記録する（ノートを書き換える前に呼び出す）
+ * 他のデバイスは、新しいキーで再暗号化されたノートを読めなくても改ざんではなく鍵の問題として扱う
+ * @param {Object} job - ローテーションジョブ
+ * @param {boolean} pending - 進行中にする場合はtrue、取り消した場合はfalse
+ */
+const publishPendingRotation = async (job, pending) => {
+  const check = pending ? await computeMasterKeyCheck(job.newKey) : null;
+
+  await updatePublicRecoveryData(current => {
+    const previous = current.masterKey || {};
+    const { pending: previousPending, ...masterKey } = previous;
+
+    if (pending) {
+      return { masterKey: { ...masterKey, pending: { check, startedAt: job.startedAt } } };
+    }
+    return previousPending ? { masterKey } : {};
+  });
+};
+
+/**
+ * 新しいキーの世代を公開リカバリーデータに公開
+ * 確認値と、再登録で変わったデバイスIDの対応（旧ID → 新ID）を残し、他のデバイスが新しいキーを取りに行けるようにする
+ * @param {Object} job - ローテーションジョブ
+ */
+const publishMasterKeyEpoch = async (job) => {
+  const check = await computeMasterKeyCheck(job.newKey);
+
+  await updatePublicRecoveryData(current => {
+    const previous = current.masterKey || {};
+    if (previous.check === check) {
+      return {};
+    }
+
+    // 前回のローテーションから接続していないデバイスも、最新のIDにたどり着けるよう対応をつなぐ
+    const rewrappedDevices = { ...job.rewrappedDevices };
+    Object.entries(previous.rewrappedDevices || {}).forEach(([oldId, previousId]) => {
+      if (job.rewrappedDevices[previousId]) {
+        rewrappedDevices[oldId] = job.rewrappedDevices[previousId];
+      }
+    });
+
+    return {
+      masterKey: {
+        epoch: (previous.epoch || 0) + 1,
+        check,
+        rewrappedDevices,
+        rotatedAt: Date.now()
+      }
+    };
+  });
+};
+
+/**
+ * 他のデバイスでローテーションされたマスターキーを取得（ロック解除後に呼び出す）
+ * 公開された確認値と手元のキーが異なれば、このデバイス宛てにラップし直されたキーを getAccessKey で受け取り、
+ * このデバイスの秘密鍵で復号して保存する
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {Promise<Object>} 結果（updated: キーを更新した場合はtrue、epoch: 公開されているキーの世代）
+ */
+export const syncRotatedMasterKey = async (principal) => {
+  const currentKey = getUserMasterKey(principal);
+  if (!currentKey) {
+    return { updated: false };
+  }
+
+  // ローテーション中のデバイスはジョブを再開して新しいキーを有効化する
+  const rotationJob = getRotationJob(principal);
+  if (rotationJob && !['completed', 'requested'].includes(rotationJob.status)) {
+    return { updated: false };
+  }
+
+  const publicRecoveryData = await getPublicRecoveryData();
+  const published = publicRecoveryData && publicRecoveryData.masterKey;
+  if (!published || !published.check || published.check === await computeMasterKeyCheck(currentKey)) {
+    return { updated: false, epoch: published ? published.epoch : 0 };
+  }
+
+  const devicePrivateKey = localStorage.getItem('devicePrivateKey');
+  if (!devicePrivateKey || isLegacyPrivateKey(devicePrivateKey)) {
+    throw new Error('マスターキーが他のデバイスで変更されましたが、このデバイスの鍵では受け取れません。ログイン中の別のデバイスから連携し直してください');
+  }
+
+  const actor = await getActor();
+  const accessKeyResult = await actor.getAccessKey();
+  if (accessKeyResult.err) {
+    throw new Error(accessKeyResult.err);
+  }
+
+  const masterKey = await decryptWithPrivateKey(accessKeyResult.ok, devicePrivateKey);
+  if (typeof masterKey !== 'string' || await computeMasterKeyCheck(masterKey) !== published.check) {
+    throw new Error('受け取ったマスターキーが公開されている最新のキーと一致しません');
+  }
+
+  // ラップし直したときにデバイスは新しいIDで登録されている
+  const deviceId = localStorage.getItem('deviceId');
+  const newDeviceId = deviceId && published.rewrappedDevices && published.rewrappedDevices[deviceId];
+  if (newDeviceId) {
+    localStorage.setItem('deviceId', newDeviceId);
+  }
+
+  if (!(await saveUserMasterKey(principal, masterKey))) {
+    throw new Error('新しいマスターキーを保存できませんでした');
+  }
+
+  return { updated: true, epoch: published.epoch };
+};
+
+/**
+ * マスターキーをローテーションする（未完了のジョブがあれば再開）
+ * 新しいキーはすべてのステップが終わるまで有効化せず、それまでは旧キーを使い続ける
+ * @param {Object} options - オプション
+ * @param {Function} options.onProgress - 進捗通知（phase, done, total, failedNotes）
+ * @param {string} options.reason - ローテーションの理由（'manual', 'device-revoked' など）
+ * @param {boolean} options.acceptFailures - 再暗号化に失敗したノートを残したまま完了する
+ * @param {Array<string>} options.excludeDeviceIds - 再ラップの対象外にするデバイスID
+ * @returns {Promise<Object>} ジョブの状態
+ */
+export const rotateMasterKey = async ({
+  onProgress,
+  reason = 'manual',
+  acceptFailures = false,
+  excludeDeviceIds = []
+} = {}) => {
+  const principal = await getCurrentPrincipal();
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+
+  const principalStr = principal.toString();
+  let job = getRotationJob(principalStr);
+  // デバイスの削除時などに記録された、まだ開始していない更新
+  const request = job && job.status === 'requested' ? job : null;
+
+  if (!job || job.status === 'completed' || request) {
+    const oldKey = getUserMasterKey(principalStr);
+    if (!oldKey) {
+      throw new Error('マスターキーが見つかりません');
+    }
+
+    const newKey = await generateEncryptionKey();
+    job = {
+      principal: principalStr,
+      reason: request ? request.reason : reason,
+      status: 'running',
+      phase: 'stage',
+      oldKey,
+      newKey,
+      newKeyEncrypted: await encryptWithKey(newKey, oldKey),
+      rotatedNotes: [],
+      failedNotes: [],
+      recovery: null,
+      rewrappedDevices: {},
+      failedDevices: [],
+      excludeDeviceIds: request ? request.excludeDeviceIds : [],
+      startedAt: Date.now()
+    };
+  } else if (!job.newKey) {
+    await restoreJobKeys(job);
+  }
+
+  job.status = 'running';
+  job.excludeDeviceIds = Array.from(new Set([...job.excludeDeviceIds, ...excludeDeviceIds]));
+  saveRotationJob(job);
+
+  const report = (progress = {}) => {
+    onProgress && onProgress({ phase: job.phase, failedNotes: job.failedNotes, ...progress });
+  };
+
+  try {
+    if (job.phase === 'stage') {
+      report();
+      await stageRecovery(job);
+      await publishPendingRotation(job, true);
+      job.phase = 'notes';
+      saveRotationJob(job);
+    }
+
+    if (job.phase === 'notes') {
+      await reencryptNotes(job, report);
+
+      if (job.failedNotes.length > 0 && !acceptFailures) {
+        // 失敗したノートがある場合は旧キーを維持したまま利用者の判断を待つ
+        job.status = 'needs-attention';
+        saveRotationJob(job);
+        report();
+        return job;
+      }
+
+      job.phase = 'recovery';
+      saveRotationJob(job);
+    }
+
+    if (job.phase === 'recovery') {
+      report();
+      await regenerateRecoveryShares(job);
+      job.phase = 'devices';
+      saveRotationJob(job);
+    }
+
+    if (job.phase === 'devices') {
+      await rewrapDevices(job, report);
+      job.phase = 'completed';
+      saveRotationJob(job);
+    }
+
+    // ローテーション中に旧キーで保存されたノートを、有効化の前に新しいキーへ移す
+    await verifyRotatedNotes(job, report);
+    if (job.failedNotes.length > 0 && !acceptFailures) {
+      job.status = 'needs-attention';
+      saveRotationJob(job);
+      report();
+      return job;
+    }
+
+    // 他のデバイスが新しいキーを取りに行けるよう、有効化の前に世代を公開する
+    await publishMasterKeyEpoch(job);
+
+    // 新しいキーを有効化（ロック解除に使うパスフレーズでラップし直して保存）
+    if (!(await saveUserMasterKey(principalStr, job.newKey))) {
+      throw new Error('新しいマスターキーを保存できませんでした');
+    }
+
+    // 完了したジョブからはキーを取り除いて記録だけ残す
+    const completedJob = {
+      principal: principalStr,
+      reason: job.reason,
+      status: 'completed',
+      phase: 'completed',
+      rotatedNotes: job.rotatedNotes,
+      failedNotes: job.failedNotes,
+      recovery: job.recovery,
+      failedDevices: job.failedDevices,
+      excludeDeviceIds: job.excludeDeviceIds,
+      startedAt: job.startedAt,
+      completedAt: Date.now()
+    };
+    saveRotationJob(completedJob);
+    report({ phase: 'completed' });
+
+    return completedJob;
+  } catch (error) {
+    console.error('マスターキーのローテーションが中断されました:', error);
+    job.status = 'interrupted';
+    job.lastError = error.message;
+    saveRotationJob(job);
+    throw error;
+  }
+};
+
+/**
+ * リカバリーシェアを公開する前のローテーションを取り消す
+ * 新しいキーで再暗号化済みのノートを旧キーに戻し、預けた新しいシェアはコミットメントを公開しないまま破棄する。
+ * シェアを公開した後は旧キーのシェアが使えなくなっているため、取り消さずに再開して完了させる
+ * @param {Object} options - オプション
+ * @param {Function} options.onProgress - 進捗通知（phase, done, total）
+ * @returns {Promise<Object>} 旧キーに戻したノートの数（restoredNotes）
+ */
+export const abortKeyRotation = async ({ onProgress } = {}) => {
+  const principal = await getCurrentPrincipal();
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+
+  const principalStr = principal.toString();
+  const job = getRotationJob(principalStr);
+
+  if (!job || job.status === 'completed') {
+    throw new Error('取り消せるマスターキーの更新がありません');
+  }
+  if (job.status === 'requested') {
+    throw new Error('削除したデバイスのキーを無効にするため、マスターキーの更新は取り消せません。更新を開始してください');
+  }
+  if (!ABORTABLE_PHASES.includes(job.phase)) {
+    throw new Error('リカバリーシェアを公開した後のマスターキーの更新は取り消せません。再開して完了させてください');
+  }
+
+  await restoreJobKeys(job);
+
+  // 保存の直後に中断したノートも戻せるよう、一覧ではなく新しいキーで読めるかで判断する
+  const notes = (await getNotes(job.newKey, true, { silent: true })).filter(note => !note._decryptionFailed);
+  const remaining = [];
+  let done = 0;
+  onProgress && onProgress({ phase: 'abort', done, total: notes.length });
+
+  for (const note of notes) {
+    try {
+      await updateNote(note.id, note.title, note.content, job.oldKey);
+    } catch (error) {
+      console.error(`ノート ${note.id} を旧キーに戻せませんでした:`, error);
+      remaining.push(note.id);
+    }
+
+    done++;
+    onProgress && onProgress({ phase: 'abort', done, total: notes.length });
+  }
+
+  clearNotesCache();
+
+  if (remaining.length > 0) {
+    // 戻せなかったノートは新しいキーで読めるよう、ジョブを残す
+    job.rotatedNotes = remaining;
+    job.status = 'interrupted';
+    job.lastError = `${remaining.length}件のノートを旧キーに戻せませんでした`;
+    saveRotationJob(job);
+    throw new Error(job.lastError);
+  }
+
+  discardStagedRecoveryShares(principalStr);
+  await publishPendingRotation(job, false);
+  localStorage.removeItem(getJobStorageKey(principalStr));
+
+  return { restoredNotes: notes.length };
+};
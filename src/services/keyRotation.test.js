@@ -0,0 +1,262 @@
+import { Principal } from '@dfinity/principal';
+import { getActor, getCurrentPrincipal, getProfile } from './auth';
+import * as api from './api';
+import { generateKeyPair, encryptWithPublicKey, bytesToHex, stringToBlob } from './crypto';
+import { saveUserMasterKey, getUserMasterKey, lockMasterKey, encryptWithKey } from './improved-crypto';
+import { getShareInventory } from './shareInventory';
+import {
+  syncRotatedMasterKey,
+  rotateMasterKey,
+  abortKeyRotation,
+  getRotationJob,
+  getPendingRotationKey,
+  requestKeyRotation
+} from './keyRotation';
+
+jest.mock('./auth', () => ({
+  getActor: jest.fn(),
+  getCurrentPrincipal: jest.fn(),
+  getProfile: jest.fn()
+}));
+
+jest.mock('./shareInventory', () => ({
+  getShareInventory: jest.fn(),
+  replaceShareInventory: jest.fn()
+}));
+
+const OWNER = Principal.fromText('rrkah-fqaaa-aaaaa-aaaaq-cai');
+const OLD_KEY = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+const NEW_KEY = '1f1e1d1c1b1a191817161514131211100f0e0d0c0b0a09080706050403020100';
+
+/**
+ * ローテーションを実行したデバイスが公開する確認値
+ */
+const computeCheck = async (masterKey) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(`master-key-check:${masterKey}`));
+  return bytesToHex(new Uint8Array(digest));
+};
+
+const createProfile = (publicRecoveryData) => ({
+  ok: {
+    totalGuardians: 3n,
+    requiredShares: 2n,
+    principal: OWNER,
+    recoveryEnabled: true,
+    publicRecoveryData: publicRecoveryData ? [stringToBlob(JSON.stringify(publicRecoveryData))] : [],
+    devices: []
+  }
+});
+
+describe('syncRotatedMasterKey', () => {
+  let deviceKeys;
+
+  beforeAll(async () => {
+    deviceKeys = await generateKeyPair();
+  });
+
+  beforeEach(async () => {
+    localStorage.clear();
+    localStorage.setItem('devicePrivateKey', deviceKeys.privateKey);
+    localStorage.setItem('deviceId', 'device-old');
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    await saveUserMasterKey(OWNER.toText(), OLD_KEY);
+  });
+
+  afterEach(() => {
+    lockMasterKey();
+  });
+
+  const useActor = (publicRecoveryData, wrappedKey) => {
+    const actor = {
+      getProfile: jest.fn().mockResolvedValue(createProfile(publicRecoveryData)),
+      getAccessKey: jest.fn().mockResolvedValue({ ok: wrappedKey })
+    };
+    getActor.mockResolvedValue(actor);
+    return actor;
+  };
+
+  test('他のデバイスでローテーションされたキーをこのデバイス宛ての登録から受け取る', async () => {
+    const actor = useActor(
+      {
+        masterKey: {
+          epoch: 1,
+          check: await computeCheck(NEW_KEY),
+          rewrappedDevices: { 'device-old': 'device-new' }
+        }
+      },
+      await encryptWithPublicKey(NEW_KEY, deviceKeys.publicKey)
+    );
+
+    await expect(syncRotatedMasterKey(OWNER.toText())).resolves.toEqual({ updated: true, epoch: 1 });
+
+    expect(actor.getAccessKey).toHaveBeenCalledTimes(1);
+    expect(getUserMasterKey(OWNER.toText())).toBe(NEW_KEY);
+    expect(localStorage.getItem('deviceId')).toBe('device-new');
+  });
+
+  test('手元のキーが最新ならキャニスターから受け取らない', async () => {
+    const actor = useActor({ masterKey: { epoch: 2, check: await computeCheck(OLD_KEY) } }, []);
+
+    await expect(syncRotatedMasterKey(OWNER.toText())).resolves.toEqual({ updated: false, epoch: 2 });
+    expect(actor.getAccessKey).not.toHaveBeenCalled();
+  });
+
+  test('公開されている確認値と一致しないキーには切り替えない', async () => {
+    useActor(
+      { masterKey: { epoch: 1, check: await computeCheck(NEW_KEY), rewrappedDevices: {} } },
+      await encryptWithPublicKey(OLD_KEY.replace('00', 'ff'), deviceKeys.publicKey)
+    );
+
+    await expect(syncRotatedMasterKey(OWNER.toText())).rejects.toThrow('一致しません');
+    expect(getUserMasterKey(OWNER.toText())).toBe(OLD_KEY);
+    expect(localStorage.getItem('deviceId')).toBe('device-old');
+  });
+});
+
+/**
+ * ノートと公開リカバリーデータを保持するアクター
+ * failUpdates に含まれるノートIDの更新は失敗する
+ */
+const createNotesActor = async (notes, { recoveryEnabled = true, guardians = [], failUpdates = [] } = {}) => {
+  const encryptField = (noteId, field, value) => encryptWithKey(value, OLD_KEY, {
+    context: { type: 'note', owner: OWNER.toText(), noteId, field }
+  }).then(envelope => stringToBlob(JSON.stringify(envelope)));
+
+  const store = {};
+  for (const note of notes) {
+    store[note.id] = {
+      id: note.id,
+      title: await encryptField(note.id, 'title', note.title),
+      content: await encryptField(note.id, 'content', note.content),
+      created: 0n,
+      updated: 0n
+    };
+  }
+
+  const actor = {
+    getNotes: jest.fn(async () => Object.values(store)),
+    updateNote: jest.fn(async (id, title, content) => {
+      if (failUpdates.includes(id)) return { err: 'temporarily unavailable' };
+      store[id] = { ...store[id], title, content };
+      return { ok: null };
+    }),
+    publicRecoveryData: null,
+    getProfile: jest.fn(async () => ({
+      ok: { ...createProfile(actor.publicRecoveryData).ok, recoveryEnabled }
+    })),
+    setPublicRecoveryData: jest.fn(async (blob) => {
+      actor.publicRecoveryData = JSON.parse(new TextDecoder().decode(Uint8Array.from(blob)));
+      return { ok: null };
+    }),
+    getMyGuardians: jest.fn().mockResolvedValue(guardians.map(guardian => [guardian, true])),
+    storeKeyShare: jest.fn().mockResolvedValue({ err: 'unavailable' })
+  };
+  getActor.mockResolvedValue(actor);
+  return actor;
+};
+
+const NOTES = [
+  { id: 'note-1', title: 'タイトル1', content: '本文1' },
+  { id: 'note-2', title: 'タイトル2', content: '本文2' }
+];
+
+describe('rotateMasterKey', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    api.clearNotesCache();
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    getProfile.mockResolvedValue(createProfile(null));
+    getShareInventory.mockResolvedValue([]);
+    await saveUserMasterKey(OWNER.toText(), OLD_KEY);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    lockMasterKey();
+  });
+
+  test('必要数のガーディアンに新しいシェアを預けられなければ、ノートを書き換えずに旧キーのまま中断する', async () => {
+    const guardians = [
+      Principal.fromText('ryjl3-tyaaa-aaaaa-aaaba-cai'),
+      Principal.fromText('r7inp-6aaaa-aaaaa-aaabq-cai')
+    ];
+    const actor = await createNotesActor(NOTES, { guardians });
+    const rewrap = jest.spyOn(api, 'rewrapDeviceMasterKey');
+    const publish = jest.spyOn(api, 'updatePublicRecoveryData');
+
+    await expect(rotateMasterKey()).rejects.toThrow('必要な2人に届きませんでした');
+
+    expect(actor.getNotes).not.toHaveBeenCalled();
+    expect(actor.updateNote).not.toHaveBeenCalled();
+    expect(rewrap).not.toHaveBeenCalled();
+    expect(publish).not.toHaveBeenCalled();
+    expect(getUserMasterKey(OWNER.toText())).toBe(OLD_KEY);
+    expect(getRotationJob(OWNER.toText())).toMatchObject({ status: 'interrupted', phase: 'stage', rotatedNotes: [] });
+
+    // 旧キーのノートはそのまま読める
+    const notes = await api.getNotes(OLD_KEY, true, { silent: true });
+    expect(notes.map(note => note.title)).toEqual(['タイトル1', 'タイトル2']);
+  });
+
+  test('中断中は再暗号化済みのノートを新しいキーで読み、取り消すと旧キーに戻す', async () => {
+    const actor = await createNotesActor(NOTES, { recoveryEnabled: false, failUpdates: ['note-2'] });
+
+    const job = await rotateMasterKey();
+    expect(job).toMatchObject({ status: 'needs-attention', phase: 'notes', rotatedNotes: ['note-1'] });
+
+    // 旧キーだけでは再暗号化済みのノートを読めない
+    const withOldKey = await api.getNotes(OLD_KEY, true, { silent: true });
+    expect(withOldKey.find(note => note.id === 'note-1')._decryptionFailed).toBe(true);
+
+    const pendingKey = await getPendingRotationKey(OWNER.toText());
+    expect(pendingKey.noteIds).toEqual(['note-1']);
+    // 他のデバイスが新しいキーのノートを改ざんと取り違えないよう、進行中であることを公開する
+    expect(actor.publicRecoveryData.masterKey.pending.check).toBe(await computeCheck(pendingKey.key));
+    const withPendingKey = await api.getNotes(OLD_KEY, true, { silent: true, pendingKey });
+    expect(withPendingKey.map(note => note.title)).toEqual(['タイトル1', 'タイトル2']);
+
+    await expect(abortKeyRotation()).resolves.toEqual({ restoredNotes: 1 });
+
+    expect(getRotationJob(OWNER.toText())).toBeNull();
+    expect(actor.publicRecoveryData.masterKey).toEqual({});
+    expect(getUserMasterKey(OWNER.toText())).toBe(OLD_KEY);
+    const restored = await api.getNotes(OLD_KEY, true, { silent: true });
+    expect(restored.map(note => note.title)).toEqual(['タイトル1', 'タイトル2']);
+  });
+
+  test('デバイスの削除時に記録した更新は、開始するまで未完了として残り、開始すると削除したデバイスを除外する', async () => {
+    await createNotesActor(NOTES, { recoveryEnabled: false });
+    const rewrap = jest.spyOn(api, 'rewrapDeviceMasterKey');
+    jest.spyOn(api, 'getDevices').mockResolvedValue([
+      { id: 'device-revoked', name: '紛失した端末' },
+      { id: 'device-kept', name: '手元の端末' }
+    ]);
+    rewrap.mockResolvedValue('device-kept-new');
+
+    requestKeyRotation(OWNER.toText(), { reason: 'device-revoked', excludeDeviceIds: ['device-revoked'] });
+
+    expect(getRotationJob(OWNER.toText())).toMatchObject({ status: 'requested', excludeDeviceIds: ['device-revoked'] });
+    expect(await getPendingRotationKey(OWNER.toText())).toBeNull();
+    await expect(abortKeyRotation()).rejects.toThrow('取り消せません');
+
+    const job = await rotateMasterKey();
+
+    expect(job).toMatchObject({ status: 'completed', reason: 'device-revoked', excludeDeviceIds: ['device-revoked'] });
+    expect(rewrap).toHaveBeenCalledTimes(1);
+    expect(rewrap.mock.calls[0][0]).toMatchObject({ id: 'device-kept' });
+    expect(getUserMasterKey(OWNER.toText())).not.toBe(OLD_KEY);
+  });
+
+  test('リカバリーシェアを公開した後は取り消せない', async () => {
+    localStorage.setItem(`${OWNER.toText()}_keyRotationJob`, JSON.stringify({
+      principal: OWNER.toText(),
+      status: 'interrupted',
+      phase: 'devices',
+      rotatedNotes: []
+    }));
+
+    await expect(abortKeyRotation()).rejects.toThrow('取り消せません');
+  });
+});
@@ -0,0 +1,187 @@
+// src/services/protectedPeople.js
+// 【ガーディアン側】守っている人ごとに、預かっているシェア・ポリシー・リカバリーの履歴をまとめる
+
+import { getCurrentPrincipal } from './auth';
+import { getAllShares, getSharesByUserPrincipal } from './guardianStorage';
+import { getPendingRecoveryRequests, getRecoveryStatus } from './api';
+
+// 履歴として残すリカバリーの出来事
+// requested: リカバリーが要求された / approved: 承認した
+// released: 待機期間の後にシェアを提出した / cancelled: 待機中に所有者が取り消した
+export const RECOVERY_ACTIVITY_TYPES = ['requested', 'approved', 'released', 'cancelled'];
+
+// 保存する履歴の上限
+const MAX_ACTIVITY_ENTRIES = 200;
+
+/**
+ * リカバリー履歴の保存先キー
+ * @param {string} principal - ガーディアン自身のプリンシパルID
+ * @returns {string} localStorageのキー
+ */
+const getActivityStorageKey = (principal) => `${principal}_recoveryActivity`;
+
+/**
+ * リカバリー履歴を取得
+ * @param {string} principal - ガーディアン自身のプリンシパルID
+ * @returns {Array} 履歴（新しい順）
+ */
+const getRecoveryActivity = (principal) => {
+  try {
+    const stored = localStorage.getItem(getActivityStorageKey(principal));
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('リカバリー履歴の読み込みに失敗:', error);
+    return [];
+  }
+};
+
+/**
+ * リカバリー履歴に追加（同じリクエストの同じ出来事は一度だけ記録する）
+ * @param {string} principal - ガーディアン自身のプリンシパルID
+ * @param {Object} entry - 履歴（userPrincipal, type, requestTime, at）
+ * @returns {boolean} 追加した場合はtrue
+ */
+const appendRecoveryActivity = (principal, entry) => {
+  const activity = getRecoveryActivity(principal);
+  const exists = activity.some(item =>
+    item.userPrincipal === entry.userPrincipal &&
+    item.type === entry.type &&
+    item.requestTime === entry.requestTime
+  );
+  if (exists) return false;
+
+  const next = [entry, ...activity]
+    .sort((a, b) => b.at - a.at)
+    .slice(0, MAX_ACTIVITY_ENTRIES);
+  localStorage.setItem(getActivityStorageKey(principal), JSON.stringify(next));
+  return true;
+};
+
+/**
+ * リカバリーの出来事を記録
+ * @param {string} userPrincipal - 守っている人のプリンシパルID
+ * @param {string} type - 出来事の種類（RECOVERY_ACTIVITY_TYPES）
+ * @param {Object} details - 詳細
+ * @param {number|null} details.requestTime - リカバリーが要求された日時（ミリ秒）
+ * @returns {Promise<void>}
+ */
+export const recordRecoveryActivity = async (userPrincipal, type, { requestTime = null } = {}) => {
+  const principal = await getCurrentPrincipal();
+  if (!principal) return;
+
+  appendRecoveryActivity(principal.toString(), {
+    userPrincipal,
+    type,
+    requestTime,
+    at: Date.now()
+  });
+};
+
+/**
+ * 預かっているシェアを表示用にまとめる
+ * @param {Object} share - GuardianSharesDB のシェア
+ * @returns {Object} シェアID、受け取った日時、世代、閾値、総数
+ */
+const summarizeShare = (share) => {
+  const metadata = share.metadata || {};
+  return {
+    id: share.id,
+    receivedAt: share.storedAt || null,
+    updatedAt: share.updatedAt || null,
+    epoch: metadata.epoch || share.epoch || null,
+    threshold: metadata.threshold || share.threshold || null,
+    totalShares: metadata.totalShares || share.totalShares || null
+  };
+};
+
+/**
+ * 守っている人の一覧を取得
+ * 預かっているシェアと保留中のリカバリーリクエストを人ごとにまとめ、
+ * リクエストがあればキャニスターのリカバリー状態からポリシーと承認状況を補う
+ * @returns {Promise<Array>} 守っている人（principal, userName, shares, policy, pendingRequest, history）
+ */
+export const getProtectedPeople = async () => {
+  const principal = await getCurrentPrincipal();
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+  const guardianPrincipal = principal.toString();
+
+  const [allShares, pendingRequests] = await Promise.all([
+    getAllShares(),
+    getPendingRecoveryRequests()
+  ]);
+
+  const userPrincipals = Array.from(new Set([
+    ...allShares.map(share => share.userPrincipal),
+    ...pendingRequests.map(request => request.principal)
+  ].filter(Boolean)));
+
+  const people = [];
+
+  for (const userPrincipal of userPrincipals) {
+    const shares = (await getSharesByUserPrincipal(userPrincipal))
+      .map(share => ({ ...summarizeShare(share), userName: share.userName || '' }))
+      .sort((a, b) => (b.epoch || 0) - (a.epoch || 0) || (b.receivedAt || 0) - (a.receivedAt || 0));
+
+    // 最新の世代のシェアに記録されたポリシーを使う
+    const latest = shares[0] || {};
+    const policy = {
+      requiredShares: latest.threshold || null,
+      totalShares: latest.totalShares || null,
+      epoch: latest.epoch || null
+    };
+
+    const request = pendingRequests.find(item => item.principal === userPrincipal) || null;
+    let pendingRequest = null;
+
+    if (request) {
+      // getPendingRecoveryRequests の requestTime はナノ秒
+      const requestTime = Math.floor(Number(request.requestTime) / 1000000);
+      pendingRequest = { requestTime, status: null, approvedGuardians: [], approvedByMe: false };
+      appendRecoveryActivity(guardianPrincipal, {
+        userPrincipal,
+        type: 'requested',
+        requestTime,
+        at: requestTime || Date.now()
+      });
+
+      try {
+        const status = await getRecoveryStatus(userPrincipal);
+        // ポリシーの変更はプロファイルを書き換えられないため、公開リカバリーデータの値を優先する
+        const published = status.profile.publicRecoveryData || {};
+        policy.requiredShares = Number(published.requiredShares) || Number(status.profile.requiredShares) || policy.requiredShares;
+        policy.totalShares = Number(published.totalShares) || Number(status.profile.totalGuardians) || policy.totalShares;
+        pendingRequest.status = status.session.status;
+        pendingRequest.approvedGuardians = status.session.approvedGuardians;
+        pendingRequest.approvedByMe = status.session.approvedGuardians.includes(guardianPrincipal);
+
+        if (pendingRequest.approvedByMe) {
+          appendRecoveryActivity(guardianPrincipal, {
+            userPrincipal,
+            type: 'approved',
+            requestTime,
+            at: Date.now()
+          });
+        }
+      } catch (error) {
+        console.warn(`${userPrincipal} のリカバリー状態を取得できませんでした:`, error);
+      }
+    }
+
+    people.push({
+      principal: userPrincipal,
+      userName: (shares.find(share => share.userName) || {}).userName || '',
+      shares,
+      policy,
+      pendingRequest,
+      history: getRecoveryActivity(guardianPrincipal).filter(item => item.userPrincipal === userPrincipal)
+    });
+  }
+
+  // リカバリーを要求している人を先に、次に名前順
+  return people.sort((a, b) =>
+    (b.pendingRequest ? 1 : 0) - (a.pendingRequest ? 1 : 0) ||
+    (a.userName || a.principal).localeCompare(b.userName || b.principal)
+  );
+};
@@ -0,0 +1,219 @@
+// src/services/recoveryDelay.js
+// リカバリーの待機期間と所有者による拒否
+// 必要数のガーディアンが承認し、かつ待機期間が過ぎるまで、ガーディアンはシェアを提出しない。
+// その間に所有者のデバイスはリカバリーに気づき、resetRecovery で取り消せる
+//
+// キャニスターは承認が必要数に達した時刻を記録しないため、待機期間はキャニスターが記録した
+// リカバリーの要求時刻から数える。すべてのデバイスで同じ提出時刻になり、所有者への警告は要求時刻から表示される
+
+import { getCurrentPrincipal } from './auth';
+import {
+  findRecoveryStatus,
+  releaseRecoveryShare,
+  resetRecovery,
+  updatePublicRecoveryData
+} from './api';
+import { recordRecoveryActivity } from './protectedPeople';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const RECOVERY_DELAY_OPTIONS = [24, 72, 168]; // 選択できる待機期間（時間）
+export const DEFAULT_RECOVERY_DELAY_HOURS = 72;
+
+// 取り消しや完了でセッションが終わっている状態
+const FINISHED_RECOVERY_STATUSES = ['Completed', 'Failed'];
+
+/**
+ * 現在のユーザーのプリンシパルIDを取得（未ログインの場合はnull）
+ * @returns {Promise<string|null>} プリンシパルID
+ */
+const getCurrentPrincipalText = async () => {
+  const principal = await getCurrentPrincipal();
+  return principal ? principal.toString() : null;
+};
+
+/**
+ * localStorageのJSONを読み込む
+ * @param {string} key - キー
+ * @returns {Object} 保存されている値（ない場合は空のオブジェクト）
+ */
+const readJson = (key) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error(`${key} の読み込みに失敗:`, error);
+    return {};
+  }
+};
+
+/**
+ * 提出を待っているシェアの保存先キー
+ * @param {string} principal - ガーディアンのプリンシパルID
+ * @returns {string} localStorageのキー
+ */
+const getScheduledReleasesKey = (principal) => `${principal}_scheduledShareReleases`;
+
+/**
+ * 公開リカバリーデータから待機期間を取得
+ * @param {Object|null} publicRecoveryData - 公開リカバリーデータ
+ * @returns {number} 待機期間（時間）
+ */
+export const getRecoveryDelayHours = (publicRecoveryData) => {
+  const hours = Number(publicRecoveryData && publicRecoveryData.recoveryDelayHours);
+  return hours > 0 ? hours : DEFAULT_RECOVERY_DELAY_HOURS;
+};
+
+/**
+ * 【所有者側】待機期間を設定
+ * ガーディアンが読めるよう、キャニスターの公開リカバリーデータに保存する
+ * @param {number} hours - 待機期間（時間）
+ * @returns {Promise<Object>} 更新後の公開リカバリーデータ
+ */
+export const setRecoveryDelayHours = async (hours) => {
+  if (!RECOVERY_DELAY_OPTIONS.includes(hours)) {
+    throw new Error('選択できない待機期間です');
+  }
+  return updatePublicRecoveryData({ recoveryDelayHours: hours });
+};
+
+/**
+ * リカバリーの待機状況を取得
+ * 提出できる時刻はキャニスターの要求時刻と待機期間だけから決まるため、どのデバイスでも同じになる
+ * @param {string} userPrincipal - 回復対象のユーザーのプリンシパルID
+ * @param {Object} status - getRecoveryStatus / findRecoveryStatus の結果
+ * @returns {Object} delayHours, approvals, requiredShares, thresholdMet, releaseAt, remainingMs
+ */
+export const getRecoveryDelayState = (userPrincipal, status) => {
+  const publicData = status.profile.publicRecoveryData;
+  const delayHours = getRecoveryDelayHours(publicData);
+  const requiredShares = Number((publicData && publicData.requiredShares) || status.profile.requiredShares);
+  const approvals = status.session.approvedGuardians.length;
+  const releaseAt = status.session.requestTime.getTime() + delayHours * HOUR_MS;
+
+  return {
+    delayHours,
+    approvals,
+    requiredShares,
+    thresholdMet: requiredShares > 0 && approvals >= requiredShares,
+    releaseAt,
+    remainingMs: Math.max(0, releaseAt - Date.now())
+  };
+};
+
+/**
+ * 【所有者側】自分のアカウントに進行中のリカバリーがあれば取得
+ * @param {string} principal - 所有者のプリンシパルID
+ * @returns {Promise<Object|null>} リクエスト日時、状態、待機状況
+ */
+export const getActiveRecoveryAlert = async (principal) => {
+  const status = await findRecoveryStatus(principal);
+  if (!status || FINISHED_RECOVERY_STATUSES.includes(status.session.status)) {
+    return null;
+  }
+
+  return {
+    requestTime: status.session.requestTime,
+    status: status.session.status,
+    ...getRecoveryDelayState(principal, status)
+  };
+};
+
+/**
+ * 【所有者側】進行中のリカバリーを取り消す
+ * @param {string} principal - 所有者のプリンシパルID
+ * @returns {Promise<boolean>} 成功した場合はtrue
+ */
+export const vetoRecovery = async (principal) => {
+  await resetRecovery(principal);
+  return true;
+};
+
+/**
+ * 【ガーディアン側】承認したリカバリーのシェア提出を予約
+ * 待機期間が過ぎるまでは提出せず、processScheduledShareReleases で提出する
+ * （ログイン時と「ガーディアンリクエスト」画面を開いている間に処理されるため、期間が過ぎた後にガーディアンがログインするまで提出されない）
+ * @param {string} userPrincipal - 回復対象のユーザーのプリンシパルID
+ * @param {Object} release - 予約内容
+ * @param {number} release.requestTime - リカバリーが要求された日時（ミリ秒）
+ * @param {string} release.recoveryPublicKey - 回復する側の公開鍵（16進数）
+ * @returns {Promise<void>}
+ */
+export const scheduleShareRelease = async (userPrincipal, { requestTime, recoveryPublicKey }) => {
+  const guardianPrincipal = await getCurrentPrincipalText();
+  if (!guardianPrincipal) {
+    throw new Error('User principal not found');
+  }
+
+  const releases = readJson(getScheduledReleasesKey(guardianPrincipal));
+  releases[userPrincipal] = { requestTime, recoveryPublicKey, approvedAt: Date.now() };
+  localStorage.setItem(getScheduledReleasesKey(guardianPrincipal), JSON.stringify(releases));
+};
+
+/**
+ * 【ガーディアン側】予約したシェア提出を処理
+ * 待機期間が過ぎたものは提出し、所有者に取り消されたものは予約を破棄する
+ * リカバリーの状態を取得できなかった予約は、取り消しとは見なさずに残す
+ * @returns {Promise<Array>} 予約ごとの結果（userPrincipal, state: waiting / released / cancelled, releaseAt, error）
+ */
+export const processScheduledShareReleases = async () => {
+  const guardianPrincipal = await getCurrentPrincipalText();
+  if (!guardianPrincipal) {
+    return [];
+  }
+
+  const key = getScheduledReleasesKey(guardianPrincipal);
+  const releases = readJson(key);
+  const finished = [];
+  const results = [];
+
+  for (const [userPrincipal, release] of Object.entries(releases)) {
+    const result = { userPrincipal, requestTime: release.requestTime, state: 'waiting', releaseAt: null, error: null };
+
+    try {
+      const status = await findRecoveryStatus(userPrincipal);
+
+      // 状態を取得できない場合は取り消されたとは限らないため、予約を残して次回確認し直す
+      if (!status) {
+        results.push({ ...result, error: 'リカバリーの状態を取得できませんでした' });
+        continue;
+      }
+
+      // 失敗した・開始し直された場合は、所有者が取り消したものとして扱う
+      if (
+        status.session.status === 'Failed' ||
+        status.session.requestTime.getTime() !== release.requestTime
+      ) {
+        finished.push(userPrincipal);
+        await recordRecoveryActivity(userPrincipal, 'cancelled', { requestTime: release.requestTime });
+        results.push({ ...result, state: 'cancelled' });
+        continue;
+      }
+
+      const delayState = getRecoveryDelayState(userPrincipal, status);
+      result.releaseAt = delayState.thresholdMet ? delayState.releaseAt : null;
+
+      if (delayState.thresholdMet && delayState.remainingMs === 0) {
+        await releaseRecoveryShare(userPrincipal, release.recoveryPublicKey);
+        finished.push(userPrincipal);
+        await recordRecoveryActivity(userPrincipal, 'released', { requestTime: release.requestTime });
+        result.state = 'released';
+      }
+    } catch (error) {
+      console.error(`${userPrincipal} へのシェアの提出に失敗:`, error);
+      result.error = error.message;
+    }
+
+    results.push(result);
+  }
+
+  // 処理中に予約し直されたものは残す
+  const current = readJson(key);
+  finished.forEach(userPrincipal => {
+    if (current[userPrincipal] && current[userPrincipal].requestTime === releases[userPrincipal].requestTime) {
+      delete current[userPrincipal];
+    }
+  });
+  localStorage.setItem(key, JSON.stringify(current));
+  return results;
+};
@@ -0,0 +1,80 @@
+import { getCurrentPrincipal } from './auth';
+import * as api from './api';
+import { getRecoveryDelayState, scheduleShareRelease, processScheduledShareReleases } from './recoveryDelay';
+
+jest.mock('./auth', () => ({
+  getActor: jest.fn(),
+  getCurrentPrincipal: jest.fn()
+}));
+
+const OWNER = 'rrkah-fqaaa-aaaaa-aaaaq-cai';
+const GUARDIAN = 'ryjl3-tyaaa-aaaaa-aaaba-cai';
+const HOUR_MS = 60 * 60 * 1000;
+
+const createStatus = ({ requestTime, approvals, delayHours = 24, status = 'Pending' }) => ({
+  session: {
+    status,
+    requestTime: new Date(requestTime),
+    approvedGuardians: Array.from({ length: approvals }, (_, i) => `guardian-${i}`)
+  },
+  profile: {
+    requiredShares: 2,
+    publicRecoveryData: { requiredShares: 2, recoveryDelayHours: delayHours }
+  }
+});
+
+describe('getRecoveryDelayState', () => {
+  test('提出できる時刻はキャニスターの要求時刻と待機期間から決まる', () => {
+    const requestTime = Date.now() - 2 * HOUR_MS;
+    const state = getRecoveryDelayState(OWNER, createStatus({ requestTime, approvals: 2 }));
+
+    expect(state.thresholdMet).toBe(true);
+    expect(state.releaseAt).toBe(requestTime + 24 * HOUR_MS);
+    expect(state.remainingMs).toBeGreaterThan(21 * HOUR_MS);
+  });
+
+  test('待機期間が過ぎていても、承認が必要数に達するまでは提出しない', () => {
+    const requestTime = Date.now() - 48 * HOUR_MS;
+    const state = getRecoveryDelayState(OWNER, createStatus({ requestTime, approvals: 1 }));
+
+    expect(state.thresholdMet).toBe(false);
+    expect(state.remainingMs).toBe(0);
+  });
+});
+
+describe('processScheduledShareReleases', () => {
+  const requestTime = Date.now() - HOUR_MS;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    getCurrentPrincipal.mockResolvedValue({ toString: () => GUARDIAN });
+    jest.spyOn(api, 'releaseRecoveryShare').mockResolvedValue(true);
+    await scheduleShareRelease(OWNER, { requestTime, recoveryPublicKey: 'recovery-public-key' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('リカバリーの状態を取得できなければ、取り消しとは見なさずに予約を残す', async () => {
+    jest.spyOn(api, 'findRecoveryStatus').mockResolvedValue(null);
+
+    const [result] = await processScheduledShareReleases();
+
+    expect(result).toMatchObject({ userPrincipal: OWNER, state: 'waiting' });
+    expect(result.error).toBeTruthy();
+    expect(JSON.parse(localStorage.getItem(`${GUARDIAN}_scheduledShareReleases`))).toHaveProperty(OWNER);
+  });
+
+  test('所有者が取り消したリカバリーの予約は破棄する', async () => {
+    jest.spyOn(api, 'findRecoveryStatus').mockResolvedValue(
+      createStatus({ requestTime, approvals: 2, status: 'Failed' })
+    );
+
+    const [result] = await processScheduledShareReleases();
+
+    expect(result.state).toBe('cancelled');
+    expect(api.releaseRecoveryShare).not.toHaveBeenCalled();
+    expect(JSON.parse(localStorage.getItem(`${GUARDIAN}_scheduledShareReleases`))).toEqual({});
+  });
+});
@@ -0,0 +1,469 @@
+// src/services/recoveryPolicy.js
+// リカバリーポリシー（ガーディアン数とリカバリーに必要なシェア数）の変更
+
+import { getActor, getCurrentPrincipal } from './auth';
+import {
+  generateRecoveryData,
+  syncGuardianKeyRegistry,
+  getRecoveryPolicy,
+  getPublicRecoveryData,
+  stageGuardianShare,
+  assignGuardianShare,
+  assignStagedGuardianShare,
+  removeGuardian,
+  updatePublicRecoveryData
+} from './api';
+import {
+  getUserMasterKey,
+  encryptWithKey,
+  decryptWithKey
+} from './improved-crypto';
+import { blobToString, bytesToHex, hexToBytes } from './crypto';
+import { replaceShareInventory } from './shareInventory';
+
+// ポリシーとして選べるシェア数の範囲
+export const MIN_REQUIRED_SHARES = 2;
+export const MAX_TOTAL_GUARDIANS = 10;
+
+// ジョブの進行段階（この順に実行される）
+export const POLICY_CHANGE_PHASES = ['deliver', 'retire', 'completed'];
+
+/**
+ * ジョブの保存先キー
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {string} localStorageのキー
+ */
+const getJobStorageKey = (principal) => `${principal}_recoveryPolicyJob`;
+
+/**
+ * ポリシー変更ジョブを取得
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {Object|null} ジョブまたはnull
+ */
+export const getPolicyChangeJob = (principal) => {
+  if (!principal) return null;
+
+  try {
+    const job = localStorage.getItem(getJobStorageKey(principal));
+    return job ? JSON.parse(job) : null;
+  } catch (error) {
+    console.error('ポリシー変更ジョブの読み込みに失敗:', error);
+    return null;
+  }
+};
+
+/**
+ * 未完了のポリシー変更があるか確認
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {boolean} 未完了のジョブがある場合はtrue
+ */
+export const hasPendingPolicyChange = (principal) => {
+  const job = getPolicyChangeJob(principal);
+  return !!job && job.status !== 'completed';
+};
+
+/**
+ * ジョブを保存（各ステップの後に呼び出し、中断時に再開できるようにする）
+ * 新しいシェアはマスターキーで暗号化した形でだけ残す
+ * @param {Object} job - ポリシー変更ジョブ
+ */
+const savePolicyChangeJob = (job) => {
+  job.updatedAt = Date.now();
+  const { shares, ...storedJob } = job;
+  localStorage.setItem(getJobStorageKey(job.principal), JSON.stringify(storedJob));
+};
+
+/**
+ * ポリシーの値を検証
+ * @param {number} totalGuardians - シェアの総数
+ * @param {number} requiredShares - リカバリーに必要なシェア数
+ * @returns {string|null} エラーメッセージ（問題がなければnull）
+ */
+export const validateRecoveryPolicy = (totalGuardians, requiredShares) => {
+  if (!Number.isInteger(totalGuardians) || !Number.isInteger(requiredShares)) {
+    return 'ガーディアン数とシェア数は整数で指定してください';
+  }
+  if (requiredShares < MIN_REQUIRED_SHARES) {
+    return `リカバリーには${MIN_REQUIRED_SHARES}つ以上のシェアを必要にしてください`;
+  }
+  if (requiredShares > totalGuardians) {
+    return '必要なシェア数はガーディアン数以下にしてください';
+  }
+  if (totalGuardians > MAX_TOTAL_GUARDIANS) {
+    return `ガーディアン数は${MAX_TOTAL_GUARDIANS}人以下にしてください`;
+  }
+  return null;
+};
+
+/**
+ * ポリシー変更の計画を立てる
+ * キャニスターに公開鍵が登録されていて、鍵の変更が承認待ちでないガーディアンだけが新しいシェアを受け取れる
+ * @param {Array} guardians - 現在のガーディアン（getGuardiansの結果）
+ * @param {Object} policy - 新しいポリシー（totalGuardians, requiredShares）
+ * @param {Array<string>|null} keepPrincipals - シェアを持たせ続けるガーディアン（省略時は先頭から選ぶ）
+ * @param {Object} guardianKeys - 公開鍵の登録（syncGuardianKeyRegistryの結果）
+ * @returns {Object} keep（新しいシェアを配る）、needsInvitation（公開鍵コードの受け取りが必要）、
+ *                   needsKeyApproval（鍵の変更の承認が必要）、removed（シェアを外す）、openSlots（新たに招待する人数）、error
+ */
+export const planRecoveryPolicyChange = (guardians, policy, keepPrincipals = null, guardianKeys = {}) => {
+  const { totalGuardians, requiredShares } = policy;
+  const keep = [];
+  const needsInvitation = [];
+  const needsKeyApproval = [];
+  const removed = [];
+
+  for (const guardian of guardians) {
+    const entry = guardianKeys[guardian.principal];
+    if (!entry) {
+      needsInvitation.push(guardian.principal);
+      continue;
+    }
+    if (entry.keyChanged) {
+      needsKeyApproval.push(guardian.principal);
+      continue;
+    }
+
+    const selected = keepPrincipals ? keepPrincipals.includes(guardian.principal) : true;
+    if (selected && keep.length < totalGuardians) {
+      keep.push(guardian.principal);
+    } else {
+      removed.push(guardian.principal);
+    }
+  }
+
+  let error = validateRecoveryPolicy(totalGuardians, requiredShares);
+  if (!error && keep.length < requiredShares) {
+    error = `新しいシェアを受け取れるガーディアンが${requiredShares}人以上必要です（現在${keep.length}人）`;
+  }
+
+  return {
+    keep,
+    needsInvitation,
+    needsKeyApproval,
+    removed,
+    openSlots: Math.max(0, totalGuardians - keep.length),
+    error
+  };
+};
+
+/**
+ * 保存されていたジョブの新しいシェアを復元
+ * @param {Object} job - ポリシー変更ジョブ
+ */
+const restoreJobShares = async (job) => {
+  const masterKey = getUserMasterKey(job.principal);
+  if (!masterKey) {
+    throw new Error('マスターキーがロックされています');
+  }
+
+  try {
+    job.shares = await decryptWithKey(job.sharesEncrypted, masterKey);
+  } catch (error) {
+    throw new Error('ポリシー変更ジョブのシェアを復元できません');
+  }
+};
+
+/**
+ * 残すガーディアンに新しいシェアを預ける
+ * この段階では割り当て中のシェアを変えないため、古いシェアセットでの回復はまだ可能
+ * @param {Object} job - ポリシー変更ジョブ
+ * @param {Function} report - 進捗通知関数
+ */
+const deliverShares = async (job, report) => {
+  const delivered = new Set(job.delivered);
+
+  // 失敗一覧は毎回評価し直す
+  job.failedDeliveries = [];
+  report({ done: delivered.size, total: job.plan.keep.length });
+
+  for (const principal of job.plan.keep) {
+    if (delivered.has(principal)) continue;
+
+    const share = job.shares.find(s => s.id === job.assignments[principal]);
+    try {
+      // ガーディアンの公開鍵で暗号化したシェアを控え、マスターキーがなくても割り当てを切り替えられるようにする
+      job.deliveredShares[principal] = bytesToHex(await stageGuardianShare(principal, share));
+      job.delivered.push(principal);
+      delivered.add(principal);
+    } catch (error) {
+      console.error(`ガーディアン ${principal} への新しいシェアの配布に失敗:`, error);
+      job.failedDeliveries.push({ principal, error: error.message || '配布に失敗しました' });
+    }
+
+    savePolicyChangeJob(job);
+    report({ done: delivered.size, total: job.plan.keep.length });
+  }
+};
+
+/**
+ * 新しいシェアを預けたガーディアンの割り当てを切り替える
+ * 切り替えられなかったガーディアンはジョブに残し、次の実行やログイン時に再試行する
+ * @param {Object} job - ポリシー変更ジョブ
+ * @param {Function} report - 進捗通知関数
+ */
+const switchDeliveredShares = async (job, report) => {
+  const remaining = [];
+  job.failedAssignments = [];
+  report({ done: job.assigned.length, total: job.delivered.length });
+
+  for (const principal of job.pendingAssignments) {
+    const shareId = job.assignments[principal];
+    try {
+      if (job.deliveredShares[principal]) {
+        await assignStagedGuardianShare(principal, shareId, hexToBytes(job.deliveredShares[principal]));
+      } else if (job.shares) {
+        // 暗号化したシェアを控える前に配布したガーディアン
+        await assignGuardianShare(principal, job.shares.find(s => s.id === shareId));
+      } else {
+        throw new Error('配布したシェアの控えがありません');
+      }
+      job.assigned.push(principal);
+    } catch (error) {
+      console.error(`ガーディアン ${principal} のシェアの切り替えに失敗:`, error);
+      remaining.push(principal);
+      job.failedAssignments.push({ principal, error: error.message || '切り替えに失敗しました' });
+    }
+
+    savePolicyChangeJob(job);
+    report({ done: job.assigned.length, total: job.delivered.length });
+  }
+
+  job.pendingAssignments = remaining;
+  savePolicyChangeJob(job);
+};
+
+/**
+ * 新しいシェアセットを公開して割り当てを切り替え、古いシェアセットを無効にする
+ * 必要数のガーディアンに新しいシェアが届いているため、先にコミットメントを公開してから切り替える。
+ * 一部のガーディアンを切り替えられなくても中断せず、残りは retryPolicyShareAssignments で再試行する
+ * @param {Object} job - ポリシー変更ジョブ
+ * @param {Function} report - 進捗通知関数
+ */
+const retireOldShares = async (job, report) => {
+  if (!job.published) {
+    // 新しいコミットメントを公開した時点で、古いシェアセットは結合に使えなくなる
+    await updatePublicRecoveryData(job.publicRecoveryData);
+    job.published = true;
+    job.pendingAssignments = job.delivered.filter(principal => !job.assigned.includes(principal));
+    savePolicyChangeJob(job);
+  }
+
+  await switchDeliveredShares(job, report);
+
+  // 新しいシェアを持たないガーディアンは古いシェアしか持っていないため外す
+  const retiredGuardians = [...job.plan.removed, ...job.plan.needsInvitation, ...(job.plan.needsKeyApproval || [])];
+  for (const principal of retiredGuardians) {
+    try {
+      await removeGuardian(principal);
+    } catch (error) {
+      console.warn(`ガーディアン ${principal} の削除に失敗:`, error);
+    }
+  }
+
+  // プロファイルの値を更新するメソッドはないため、createProfileでの上書きを試みる
+  // 拒否された場合でも、リカバリーでは公開リカバリーデータの値が使われる
+  try {
+    const actor = await getActor();
+    const result = await actor.createProfile(job.policy.totalGuardians, job.policy.requiredShares);
+    job.profileUpdated = !result.err;
+    if (result.err) {
+      console.warn('プロファイルのリカバリーポリシーを更新できませんでした:', result.err);
+    }
+  } catch (error) {
+    console.warn('プロファイルのリカバリーポリシーを更新できませんでした:', error);
+    job.profileUpdated = false;
+  }
+
+  // 配布したシェアは切り替え待ちでもそのガーディアンのもの。残りは新しいガーディアンの招待に使う
+  const assignedShares = {};
+  job.delivered.forEach(principal => {
+    assignedShares[job.assignments[principal]] = principal;
+  });
+  job.unassignedShares = await replaceShareInventory(job.principal, job.shares, assignedShares);
+};
+
+/**
+ * 完了したポリシー変更で、切り替えられなかったガーディアンの割り当てを再試行する
+ * ログイン時に呼び出す。後から別のシェアセットが公開されていれば再試行しない
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {Promise<Object>} 切り替えたガーディアン（assigned）と切り替え待ちのガーディアン（pending）
+ */
+export const retryPolicyShareAssignments = async (principal) => {
+  const job = getPolicyChangeJob(principal);
+  if (!job || job.status !== 'completed' || !job.pendingAssignments || job.pendingAssignments.length === 0) {
+    return { assigned: [], pending: [] };
+  }
+
+  const publicRecoveryData = await getPublicRecoveryData();
+  if (!publicRecoveryData || publicRecoveryData.shareEpoch !== job.epoch) {
+    job.pendingAssignments = [];
+    savePolicyChangeJob(job);
+    return { assigned: [], pending: [] };
+  }
+
+  const before = new Set(job.assigned);
+  await switchDeliveredShares(job, () => {});
+
+  return {
+    assigned: job.assigned.filter(guardian => !before.has(guardian)),
+    pending: job.pendingAssignments
+  };
+};
+
+/**
+ * リカバリーポリシーを変更する（未完了のジョブがあれば再開）
+ * マスターキーを新しいポリシーで分割し直し、残すガーディアンに新しいシェアを預ける。
+ * 必要数以上のシェアが届いてから割り当てを切り替え、古いシェアセットを無効にする
+ * @param {Object} options - オプション
+ * @param {number} options.totalGuardians - 新しいシェアの総数
+ * @param {number} options.requiredShares - 新しいリカバリーに必要なシェア数
+ * @param {Array<string>} options.keepPrincipals - シェアを持たせ続けるガーディアン
+ * @param {Array} options.guardians - 現在のガーディアン（getGuardiansの結果）
+ * @param {Function} options.onProgress - 進捗通知（phase, done, total）
+ * @returns {Promise<Object>} ジョブの状態
+ */
+export const changeRecoveryPolicy = async ({
+  totalGuardians,
+  requiredShares,
+  keepPrincipals = null,
+  guardians = [],
+  guardianKeys = null,
+  onProgress
+} = {}) => {
+  const principal = await getCurrentPrincipal();
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+
+  const principalStr = principal.toString();
+  let job = getPolicyChangeJob(principalStr);
+
+  if (!job || job.status === 'completed') {
+    const masterKey = getUserMasterKey(principalStr);
+    if (!masterKey) {
+      throw new Error('マスターキーがロックされています');
+    }
+
+    const policy = { totalGuardians, requiredShares };
+    const registry = guardianKeys || await syncGuardianKeyRegistry();
+    const plan = planRecoveryPolicyChange(guardians, policy, keepPrincipals, registry);
+    if (plan.error) {
+      throw new Error(plan.error);
+    }
+
+    const previousPolicy = await getRecoveryPolicy();
+    const epoch = previousPolicy.shareEpoch + 1;
+    const recoveryData = await generateRecoveryData(masterKey, totalGuardians, requiredShares, epoch);
+
+    job = {
+      principal: principalStr,
+      status: 'running',
+      phase: 'deliver',
+      policy,
+      previousPolicy: {
+        totalGuardians: previousPolicy.totalGuardians,
+        requiredShares: previousPolicy.requiredShares
+      },
+      plan,
+      epoch,
+      shares: recoveryData.shares,
+      sharesEncrypted: await encryptWithKey(recoveryData.shares, masterKey),
+      publicRecoveryData: JSON.parse(blobToString(recoveryData.publicRecoveryData)),
+      assignments: Object.fromEntries(plan.keep.map((p, i) => [p, recoveryData.shares[i].id])),
+      delivered: [],
+      deliveredShares: {},
+      failedDeliveries: [],
+      published: false,
+      assigned: [],
+      pendingAssignments: [],
+      failedAssignments: [],
+      startedAt: Date.now()
+    };
+  } else {
+    await restoreJobShares(job);
+    job.deliveredShares = job.deliveredShares || {};
+    job.pendingAssignments = job.pendingAssignments || [];
+  }
+
+  job.status = 'running';
+  savePolicyChangeJob(job);
+
+  const report = (progress = {}) => {
+    onProgress && onProgress({ phase: job.phase, ...progress });
+  };
+
+  try {
+    if (job.phase === 'deliver') {
+      await deliverShares(job, report);
+
+      if (job.delivered.length < job.policy.requiredShares) {
+        // 必要数に届くまでは古いシェアセットを有効なまま残し、再実行を待つ
+        job.status = 'pending';
+        savePolicyChangeJob(job);
+        report();
+        return job;
+      }
+
+      job.phase = 'retire';
+      savePolicyChangeJob(job);
+    }
+
+    if (job.phase === 'retire') {
+      await retireOldShares(job, report);
+      job.phase = 'completed';
+    }
+
+    // 完了したジョブからはシェアを取り除いて記録だけ残す
+    const completedJob = {
+      principal: principalStr,
+      status: 'completed',
+      phase: 'completed',
+      policy: job.policy,
+      previousPolicy: job.previousPolicy,
+      plan: job.plan,
+      epoch: job.epoch,
+      assignments: job.assignments,
+      delivered: job.delivered,
+      deliveredShares: job.deliveredShares,
+      failedDeliveries: job.failedDeliveries,
+      published: job.published,
+      assigned: job.assigned,
+      pendingAssignments: job.pendingAssignments,
+      failedAssignments: job.failedAssignments,
+      unassignedShares: job.unassignedShares,
+      profileUpdated: job.profileUpdated,
+      startedAt: job.startedAt,
+      completedAt: Date.now()
+    };
+    savePolicyChangeJob(completedJob);
+    report({ phase: 'completed' });
+
+    return completedJob;
+  } catch (error) {
+    console.error('リカバリーポリシーの変更が中断されました:', error);
+    job.status = 'interrupted';
+    job.lastError = error.message;
+    savePolicyChangeJob(job);
+    throw error;
+  }
+};
+
+/**
+ * 新しいシェアセットを公開する前のポリシー変更を取り消す
+ * 預けた新しいシェアは割り当てられないまま残るが、コミットメントが公開されないため使われない
+ * @param {string} principal - ユーザーのプリンシパルID
+ * @returns {boolean} 取り消した場合はtrue
+ */
+export const cancelRecoveryPolicyChange = (principal) => {
+  const job = getPolicyChangeJob(principal);
+  if (!job || job.status === 'completed') return false;
+
+  // 以前のバージョンのジョブは公開前に割り当てを切り替えていた
+  const switched = job.published || (job.assigned && job.assigned.length > 0);
+  if (job.phase !== 'deliver' && switched) {
+    throw new Error('新しいシェアセットを公開したため取り消せません。再実行して完了させてください');
+  }
+
+  localStorage.removeItem(getJobStorageKey(principal));
+  return true;
+};
@@ -0,0 +1,128 @@
+import { Principal } from '@dfinity/principal';
+import { getActor, getCurrentPrincipal } from './auth';
+import * as api from './api';
+import { saveUserMasterKey, lockMasterKey } from './improved-crypto';
+import { replaceShareInventory } from './shareInventory';
+import {
+  changeRecoveryPolicy,
+  retryPolicyShareAssignments,
+  cancelRecoveryPolicyChange,
+  planRecoveryPolicyChange
+} from './recoveryPolicy';
+
+jest.mock('./auth', () => ({
+  getActor: jest.fn(),
+  getCurrentPrincipal: jest.fn()
+}));
+
+jest.mock('./shareInventory', () => ({
+  replaceShareInventory: jest.fn()
+}));
+
+const OWNER = Principal.fromText('rrkah-fqaaa-aaaaa-aaaaq-cai');
+const GUARDIANS = [
+  'ryjl3-tyaaa-aaaaa-aaaba-cai',
+  'r7inp-6aaaa-aaaaa-aaabq-cai',
+  'rkp4c-7iaaa-aaaaa-aaaca-cai'
+];
+const MASTER_KEY = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+
+const GUARDIAN_KEYS = Object.fromEntries(GUARDIANS.map(principal => [principal, { publicKey: 'ab', keyChanged: false }]));
+
+describe('planRecoveryPolicyChange', () => {
+  test('登録された公開鍵で計画を立て、鍵の変更が承認されていないガーディアンには配布しない', () => {
+    const plan = planRecoveryPolicyChange(
+      GUARDIANS.map(principal => ({ principal })),
+      { totalGuardians: 3, requiredShares: 2 },
+      null,
+      {
+        [GUARDIANS[0]]: { publicKey: 'ab', keyChanged: false },
+        [GUARDIANS[1]]: { publicKey: 'cd', keyChanged: true }
+      }
+    );
+
+    expect(plan).toMatchObject({
+      keep: [GUARDIANS[0]],
+      needsKeyApproval: [GUARDIANS[1]],
+      needsInvitation: [GUARDIANS[2]]
+    });
+    expect(plan.error).toMatch('2人以上必要です');
+  });
+});
+
+describe('changeRecoveryPolicy', () => {
+  let failing;
+  let order;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    failing = [GUARDIANS[2]];
+    order = [];
+    getCurrentPrincipal.mockResolvedValue(OWNER);
+    getActor.mockResolvedValue({ createProfile: jest.fn().mockResolvedValue({ ok: null }) });
+    replaceShareInventory.mockResolvedValue(0);
+    await saveUserMasterKey(OWNER.toText(), MASTER_KEY);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(api, 'getRecoveryPolicy').mockResolvedValue({ totalGuardians: 3, requiredShares: 2, shareEpoch: 1 });
+    jest.spyOn(api, 'getPublicRecoveryData').mockResolvedValue({ shareEpoch: 2 });
+    jest.spyOn(api, 'stageGuardianShare').mockResolvedValue(new Uint8Array([1, 2, 3]));
+    jest.spyOn(api, 'removeGuardian').mockResolvedValue();
+    jest.spyOn(api, 'updatePublicRecoveryData').mockImplementation(async () => {
+      order.push('publish');
+    });
+    jest.spyOn(api, 'assignStagedGuardianShare').mockImplementation(async (principal) => {
+      order.push(principal);
+      if (failing.includes(principal)) {
+        throw new Error('temporarily unavailable');
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    lockMasterKey();
+  });
+
+  const runPolicyChange = () => changeRecoveryPolicy({
+    totalGuardians: 3,
+    requiredShares: 2,
+    guardians: GUARDIANS.map(principal => ({ principal })),
+    guardianKeys: GUARDIAN_KEYS
+  });
+
+  test('一部のガーディアンを切り替えられなくても公開して完了し、残りはログイン時に再試行する', async () => {
+    const job = await runPolicyChange();
+
+    expect(job).toMatchObject({ status: 'completed', published: true, pendingAssignments: [GUARDIANS[2]] });
+    // 古いシェアを無効にする前に新しいシェアセットを公開する
+    expect(order[0]).toBe('publish');
+    // 切り替え待ちのシェアもそのガーディアンのものとして在庫に記録する
+    expect(Object.values(replaceShareInventory.mock.calls[0][2]).sort()).toEqual([...GUARDIANS].sort());
+
+    failing = [];
+    await expect(retryPolicyShareAssignments(OWNER.toText()))
+      .resolves.toEqual({ assigned: [GUARDIANS[2]], pending: [] });
+    expect(api.assignStagedGuardianShare).toHaveBeenLastCalledWith(
+      GUARDIANS[2], job.assignments[GUARDIANS[2]], new Uint8Array([1, 2, 3])
+    );
+  });
+
+  test('後から別のシェアセットが公開されていれば古い世代のシェアに切り替えない', async () => {
+    await runPolicyChange();
+    api.getPublicRecoveryData.mockResolvedValue({ shareEpoch: 3 });
+    failing = [];
+    const attempts = api.assignStagedGuardianShare.mock.calls.length;
+
+    await expect(retryPolicyShareAssignments(OWNER.toText())).resolves.toEqual({ assigned: [], pending: [] });
+    expect(api.assignStagedGuardianShare).toHaveBeenCalledTimes(attempts);
+  });
+
+  test('公開した後のポリシー変更は取り消せない', async () => {
+    api.updatePublicRecoveryData.mockRejectedValue(new Error('network'));
+
+    await expect(runPolicyChange()).rejects.toThrow('network');
+    // 公開に失敗した時点ではまだ取り消せる
+    expect(cancelRecoveryPolicyChange(OWNER.toText())).toBe(true);
+  });
+});
@@ -0,0 +1,623 @@
+// src/services/shareInventory.js
+// 所有者のリカバリーシェアの在庫管理サービス
+// 未割り当てのシェアをIndexedDBで管理し、招待・手動追加・期限切れ処理の予約を
+// 1つのトランザクションで行う。変更はBroadcastChannelで他のタブにも通知する
+// 未割り当てのシェアの値はマスターキーで暗号化して保存し、割り当て済みのシェアの値は保存しない
+
+import { getActor } from './auth';
+import { deriveShareLivenessKey, getUserMasterKey, encryptWithKey, decryptWithKey } from './improved-crypto';
+
+const DB_NAME = 'ShareInventoryDB';
+const STORE_NAME = 'shares';
+const CHANNEL_NAME = 'share-inventory';
+const LEGACY_SHARES_KEY = 'recoveryShares';
+
+// シェアの状態
+// available: 未割り当て / reserved: 招待などで予約中 / assigned: ガーディアンに割り当て済み / confirmed: キャニスター上で確認済み
+export const SHARE_STATES = ['available', 'reserved', 'assigned', 'confirmed'];
+
+export const SHARE_INVENTORY_EVENT = 'share-inventory-changed';
+export const SHARE_UNAVAILABLE_ERROR = 'SHARE_UNAVAILABLE';
+
+/**
+ * IndexedDBを開く
+ * @param {string} dbName - データベース名
+ * @param {number} version - バージョン
+ * @returns {Promise<IDBDatabase>} データベースオブジェクト
+ */
+const openDatabase = (dbName = DB_NAME, version = 1) => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, version);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      // シェアを保存するオブジェクトストアを作成
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        // 所有者ごと、状態ごとに検索できるようにする
+        store.createIndex('principal', 'principal', { unique: false });
+        store.createIndex('state', 'state', { unique: false });
+      }
+    };
+
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+
+    request.onerror = (event) => {
+      console.error('IndexedDB error:', event.target.error);
+      reject(event.target.error);
+    };
+  });
+};
+
+/**
+ * 在庫レコードのキー（シェアIDは所有者ごとに一意）
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {string} shareId - シェアID
+ * @returns {string} レコードのキー
+ */
+const getRecordKey = (principal, shareId) => `${principal}:${shareId}`;
+
+/**
+ * シェアの値を除いた項目（id, epoch など）
+ * @param {Object} share - シェア
+ * @returns {Object} 値を除いたシェア
+ */
+const getShareMetadata = (share) => {
+  const { value, ...metadata } = share;
+  return metadata;
+};
+
+/**
+ * 在庫レコードを作成（シェアの値は含めない）
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {Object} share - シェア（id, value, epoch）
+ * @param {string} state - 状態
+ * @param {Object} fields - 追加の項目（未割り当てのシェアは valueEncrypted、割り当て済みのシェアは livenessKey）
+ * @returns {Object} 在庫レコード
+ */
+const createRecord = (principal, share, state, fields = {}) => ({
+  key: getRecordKey(principal, share.id),
+  id: share.id,
+  principal,
+  share: getShareMetadata(share),
+  state,
+  inviteId: null,
+  reservedUntil: null,
+  guardianPrincipal: null,
+  valueEncrypted: null,
+  livenessKey: null,
+  updatedAt: Date.now(),
+  ...fields
+});
+
+/**
+ * シェアの値を暗号化するときに結び付けるコンテキスト（別の所有者やシェアのレコードへの移し替えを防ぐ）
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {string} shareId - シェアID
+ * @returns {Object} コンテキスト
+ */
+const getShareValueContext = (principal, shareId) => ({ type: 'share-inventory', owner: principal, shareId });
+
+/**
+ * 在庫の暗号化に使うキーを取得
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {string|null} masterKey - 使用するキー（省略時は現在のマスターキー）
+ * @returns {string} キー
+ */
+const requireInventoryKey = (principal, masterKey = null) => {
+  const key = masterKey || getUserMasterKey(principal);
+  if (!key) {
+    throw new Error('マスターキーがロックされています');
+  }
+  return key;
+};
+
+/**
+ * 未割り当てのシェアの値を暗号化
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {Object} share - シェア（id, value, epoch）
+ * @param {string} masterKey - マスターキー
+ * @returns {Promise<Object>} 暗号化した値
+ */
+const encryptShareValue = (principal, share, masterKey) => {
+  return encryptWithKey(share.value, masterKey, { context: getShareValueContext(principal, share.id) });
+};
+
+/**
+ * 在庫レコードからシェアの値を復号して、割り当てに使えるシェアにする
+ * @param {Object} record - 在庫レコード
+ * @param {string} masterKey - マスターキー
+ * @returns {Promise<Object>} シェア（id, value, epoch）
+ */
+const openShareRecord = async (record, masterKey) => {
+  // 暗号化する前のレコード
+  if (record.share.value) return record.share;
+
+  if (!record.valueEncrypted) {
+    throw new Error('このシェアの値は在庫に保存されていません');
+  }
+
+  const value = await decryptWithKey(record.valueEncrypted, masterKey, {
+    context: getShareValueContext(record.principal, record.id)
+  });
+  return { ...record.share, value };
+};
+
+/**
+ * 予約が期限切れかどうか
+ * @param {Object} record - 在庫レコード
+ * @returns {boolean} 期限切れの予約ならtrue
+ */
+const isExpiredReservation = (record) => {
+  return record.state === 'reserved' && !!record.reservedUntil && record.reservedUntil < Date.now();
+};
+
+/**
+ * 在庫の変更を同じタブと他のタブに通知
+ * @param {string} principal - 所有者のプリンシパルID
+ */
+const notifyShareInventoryChanged = (principal) => {
+  window.dispatchEvent(new CustomEvent(SHARE_INVENTORY_EVENT, {
+    detail: { principal }
+  }));
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.postMessage({ principal });
+    channel.close();
+  }
+};
+
+/**
+ * 所有者のレコードを1つのreadwriteトランザクションで読み書きする
+ * updateは現在のレコード一覧を受け取り、書き込むレコード・削除するキー・結果を返す
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {Function} update - (records) => ({ put, remove, result })
+ * @returns {Promise<*>} updateが返したresult
+ */
+const runInventoryTransaction = async (principal, update) => {
+  if (!principal) {
+    throw new Error('User principal not found');
+  }
+
+  const db = await openDatabase();
+
+  const outcome = await new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    let changes = { put: [], remove: [], result: undefined };
+
+    const request = store.index('principal').getAll(principal);
+
+    request.onsuccess = () => {
+      try {
+        changes = { put: [], remove: [], ...update(request.result) };
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+        return;
+      }
+
+      changes.put.forEach(record => store.put(record));
+      changes.remove.forEach(key => store.delete(key));
+    };
+
+    request.onerror = (event) => {
+      console.error('Error reading share inventory:', event.target.error);
+      reject(event.target.error);
+    };
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(changes);
+    };
+
+    transaction.onerror = (event) => {
+      console.error('Share inventory transaction error:', event.target.error);
+      reject(event.target.error);
+    };
+
+    transaction.onabort = () => {
+      db.close();
+    };
+  });
+
+  if (outcome.put.length > 0 || outcome.remove.length > 0) {
+    notifyShareInventoryChanged(principal);
+  }
+  return outcome.result;
+};
+
+/**
+ * 以前のバージョンがlocalStorageに保存した未割り当てのシェアを在庫に移す
+ * @param {string} principal - 所有者のプリンシパルID
+ * @returns {Promise<number>} 移したシェアの数
+ */
+const migrateLegacyShares = async (principal) => {
+  const sharesJson = localStorage.getItem(LEGACY_SHARES_KEY);
+  if (!sharesJson) return 0;
+
+  // 暗号化して移すため、ロック中はlocalStorageに残しておく
+  const masterKey = getUserMasterKey(principal);
+  if (!masterKey) return 0;
+
+  let shares;
+  try {
+    shares = JSON.parse(sharesJson);
+  } catch (error) {
+    console.error('Failed to parse legacy recovery shares:', error);
+    localStorage.removeItem(LEGACY_SHARES_KEY);
+    return 0;
+  }
+
+  const legacyShares = (Array.isArray(shares) ? shares : []).filter(share => share && share.id && share.value);
+  const encryptedValues = {};
+  for (const share of legacyShares) {
+    encryptedValues[share.id] = await encryptShareValue(principal, share, masterKey);
+  }
+
+  const migrated = await runInventoryTransaction(principal, (records) => {
+    const existingIds = new Set(records.map(record => record.id));
+    const put = legacyShares
+      .filter(share => !existingIds.has(share.id))
+      .map(share => createRecord(principal, share, 'available', { valueEncrypted: encryptedValues[share.id] }));
+    return { put, result: put.length };
+  });
+
+  localStorage.removeItem(LEGACY_SHARES_KEY);
+  console.log('localStorageのシェアを在庫に移行:', { シェア数: migrated });
+  return migrated;
+};
+
+/**
+ * 以前のバージョンがシェアの値をそのまま保存した在庫レコードを移行する
+ * 未割り当てのシェアは値を暗号化し、割り当て済みのシェアは値を消してシェア保持確認の鍵だけを残す
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {Array} records - 在庫レコード
+ * @returns {Promise<number>} 移行したレコードの数
+ */
+const sealPlaintextRecords = async (principal, records) => {
+  const plaintextRecords = records.filter(record => record.share && record.share.value);
+  if (plaintextRecords.length === 0) return 0;
+
+  const masterKey = getUserMasterKey(principal);
+  const sealed = {};
+
+  for (const record of plaintextRecords) {
+    if (record.state === 'assigned' || record.state === 'confirmed') {
+      sealed[record.key] = {
+        ...record,
+        share: getShareMetadata(record.share),
+        livenessKey: record.livenessKey || await deriveShareLivenessKey(record.share.value)
+      };
+    } else if (masterKey) {
+      // 未割り当てのシェアはロックを解除してから暗号化する
+      sealed[record.key] = {
+        ...record,
+        share: getShareMetadata(record.share),
+        valueEncrypted: await encryptShareValue(principal, record.share, masterKey)
+      };
+    }
+  }
+
+  return runInventoryTransaction(principal, (current) => {
+    // 暗号化している間に他のタブが書き換えたレコードはそのままにする
+    const put = current
+      .filter(record => sealed[record.key] && record.updatedAt === sealed[record.key].updatedAt)
+      .map(record => sealed[record.key]);
+    return { put, result: put.length };
+  });
+};
+
+/**
+ * 所有者の在庫レコードを読み込む
+ * @param {string} principal - 所有者のプリンシパルID
+ * @returns {Promise<Array>} 在庫レコードの配列（シェアID順）
+ */
+const readInventoryRecords = async (principal) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.index('principal').getAll(principal);
+
+    request.onsuccess = () => {
+      resolve(request.result.sort((a, b) => a.id.localeCompare(b.id)));
+    };
+
+    request.onerror = (event) => {
+      console.error('Error getting share inventory:', event.target.error);
+      reject(event.target.error);
+    };
+
+    transaction.oncomplete = () => {
+      db.close();
+    };
+  });
+};
+
+/**
+ * 以前のバージョンの在庫を移行する（localStorageのシェアと、値をそのまま保存したレコード）
+ * @param {string} principal - 所有者のプリンシパルID
+ * @returns {Promise<void>}
+ */
+const migrateLegacyInventory = async (principal) => {
+  await migrateLegacyShares(principal);
+  await sealPlaintextRecords(principal, await readInventoryRecords(principal));
+};
+
+/**
+ * 所有者のシェア在庫を取得
+ * レコードにシェアの値は含まれない（未割り当てのシェアは valueEncrypted に暗号化して保存されている）
+ * @param {string} principal - 所有者のプリンシパルID
+ * @returns {Promise<Array>} 在庫レコードの配列（シェアID順）
+ */
+export const getShareInventory = async (principal) => {
+  if (!principal) return [];
+
+  await migrateLegacyInventory(principal);
+  return readInventoryRecords(principal);
+};
+
+/**
+ * 割り当てに使えるシェアを取得（期限切れの予約も含む）
+ * 値はマスターキーで復号する。復号できないシェア（有効化前のキーのシェアなど）は含めない
+ * @param {string} principal - 所有者のプリンシパルID
+ * @returns {Promise<Array>} シェア（id, value, epoch）の配列
+ */
+export const getAvailableShares = async (principal) => {
+  const records = (await getShareInventory(principal))
+    .filter(record => record.state === 'available' || isExpiredReservation(record));
+  if (records.length === 0) return [];
+
+  const masterKey = requireInventoryKey(principal);
+  const shares = [];
+
+  for (const record of records) {
+    try {
+      shares.push(await openShareRecord(record, masterKey));
+    } catch (error) {
+      console.error(`シェア ${record.id} を復号できません:`, error);
+    }
+  }
+  return shares;
+};
+
+/**
+ * シェアの在庫を新しいシェアセットで置き換える
+ * シェアの作成・ポリシー変更・シェアの更新・キーのローテーションで使う
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {Array} shares - 新しいシェアセットのシェア
+ * @param {Object} assignments - すでにガーディアンに預けたシェア（シェアID → ガーディアンのプリンシパルID）
+ * @param {Object} options - オプション
+ * @param {string} options.masterKey - シェアにしたキー（キーのローテーション中は有効化する前の新しいキー）
+ * @returns {Promise<number>} 未割り当てのシェアの数
+ */
+export const replaceShareInventory = async (principal, shares, assignments = {}, { masterKey = null } = {}) => {
+  // 古いシェアセットが移行前のlocalStorageに残らないようにする
+  localStorage.removeItem(LEGACY_SHARES_KEY);
+
+  // 暗号化とシェア保持確認の鍵の導出はトランザクションの外で済ませておく
+  const fields = {};
+  const unassigned = shares.filter(share => !assignments[share.id]);
+  const key = unassigned.length > 0 ? requireInventoryKey(principal, masterKey) : null;
+
+  for (const share of shares) {
+    fields[share.id] = assignments[share.id]
+      ? { guardianPrincipal: assignments[share.id], livenessKey: await deriveShareLivenessKey(share.value) }
+      : { valueEncrypted: await encryptShareValue(principal, share, key) };
+  }
+
+  return runInventoryTransaction(principal, (records) => {
+    const put = shares.map(share => (
+      createRecord(principal, share, assignments[share.id] ? 'assigned' : 'available', fields[share.id])
+    ));
+    const newKeys = new Set(put.map(record => record.key));
+    const remove = records.map(record => record.key).filter(key => !newKeys.has(key));
+    return { put, remove, result: put.filter(record => record.state === 'available').length };
+  });
+};
+
+/**
+ * シェアを予約する
+ * 他のタブや処理が同じシェアを使っていないことを同じトランザクション内で確かめる
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {Object} options - オプション
+ * @param {string|null} options.shareId - 予約するシェアID（省略時は利用可能な最初のシェア）
+ * @param {string|null} options.inviteId - 予約した招待ID
+ * @param {number|null} options.reservedUntil - 予約の期限
+ * @returns {Promise<Object>} 予約したシェア（id, value, epoch）
+ */
+export const reserveShare = async (principal, { shareId = null, inviteId = null, reservedUntil = null } = {}) => {
+  await migrateLegacyInventory(principal);
+  const masterKey = requireInventoryKey(principal);
+
+  const reservedRecord = await runInventoryTransaction(principal, (records) => {
+    const candidates = records
+      .filter(record => record.state === 'available' || isExpiredReservation(record))
+      .sort((a, b) => a.id.localeCompare(b.id));
+    const record = shareId ? candidates.find(item => item.id === shareId) : candidates[0];
+
+    if (!record) {
+      const error = new Error(shareId
+        ? 'このシェアは他の招待またはガーディアンで使用中です'
+        : '利用可能なシェアがありません');
+      error.code = SHARE_UNAVAILABLE_ERROR;
+      throw error;
+    }
+
+    const reserved = {
+      ...record,
+      state: 'reserved',
+      inviteId,
+      reservedUntil,
+      guardianPrincipal: null,
+      updatedAt: Date.now()
+    };
+    return { put: [reserved], result: reserved };
+  });
+
+  return openShareRecord(reservedRecord, masterKey);
+};
+
+/**
+ * 予約の招待IDや期限を更新する（在庫にないシェアは予約済みとして追加する）
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {Object} share - シェア（id, value, epoch）
+ * @param {Object} fields - 更新する項目（inviteId, reservedUntil）
+ * @returns {Promise<boolean>} 更新した場合はtrue
+ */
+export const updateReservation = async (principal, share, { inviteId = null, reservedUntil = null } = {}) => {
+  // 在庫にないシェアを追加する場合に備えて、値を暗号化しておく
+  const masterKey = share.value ? getUserMasterKey(principal) : null;
+  const valueEncrypted = masterKey ? await encryptShareValue(principal, share, masterKey) : null;
+
+  return runInventoryTransaction(principal, (records) => {
+    const record = records.find(item => item.id === share.id);
+
+    // 割り当て済みのシェアや、別の招待が予約中のシェアは予約し直さない
+    if (record && record.state !== 'reserved' && record.state !== 'available') {
+      return { result: false };
+    }
+    if (record && record.state === 'reserved' && record.inviteId && record.inviteId !== inviteId &&
+        !isExpiredReservation(record)) {
+      return { result: false };
+    }
+
+    if (!record && !valueEncrypted) {
+      return { result: false };
+    }
+
+    const reserved = record
+      ? { ...record, state: 'reserved', inviteId, reservedUntil, updatedAt: Date.now() }
+      : createRecord(principal, share, 'reserved', { inviteId, reservedUntil, valueEncrypted });
+    return { put: [reserved], result: true };
+  });
+};
+
+/**
+ * 予約したシェアを利用可能に戻す
+ * 割り当て済みのシェアや、別の招待が予約し直したシェアはそのままにする
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {Object} share - シェア（id, value, epoch）
+ * @param {Object} options - オプション
+ * @param {string|null} options.inviteId - この招待の予約だけを戻す場合の招待ID
+ * @returns {Promise<boolean>} 利用可能に戻した場合はtrue
+ */
+export const releaseShare = async (principal, share, { inviteId = null } = {}) => {
+  // 在庫にないシェアを追加する場合に備えて、値を暗号化しておく
+  const masterKey = share.value ? getUserMasterKey(principal) : null;
+  const valueEncrypted = masterKey ? await encryptShareValue(principal, share, masterKey) : null;
+
+  return runInventoryTransaction(principal, (records) => {
+    const record = records.find(item => item.id === share.id);
+
+    if (record) {
+      if (record.state === 'available') {
+        return { result: true };
+      }
+      if (record.state !== 'reserved' || (inviteId && record.inviteId && record.inviteId !== inviteId)) {
+        return { result: false };
+      }
+    }
+
+    if (record) {
+      return { put: [createRecord(principal, record.share, 'available', { valueEncrypted: record.valueEncrypted })], result: true };
+    }
+
+    // 以前のバージョンで招待に予約されたシェアは在庫にないため、ここで追加する
+    if (!valueEncrypted) {
+      return { result: false };
+    }
+    return { put: [createRecord(principal, share, 'available', { valueEncrypted })], result: true };
+  });
+};
+
+/**
+ * シェアをガーディアンに割り当て済みにする
+ * シェアの値は在庫から消し、シェア保持確認のためにシェアの値から導出した鍵だけを控えておく
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {Object} share - シェア（id, value, epoch）
+ * @param {string} guardianPrincipal - ガーディアンのプリンシパルID
+ * @returns {Promise<void>}
+ */
+export const assignShare = async (principal, share, guardianPrincipal) => {
+  const livenessKey = await deriveShareLivenessKey(share.value);
+
+  return runInventoryTransaction(principal, (records) => {
+    const record = records.find(item => item.id === share.id);
+    const assigned = createRecord(principal, record ? record.share : share, 'assigned', { guardianPrincipal, livenessKey });
+    return { put: [assigned] };
+  });
+};
+
+/**
+ * シェアの在庫をキャニスター上のガーディアンと突き合わせる
+ * 割り当て済みのシェアはガーディアンが登録されていれば確認済みにし、
+ * 削除されたガーディアンのシェアは再利用しないよう在庫から外す。期限切れの予約は利用可能に戻す
+ * @param {string} principal - 所有者のプリンシパルID
+ * @returns {Promise<Object>} 確認済み・除外・解放したシェアの数
+ */
+export const reconcileShareInventory = async (principal) => {
+  await migrateLegacyInventory(principal);
+
+  const actor = await getActor();
+  const result = await actor.getMyGuardians();
+  const guardianPrincipals = new Set(result.map(([guardianPrincipal]) => guardianPrincipal.toString()));
+
+  return runInventoryTransaction(principal, (records) => {
+    const put = [];
+    const remove = [];
+    const summary = { confirmed: 0, retired: 0, released: 0 };
+
+    records.forEach(record => {
+      if (record.state === 'assigned' || record.state === 'confirmed') {
+        if (!guardianPrincipals.has(record.guardianPrincipal)) {
+          remove.push(record.key);
+          summary.retired++;
+        } else if (record.state === 'assigned') {
+          put.push({ ...record, state: 'confirmed', updatedAt: Date.now() });
+          summary.confirmed++;
+        }
+      } else if (isExpiredReservation(record)) {
+        put.push(createRecord(principal, record.share, 'available', { valueEncrypted: record.valueEncrypted }));
+        summary.released++;
+      }
+    });
+
+    return { put, remove, result: summary };
+  });
+};
+
+/**
+ * シェア在庫の変更を購読する（同じタブと他のタブの両方）
+ * @param {string} principal - 所有者のプリンシパルID
+ * @param {Function} callback - 変更時に呼ばれる関数
+ * @returns {Function} 購読を解除する関数
+ */
+export const subscribeShareInventory = (principal, callback) => {
+  const handleChange = (detail) => {
+    if (!detail || detail.principal === principal) {
+      callback();
+    }
+  };
+
+  const handleEvent = (event) => handleChange(event.detail);
+  window.addEventListener(SHARE_INVENTORY_EVENT, handleEvent);
+
+  let channel = null;
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => handleChange(event.data);
+  }
+
+  return () => {
+    window.removeEventListener(SHARE_INVENTORY_EVENT, handleEvent);
+    if (channel) {
+      channel.close();
+    }
+  };
+};
@@ -0,0 +1,111 @@
+import 'fake-indexeddb/auto';
+import { Principal } from '@dfinity/principal';
+import { getActor } from './auth';
+import { saveUserMasterKey, lockMasterKey, createShares, deriveShareLivenessKey } from './improved-crypto';
+import {
+  getShareInventory,
+  getAvailableShares,
+  replaceShareInventory,
+  reserveShare,
+  releaseShare,
+  assignShare,
+  reconcileShareInventory,
+  SHARE_UNAVAILABLE_ERROR
+} from './shareInventory';
+
+jest.mock('./auth', () => ({
+  getActor: jest.fn()
+}));
+
+const OWNER = Principal.fromText('rrkah-fqaaa-aaaaa-aaaaq-cai');
+const GUARDIAN = Principal.fromText('ryjl3-tyaaa-aaaaa-aaaba-cai');
+const REMOVED_GUARDIAN = Principal.fromText('r7inp-6aaaa-aaaaa-aaabq-cai');
+const MASTER_KEY = '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+
+/**
+ * 保存されたレコードにシェアの値がそのまま含まれていないか
+ */
+const containsShareValue = (records, shares) => {
+  const stored = JSON.stringify(records);
+  return shares.some(share => stored.includes(share.value));
+};
+
+describe('シェア在庫', () => {
+  let shares;
+
+  beforeAll(() => {
+    shares = createShares(MASTER_KEY, 3, 2).sort((a, b) => a.id.localeCompare(b.id));
+  });
+
+  beforeEach(async () => {
+    localStorage.clear();
+    await saveUserMasterKey(OWNER.toText(), MASTER_KEY);
+    await replaceShareInventory(OWNER.toText(), shares);
+  });
+
+  afterEach(() => {
+    lockMasterKey();
+  });
+
+  test('未割り当てのシェアは暗号化して保存し、マスターキーで復号して返す', async () => {
+    const records = await getShareInventory(OWNER.toText());
+
+    expect(records.map(record => record.state)).toEqual(['available', 'available', 'available']);
+    expect(containsShareValue(records, shares)).toBe(false);
+    await expect(getAvailableShares(OWNER.toText())).resolves.toEqual(shares);
+  });
+
+  test('予約したシェアは他の予約に使われず、解放すると再び使える', async () => {
+    const reserved = await reserveShare(OWNER.toText(), { shareId: shares[0].id, inviteId: 'invite-1' });
+    expect(reserved).toEqual(shares[0]);
+
+    const conflict = await reserveShare(OWNER.toText(), { shareId: shares[0].id }).then(() => null, error => error);
+    expect(conflict && conflict.code).toBe(SHARE_UNAVAILABLE_ERROR);
+    await expect(getAvailableShares(OWNER.toText())).resolves.toEqual(shares.slice(1));
+
+    // 別の招待の予約は解放しない
+    await expect(releaseShare(OWNER.toText(), reserved, { inviteId: 'invite-2' })).resolves.toBe(false);
+    await expect(releaseShare(OWNER.toText(), reserved, { inviteId: 'invite-1' })).resolves.toBe(true);
+    await expect(getAvailableShares(OWNER.toText())).resolves.toEqual(shares);
+  });
+
+  test('割り当てたシェアは値を消してシェア保持確認の鍵だけを残す', async () => {
+    const reserved = await reserveShare(OWNER.toText(), { shareId: shares[1].id });
+    await assignShare(OWNER.toText(), reserved, GUARDIAN.toText());
+
+    const record = (await getShareInventory(OWNER.toText())).find(item => item.id === shares[1].id);
+    expect(record).toMatchObject({ state: 'assigned', guardianPrincipal: GUARDIAN.toText(), valueEncrypted: null });
+    expect(record.share.value).toBeUndefined();
+    expect(record.livenessKey).toBe(await deriveShareLivenessKey(shares[1].value));
+
+    // 割り当て済みのシェアは解放しない
+    await expect(releaseShare(OWNER.toText(), reserved)).resolves.toBe(false);
+  });
+
+  test('キャニスター上のガーディアンと突き合わせ、期限切れの予約を戻して削除されたガーディアンのシェアを外す', async () => {
+    await replaceShareInventory(OWNER.toText(), shares, {
+      [shares[0].id]: GUARDIAN.toText(),
+      [shares[1].id]: REMOVED_GUARDIAN.toText()
+    });
+    await reserveShare(OWNER.toText(), { shareId: shares[2].id, reservedUntil: Date.now() - 1000 });
+    getActor.mockResolvedValue({
+      getMyGuardians: jest.fn().mockResolvedValue([[GUARDIAN, true]])
+    });
+
+    await expect(reconcileShareInventory(OWNER.toText()))
+      .resolves.toEqual({ confirmed: 1, retired: 1, released: 1 });
+
+    const records = await getShareInventory(OWNER.toText());
+    expect(records.map(record => [record.id, record.state])).toEqual([
+      [shares[0].id, 'confirmed'],
+      [shares[2].id, 'available']
+    ]);
+    await expect(getAvailableShares(OWNER.toText())).resolves.toEqual([shares[2]]);
+  });
+
+  test('ロック中は未割り当てのシェアを返さない', async () => {
+    lockMasterKey();
+
+    await expect(getAvailableShares(OWNER.toText())).rejects.toThrow('ロックされています');
+  });
+});
@@ -0,0 +1,235 @@
+// src/services/shareMnemonic.js
+// リカバリーシェアの単語列エンコーディング（紙への書き写しと手入力のため）
+// と、紙のバックアップに印刷するQRコードの形式
+//
+// 形式（SLIP-39を参考にした1単語=1バイトの形式）:
+//   [バージョン][シェア番号x][閾値][世代の下位8ビット][シェアのy...][CRC-32（4バイト）]
+// チェックサムはcombineSharesに渡す前に検証し、書き写しの誤りを検出する
+
+// 単語の形式のバージョン
+export const SHARE_MNEMONIC_VERSION = 1;
+
+// 単語列が不正な場合のエラーコード
+export const SHARE_MNEMONIC_ERROR = 'SHARE_MNEMONIC_INVALID';
+
+// ヘッダー（バージョン・x・閾値・世代）とチェックサムのバイト数
+const HEADER_LENGTH = 4;
+const CHECKSUM_LENGTH = 4;
+
+/**
+ * 単語リスト（256語、すべて英小文字4文字）
+ * 単語の並び順がそのままバイト値になるため、並び替えや差し替えをしてはいけない
+ */
+export const SHARE_MNEMONIC_WORDS = Object.freeze([
+  'acid', 'arch', 'area', 'army', 'atom', 'aunt', 'axis', 'baby', 'ball', 'band', 'bank', 'barn', 'base', 'bath', 'beam', 'bear',
+  'beef', 'bell', 'belt', 'bike', 'bird', 'boat', 'body', 'bone', 'book', 'boot', 'boss', 'bowl', 'bulb', 'bush', 'cafe', 'cake',
+  'camp', 'card', 'cart', 'case', 'cash', 'cave', 'cell', 'chef', 'chin', 'city', 'clay', 'clip', 'club', 'coat', 'coin', 'comb',
+  'cook', 'corn', 'crew', 'crop', 'cube', 'dash', 'dawn', 'deer', 'desk', 'dial', 'dice', 'diet', 'dish', 'dock', 'door', 'dove',
+  'drum', 'duck', 'dune', 'dust', 'echo', 'edge', 'exam', 'face', 'farm', 'fern', 'film', 'fire', 'fish', 'flag', 'flow', 'foam',
+  'fold', 'food', 'foot', 'fork', 'fuel', 'game', 'gate', 'gear', 'gift', 'girl', 'goal', 'gold', 'golf', 'grid', 'gulf', 'hair',
+  'hall', 'hand', 'harp', 'hawk', 'heat', 'herb', 'hero', 'hill', 'home', 'hook', 'horn', 'host', 'hour', 'icon', 'inch', 'iron',
+  'jazz', 'jeep', 'joke', 'jury', 'king', 'kite', 'kiwi', 'knee', 'knot', 'lake', 'lamp', 'land', 'lava', 'lawn', 'leaf', 'lens',
+  'lime', 'lion', 'list', 'loaf', 'lock', 'logo', 'loop', 'luck', 'lung', 'mail', 'mask', 'math', 'maze', 'meal', 'menu', 'milk',
+  'mint', 'mist', 'moon', 'moss', 'mule', 'myth', 'nail', 'name', 'navy', 'neck', 'nest', 'noon', 'nose', 'note', 'oath', 'oboe',
+  'oval', 'oven', 'palm', 'park', 'path', 'peak', 'pear', 'pine', 'plot', 'plum', 'poem', 'pond', 'pool', 'pork', 'port', 'quiz',
+  'race', 'rack', 'rail', 'rain', 'ramp', 'rank', 'reef', 'rice', 'ring', 'road', 'rock', 'roof', 'room', 'rope', 'rose', 'ruby',
+  'rule', 'safe', 'sage', 'sail', 'salt', 'sand', 'seal', 'seed', 'ship', 'shoe', 'silk', 'size', 'snow', 'sofa', 'soil', 'song',
+  'soup', 'star', 'stem', 'step', 'swan', 'tail', 'tank', 'taxi', 'team', 'tent', 'test', 'tide', 'tile', 'time', 'tool', 'town',
+  'tree', 'trip', 'tuba', 'tune', 'twin', 'unit', 'veil', 'verb', 'vest', 'view', 'visa', 'void', 'wage', 'wall', 'wave', 'west',
+  'whip', 'wind', 'wing', 'wolf', 'wood', 'wool', 'word', 'work', 'yard', 'yarn', 'year', 'yoga', 'zero', 'zinc', 'zone', 'zoom'
+]);
+
+const WORD_INDEX = new Map(SHARE_MNEMONIC_WORDS.map((word, index) => [word, index]));
+
+// CRC-32（IEEE 802.3）のテーブル
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32を計算
+ * @param {Uint8Array|Array<number>} bytes - 対象のバイト列
+ * @returns {number} チェックサム（符号なし32ビット）
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * チェックサムをバイト列に変換
+ * @param {number} checksum - 符号なし32ビット整数
+ * @returns {Array<number>} ビッグエンディアンの4バイト
+ */
+const checksumToBytes = (checksum) => [
+  (checksum >>> 24) & 0xff,
+  (checksum >>> 16) & 0xff,
+  (checksum >>> 8) & 0xff,
+  checksum & 0xff
+];
+
+/**
+ * 単語列の検証エラーを作成
+ * @param {string} message - エラーメッセージ
+ * @param {Object} details - 追加情報（誤った単語の位置など）
+ * @returns {Error} codeがSHARE_MNEMONIC_ERRORのエラー
+ */
+const mnemonicError = (message, details = {}) => {
+  const error = new Error(message);
+  error.code = SHARE_MNEMONIC_ERROR;
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * シェアを単語列にエンコード
+ * @param {Object} share - シェア（value: '80' + x + y の16進数、threshold、epoch）
+ * @returns {string} 空白区切りの単語列
+ */
+export const encodeShareMnemonic = (share) => {
+  const value = share && (share.value || share);
+  if (typeof value !== 'string' || !/^80[0-9a-f]{4,}$/i.test(value) || value.length % 2 !== 0) {
+    throw new Error('単語に変換できないシェア形式です');
+  }
+
+  const x = parseInt(value.substring(2, 4), 16);
+  const threshold = Number(share.threshold || (share.metadata && share.metadata.threshold) || 0);
+  const epoch = Number(share.epoch || (share.metadata && share.metadata.epoch) || 0);
+  if (threshold > 255) {
+    throw new Error('閾値が大きすぎるため単語に変換できません');
+  }
+
+  const bytes = [SHARE_MNEMONIC_VERSION, x, threshold, epoch & 0xff];
+  for (let i = 4; i < value.length; i += 2) {
+    bytes.push(parseInt(value.substring(i, i + 2), 16));
+  }
+  bytes.push(...checksumToBytes(crc32(bytes)));
+
+  return bytes.map(byte => SHARE_MNEMONIC_WORDS[byte]).join(' ');
+};
+
+/**
+ * 単語列をシェアにデコード（チェックサムを検証する）
+ * 大文字小文字、余分な空白、改行、番号付きの書き写し（"1. acid" など）を許容する
+ * @param {string} text - 単語列
+ * @returns {Object} value（combineSharesに渡せる16進数）、index、threshold（不明ならnull）、epoch（下位8ビット、不明ならnull）
+ */
+export const decodeShareMnemonic = (text) => {
+  const words = String(text || '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+
+  if (words.length < HEADER_LENGTH + CHECKSUM_LENGTH + 1) {
+    throw mnemonicError('単語が足りません。シェアの単語をすべて入力してください', { wordCount: words.length });
+  }
+
+  const bytes = [];
+  for (let i = 0; i < words.length; i++) {
+    const byte = WORD_INDEX.get(words[i]);
+    if (byte === undefined) {
+      throw mnemonicError(`${i + 1}番目の単語「${words[i]}」は単語リストにありません`, { position: i + 1, word: words[i] });
+    }
+    bytes.push(byte);
+  }
+
+  const payload = bytes.slice(0, -CHECKSUM_LENGTH);
+  const checksum = bytes.slice(-CHECKSUM_LENGTH);
+  const expected = checksumToBytes(crc32(payload));
+  if (!checksum.every((byte, i) => byte === expected[i])) {
+    throw mnemonicError('チェックサムが一致しません。単語の書き写しに誤りがないか確認してください');
+  }
+
+  const [version, x, threshold, epoch] = payload;
+  if (version !== SHARE_MNEMONIC_VERSION) {
+    throw mnemonicError(`対応していない形式のバージョンです: ${version}`);
+  }
+  if (x === 0) {
+    throw mnemonicError('シェア番号が不正です');
+  }
+
+  const yHex = payload.slice(HEADER_LENGTH)
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+  return {
+    value: `80${x.toString(16).padStart(2, '0')}${yHex}`,
+    index: x,
+    threshold: threshold || null,
+    epoch: epoch || null
+  };
+};
+
+/**
+ * 入力が単語列らしいか判定（16進数のシェアと区別するため）
+ * @param {string} text - 入力
+ * @returns {boolean} 英字の単語だけで構成されていればtrue
+ */
+export const looksLikeShareMnemonic = (text) => {
+  const trimmed = String(text || '').trim();
+  return trimmed.length > 0 && !/^(80)?[0-9a-f]+$/i.test(trimmed) && /[a-z]{4}/i.test(trimmed);
+};
+
+// 紙のバックアップに印刷するQRコードの種類
+const SHARE_BACKUP_CODE_TYPE = 'recovery-share-backup';
+
+/**
+ * 紙のバックアップに印刷するQRコードの内容を作成
+ * シェアは単語列として含め、読み取り時に同じチェックサムで検証する
+ * @param {Object} share - シェア（id, value, threshold, epoch）
+ * @param {string} userPrincipal - シェアの所有者のプリンシパルID
+ * @returns {string} QRコードに埋め込む文字列
+ */
+export const createShareBackupCode = (share, userPrincipal) => {
+  const epoch = share.epoch || (share.metadata && share.metadata.epoch) || null;
+  const threshold = share.threshold || (share.metadata && share.metadata.threshold) || null;
+
+  return btoa(JSON.stringify({
+    type: SHARE_BACKUP_CODE_TYPE,
+    version: SHARE_MNEMONIC_VERSION,
+    userPrincipal,
+    shareId: share.id || null,
+    epoch,
+    threshold,
+    mnemonic: encodeShareMnemonic(share)
+  }));
+};
+
+/**
+ * 紙のバックアップのQRコードを読み取ってシェアに戻す
+ * @param {string} code - QRコードの内容
+ * @returns {Object} userPrincipal、id、value、index、threshold、epoch
+ */
+export const parseShareBackupCode = (code) => {
+  let data;
+  try {
+    data = JSON.parse(atob(String(code || '').trim()));
+  } catch (error) {
+    throw mnemonicError('シェアのバックアップのQRコードではありません');
+  }
+
+  if (data.type !== SHARE_BACKUP_CODE_TYPE || !data.mnemonic) {
+    throw mnemonicError('シェアのバックアップのQRコードではありません');
+  }
+
+  const share = decodeShareMnemonic(data.mnemonic);
+
+  return {
+    ...share,
+    id: data.shareId || null,
+    userPrincipal: data.userPrincipal || null,
+    // 単語列には世代の下位8ビットしか入らないため、QRコードの値を優先する
+    epoch: data.epoch || share.epoch
+  };
+};
@@ -3,3 +3,35 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom には WebCrypto と TextEncoder がないため、Node.js の実装を使う
+// テスト環境の ArrayBuffer は Node.js の WebCrypto に受け付けられないので、Uint8Array で包んで渡す
+const toBufferView = (value) =>
+  Object.prototype.toString.call(value) === '[object ArrayBuffer]' ? new Uint8Array(value) : value;
+
+if (!window.crypto || !window.crypto.subtle) {
+  const subtle = new Proxy(webcrypto.subtle, {
+    get: (target, name) => {
+      const value = target[name];
+      return typeof value === 'function'
+        ? (...args) => value.apply(target, args.map(toBufferView))
+        : value;
+    }
+  });
+
+  Object.defineProperty(window, 'crypto', {
+    value: {
+      subtle,
+      getRandomValues: (array) => webcrypto.getRandomValues(array),
+      randomUUID: () => webcrypto.randomUUID()
+    },
+    configurable: true
+  });
+}
+
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}